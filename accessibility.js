@@ -0,0 +1,95 @@
+/* ============================================
+   MediLegal AI - Accessibility
+   ============================================ */
+
+// Screen reader announcements, keyboard shortcuts and the display
+// settings (high contrast, text size). New bot messages are read out
+// through the #chatAnnouncer live region of the widget, and the display
+// settings are kept on the device like the language.
+
+const TEXT_SIZES = ['normal', 'large', 'larger'];
+const CONTRAST_MODES = ['normal', 'high'];
+
+/**
+ * Read the display settings chosen last time. Without a saved choice,
+ * high contrast follows the system "increase contrast" setting.
+ * @returns {{ contrast: string, textSize: string }}
+ */
+function loadDisplayPreferences() {
+    const saved = readJson(`${AppConfig.storagePrefix}.display`, null) || {};
+    const prefersMore = typeof window.matchMedia === 'function' &&
+        window.matchMedia('(prefers-contrast: more)').matches;
+
+    return {
+        contrast: CONTRAST_MODES.includes(saved.contrast) ? saved.contrast : (prefersMore ? 'high' : 'normal'),
+        textSize: TEXT_SIZES.includes(saved.textSize) ? saved.textSize : 'normal'
+    };
+}
+
+/**
+ * Remember the display settings for future visits
+ * @param {{ contrast: string, textSize: string }} preferences
+ */
+function saveDisplayPreferences(preferences) {
+    writeJson(`${AppConfig.storagePrefix}.display`, preferences);
+}
+
+/**
+ * Apply display settings to the widget; styles.css keys off these
+ * attributes of the element it is mounted into, so the page around it
+ * is left alone
+ * @param {{ contrast: string, textSize: string }} preferences
+ */
+function applyDisplayPreferences(preferences) {
+    widgetRoot.dataset.contrast = preferences.contrast;
+    widgetRoot.dataset.textSize = preferences.textSize;
+}
+
+/**
+ * Read text out through the live region. The same text twice in a row
+ * gets a trailing space so screen readers notice the change.
+ * @param {string} text - Plain text to announce
+ */
+function announce(text) {
+    const region = findElement('chatAnnouncer');
+    if (!region || !text) return;
+    region.textContent = region.textContent === text ? `${text} ` : text;
+}
+
+/**
+ * Get the text a screen reader would read for an element, without
+ * decorative icons and controls
+ * @param {Element} element - Rendered message content
+ * @returns {string}
+ */
+function getAccessibleText(element) {
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll('[aria-hidden="true"], button, input, select, textarea').forEach(el => el.remove());
+    return copy.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check whether an element takes typed text, where letter keys and
+ * Backspace must keep their normal meaning
+ * @param {EventTarget} target - Event target
+ * @returns {boolean}
+ */
+function isTextEntry(target) {
+    return Boolean(target && target.closest &&
+        target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+}
+
+/**
+ * Map a key press to a chat shortcut. Yes/no letters are the one-letter
+ * answers of YES_NO_WORDS, so "S" (sí) and "O" (oui) work as well as Y.
+ * Only Escape counts inside text fields.
+ * @param {KeyboardEvent} event - keydown event
+ * @returns {string|null} 'yes', 'no', 'back', 'escape' or null
+ */
+function getKeyboardShortcut(event) {
+    if (event.defaultPrevented || event.isComposing || event.ctrlKey || event.metaKey || event.altKey) return null;
+    if (event.key === 'Escape') return 'escape';
+    if (isTextEntry(event.target)) return null;
+    if (event.key === 'Backspace') return 'back';
+    return event.key.length === 1 ? normalizeYesNo(event.key) : null;
+}
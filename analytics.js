@@ -0,0 +1,220 @@
+/* ============================================
+   MediLegal AI - Usage Analytics
+   ============================================ */
+
+// Anonymous usage events show which branches people take and where they
+// stop. Events never hold free text: createUsageEvent keeps only the
+// fields in USAGE_EVENT_FIELDS, answers to text questions are recorded
+// without their value, and a run id is random per conversation and not
+// the saved session id. Events go to a sink, any object with this shape:
+//
+//   {
+//       name: 'my-sink',
+//       record(event) { ... },
+//       flush() { ... } // optional: send anything queued, e.g. on page hide
+//   }
+
+const USAGE_EVENT_TYPES = [
+    'role_selected', // A conversation started from the role picker
+    'flow_restarted', // A conversation started again after Clear Chat
+    'session_resumed', // A saved conversation was reopened
+    'node_visited', // A question was shown
+    'answered', // A question was answered
+    'completed', // Guidance was shown
+    'abandoned', // A conversation ended before guidance (reason: cleared, role_changed, closed)
+    'cleared', // Clear Chat was confirmed
+    'role_changed' // Change Role was used
+];
+
+// Everything an event may hold; anything else is dropped
+const USAGE_EVENT_FIELDS = ['type', 'tree', 'treeVersion', 'locale', 'run', 'day', 'nodeId', 'value', 'inferred', 'reason', 'answers'];
+
+// Event types that start a run in the funnel
+const USAGE_START_TYPES = ['role_selected', 'flow_restarted'];
+
+/**
+ * Build an event, keeping only the allowed fields. The time is kept to
+ * the day.
+ * @param {string} type - One of USAGE_EVENT_TYPES
+ * @param {Object} details - Event fields
+ * @returns {Object}
+ */
+function createUsageEvent(type, details) {
+    const event = { type: type, day: new Date().toISOString().slice(0, 10) };
+    USAGE_EVENT_FIELDS.forEach(field => {
+        if (field !== 'type' && field !== 'day' && details[field] !== undefined && details[field] !== null) {
+            event[field] = details[field];
+        }
+    });
+    return event;
+}
+
+/**
+ * Create a sink that keeps events on this device, for dashboard.html.
+ * Events show the path a conversation took, so like saved sessions they
+ * are kept in the encrypted vault (see secure-storage.js): nothing is
+ * recorded or read until a passphrase is set, or while it is locked.
+ * Every vault write encrypts all stored events again, so events are
+ * queued and added in one write shortly after the first one.
+ * @param {Object} options - Sink options
+ * @param {string} options.key - Storage key inside the vault
+ * @param {number} [options.maxEvents] - Oldest events are dropped beyond this
+ * @param {number} [options.flushDelayMs] - Write this long after the first queued event
+ * @returns {{ name: string, record: Function, read: Function, clear: Function, flush: Function }}
+ */
+function createLocalAnalyticsSink(options) {
+    const maxEvents = options.maxEvents || 5000;
+    const flushDelayMs = options.flushDelayMs || 1000;
+    let queue = [];
+    let timer = null;
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        if (queue.length === 0) return;
+
+        const events = queue;
+        queue = [];
+        SecureStore.update(options.key, stored => stored.concat(events).slice(-maxEvents), []);
+    }
+
+    return {
+        name: 'local',
+        record(event) {
+            if (!SecureStore.isUnlocked()) return;
+            queue.push(event);
+            if (!timer) timer = setTimeout(flush, flushDelayMs);
+        },
+        read() {
+            return SecureStore.read(options.key, []).concat(queue).slice(-maxEvents);
+        },
+        clear() {
+            clearTimeout(timer);
+            timer = null;
+            queue = [];
+            SecureStore.write(options.key, []);
+        },
+        flush: flush
+    };
+}
+
+/**
+ * Create a sink that posts events to an HTTP endpoint in batches, as
+ * JSON ({ "events": [...] }). Failed batches are dropped; analytics must
+ * never get in the way of the conversation.
+ * @param {Object} options - Sink options
+ * @param {string} options.endpoint - URL to POST events to
+ * @param {number} [options.batchSize] - Send as soon as this many are queued
+ * @param {number} [options.flushDelayMs] - Otherwise send this long after the first queued event
+ * @param {Function} [options.fetch] - fetch implementation, for tests
+ * @returns {{ name: string, endpoint: string, record: Function, flush: Function }}
+ */
+function createHttpAnalyticsSink(options) {
+    const batchSize = options.batchSize || 20;
+    const flushDelayMs = options.flushDelayMs || 5000;
+    const fetchImpl = options.fetch || ((...args) => fetch(...args));
+    let queue = [];
+    let timer = null;
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        if (queue.length === 0) return;
+
+        const events = queue;
+        queue = [];
+        // keepalive lets the last batch go out while the page is closing
+        Promise.resolve()
+            .then(() => fetchImpl(options.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ events: events }),
+                keepalive: true
+            }))
+            .catch(error => console.warn('Could not send usage events', error));
+    }
+
+    return {
+        name: 'http',
+        endpoint: options.endpoint,
+        record(event) {
+            queue.push(event);
+            if (queue.length >= batchSize) {
+                flush();
+            } else if (!timer) {
+                timer = setTimeout(flush, flushDelayMs);
+            }
+        },
+        flush: flush
+    };
+}
+
+/**
+ * Summarize the events of one tree for the dashboard
+ * @param {Array<Object>} events - Usage events
+ * @param {Object} tree - Decision tree, for node order
+ * @returns {{ runs: number, funnel: Array<Object>, abandoned: Array<Object>, branches: Array<Object>, leaves: Array<Object> }}
+ *   funnel lists { step, count } from started runs to guidance; abandoned
+ *   lists { nodeId, count } where runs stopped; branches lists
+ *   { nodeId, visits, answers: [{ value, count }] } per question; leaves
+ *   lists { nodeId, count } per guidance leaf, most common first
+ */
+function summarizeUsage(events, tree) {
+    const treeEvents = events.filter(event => event && event.tree === tree.id && event.run);
+    const runs = new Map();
+    const runOf = id => {
+        if (!runs.has(id)) runs.set(id, { started: false, visited: new Set(), answered: new Map(), completed: new Set(), abandonedAt: null });
+        return runs.get(id);
+    };
+
+    treeEvents.forEach(event => {
+        const run = runOf(event.run);
+        if (USAGE_START_TYPES.includes(event.type)) run.started = true;
+        if (event.type === 'node_visited') run.visited.add(event.nodeId);
+        // A changed answer replaces the earlier one
+        if (event.type === 'answered') run.answered.set(event.nodeId, event.value);
+        if (event.type === 'completed') run.completed.add(event.nodeId);
+        if (event.type === 'abandoned') run.abandonedAt = event.nodeId || null;
+    });
+    const allRuns = [...runs.values()];
+    const startedRuns = allRuns.filter(run => run.started);
+
+    const deepest = Math.max(0, ...startedRuns.map(run => run.answered.size));
+    const funnel = [{ step: 'started', count: startedRuns.length }];
+    for (let depth = 1; depth <= deepest; depth++) {
+        funnel.push({ step: `answered-${depth}`, count: startedRuns.filter(run => run.answered.size >= depth).length });
+    }
+    funnel.push({ step: 'completed', count: startedRuns.filter(run => run.completed.size > 0).length });
+
+    const abandoned = countBy(allRuns.filter(run => run.completed.size === 0 && run.abandonedAt), run => run.abandonedAt)
+        .map(([nodeId, count]) => ({ nodeId: nodeId, count: count }));
+
+    const branches = Object.keys(tree.nodes)
+        .filter(nodeId => tree.nodes[nodeId].question)
+        .map(nodeId => {
+            const answeredHere = allRuns.filter(run => run.answered.has(nodeId));
+            return {
+                nodeId: nodeId,
+                visits: allRuns.filter(run => run.visited.has(nodeId)).length,
+                answers: countBy(answeredHere, run => run.answered.get(nodeId) || 'text')
+                    .map(([value, count]) => ({ value: value, count: count }))
+            };
+        });
+
+    const leaves = countBy(allRuns.flatMap(run => [...run.completed]), nodeId => nodeId)
+        .map(([nodeId, count]) => ({ nodeId: nodeId, count: count }));
+
+    return { runs: startedRuns.length, funnel: funnel, abandoned: abandoned, branches: branches, leaves: leaves };
+}
+
+/**
+ * Count items by key, most common first
+ * @param {Array} items - Items to count
+ * @param {Function} keyOf - Returns an item's key
+ * @returns {Array<Array>} [key, count] pairs
+ */
+function countBy(items, keyOf) {
+    const counts = new Map();
+    items.forEach(item => counts.set(keyOf(item), (counts.get(keyOf(item)) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
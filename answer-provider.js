@@ -0,0 +1,223 @@
+/* ============================================
+   MediLegal AI - Follow-up Answer Providers
+   ============================================ */
+
+// A provider answers the follow-up questions typed after the guided flow
+// is complete. Any object with this shape can be plugged in with
+// setAnswerProvider:
+//
+//   {
+//       name: 'my-service',
+//       ask(request, { onToken, signal }) { ... return Promise<string>; }
+//   }
+//
+// `request` is built by buildFollowUpRequest in app.js: the question, the
+// locale and role, and the case summary (decision path and guidance) as
+// context. `onToken` may be called with each piece of text as it arrives;
+// the promise resolves with the full answer. Failures reject with an
+// Error whose `code` is one of ANSWER_ERROR_CODES.
+
+const ANSWER_ERROR_CODES = ['offline', 'timeout', 'http', 'aborted', 'invalid'];
+
+const ANSWER_PROVIDER_DEFAULTS = {
+    timeoutMs: 20000, // Give up when no data arrives for this long
+    retries: 2, // Extra attempts after a network error, timeout or 5xx/429 reply
+    backoffMs: 500 // Wait before the first retry; doubles for each one after
+};
+
+/**
+ * Create a provider that posts questions to an HTTP endpoint. The
+ * endpoint may reply with JSON ({ "answer": "..." }) or stream
+ * newline-delimited JSON ({ "delta": "..." } per line).
+ * @param {Object} options - Provider options
+ * @param {string} options.endpoint - URL to POST questions to
+ * @param {number} [options.timeoutMs] - Idle timeout per attempt
+ * @param {number} [options.retries] - Retries after a retryable failure
+ * @param {number} [options.backoffMs] - Delay before the first retry
+ * @param {Function} [options.fetch] - fetch implementation, for tests
+ * @returns {{ name: string, endpoint: string, ask: Function }}
+ */
+function createHttpAnswerProvider(options) {
+    const settings = Object.assign({}, ANSWER_PROVIDER_DEFAULTS, options);
+    const fetchImpl = settings.fetch || ((...args) => fetch(...args));
+
+    async function ask(request, handlers = {}) {
+        const onToken = handlers.onToken || (() => {});
+
+        for (let attempt = 0; ; attempt++) {
+            if (handlers.signal && handlers.signal.aborted) {
+                throw createAnswerError('aborted', 'The question was cancelled.');
+            }
+            if (isBrowserOffline()) {
+                throw createAnswerError('offline', 'The device is offline.');
+            }
+
+            let streamed = false;
+            try {
+                return await sendAttempt(request, handlers.signal, settings, fetchImpl, text => {
+                    streamed = true;
+                    onToken(text);
+                });
+            } catch (error) {
+                // Part of the answer is already on screen; a retry would repeat it
+                if (streamed || !error.retryable || attempt >= settings.retries) throw error;
+                await waitForRetry(settings.backoffMs * 2 ** attempt, handlers.signal);
+            }
+        }
+    }
+
+    return { name: 'http', endpoint: settings.endpoint, ask: ask };
+}
+
+/**
+ * Run one request, with an idle timeout that restarts whenever data
+ * arrives
+ * @param {Object} request - Follow-up request
+ * @param {AbortSignal|undefined} signal - Cancels the request
+ * @param {Object} settings - Provider settings
+ * @param {Function} fetchImpl - fetch implementation
+ * @param {Function} onToken - Called with each streamed piece of text
+ * @returns {Promise<string>} Full answer
+ */
+async function sendAttempt(request, signal, settings, fetchImpl, onToken) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+    const restartTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, settings.timeoutMs);
+    };
+    const cancel = () => controller.abort();
+    if (signal) signal.addEventListener('abort', cancel);
+
+    restartTimer();
+    try {
+        const response = await fetchImpl(settings.endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/x-ndjson, application/json'
+            },
+            body: JSON.stringify(request),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            const error = createAnswerError('http', `The answer service replied with status ${response.status}.`);
+            error.status = response.status;
+            error.retryable = response.status >= 500 || response.status === 429;
+            throw error;
+        }
+
+        const type = response.headers.get('Content-Type') || '';
+        if (type.includes('application/x-ndjson') && response.body) {
+            return await readAnswerStream(response.body, text => {
+                restartTimer();
+                onToken(text);
+            });
+        }
+
+        const data = await response.json();
+        if (!data || typeof data.answer !== 'string') {
+            throw createAnswerError('invalid', 'The answer service sent a reply without an answer.');
+        }
+        onToken(data.answer);
+        return data.answer;
+    } catch (error) {
+        if (ANSWER_ERROR_CODES.includes(error.code)) throw error;
+        if (timedOut) throw createAnswerError('timeout', 'The answer service did not respond in time.', true);
+        if (signal && signal.aborted) throw createAnswerError('aborted', 'The question was cancelled.');
+        if (isBrowserOffline()) throw createAnswerError('offline', 'The device is offline.');
+        throw createAnswerError('http', `Could not reach the answer service: ${error.message}`, true);
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', cancel);
+    }
+}
+
+/**
+ * Read a newline-delimited JSON answer stream
+ * @param {ReadableStream} body - Response body
+ * @param {Function} onToken - Called with each piece of text
+ * @returns {Promise<string>} Full answer
+ */
+async function readAnswerStream(body, onToken) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let answer = '';
+
+    const handleLine = line => {
+        if (!line.trim()) return;
+        let data;
+        try {
+            data = JSON.parse(line);
+        } catch (error) {
+            throw createAnswerError('invalid', 'The answer service sent an unreadable stream.');
+        }
+        if (data.error) throw createAnswerError('http', String(data.error));
+        if (typeof data.delta === 'string' && data.delta) {
+            answer += data.delta;
+            onToken(data.delta);
+        }
+    };
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+
+    return answer;
+}
+
+/**
+ * Build a provider error
+ * @param {string} code - One of ANSWER_ERROR_CODES
+ * @param {string} message - Developer-facing description
+ * @param {boolean} [retryable] - Whether another attempt may succeed
+ * @returns {Error}
+ */
+function createAnswerError(code, message, retryable) {
+    const error = new Error(message);
+    error.code = code;
+    error.retryable = Boolean(retryable);
+    return error;
+}
+
+/**
+ * Check the browser's network status where it is known
+ * @returns {boolean}
+ */
+function isBrowserOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Wait before retrying, stopping early when the question is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|undefined} signal - Cancels the wait
+ * @returns {Promise<void>}
+ */
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(createAnswerError('aborted', 'The question was cancelled.'));
+            }, { once: true });
+        }
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createHttpAnswerProvider, ANSWER_ERROR_CODES, ANSWER_PROVIDER_DEFAULTS };
+}
@@ -2,35 +2,224 @@
    MediLegal AI - Chatbot Logic
    ============================================ */
 
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const AppConfig = {
+    storagePrefix: 'medilegal', // Prefix for all localStorage keys
+    sessionRetentionDays: 7, // Saved sessions older than this are deleted
+    treesPath: 'trees', // Folder holding manifest.json and the tree files
+    intentMinScore: 2, // Weakest intent match worth offering (see intent-classifier.js)
+    intentMinConfidence: 0.6, // Share of the total match score the best intent needs
+    answerEndpoint: null, // Follow-up question service, e.g. 'http://localhost:8787/answer'; null turns follow-ups off
+    usageAnalytics: true, // Record anonymous usage events (see analytics.js)
+    analyticsEndpoint: null, // Usage event collector; null keeps the events in the vault on this device for dashboard.html
+    passphraseIterations: 600000, // PBKDF2 rounds for the key of saved conversations (see secure-storage.js)
+    minPassphraseLength: 8, // Shortest passphrase accepted when saving is turned on
+    autoLockMinutes: 5 // Lock saved conversations after this long without activity
+};
+
 // ==========================================
 // STATE MANAGEMENT
 // ==========================================
 
 const AppState = {
-    selectedRole: null, // 'doctor' or 'patient'
-    messages: [], // { id, sender, content, timestamp }
+    selectedRole: null, // Role id from ROLES (roles.js), the same as its tree id
+    sessionId: null, // Id of the saved session for this conversation
+    messages: [], // { id, sender, type, nodeId, content, text, createdAt, kind? } (see transcript.js)
     messageCount: 0, // For unique message IDs
     initialPromptShown: false, // Track if initial prompt has been shown
     currentNodeId: null, // Current decision tree node
-    flowCompleted: false // Track if guided flow is finished
+    flowCompleted: false, // Track if guided flow is finished
+    answerPath: [], // { nodeId, answer, value, field, messageId, answeredAt } for each answered node
+    jurisdiction: 'generic', // Jurisdiction code used to pick guidance variants
+    incidentDate: null, // YYYY-MM-DD entered on the guidance card, for deadlines
+    pendingIntent: null, // { id, messageId } while the user confirms a detected topic
+    intentTarget: null, // Id of a confirmed topic to skip ahead to once the safety question on the way is answered
+    followUpRequest: null, // AbortController of the follow-up question being answered
+    timeline: [], // { id, date, time, description, people, files, createdAt, updatedAt } recorded after the guidance
+    letters: [], // { id, type, locale, values, text, createdAt } request letters written from the guidance
+    incidentReport: null, // { values, flags, locale, text, createdAt, updatedAt } draft report written from the guidance
+    escalation: null, // { nodeId, startedAt, acknowledgedAt, checklist: [{ text, doneAt }] } once an emergency leaf is reached
+    voiceMode: false, // Read questions and guidance aloud and listen for spoken yes/no, for this session only
+    jointSession: null, // { type, startedAt, sides, reviews } while two roles answer side by side (see joint-session.js); not saved
+    previewMode: false // Running a draft tree inside the editor; nothing is saved
 };
 
 // ==========================================
 // DOM ELEMENTS
 // ==========================================
 
-const roleSection = document.getElementById('roleSection');
-const chatSection = document.getElementById('chatSection');
-const doctorBtn = document.querySelector('.doctor-btn');
-const patientBtn = document.querySelector('.patient-btn');
-const messagesContainer = document.getElementById('messagesContainer');
-const userInput = document.getElementById('userInput');
-const sendBtn = document.getElementById('sendBtn');
-const yesBtn = document.getElementById('yesBtn');
-const noBtn = document.getElementById('noBtn');
-const clearBtn = document.getElementById('clearBtn');
-const changeRoleBtn = document.getElementById('changeRoleBtn');
-const currentRoleDisplay = document.getElementById('currentRole');
+// Container the widget is mounted in, and whether it is the whole page
+// (see mountApp). The elements below are looked up inside it by
+// bindElements.
+let widgetRoot = null;
+let widgetStandalone = false;
+let roleSection;
+let roleHeading;
+let chatSection;
+let roleButtons;
+let jointStart;
+let jointStartBtn;
+let jointSection;
+let jointHeading;
+let jointIntro;
+let jointDisagreements;
+let jointSides;
+let jointSummary;
+let messagesContainer;
+let userInput;
+let sendBtn;
+let yesNoButtons;
+let yesBtn;
+let noBtn;
+let choiceButtons;
+let clearBtn;
+let voiceBtn;
+let voiceStatus;
+let backBtn;
+let changeRoleBtn;
+let currentRoleDisplay;
+let jurisdictionSelect;
+let localeSelect;
+let textSizeSelect;
+let contrastToggle;
+let savedSessionsSection;
+let savedSessionsList;
+let savedSessionsNote;
+let historyOpenBtn;
+let historyPanel;
+let historyForm;
+let historySearch;
+let historyRole;
+let historyRisk;
+let historyStatus;
+let historyResults;
+let treeErrors;
+let vaultPanel;
+let lockBtn;
+let panicWipeBtn;
+let updateBanner;
+let updateApplyBtn;
+let updateLaterBtn;
+let timelinePanel;
+let timelineList;
+let timelineForm;
+let timelineDraftFiles;
+let timelineErrors;
+let timelineSubmitBtn;
+let timelineCancelBtn;
+let letterPanel;
+let letterHeading;
+let letterForm;
+let letterFields;
+let letterErrors;
+let letterPreview;
+let letterList;
+let reportPanel;
+let reportForm;
+let reportErrors;
+let reportFlags;
+let reportSubmitBtn;
+let reportPreview;
+let escalationBanner;
+let escalationHeading;
+let escalationContacts;
+let escalationChecklist;
+let escalationStatus;
+let escalationAckBtn;
+let editorLinks;
+
+/**
+ * Look up an element of the mounted widget by id. Elements of the page
+ * around the widget are never matched.
+ * @param {string} id - Element id
+ * @returns {HTMLElement|null}
+ */
+function findElement(id) {
+    return widgetRoot ? widgetRoot.querySelector(`[id="${id}"]`) : null;
+}
+
+/**
+ * Find the widget's elements once its markup is in the page
+ */
+function bindElements() {
+    roleSection = findElement('roleSection');
+    roleHeading = findElement('roleHeading');
+    chatSection = findElement('chatSection');
+    roleButtons = findElement('roleButtons');
+    jointStart = findElement('jointStart');
+    jointStartBtn = findElement('jointStartBtn');
+    jointSection = findElement('jointSection');
+    jointHeading = findElement('jointHeading');
+    jointIntro = findElement('jointIntro');
+    jointDisagreements = findElement('jointDisagreements');
+    jointSides = findElement('jointSides');
+    jointSummary = findElement('jointSummary');
+    messagesContainer = findElement('messagesContainer');
+    userInput = findElement('userInput');
+    sendBtn = findElement('sendBtn');
+    yesNoButtons = findElement('yesNoButtons');
+    yesBtn = findElement('yesBtn');
+    noBtn = findElement('noBtn');
+    choiceButtons = findElement('choiceButtons');
+    clearBtn = findElement('clearBtn');
+    voiceBtn = findElement('voiceBtn');
+    voiceStatus = findElement('voiceStatus');
+    backBtn = findElement('backBtn');
+    changeRoleBtn = findElement('changeRoleBtn');
+    currentRoleDisplay = findElement('currentRole');
+    jurisdictionSelect = findElement('jurisdictionSelect');
+    localeSelect = findElement('localeSelect');
+    textSizeSelect = findElement('textSizeSelect');
+    contrastToggle = findElement('contrastToggle');
+    savedSessionsSection = findElement('savedSessions');
+    savedSessionsList = findElement('savedSessionsList');
+    savedSessionsNote = findElement('savedSessionsNote');
+    historyOpenBtn = findElement('historyOpenBtn');
+    historyPanel = findElement('historyPanel');
+    historyForm = findElement('historyForm');
+    historySearch = findElement('historySearch');
+    historyRole = findElement('historyRole');
+    historyRisk = findElement('historyRisk');
+    historyStatus = findElement('historyStatus');
+    historyResults = findElement('historyResults');
+    treeErrors = findElement('treeErrors');
+    vaultPanel = findElement('vaultPanel');
+    lockBtn = findElement('lockBtn');
+    panicWipeBtn = findElement('panicWipeBtn');
+    updateBanner = findElement('updateBanner');
+    updateApplyBtn = findElement('updateApplyBtn');
+    updateLaterBtn = findElement('updateLaterBtn');
+    timelinePanel = findElement('timelinePanel');
+    timelineList = findElement('timelineList');
+    timelineForm = findElement('timelineForm');
+    timelineDraftFiles = findElement('timelineDraftFiles');
+    timelineErrors = findElement('timelineErrors');
+    timelineSubmitBtn = findElement('timelineSubmitBtn');
+    timelineCancelBtn = findElement('timelineCancelBtn');
+    letterPanel = findElement('letterPanel');
+    letterHeading = findElement('letterHeading');
+    letterForm = findElement('letterForm');
+    letterFields = findElement('letterFields');
+    letterErrors = findElement('letterErrors');
+    letterPreview = findElement('letterPreview');
+    letterList = findElement('letterList');
+    reportPanel = findElement('reportPanel');
+    reportForm = findElement('reportForm');
+    reportErrors = findElement('reportErrors');
+    reportFlags = findElement('reportFlags');
+    reportSubmitBtn = findElement('reportSubmitBtn');
+    reportPreview = findElement('reportPreview');
+    escalationBanner = findElement('escalationBanner');
+    escalationHeading = findElement('escalationHeading');
+    escalationContacts = findElement('escalationContacts');
+    escalationChecklist = findElement('escalationChecklist');
+    escalationStatus = findElement('escalationStatus');
+    escalationAckBtn = findElement('escalationAckBtn');
+    editorLinks = findElement('editorLinks');
+}
 
 // ==========================================
 // EVENT LISTENERS
@@ -41,8 +230,26 @@ const currentRoleDisplay = document.getElementById('currentRole');
  */
 function initializeEventListeners() {
     // Role selection buttons
-    doctorBtn.addEventListener('click', () => selectRole('doctor'));
-    patientBtn.addEventListener('click', () => selectRole('patient'));
+    roleButtons.addEventListener('click', (e) => {
+        const roleBtn = e.target.closest('button[data-role]');
+        if (roleBtn) selectRole(roleBtn.dataset.role);
+    });
+
+    // Joint consent discussion: answers, Back, reviews and exports
+    jointStartBtn.addEventListener('click', () => startJointSession('consent'));
+    jointSection.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('button[data-joint-action]');
+        if (actionBtn) handleJointAction(actionBtn.dataset.jointAction, actionBtn.dataset);
+    });
+    jointSection.addEventListener('submit', (e) => {
+        e.preventDefault();
+        answerJointQuestion(e.target.dataset.jointSide, e.target.elements.answer.value);
+    });
+    jointSection.addEventListener('change', (e) => {
+        if (e.target.matches('input[data-joint-review]')) {
+            setJointReview(e.target.dataset.jointReview, e.target.checked);
+        }
+    });
 
     // Chat input
     userInput.addEventListener('keypress', (e) => {
@@ -59,11 +266,176 @@ function initializeEventListeners() {
     yesBtn.addEventListener('click', () => submitGuidedAnswer('yes'));
     noBtn.addEventListener('click', () => submitGuidedAnswer('no'));
 
+    // Multi-choice option buttons
+    choiceButtons.addEventListener('click', (e) => {
+        const optionBtn = e.target.closest('button[data-option]');
+        if (optionBtn) submitGuidedAnswer(optionBtn.dataset.option);
+    });
+
+    // Back button - undo the most recent answer
+    backBtn.addEventListener('click', goBack);
+
+    // Guidance card actions, and clicking an earlier answer to change it
+    messagesContainer.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('button[data-action]');
+        if (actionBtn) {
+            handleGuidanceAction(actionBtn.dataset.action, actionBtn.dataset);
+            return;
+        }
+
+        const answerEl = e.target.closest('.message.user[data-step]');
+        if (!answerEl) return;
+        rewindToStep(Number(answerEl.dataset.step));
+    });
+
+    // Earlier answers are buttons for keyboard users too
+    messagesContainer.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        if (!e.target.matches('.message.user[data-step]')) return;
+        e.preventDefault();
+        rewindToStep(Number(e.target.dataset.step));
+    });
+
+    // Y/N/Backspace/Escape shortcuts in the chat
+    document.addEventListener('keydown', handleKeyboardShortcut);
+
     // Clear chat button
     clearBtn.addEventListener('click', clearChat);
 
+    // Voice mode toggle
+    voiceBtn.addEventListener('click', () => setVoiceMode(!AppState.voiceMode));
+
     // Change role button
     changeRoleBtn.addEventListener('click', changeRole);
+
+    // Jurisdiction selector
+    jurisdictionSelect.addEventListener('change', () => selectJurisdiction(jurisdictionSelect.value));
+
+    // Language selector
+    localeSelect.addEventListener('change', () => selectLocale(localeSelect.value));
+
+    // Display settings
+    textSizeSelect.addEventListener('change', () => updateDisplayPreferences({ textSize: textSizeSelect.value }));
+    contrastToggle.addEventListener('click', () => updateDisplayPreferences({
+        contrast: loadDisplayPreferences().contrast === 'high' ? 'normal' : 'high'
+    }));
+
+    // App update prompt
+    updateApplyBtn.addEventListener('click', applyUpdate);
+    updateLaterBtn.addEventListener('click', () => updateBanner.classList.add('hidden'));
+
+    // Follow-up questions need the network; keep the input hint current
+    ['online', 'offline'].forEach(type => window.addEventListener(type, () => {
+        if (AppState.selectedRole) updateAnswerControls();
+    }));
+
+    // Incident date on the guidance card drives the deadline dates
+    messagesContainer.addEventListener('change', (e) => {
+        if (e.target.matches('input[data-incident-date]')) {
+            setIncidentDate(e.target.value);
+        }
+    });
+
+    // Timeline builder
+    timelineForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveTimelineEvent();
+    });
+    timelineForm.elements.files.addEventListener('change', (e) => addTimelineFiles(e.target.files));
+    timelinePanel.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('button[data-timeline-action]');
+        if (actionBtn) handleTimelineAction(actionBtn.dataset.timelineAction, actionBtn.dataset);
+    });
+
+    // Request letters
+    letterForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveLetter();
+    });
+    letterPanel.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('button[data-letter-action]');
+        if (actionBtn) handleLetterAction(actionBtn.dataset.letterAction, actionBtn.dataset);
+    });
+
+    // Incident report draft
+    reportForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveReport();
+    });
+    reportForm.addEventListener('input', refreshReportFlags);
+    reportPanel.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('button[data-report-action]');
+        if (actionBtn) handleReportAction(actionBtn.dataset.reportAction);
+    });
+
+    // Emergency banner: acknowledge it and tick off its actions
+    escalationAckBtn.addEventListener('click', acknowledgeEscalation);
+    escalationChecklist.addEventListener('change', (e) => {
+        if (e.target.matches('input[data-escalation-step]')) {
+            setEscalationStepDone(Number(e.target.dataset.escalationStep), e.target.checked);
+        }
+    });
+
+    // Passphrase for saved conversations
+    vaultPanel.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (e.target.dataset.vaultForm === 'setup') setUpVault(e.target);
+        if (e.target.dataset.vaultForm === 'unlock') unlockVault(e.target);
+    });
+    vaultPanel.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('button[data-vault-action]');
+        if (actionBtn && actionBtn.dataset.vaultAction === 'lock') lockVault();
+    });
+    lockBtn.addEventListener('click', () => lockVault());
+    panicWipeBtn.addEventListener('click', panicWipe);
+
+    // Any activity postpones the auto-lock
+    ['pointerdown', 'keydown', 'input'].forEach(type => document.addEventListener(type, restartAutoLock, true));
+
+    // Saved session resume/delete actions
+    savedSessionsList.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('button[data-session-action]');
+        if (!actionBtn) return;
+        const { sessionAction, sessionRole, sessionId } = actionBtn.dataset;
+        if (sessionAction === 'resume') {
+            resumeSession(sessionRole, sessionId);
+        } else if (sessionAction === 'delete') {
+            deleteSession(sessionRole, sessionId);
+        }
+    });
+
+    // History search, filters and resume
+    historyOpenBtn.addEventListener('click', toggleHistory);
+    historyForm.addEventListener('submit', (e) => e.preventDefault());
+    historyForm.addEventListener('input', renderHistoryResults);
+    historyResults.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('button[data-history-action]');
+        if (!actionBtn) return;
+        closeHistory();
+        resumeSession(actionBtn.dataset.sessionRole, actionBtn.dataset.sessionId);
+    });
+
+    // Another tab of the app changed the saved conversations, or wiped everything
+    window.addEventListener('storage', (e) => {
+        SecureStore.handleStorageChange(e)
+            .then(result => {
+                if (result === 'wiped') clearWipedData();
+                if (result === 'changed') {
+                    renderVaultPanel();
+                    renderSavedSessions();
+                }
+            })
+            .catch(error => console.warn('Could not follow a change from another tab', error));
+    });
+
+    // A closed page ends the conversation for usage analytics
+    window.addEventListener('pagehide', () => {
+        endUsageRun('closed');
+        if (analyticsSink && analyticsSink.flush) analyticsSink.flush();
+    });
+    window.addEventListener('pageshow', (e) => {
+        if (e.persisted && AppState.selectedRole) startUsageRun('session_resumed');
+    });
 }
 
 // ==========================================
@@ -72,21 +444,53 @@ function initializeEventListeners() {
 
 /**
  * Handle role selection
- * @param {string} role - 'doctor' or 'patient'
+ * @param {string} role - Role id
  */
 function selectRole(role) {
+    if (!decisionTrees[role]) {
+        console.warn(`No decision tree is loaded for role "${role}"`);
+        return;
+    }
+
     AppState.selectedRole = role;
+    AppState.sessionId = createSessionId();
     AppState.messages = [];
     AppState.messageCount = 0;
     AppState.initialPromptShown = false;
     AppState.currentNodeId = null;
     AppState.flowCompleted = false;
+    AppState.answerPath = [];
+    AppState.incidentDate = null;
+    AppState.pendingIntent = null;
+    AppState.intentTarget = null;
+    AppState.timeline = [];
+    AppState.letters = [];
+    AppState.incidentReport = null;
+    AppState.escalation = null;
+    AppState.voiceMode = false;
+    stopVoice();
+    closeTimeline();
+    closeLetter();
+    closeReport();
+
+    openChat(role);
+    startUsageRun('role_selected');
+    runPluginHook('onRoleSelected', { role: role, sessionId: AppState.sessionId, resumed: false });
+
+    // Show initial prompt; the first question takes the focus
+    showInitialPrompt();
+}
 
+/**
+ * Switch from the role picker to an empty, enabled chat panel
+ * @param {string} role - Role id
+ */
+function openChat(role) {
     // Update UI
     updateRoleButtonStates(role);
     roleSection.classList.add('hidden');
     chatSection.classList.remove('hidden');
-    currentRoleDisplay.textContent = role === 'doctor' ? 'Doctor' : 'Patient';
+    currentRoleDisplay.textContent = getRoleLabel(role);
 
     // Clear previous messages
     messagesContainer.innerHTML = '';
@@ -96,37 +500,96 @@ function selectRole(role) {
     sendBtn.disabled = false;
     yesBtn.disabled = false;
     noBtn.disabled = false;
+    renderVoiceButton();
+    renderEscalation();
+}
 
-    // Show initial prompt
-    showInitialPrompt();
+/**
+ * Get the display label for a role. Draft trees in the editor preview
+ * have no role entry and show their tree id.
+ * @param {string} role - Role id
+ * @returns {string}
+ */
+function getRoleLabel(role) {
+    const definition = getRoleDefinition(role);
+    return definition ? t(definition.label) : role;
+}
 
-    // Focus on input
-    userInput.focus();
+/**
+ * Render one button per role. Roles become available once their
+ * decision tree has loaded.
+ */
+function renderRoleButtons() {
+    roleButtons.innerHTML = ROLES.map(role => `
+        <button class="role-btn" data-role="${escapeHtml(role.id)}"${decisionTrees[role.id] ? '' : ' disabled'}>
+            <span class="role-icon" aria-hidden="true">${role.icon}</span>
+            <span class="role-label">${escapeHtml(t(role.button))}</span>
+        </button>
+    `).join('');
+    updateRoleButtonStates(AppState.selectedRole);
+
+    const joint = getJointDefinition('consent');
+    jointStart.classList.toggle('hidden', AppState.previewMode || !joint.sides.every(side => decisionTrees[side.role]));
 }
 
 /**
  * Update visual state of role buttons
- * @param {string} activeRole - 'doctor' or 'patient'
+ * @param {string|null} activeRole - Role id
  */
 function updateRoleButtonStates(activeRole) {
-    doctorBtn.classList.toggle('active', activeRole === 'doctor');
-    patientBtn.classList.toggle('active', activeRole === 'patient');
+    roleButtons.querySelectorAll('.role-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.role === activeRole);
+    });
 }
 
 /**
  * Change role - return to role selection
  */
 function changeRole() {
+    trackUsage('role_changed');
+    endUsageRun('role_changed');
+    leaveConversation();
+    roleHeading.focus();
+}
+
+/**
+ * Close the conversation and show the role picker. Whatever was saved
+ * stays saved.
+ */
+function leaveConversation() {
+    const left = { role: AppState.selectedRole, sessionId: AppState.sessionId, reason: 'left' };
+    cancelFollowUp();
+    stopVoice();
+    AppState.voiceMode = false;
     AppState.selectedRole = null;
+    AppState.sessionId = null;
     AppState.currentNodeId = null;
     AppState.flowCompleted = false;
+    AppState.answerPath = [];
+    AppState.pendingIntent = null;
+    AppState.intentTarget = null;
+    AppState.timeline = [];
+    AppState.letters = [];
+    AppState.incidentReport = null;
+    AppState.escalation = null;
+    AppState.jointSession = null;
+    renderEscalation();
+    closeTimeline();
+    closeLetter();
+    closeReport();
+    renderTimeline();
+    renderLetters();
     roleSection.classList.remove('hidden');
     chatSection.classList.add('hidden');
+    jointSection.classList.add('hidden');
     messagesContainer.innerHTML = '';
     userInput.value = '';
     yesBtn.disabled = true;
     noBtn.disabled = true;
+    updateBackButton();
     updateRoleButtonStates(null);
+    renderSavedSessions();
+    if (left.role) runPluginHook('onClear', left);
 }
 
 // ==========================================
@@ -138,10 +601,7 @@ function changeRole() {
  */
 function showInitialPrompt() {
     if (!AppState.initialPromptShown) {
-        addMessage(
-            'I will guide you with yes/no questions to give focused medical-legal information. Please answer using the Yes/No buttons or type “yes” or “no”.',
-            'bot'
-        );
+        addMessage(t('chat.intro'), 'bot');
         startGuidedFlow();
         AppState.initialPromptShown = true;
     }
@@ -153,457 +613,2617 @@ function showInitialPrompt() {
 function sendMessage() {
     const message = userInput.value.trim();
 
-    if (!message) return;
-
-    if (AppState.flowCompleted) {
-        addMessage('The guided flow is complete. Click “Clear Chat” to start over.', 'bot');
-        userInput.value = '';
-        userInput.focus();
-        return;
-    }
-
-    const normalized = normalizeYesNo(message);
-    if (!normalized) {
-        addMessage('Please answer with “yes” or “no”.', 'bot');
-        userInput.value = '';
-        userInput.focus();
-        return;
-    }
+    if (!message || AppState.followUpRequest) return;
 
-    // Add user message
-    addMessage(normalized, 'user');
     userInput.value = '';
+    submitGuidedAnswer(message);
 
-    handleGuidedAnswer(normalized);
+    // Stay in the text box unless the next question took the focus
+    if (!messagesContainer.contains(document.activeElement)) userInput.focus();
 }
 
 // ==========================================
 // GUIDED DECISION TREE
 // ==========================================
 
-const decisionTrees = {
-    doctor: {
-        start: 'd1',
-        nodes: {
-            d1: {
-                question: 'Is there an immediate patient safety risk or emergency?',
-                yes: 'd2',
-                no: 'd3'
-            },
-            d2: {
-                question: 'Have you activated emergency protocols or called emergency services?',
-                yes: 'd2y',
-                no: 'd2n'
-            },
-            d2y: {
-                guidance: {
-                    title: 'Emergency actions underway',
-                    risk: 'high',
-                    bullets: [
-                        'Continue stabilizing the patient and document all actions',
-                        'Notify appropriate supervisors and follow incident procedures',
-                        'Preserve all clinical records and communications'
-                    ],
-                    nextSteps: [
-                        'Complete required incident reports',
-                        'Consult institutional legal/risk teams if needed',
-                        'Follow up with the patient and family per policy'
-                    ]
-                }
-            },
-            d2n: {
-                guidance: {
-                    title: 'Urgent safety response needed',
-                    risk: 'high',
-                    bullets: [
-                        'Patient safety is the first priority',
-                        'Activate emergency protocols immediately',
-                        'Document the timeline of events clearly'
-                    ],
-                    nextSteps: [
-                        'Call emergency services or rapid response',
-                        'Inform leadership and risk management',
-                        'Document all clinical decisions and actions'
-                    ]
-                }
-            },
-            d3: {
-                question: 'Is your concern mainly about informed consent or documentation?',
-                yes: 'd4',
-                no: 'd5'
-            },
-            d4: {
-                question: 'Was consent obtained and documented before the procedure?',
-                yes: 'd4y',
-                no: 'd4n'
-            },
-            d4y: {
-                guidance: {
-                    title: 'Consent documentation review',
-                    risk: 'medium',
-                    bullets: [
-                        'Confirm consent covered risks, benefits, and alternatives',
-                        'Ensure documentation is complete and time-stamped',
-                        'Verify patient understanding was noted'
-                    ],
-                    nextSteps: [
-                        'Audit consent forms for completeness',
-                        'Address gaps with supplemental documentation',
-                        'Consult legal/risk for complex cases'
-                    ]
-                }
-            },
-            d4n: {
-                guidance: {
-                    title: 'Potential consent risk',
-                    risk: 'high',
-                    bullets: [
-                        'Lack of documented consent increases liability risk',
-                        'Document the clinical rationale and timeline',
-                        'Seek guidance from legal/risk management'
-                    ],
-                    nextSteps: [
-                        'Notify your supervisor or compliance lead',
-                        'Document any patient communications',
-                        'Consult a healthcare attorney if needed'
-                    ]
-                }
-            },
-            d5: {
-                question: 'Is there a complaint, adverse event, or potential liability issue?',
-                yes: 'd5y',
-                no: 'd5n'
-            },
-            d5y: {
-                guidance: {
-                    title: 'Potential liability issue',
-                    risk: 'high',
-                    bullets: [
-                        'Preserve records and communications',
-                        'Follow institutional incident reporting',
-                        'Avoid speculation or blame in notes'
-                    ],
-                    nextSteps: [
-                        'Notify malpractice insurer if required',
-                        'Consult legal/risk management',
-                        'Document objective facts only'
-                    ]
-                }
-            },
-            d5n: {
-                guidance: {
-                    title: 'General compliance guidance',
-                    risk: 'low',
-                    bullets: [
-                        'Maintain accurate records and follow policies',
-                        'Use standardized consent and documentation workflows',
-                        'Stay current on regulatory updates'
-                    ],
-                    nextSteps: [
-                        'Review institutional protocols',
-                        'Schedule training if needed',
-                        'Consult legal for complex scenarios'
-                    ]
-                }
+// Trees are loaded from versioned JSON files listed in trees/manifest.json
+// and validated with validateTree before use (see loadDecisionTrees)
+const decisionTrees = {};
+
+// Validated translations per tree, keyed by tree id then locale
+const treeTranslations = {};
+
+/**
+ * Load and validate every decision tree listed in the manifest.
+ * Trees that fail validation are left out and their errors returned.
+ * @returns {Promise<Array<string>>} Validation and loading errors
+ */
+async function loadDecisionTrees() {
+    const manifest = await fetchJson(`${AppConfig.treesPath}/manifest.json`);
+    const errors = [];
+    setJurisdictions(manifest.jurisdictions);
+    setEmergencyContacts(manifest.emergencyContacts);
+
+    await Promise.all(manifest.trees.map(async (entry) => {
+        try {
+            const tree = await fetchJson(`${AppConfig.treesPath}/${entry.file}`);
+            const result = validateTree(tree);
+            if (tree.id !== entry.id) {
+                result.errors.push(`Tree id "${tree.id}" does not match manifest id "${entry.id}".`);
+            }
+
+            if (result.errors.length === 0) {
+                decisionTrees[entry.id] = tree;
+                await loadTreeTranslations(entry, tree, errors);
+            } else {
+                result.errors.forEach(error => errors.push(`${entry.file}: ${error}`));
             }
+        } catch (error) {
+            errors.push(`${entry.file}: ${error.message}`);
         }
-    },
-    patient: {
-        start: 'p1',
-        nodes: {
-            p1: {
-                question: 'Is someone in immediate danger or a medical emergency?',
-                yes: 'p2',
-                no: 'p3'
-            },
-            p2: {
-                guidance: {
-                    title: 'Emergency response',
-                    risk: 'high',
-                    bullets: [
-                        'Seek emergency medical care immediately',
-                        'Call local emergency services',
-                        'If safe, stay with the patient'
-                    ],
-                    nextSteps: [
-                        'Call emergency services now',
-                        'Provide key symptoms and location details',
-                        'Follow instructions from responders'
-                    ]
-                }
-            },
-            p3: {
-                question: 'Is your concern about informed consent or understanding treatment?',
-                yes: 'p4',
-                no: 'p5'
-            },
-            p4: {
-                question: 'Were risks, benefits, and alternatives clearly explained to you?',
-                yes: 'p4y',
-                no: 'p4n'
-            },
-            p4y: {
-                guidance: {
-                    title: 'Clarify and document your understanding',
-                    risk: 'medium',
-                    bullets: [
-                        'Request written materials or visit summaries',
-                        'Ask follow-up questions in plain language',
-                        'Keep copies of consent forms'
-                    ],
-                    nextSteps: [
-                        'Request copies of your records',
-                        'Write down remaining questions',
-                        'Consider a second opinion if unsure'
-                    ]
-                }
-            },
-            p4n: {
-                guidance: {
-                    title: 'Possible informed consent concern',
-                    risk: 'high',
-                    bullets: [
-                        'You have a right to understand your care',
-                        'Ask for a clear explanation of risks/alternatives',
-                        'Document what was explained and when'
-                    ],
-                    nextSteps: [
-                        'Contact the provider to discuss concerns',
-                        'Request your medical records',
-                        'Consult a patient advocate or attorney if needed'
-                    ]
-                }
-            },
-            p5: {
-                question: 'Is the issue about billing, insurance, or costs?',
-                yes: 'p5y',
-                no: 'p6'
-            },
-            p5y: {
-                guidance: {
-                    title: 'Billing or insurance concerns',
-                    risk: 'medium',
-                    bullets: [
-                        'Request an itemized bill',
-                        'Ask for a written explanation of charges',
-                        'Document all communications with insurers'
-                    ],
-                    nextSteps: [
-                        'Contact your insurer for coverage details',
-                        'Ask the provider about financial assistance',
-                        'Escalate to a billing advocate if needed'
-                    ]
-                }
-            },
-            p6: {
-                guidance: {
-                    title: 'General patient rights guidance',
-                    risk: 'low',
-                    bullets: [
-                        'You can request and review your medical records',
-                        'You can ask for a second opinion',
-                        'You may file a complaint with the facility'
-                    ],
-                    nextSteps: [
-                        'Write a timeline of events and concerns',
-                        'Contact a patient advocate if available',
-                        'Seek legal advice for complex situations'
-                    ]
-                }
+    }));
+
+    return errors;
+}
+
+/**
+ * Load and validate the translations listed for a tree. A translation
+ * that fails validation is left out, so that locale shows the tree in
+ * English instead.
+ * @param {Object} entry - Manifest entry of the tree
+ * @param {Object} tree - Valid tree
+ * @param {Array<string>} errors - Collected errors
+ */
+async function loadTreeTranslations(entry, tree, errors) {
+    treeTranslations[entry.id] = {};
+
+    await Promise.all(Object.entries(entry.translations || {}).map(async ([locale, file]) => {
+        try {
+            const translation = await fetchJson(`${AppConfig.treesPath}/${file}`);
+            const result = validateTranslation(tree, translation);
+
+            if (result.errors.length === 0) {
+                treeTranslations[entry.id][locale] = translation;
+            } else {
+                result.errors.forEach(error => errors.push(`${file}: ${error}`));
             }
+        } catch (error) {
+            errors.push(`${file}: ${error.message}`);
         }
+    }));
+}
+
+/**
+ * Get the decision tree for the selected role, in the current locale
+ * @returns {Object}
+ */
+function getCurrentTree() {
+    return getLocalizedTree(AppState.selectedRole);
+}
+
+/**
+ * Get a loaded tree in the current locale, or as written when it has no
+ * translation for that locale
+ * @param {string} id - Tree id
+ * @returns {Object}
+ */
+function getLocalizedTree(id) {
+    const tree = decisionTrees[id];
+    const translation = tree && treeTranslations[id] && treeTranslations[id][getLocale()];
+    return translation ? localizeTree(tree, translation) : tree;
+}
+
+/**
+ * Collect the free-text values captured so far, keyed by field name
+ * @param {Array<Object>} [answerPath] - Answered steps; defaults to the current conversation's
+ * @returns {Object<string, string>}
+ */
+function getCapturedFields(answerPath) {
+    return (answerPath || AppState.answerPath).reduce((fields, step) => {
+        if (step.field) fields[step.field] = step.value;
+        return fields;
+    }, {});
+}
+
+/**
+ * Copy guidance for display: apply the selected jurisdiction's overrides,
+ * fill placeholders from the answers given, date the deadlines and score
+ * the risk level from the answer path
+ * @param {Object} guidance - Guidance from a leaf node
+ * @returns {Object}
+ */
+function resolveGuidance(guidance) {
+    const fields = getCapturedFields();
+    const variant = getJurisdictionVariant(guidance, AppState.jurisdiction) || {};
+    const assessment = assessRisk(getCurrentTree(), AppState.answerPath, guidance.risk);
+    const deadlines = (variant.deadlines || guidance.deadlines || []).map(deadline => ({
+        ...deadline,
+        label: fillPlaceholders(deadline.label, fields)
+    }));
+
+    const resolved = {
+        ...guidance,
+        jurisdiction: Object.keys(variant).length > 0 ? AppState.jurisdiction : 'generic',
+        title: fillPlaceholders(guidance.title, fields),
+        bullets: (variant.bullets || guidance.bullets).map(item => fillPlaceholders(item, fields)),
+        nextSteps: (variant.nextSteps || guidance.nextSteps).map(item => fillPlaceholders(item, fields)),
+        deadlines: computeDeadlines(deadlines, getIncidentDate()),
+        risk: assessment.level,
+        riskAssessment: { ...assessment, factors: assessment.factors.map(describeRiskFactor) }
+    };
+    delete resolved.jurisdictions;
+    return resolved;
+}
+
+/**
+ * Add the question and answer that brought in a risk factor
+ * @param {Object} factor - Entry from collectRiskFactors
+ * @returns {{ label: string, weight: number, question: string, answer: string, inferred: boolean }}
+ */
+function describeRiskFactor(factor) {
+    const node = getCurrentTree().nodes[factor.nodeId];
+    return {
+        label: factor.label,
+        weight: factor.weight,
+        question: fillPlaceholders(node.question, getCapturedFields()),
+        answer: getAnswerLabel(node, { value: factor.value }),
+        inferred: factor.inferred
+    };
+}
+
+/**
+ * Describe how the risk level was reached, as plain text lines: the
+ * leaf's starting level, then each factor with the answer that added it
+ * @param {Object} assessment - riskAssessment of resolved guidance
+ * @returns {Array<string>}
+ */
+function describeRiskAssessment(assessment) {
+    const lines = [t('risk.base', { level: getRiskLabel(assessment.baseLevel), score: assessment.baseScore })];
+    if (assessment.factors.length === 0) {
+        lines.push(t('risk.noFactors'));
     }
-};
+    assessment.factors
+        .slice()
+        .sort((a, b) => b.weight - a.weight)
+        .forEach(factor => {
+            const answered = t(factor.inferred ? 'risk.inferred' : 'risk.answered', { answer: factor.answer, question: factor.question });
+            lines.push(`${formatRiskWeight(factor.weight)} ${factor.label} — ${answered}`);
+        });
+    return lines;
+}
+
+/**
+ * Get the guidance of the leaf the flow ended on
+ * @returns {Object|null}
+ */
+function getCurrentGuidance() {
+    const node = getCurrentTree().nodes[AppState.currentNodeId];
+    return node && node.guidance ? node.guidance : null;
+}
 
-function normalizeYesNo(text) {
-    const value = text.trim().toLowerCase();
-    if (['yes', 'y', 'yeah', 'yep'].includes(value)) return 'Yes';
-    if (['no', 'n', 'nope'].includes(value)) return 'No';
-    return null;
+/**
+ * Get the incident date used for deadlines: the date entered on the
+ * guidance card, or an "incidentDate" answer captured by the tree
+ * @returns {string|null} YYYY-MM-DD
+ */
+function getIncidentDate() {
+    return AppState.incidentDate || getCapturedFields().incidentDate || null;
 }
 
 function startGuidedFlow() {
-    const tree = decisionTrees[AppState.selectedRole] || decisionTrees.patient;
+    const tree = getCurrentTree();
     AppState.currentNodeId = tree.start;
     AppState.flowCompleted = false;
+    AppState.answerPath = [];
+    updateBackButton();
     showQuestion(tree.nodes[AppState.currentNodeId]);
 }
 
-function submitGuidedAnswer(answer) {
-    if (!AppState.selectedRole) return;
+function submitGuidedAnswer(input) {
+    if (!AppState.selectedRole || isEscalationPending()) return;
     if (AppState.flowCompleted) {
-        addMessage('The guided flow is complete. Click “Clear Chat” to start over.', 'bot');
+        if (answerProvider) {
+            askFollowUp(input);
+        } else {
+            addMessage(t('chat.flowComplete'), 'bot');
+        }
         return;
     }
 
-    const normalized = normalizeYesNo(answer);
-    if (!normalized) {
-        addMessage('Please answer with “yes” or “no”.', 'bot');
+    const node = getCurrentTree().nodes[AppState.currentNodeId];
+    if (!node) {
+        addMessage(t('chat.error'), 'bot');
         return;
     }
 
-    addMessage(normalized, 'user');
-    handleGuidedAnswer(normalized);
-}
-
-function handleGuidedAnswer(answer) {
-    const tree = decisionTrees[AppState.selectedRole] || decisionTrees.patient;
-    const node = tree.nodes[AppState.currentNodeId];
+    if (AppState.pendingIntent) {
+        handleIntentConfirmation(input);
+        return;
+    }
 
-    if (!node) {
-        addMessage('Something went wrong. Please clear the chat and try again.', 'bot');
+    const resolved = resolveAnswer(node, input);
+    if (resolved.error) {
+        handleUnresolvedInput(node, input, resolved.error);
         return;
     }
 
-    const isYes = answer.toLowerCase() === 'yes';
-    const nextId = isYes ? node.yes : node.no;
+    addMessage(resolved.answer, 'user');
+    if (continueIntentJump(resolved)) return;
+    handleGuidedAnswer(resolved);
+}
 
-    if (!nextId) {
-        AppState.flowCompleted = true;
-        showGuidance(node.guidance);
+/**
+ * Handle typed input that does not answer the current question. It may
+ * be a description of the concern, so look for a matching intent before
+ * showing the error.
+ * @param {Object} node - Current question node
+ * @param {string} input - Raw user input
+ * @param {string} error - Error from resolveAnswer
+ */
+function handleUnresolvedInput(node, input, error) {
+    // Choice errors list the option labels of the tree; show them as text
+    const errorHtml = escapeHtml(error);
+    if (getNodeType(node) === 'text') {
+        addMessage(errorHtml, 'bot');
         return;
     }
 
-    const nextNode = tree.nodes[nextId];
-    AppState.currentNodeId = nextId;
+    const intent = detectIntent(input);
+    if (intent) {
+        const message = addMessage(input, 'user');
+        AppState.pendingIntent = { id: intent.id, messageId: message.id };
+        updateAnswerControls();
+        showIntentConfirmation(intent);
+        return;
+    }
 
-    if (nextNode && nextNode.guidance && !nextNode.question) {
-        AppState.flowCompleted = true;
-        showGuidance(nextNode.guidance);
+    if (/\s/.test(input)) {
+        addMessage(`${t('intent.unsure')}<br><br>${errorHtml}`, 'bot');
         return;
     }
+    addMessage(errorHtml, 'bot');
+}
 
-    showQuestion(nextNode);
+/**
+ * Find the intent a free-text description most likely refers to. Only
+ * intents whose target lies ahead of the current question are offered.
+ * @param {string} input - Raw user input
+ * @returns {Object|null} Tree intent
+ */
+function detectIntent(input) {
+    const tree = getCurrentTree();
+    const reachable = (tree.intents || []).filter(intent =>
+        intent.target !== AppState.currentNodeId &&
+        findAnswerPath(tree, AppState.currentNodeId, intent.target) !== null
+    );
+    const match = classifyIntent(input, reachable, {
+        minScore: AppConfig.intentMinScore,
+        minConfidence: AppConfig.intentMinConfidence
+    });
+    return match ? match.intent : null;
 }
 
-function showQuestion(node) {
-    if (!node || !node.question) return;
+/**
+ * Get an intent of the current tree by id
+ * @param {string} id - Intent id
+ * @returns {Object|null}
+ */
+function getIntent(id) {
+    return (getCurrentTree().intents || []).find(intent => intent.id === id) || null;
+}
+
+/**
+ * Ask the user to confirm a detected topic
+ * @param {Object} intent - Tree intent
+ */
+function showIntentConfirmation(intent) {
     const content = `
         <div class="bot-response">
             <div class="response-section">
-                <div class="response-section-title">❓ Question</div>
-                <div class="response-section-content">${escapeHtml(node.question)}</div>
+                <div class="response-section-content">${escapeHtml(t('intent.confirm', { topic: intent.label }))}</div>
             </div>
             <div class="response-section">
-                <div class="response-section-content"><strong>Answer:</strong> Yes or No.</div>
+                <div class="response-section-content"><strong>${escapeHtml(t('hint.label'))}</strong> ${escapeHtml(t('hint.yesNo'))}</div>
             </div>
         </div>
     `;
-    addMessage(content, 'bot');
+    focusMessage(addMessage(content, 'bot', 'question').id);
+    speakCurrentPrompt();
 }
 
-function showGuidance(guidance) {
-    if (!guidance) {
-        addMessage('No guidance available. Please clear the chat and try again.', 'bot');
+/**
+ * Handle the yes/no reply to a topic confirmation
+ * @param {string} input - Raw user input
+ */
+function handleIntentConfirmation(input) {
+    const value = normalizeYesNo(input);
+    if (!value) {
+        addMessage(t('error.yesNo'), 'bot');
         return;
     }
 
-    const riskBadge = getRiskBadge(guidance.risk);
-    const bullets = guidance.bullets
-        .map(item => `<li class="list-item">${escapeHtml(item)}</li>`)
-        .join('');
-    const nextSteps = guidance.nextSteps
-        .map(item => `<li class="list-item">${escapeHtml(item)}</li>`)
-        .join('');
-
-    const content = `
-        <div class="bot-response">
-            <div class="response-section">
-                <div class="response-section-title">📋 Guidance</div>
-                <div class="response-section-content">${escapeHtml(guidance.title)}</div>
-            </div>
-            <div class="response-section">
-                <div class="response-section-title">🎯 Risk Level</div>
-                <div class="response-section-content">${riskBadge}</div>
-            </div>
-            <div class="response-section">
-                <div class="response-section-title">✅ Key Points</div>
-                <div class="response-section-content"><ul style="margin: 0; padding-left: 0;">${bullets}</ul></div>
-            </div>
-            <div class="response-section">
-                <div class="response-section-title">🔍 Next Steps</div>
-                <div class="response-section-content"><ul style="margin: 0; padding-left: 0;">${nextSteps}</ul></div>
-            </div>
-            <div class="response-section">
-                <div class="response-section-content"><strong>⚠️ This is legal information, not legal advice. Consult a qualified professional for your situation.</strong></div>
-            </div>
-        </div>
-    `;
+    const pending = AppState.pendingIntent;
+    AppState.pendingIntent = null;
+    addMessage(t(`answer.${value}`), 'user');
 
-    addMessage(content, 'bot');
-}
+    const intent = getIntent(pending.id);
+    if (value === 'yes' && intent && jumpToIntent(intent, pending.messageId)) return;
 
-function getRiskBadge(level) {
-    const normalized = (level || 'medium').toLowerCase();
-    if (normalized === 'high') {
-        return '<span class="risk-badge high">🔴 High Risk</span>';
-    }
-    if (normalized === 'low') {
-        return '<span class="risk-badge low">🟢 Low Risk</span>';
-    }
-    return '<span class="risk-badge medium">⚠️ Medium Risk</span>';
+    addMessage(t('intent.declined'), 'bot');
+    showQuestion(getCurrentTree().nodes[AppState.currentNodeId]);
 }
 
 /**
- * Add message to chat
- * @param {string} content - Message content
- * @param {string} sender - 'user' or 'bot'
+ * Answer the questions between the current node and an intent's target
+ * for the user. The inferred answers are listed in the chat and share
+ * the description's message, so Back undoes the whole jump. Safety
+ * questions on the way (see isSafetyQuestion) are not inferred: the
+ * jump stops there, asks the question and goes on once it is answered.
+ * @param {Object} intent - Tree intent
+ * @param {string} messageId - Id of the message holding the description
+ * @returns {boolean} False when the target can no longer be reached
  */
-function addMessage(content, sender) {
-    const messageId = `msg-${++AppState.messageCount}`;
-    const timestamp = new Date().toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true
+function jumpToIntent(intent, messageId) {
+    const tree = getCurrentTree();
+    const path = findAnswerPath(tree, AppState.currentNodeId, intent.target);
+    if (!path || path.length === 0) return false;
+
+    const stopAt = path.findIndex(item => isSafetyQuestion(tree, item.nodeId));
+    const inferred = stopAt === -1 ? path : path.slice(0, stopAt);
+    const steps = inferred.map(item => {
+        const node = tree.nodes[item.nodeId];
+        const resolved = resolveAnswer(node, item.value);
+        return Object.assign(resolved, { messageId: messageId, inferred: true });
     });
 
-    const messageObj = {
-        id: messageId,
-        sender: sender,
-        content: content,
-        timestamp: timestamp
-    };
+    if (steps.length > 0) {
+        const items = inferred
+            .map((item, index) => {
+                const question = fillPlaceholders(tree.nodes[item.nodeId].question, getCapturedFields());
+                return `<li>${escapeHtml(question)} <strong>${escapeHtml(steps[index].answer)}</strong></li>`;
+            })
+            .join('');
+        addMessage(`${escapeHtml(t('intent.filled'))}<ul>${items}</ul>`, 'bot');
+    }
 
-    AppState.messages.push(messageObj);
+    if (stopAt === -1) {
+        steps.slice(0, -1).forEach((resolved, index) => {
+            recordAnswer(inferred[index].nodeId, resolved);
+            AppState.currentNodeId = resolved.next;
+        });
+        handleGuidedAnswer(steps[steps.length - 1]);
+        return true;
+    }
 
-    // Create message element
-    const messageEl = createMessageElement(messageObj);
-    messagesContainer.appendChild(messageEl);
+    steps.forEach((resolved, index) => {
+        recordAnswer(inferred[index].nodeId, resolved);
+        AppState.currentNodeId = resolved.next;
+    });
+    AppState.intentTarget = intent.id;
+    addMessage(escapeHtml(t('intent.safetyFirst')), 'bot');
+    showQuestion(tree.nodes[AppState.currentNodeId]);
+    saveCurrentSession();
+    return true;
+}
 
-    // Auto-scroll to bottom
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+/**
+ * Go on with a topic jump that stopped at a safety question, once the
+ * user has answered it. When the answer leads away from the topic, e.g.
+ * to emergency guidance, the flow simply follows the answer.
+ * @param {Object} resolved - The user's answer to the safety question
+ * @returns {boolean} False when there is no jump to go on with
+ */
+function continueIntentJump(resolved) {
+    const intent = AppState.intentTarget ? getIntent(AppState.intentTarget) : null;
+    AppState.intentTarget = null;
+    if (!intent || !resolved.next || resolved.next === intent.target) return false;
+
+    const tree = getCurrentTree();
+    if (!findAnswerPath(tree, resolved.next, intent.target)) return false;
+
+    const messageId = AppState.messages[AppState.messages.length - 1].id;
+    recordAnswer(AppState.currentNodeId, resolved);
+    AppState.currentNodeId = resolved.next;
+    return jumpToIntent(intent, messageId);
 }
 
 /**
- * Create message DOM element
- * @param {Object} messageObj - Message object
- * @returns {HTMLElement}
+ * Record an answer and move to the next node
+ * @param {Object} resolved - Answer from resolveAnswer
  */
-function createMessageElement(messageObj) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message ${messageObj.sender}`;
-    messageDiv.id = messageObj.id;
+function handleGuidedAnswer(resolved) {
+    const tree = getCurrentTree();
+    const node = tree.nodes[AppState.currentNodeId];
 
-    if (messageObj.sender === 'bot') {
-        const avatar = document.createElement('div');
-        avatar.className = 'message-avatar';
-        avatar.textContent = '🤖';
+    if (!node) {
+        addMessage(t('chat.error'), 'bot');
+        return;
+    }
 
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'message-content';
-        contentDiv.innerHTML = messageObj.content;
+    recordAnswer(AppState.currentNodeId, resolved);
+
+    const nextId = resolved.next;
+
+    if (!nextId) {
+        AppState.flowCompleted = true;
+        updateAnswerControls();
+        showGuidance(node.guidance);
+        saveCurrentSession();
+        return;
+    }
+
+    const nextNode = tree.nodes[nextId];
+    AppState.currentNodeId = nextId;
+
+    if (nextNode && nextNode.guidance && !nextNode.question) {
+        AppState.flowCompleted = true;
+        updateAnswerControls();
+        showGuidance(nextNode.guidance);
+        saveCurrentSession();
+        return;
+    }
+
+    showQuestion(nextNode);
+    saveCurrentSession();
+}
+
+/**
+ * Show the answer controls that match the current node: Yes/No buttons,
+ * one button per option for choice nodes, or just the text box (as a
+ * date picker for date nodes) for free-text nodes.
+ */
+function updateAnswerControls() {
+    const node = AppState.flowCompleted || AppState.pendingIntent
+        ? null
+        : getCurrentTree().nodes[AppState.currentNodeId];
+    const followUp = AppState.flowCompleted && Boolean(answerProvider);
+    const type = node && node.question ? getNodeType(node) : 'yesno';
+
+    yesNoButtons.classList.toggle('hidden', type !== 'yesno' || followUp);
+    choiceButtons.classList.toggle('hidden', type !== 'choice');
+    choiceButtons.innerHTML = type === 'choice'
+        ? node.options
+            .map(option => `<button class="choice-btn" data-option="${escapeHtml(option.value)}">${escapeHtml(option.label)}</button>`)
+            .join('')
+        : '';
+
+    userInput.type = type === 'text' && node.input === 'date' ? 'date' : 'text';
+    sendBtn.disabled = Boolean(AppState.followUpRequest) || isEscalationPending();
+    if (followUp) {
+        userInput.placeholder = t(isBrowserOffline() ? 'input.followUpOffline' : 'input.followUp');
+    } else if (type === 'choice') {
+        userInput.placeholder = t('input.choice');
+    } else if (type === 'text') {
+        userInput.placeholder = node.placeholder || t('input.text');
+    } else {
+        userInput.placeholder = t('input.yesNo');
+    }
+}
+
+// ==========================================
+// ANSWER PATH (BACK / EDIT)
+// ==========================================
+
+/**
+ * Record an answer on the path stack and mark its message as editable
+ * @param {string} nodeId - Node that was answered
+ * @param {Object} resolved - Answer from resolveAnswer
+ */
+function recordAnswer(nodeId, resolved) {
+    const lastMessage = AppState.messages[AppState.messages.length - 1];
+    const step = {
+        nodeId: nodeId,
+        answer: resolved.answer,
+        value: resolved.value,
+        field: resolved.field || null,
+        messageId: resolved.messageId || (lastMessage && lastMessage.sender === 'user' ? lastMessage.id : null),
+        answeredAt: new Date().toISOString()
+    };
+    if (resolved.inferred) step.inferred = true;
+    AppState.answerPath.push(step);
+    markEditableAnswer(step, AppState.answerPath.length - 1);
+
+    // Typed answers are never recorded, only that the question was answered
+    const node = getCurrentTree().nodes[nodeId];
+    trackUsage('answered', {
+        nodeId: nodeId,
+        value: node && getNodeType(node) !== 'text' ? resolved.value : null,
+        inferred: resolved.inferred || null
+    });
+
+    updateBackButton();
+    saveCurrentSession();
+    runPluginHook('onAnswer', {
+        role: AppState.selectedRole,
+        nodeId: nodeId,
+        answer: step.answer,
+        value: step.value,
+        field: step.field,
+        inferred: Boolean(step.inferred)
+    });
+}
+
+/**
+ * Flag an answer message as clickable for editing
+ * @param {Object} step - Answer path step
+ * @param {number} stepIndex - Index of the step in AppState.answerPath
+ */
+function markEditableAnswer(step, stepIndex) {
+    if (!step.messageId) return;
+    const answerEl = findElement(step.messageId);
+    if (!answerEl || answerEl.dataset.step) return;
+    answerEl.dataset.step = String(stepIndex);
+    answerEl.classList.add('editable');
+    answerEl.title = t('chat.editAnswer');
+    answerEl.tabIndex = 0;
+    answerEl.setAttribute('role', 'button');
+}
+
+/**
+ * Rewind the flow so the given step's question can be answered again.
+ * The answer and everything after it are dropped. Answers inferred from
+ * one description are undone together.
+ * @param {number} stepIndex - Index into AppState.answerPath
+ */
+function rewindToStep(stepIndex) {
+    if (!AppState.answerPath[stepIndex]) return;
+    while (stepIndex > 0 && AppState.answerPath[stepIndex].inferred &&
+        AppState.answerPath[stepIndex - 1].messageId === AppState.answerPath[stepIndex].messageId) {
+        stepIndex--;
+    }
+    const step = AppState.answerPath[stepIndex];
+    cancelFollowUp();
+    stopVoice();
+
+    // The letters and report were written from the guidance the later
+    // answers led to, so they are dropped with it. The timeline records
+    // what happened, whatever the guidance, and is kept.
+    AppState.letters = [];
+    AppState.incidentReport = null;
+    closeLetter();
+    closeReport();
+    renderLetters();
+
+    const messageIndex = AppState.messages.findIndex(msg => msg.id === step.messageId);
+    if (messageIndex !== -1) {
+        AppState.messages.slice(messageIndex).forEach(msg => {
+            const messageEl = findElement(msg.id);
+            if (messageEl) messageEl.remove();
+        });
+        AppState.messages = AppState.messages.slice(0, messageIndex);
+    }
+
+    AppState.answerPath = AppState.answerPath.slice(0, stepIndex);
+    AppState.currentNodeId = step.nodeId;
+    AppState.flowCompleted = false;
+    AppState.pendingIntent = null;
+    AppState.intentTarget = null;
+    AppState.escalation = null;
+    renderEscalation();
+    updateBackButton();
+    updateAnswerControls();
+    saveCurrentSession();
+
+    userInput.value = '';
+    focusLatestBotMessage();
+    speakCurrentPrompt();
+    runPluginHook('onNodeEnter', {
+        role: AppState.selectedRole,
+        nodeId: step.nodeId,
+        node: getCurrentTree().nodes[step.nodeId] || null
+    });
+}
+
+/**
+ * Fit a resumed session to a tree that changed since it was saved. The
+ * answers that still lead through the tree are kept; from the first one
+ * that does not, the flow is rewound, so AppState.currentNodeId is always
+ * a node of the current tree.
+ */
+function reconcileWithTree() {
+    const tree = getCurrentTree();
+    const located = locateAnswerPath(tree, AppState.answerPath);
+    let keep = located.validSteps;
+
+    // Every answer still fits, but the last one now leads somewhere else
+    const moved = located.currentNodeId !== AppState.currentNodeId || located.flowCompleted !== AppState.flowCompleted;
+    if (keep === AppState.answerPath.length && moved) keep = Math.max(keep - 1, 0);
+
+    if (keep === AppState.answerPath.length && !moved) {
+        addMessage(t('chat.treeUpdated'), 'bot');
+        refreshGuidance();
+        return;
+    }
+
+    // Rewinding drops the letters and report: offer them as files first
+    const discarded = keep < AppState.answerPath.length && (AppState.letters.length > 0 || AppState.incidentReport !== null);
+    if (discarded && confirm(t('chat.treeDiscard'))) downloadGuidanceDocuments();
+
+    if (keep < AppState.answerPath.length) rewindToStep(keep);
+    const position = locateAnswerPath(tree, AppState.answerPath);
+    AppState.currentNodeId = position.currentNodeId;
+    AppState.flowCompleted = position.flowCompleted;
+    AppState.pendingIntent = null;
+    AppState.intentTarget = null;
+    updateBackButton();
+    updateAnswerControls();
+
+    addMessage(discarded ? `${t('chat.treeRewound')}<br><br>${t('chat.treeDiscarded')}` : t('chat.treeRewound'), 'bot');
+    if (position.flowCompleted) {
+        showGuidance(getCurrentGuidance());
+    } else {
+        showQuestion(tree.nodes[position.currentNodeId]);
+    }
+    saveCurrentSession();
+}
+
+/**
+ * Download every letter and the incident report draft of the conversation
+ */
+function downloadGuidanceDocuments() {
+    AppState.letters.forEach(letter => downloadFile(getLetterFilename(letter), letter.text, 'text/plain'));
+    const report = AppState.incidentReport;
+    if (report) downloadFile(getReportFilename(report), report.text, 'text/plain');
+}
+
+/**
+ * Undo the most recent answer
+ */
+function goBack() {
+    if (AppState.answerPath.length === 0) return;
+    rewindToStep(AppState.answerPath.length - 1);
+}
+
+/**
+ * Enable the Back button only when there is an answer to undo
+ */
+function updateBackButton() {
+    backBtn.disabled = AppState.answerPath.length === 0 || isEscalationPending();
+}
+
+function showQuestion(node) {
+    if (!node || !node.question) return;
+    updateAnswerControls();
+
+    const question = fillPlaceholders(node.question, getCapturedFields());
+    const content = `
+        <div class="bot-response">
+            <div class="response-section">
+                <div class="response-section-title" role="heading" aria-level="3">${decorativeIcon('❓')} ${escapeHtml(t('question.title'))}</div>
+                <div class="response-section-content">${escapeHtml(question)}</div>
+            </div>
+            <div class="response-section">
+                <div class="response-section-content"><strong>${escapeHtml(t('hint.label'))}</strong> ${escapeHtml(getAnswerHint(node))}</div>
+            </div>
+        </div>
+    `;
+    focusMessage(addMessage(content, 'bot', 'question').id);
+    trackUsage('node_visited', { nodeId: AppState.currentNodeId });
+    runPluginHook('onNodeEnter', { role: AppState.selectedRole, nodeId: AppState.currentNodeId, node: node });
+    speakCurrentPrompt();
+}
+
+/**
+ * Describe how to answer a question node
+ * @param {Object} node - Question node
+ * @returns {string}
+ */
+function getAnswerHint(node) {
+    const type = getNodeType(node);
+    if (type === 'choice') {
+        return t('hint.choice', { options: node.options.map(option => option.label).join(', ') });
+    }
+    if (type === 'text') {
+        return t(node.input === 'date' ? 'hint.date' : 'hint.text');
+    }
+    return t('hint.yesNo');
+}
+
+function showGuidance(rawGuidance) {
+    if (!rawGuidance) {
+        addMessage(t('chat.noGuidance'), 'bot');
+        return;
+    }
+
+    const guidance = resolveGuidance(rawGuidance);
+    const messageObj = addMessage(buildGuidanceContent(guidance), 'bot', 'guidance');
+    announce(t('chat.guidanceReady', {
+        title: guidance.title,
+        risk: getRiskLabel(guidance.risk),
+        score: t('risk.score', { score: guidance.riskAssessment.score })
+    }));
+    focusMessage(messageObj.id);
+    analyticsRun.completed = true;
+    trackUsage('completed', { nodeId: AppState.currentNodeId, answers: AppState.answerPath.length });
+    runPluginHook('onNodeEnter', {
+        role: AppState.selectedRole,
+        nodeId: AppState.currentNodeId,
+        node: getCurrentTree().nodes[AppState.currentNodeId]
+    });
+    runPluginHook('onGuidance', { role: AppState.selectedRole, nodeId: AppState.currentNodeId, guidance: guidance });
+    if (rawGuidance.emergency) startEscalation(guidance);
+    speakCurrentPrompt();
+}
+
+/**
+ * Re-render the guidance card in place after the jurisdiction or
+ * incident date changes
+ */
+function refreshGuidance() {
+    const rawGuidance = AppState.flowCompleted ? getCurrentGuidance() : null;
+    const messageObj = AppState.messages.slice().reverse().find(msg => msg.kind === 'guidance');
+    if (!rawGuidance || !messageObj) return;
+
+    messageObj.content = buildGuidanceContent(resolveGuidance(rawGuidance));
+    messageObj.text = getMessageText(messageObj);
+    const messageEl = findElement(messageObj.id);
+    if (messageEl) renderMessageContent(messageEl.querySelector('.message-content'), messageObj);
+}
+
+/**
+ * Build the HTML for a guidance card
+ * @param {Object} guidance - Resolved guidance from resolveGuidance
+ * @returns {string}
+ */
+function buildGuidanceContent(guidance) {
+    const riskBadge = getRiskBadge(guidance.risk);
+    const bullets = guidance.bullets
+        .map(item => `<li class="list-item">${escapeHtml(item)}</li>`)
+        .join('');
+    const nextSteps = guidance.nextSteps
+        .map(item => `<li class="list-item">${escapeHtml(item)}</li>`)
+        .join('');
+
+    const content = `
+        <div class="bot-response">
+            <div class="response-section">
+                <div class="response-section-title" role="heading" aria-level="3">${decorativeIcon('📋')} ${escapeHtml(t('guidance.title'))}</div>
+                <div class="response-section-content">${escapeHtml(guidance.title)}</div>
+                <div class="jurisdiction-note">${escapeHtml(getJurisdictionNote(guidance))}</div>
+            </div>
+            <div class="response-section">
+                <div class="response-section-title" role="heading" aria-level="3">${decorativeIcon('🎯')} ${escapeHtml(t('guidance.risk'))}</div>
+                <div class="response-section-content">${riskBadge} <span class="risk-score">${escapeHtml(t('risk.score', { score: guidance.riskAssessment.score }))}</span></div>
+                <div class="risk-explanation">
+                    <span class="risk-explanation-title">${escapeHtml(t('risk.why'))}</span>
+                    <ul>${describeRiskAssessment(guidance.riskAssessment).map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+                </div>
+            </div>
+            <div class="response-section">
+                <div class="response-section-title" role="heading" aria-level="3">${decorativeIcon('✅')} ${escapeHtml(t('guidance.keyPoints'))}</div>
+                <div class="response-section-content"><ul style="margin: 0; padding-left: 0;">${bullets}</ul></div>
+            </div>
+            <div class="response-section">
+                <div class="response-section-title" role="heading" aria-level="3">${decorativeIcon('🔍')} ${escapeHtml(t('guidance.nextSteps'))}</div>
+                <div class="response-section-content"><ul style="margin: 0; padding-left: 0;">${nextSteps}</ul></div>
+            </div>
+            ${buildDeadlinesSection(guidance)}
+            <div class="response-section">
+                <div class="response-section-content"><strong>${decorativeIcon('⚠️')} ${escapeHtml(t('disclaimer'))}</strong></div>
+            </div>
+            <div class="guidance-actions">
+                <button class="guidance-action-btn" data-action="timeline">${decorativeIcon('🗓️')} ${escapeHtml(t('timeline.open'))}</button>
+                ${guidance.incidentReport ? `<button class="guidance-action-btn" data-action="incident-report">${decorativeIcon('📝')} ${escapeHtml(t('report.open'))}</button>` : ''}
+            </div>
+            ${buildLettersActions(guidance)}
+            <div class="guidance-actions">
+                <span class="guidance-actions-label">${escapeHtml(t('guidance.export'))}</span>
+                <button class="guidance-action-btn" data-action="export-print">${escapeHtml(t('guidance.print'))}</button>
+                <button class="guidance-action-btn" data-action="export-markdown">Markdown</button>
+                <button class="guidance-action-btn" data-action="export-json">JSON</button>
+            </div>
+        </div>
+    `;
+
+    return content;
+}
+
+/**
+ * Explain which jurisdiction the guidance applies to
+ * @param {Object} guidance - Resolved guidance
+ * @returns {string}
+ */
+function getJurisdictionNote(guidance) {
+    if (guidance.jurisdiction !== 'generic') {
+        return t('guidance.forJurisdiction', { jurisdiction: getJurisdictionLabel(guidance.jurisdiction) });
+    }
+    if (AppState.jurisdiction !== 'generic') {
+        return t('guidance.noLocalRules', { jurisdiction: getJurisdictionLabel(AppState.jurisdiction) });
+    }
+    return t('guidance.chooseLocation');
+}
+
+/**
+ * Build the deadlines section with the incident date picker
+ * @param {Object} guidance - Resolved guidance
+ * @returns {string} Empty when the guidance has no deadlines
+ */
+function buildDeadlinesSection(guidance) {
+    if (guidance.deadlines.length === 0) return '';
+
+    const items = guidance.deadlines
+        .map(deadline => `<li class="list-item${deadline.passed ? ' deadline-passed' : ''}">${escapeHtml(describeDeadline(deadline))}</li>`)
+        .join('');
+    const hint = t(getIncidentDate() ? 'guidance.deadlineNote' : 'guidance.deadlineHint');
+
+    return `
+            <div class="response-section">
+                <div class="response-section-title" role="heading" aria-level="3">${decorativeIcon('⏰')} ${escapeHtml(t('guidance.deadlines'))}</div>
+                <div class="response-section-content">
+                    <label class="incident-date-field">
+                        ${escapeHtml(t('guidance.incidentDate'))}
+                        <input type="date" data-incident-date value="${escapeHtml(getIncidentDate() || '')}">
+                    </label>
+                    <ul style="margin: 0; padding-left: 0;">${items}</ul>
+                    <p class="deadline-note">${escapeHtml(hint)}</p>
+                </div>
+            </div>`;
+}
+
+/**
+ * Switch jurisdiction and refresh any guidance on screen
+ * @param {string} id - Jurisdiction code
+ */
+function selectJurisdiction(id) {
+    AppState.jurisdiction = id;
+    jurisdictionSelect.value = id;
+    saveJurisdictionPreference(id);
+    refreshGuidance();
+    renderEscalation();
+    saveCurrentSession();
+}
+
+/**
+ * Set the incident date used to compute deadlines
+ * @param {string} value - Date from the guidance card
+ */
+function setIncidentDate(value) {
+    AppState.incidentDate = isValidIsoDate(value) ? value : null;
+    refreshGuidance();
+    saveCurrentSession();
+}
+
+/**
+ * Fill the jurisdiction selector
+ */
+function renderJurisdictionOptions() {
+    jurisdictionSelect.innerHTML = jurisdictions
+        .map(item => `<option value="${escapeHtml(item.id)}">${escapeHtml(getJurisdictionLabel(item.id))}</option>`)
+        .join('');
+    jurisdictionSelect.value = AppState.jurisdiction;
+}
+
+/**
+ * Switch the UI and tree content language. Messages already in the
+ * transcript stay as they were; a pending question is asked again in
+ * the new language.
+ * @param {string} id - Locale code
+ */
+function selectLocale(id) {
+    setLocale(id);
+    saveLocalePreference(getLocale());
+    translateWidget();
+    renderLocaleOptions();
+    renderDisplaySettings();
+    renderVoiceButton();
+    renderJurisdictionOptions();
+    renderRoleButtons();
+    renderVaultPanel();
+    renderSavedSessions();
+    renderTimeline();
+    if (letterDraft.type) {
+        letterHeading.textContent = getLetterTitle(letterDraft.type);
+        renderLetterFields(letterDraft.type, readLetterValues());
+        renderLetters();
+    }
+    renderReport();
+    renderEscalation();
+    if (AppState.jointSession) {
+        currentRoleDisplay.textContent = t('joint.role');
+        renderJointSession();
+    }
+
+    if (!AppState.selectedRole) return;
+
+    currentRoleDisplay.textContent = getRoleLabel(AppState.selectedRole);
+    if (AppState.flowCompleted) {
+        refreshGuidance();
+    } else if (AppState.pendingIntent && getIntent(AppState.pendingIntent.id)) {
+        showIntentConfirmation(getIntent(AppState.pendingIntent.id));
+    } else {
+        showQuestion(getCurrentTree().nodes[AppState.currentNodeId]);
+    }
+    saveCurrentSession();
+}
+
+/**
+ * Fill the language selector
+ */
+function renderLocaleOptions() {
+    localeSelect.innerHTML = LOCALES
+        .map(locale => `<option value="${escapeHtml(locale.id)}">${escapeHtml(locale.label)}</option>`)
+        .join('');
+    localeSelect.value = getLocale();
+}
+
+/**
+ * Build the row of request letter buttons for a guidance card
+ * @param {Object} guidance - Resolved guidance
+ * @returns {string} HTML, empty when the leaf offers no letters
+ */
+function buildLettersActions(guidance) {
+    if (!guidance.letters || guidance.letters.length === 0) return '';
+
+    const buttons = guidance.letters
+        .map(type => `<button class="guidance-action-btn" data-action="letter" data-letter="${escapeHtml(type)}">${decorativeIcon('✉️')} ${escapeHtml(getLetterTitle(type))}</button>`)
+        .join('');
+    return `
+            <div class="guidance-actions">
+                <span class="guidance-actions-label">${escapeHtml(t('letters.label'))}</span>
+                ${buttons}
+            </div>`;
+}
+
+/**
+ * Run an action button from a guidance card
+ * @param {string} action - data-action value of the clicked button
+ * @param {DOMStringMap} [data] - The button's data attributes
+ */
+function handleGuidanceAction(action, data = {}) {
+    if (!AppState.flowCompleted || isEscalationPending()) return;
+    if (action === 'timeline') {
+        openTimeline();
+        return;
+    }
+    if (action === 'letter') {
+        openLetter(data.letter);
+        return;
+    }
+    if (action === 'incident-report') {
+        openReport();
+        return;
+    }
+
+    const summary = buildCaseSummary();
+    if (action === 'export-print') {
+        if (!openPrintableSummary(summary)) {
+            addMessage(t('chat.printBlocked'), 'bot');
+        }
+    } else if (action === 'export-markdown') {
+        downloadFile(getSummaryFilename(summary, 'md'), summaryToMarkdown(summary), 'text/markdown');
+    } else if (action === 'export-json') {
+        downloadFile(getSummaryFilename(summary, 'json'), summaryToJson(summary), 'application/json');
+    }
+}
+
+function getRiskBadge(level) {
+    const normalized = (level || 'medium').toLowerCase();
+    if (normalized === 'high') {
+        return `<span class="risk-badge high">${decorativeIcon('🔴')} ${getRiskLabel(normalized)}</span>`;
+    }
+    if (normalized === 'low') {
+        return `<span class="risk-badge low">${decorativeIcon('🟢')} ${getRiskLabel(normalized)}</span>`;
+    }
+    return `<span class="risk-badge medium">${decorativeIcon('⚠️')} ${getRiskLabel(normalized)}</span>`;
+}
+
+/**
+ * Get the plain-text label for a risk level
+ * @param {string} level - 'high', 'medium' or 'low'
+ * @returns {string}
+ */
+function getRiskLabel(level) {
+    const normalized = (level || 'medium').toLowerCase();
+    if (normalized === 'high') return t('risk.high');
+    if (normalized === 'low') return t('risk.low');
+    return t('risk.medium');
+}
+
+/**
+ * Add message to chat
+ * @param {string} content - Message content
+ * @param {string} sender - 'user' or 'bot'
+ * @param {string} [kind] - Marks special messages, e.g. 'guidance'
+ * @returns {Object} The stored message object
+ */
+function addMessage(content, sender, kind) {
+    const messageObj = createMessageRecord({
+        id: `msg-${++AppState.messageCount}`,
+        sender: sender,
+        kind: kind,
+        content: content,
+        text: getMessageText({ sender: sender, content: content }),
+        nodeId: AppState.currentNodeId
+    });
+
+    AppState.messages.push(messageObj);
+
+    // Create message element
+    const messageEl = createMessageElement(messageObj);
+    messagesContainer.appendChild(messageEl);
+
+    // Auto-scroll to bottom
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+    // Guidance cards are announced as a short summary by showGuidance
+    if (sender === 'bot' && kind !== 'guidance') {
+        announce(getAccessibleText(messageEl.querySelector('.message-content')));
+    }
+
+    return messageObj;
+}
+
+/**
+ * Replace the content of a bot message already in the chat
+ * @param {Object} messageObj - Message object from addMessage
+ * @param {string} content - New HTML content
+ */
+function updateMessageContent(messageObj, content) {
+    messageObj.content = content;
+    messageObj.text = getMessageText(messageObj);
+    const messageEl = findElement(messageObj.id);
+    if (!messageEl) return;
+    renderMessageContent(messageEl.querySelector('.message-content'), messageObj);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+}
+
+/**
+ * Get the plain text of a message for searching. Bot messages are HTML;
+ * buttons and decorative icons are left out as for screen readers.
+ * @param {{ sender: string, content: string }} messageObj
+ * @returns {string}
+ */
+function getMessageText(messageObj) {
+    if (messageObj.sender !== 'bot') return messageObj.content;
+    const container = document.createElement('div');
+    container.innerHTML = messageObj.content;
+    return getAccessibleText(container);
+}
+
+/**
+ * Create message DOM element
+ * @param {Object} messageObj - Message object
+ * @returns {HTMLElement}
+ */
+function createMessageElement(messageObj) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${messageObj.sender}`;
+    messageDiv.id = messageObj.id;
+
+    // Screen readers hear who is speaking instead of the avatar
+    const speaker = document.createElement('span');
+    speaker.className = 'sr-only';
+    speaker.textContent = t(messageObj.sender === 'bot' ? 'chat.botSays' : 'chat.youSaid');
+    messageDiv.appendChild(speaker);
+
+    if (messageObj.sender === 'bot') {
+        const avatar = document.createElement('div');
+        avatar.className = 'message-avatar';
+        avatar.setAttribute('aria-hidden', 'true');
+        avatar.textContent = '🤖';
 
-        messageDiv.appendChild(avatar);
-        messageDiv.appendChild(contentDiv);
-    } else {
         const contentDiv = document.createElement('div');
         contentDiv.className = 'message-content';
-        contentDiv.innerHTML = escapeHtml(messageObj.content);
+        renderMessageContent(contentDiv, messageObj);
+
+        messageDiv.appendChild(avatar);
+        messageDiv.appendChild(contentDiv);
+    } else {
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+        renderMessageContent(contentDiv, messageObj);
+
+        messageDiv.appendChild(contentDiv);
+    }
+
+    return messageDiv;
+}
+
+/**
+ * Fill the content element of a message. A plugin renderer for the
+ * message's type (see plugins.js) takes precedence over the built-in
+ * content: HTML for bot messages, plain text for the user's.
+ * @param {HTMLElement} contentEl - The message's .message-content element
+ * @param {Object} messageObj - Message record
+ */
+function renderMessageContent(contentEl, messageObj) {
+    const tree = AppState.selectedRole ? getCurrentTree() : null;
+    const custom = renderWithPlugins(messageObj, {
+        role: AppState.selectedRole,
+        node: tree && messageObj.nodeId ? tree.nodes[messageObj.nodeId] || null : null,
+        locale: getLocale()
+    });
+
+    if (custom) {
+        contentEl.replaceChildren(custom);
+    } else if (messageObj.sender === 'bot') {
+        contentEl.innerHTML = messageObj.content;
+    } else {
+        contentEl.innerHTML = escapeHtml(messageObj.content);
+    }
+}
+
+// ==========================================
+// JOINT SESSIONS
+// ==========================================
+
+// A clinician and a patient answer their consent questions side by side
+// (see joint-session.js). Answers that contradict each other are
+// highlighted as soon as both are given, and once both sides reach their
+// guidance a combined summary is shown for both to review. Joint
+// sessions are not saved; the summary can be printed or downloaded.
+
+// Input problem shown under each side, keyed by role
+const jointErrors = {};
+
+/**
+ * Open a joint session from the role screen
+ * @param {string} type - Key of JOINT_SESSIONS
+ */
+function startJointSession(type) {
+    const definition = getJointDefinition(type);
+    if (!definition || !definition.sides.every(side => decisionTrees[side.role])) return;
+
+    AppState.jointSession = createJointSession(type);
+    Object.keys(jointErrors).forEach(role => delete jointErrors[role]);
+    roleSection.classList.add('hidden');
+    jointSection.classList.remove('hidden');
+    currentRoleDisplay.textContent = t('joint.role');
+    renderJointSession();
+    jointHeading.focus();
+}
+
+/**
+ * Close the joint session and return to the role screen
+ */
+function leaveJointSession() {
+    leaveConversation();
+    roleHeading.focus();
+}
+
+/**
+ * Run a button in the joint session panel
+ * @param {string} action - data-joint-action value of the clicked button
+ * @param {DOMStringMap} data - The button's data attributes
+ */
+function handleJointAction(action, data) {
+    if (action === 'answer') {
+        answerJointQuestion(data.jointSide, data.value);
+    } else if (action === 'back') {
+        goBackJointSide(data.jointSide);
+    } else if (action === 'leave') {
+        leaveJointSession();
+    } else if (action.startsWith('export-')) {
+        exportJointSummary(action);
+    }
+}
+
+/**
+ * Answer the current question of one side
+ * @param {string} role - Side answering
+ * @param {string} input - Button value or typed text
+ */
+function answerJointQuestion(role, input) {
+    const session = AppState.jointSession;
+    if (!session || !session.sides[role]) return;
+
+    const disagreementsBefore = findJointDisagreements(session).length;
+    jointErrors[role] = answerJointSide(getLocalizedTree(role), session.sides[role], input);
+    renderJointSession();
+
+    if (jointErrors[role]) {
+        focusJointQuestion(role);
+        return;
+    }
+    if (findJointDisagreements(session).length > disagreementsBefore) {
+        announce(t('joint.disagreementFound'));
+    }
+    if (isJointSessionComplete(session)) {
+        findElement('jointSummaryHeading').focus();
+    } else if (session.sides[role].completed) {
+        // Hand over to the side still answering
+        focusJointQuestion(Object.keys(session.sides).find(other => !session.sides[other].completed));
+    } else {
+        focusJointQuestion(role);
+    }
+}
+
+/**
+ * Undo the last answer of one side. Reviews of the summary are cleared,
+ * since it no longer says the same.
+ * @param {string} role - Side going back
+ */
+function goBackJointSide(role) {
+    const session = AppState.jointSession;
+    if (!session || !session.sides[role]) return;
+
+    undoJointAnswer(session.sides[role]);
+    Object.keys(session.reviews).forEach(key => { session.reviews[key] = null; });
+    jointErrors[role] = null;
+    renderJointSession();
+    focusJointQuestion(role);
+}
+
+/**
+ * Record that one side has reviewed the summary, or take it back
+ * @param {string} role - Side reviewing
+ * @param {boolean} reviewed - Whether the box is ticked
+ */
+function setJointReview(role, reviewed) {
+    const session = AppState.jointSession;
+    if (!session || !isJointSessionComplete(session) || !(role in session.reviews)) return;
+    session.reviews[role] = reviewed ? new Date().toISOString() : null;
+    renderJointSummary();
+    const checkbox = jointSummary.querySelector(`input[data-joint-review="${role}"]`);
+    if (checkbox) checkbox.focus();
+}
+
+/**
+ * Print or download the combined summary
+ * @param {string} action - 'export-print', 'export-markdown' or 'export-json'
+ */
+function exportJointSummary(action) {
+    if (!AppState.jointSession || !isJointSessionComplete(AppState.jointSession)) return;
+
+    const summary = buildJointSummary(AppState.jointSession);
+    if (action === 'export-print') {
+        if (!openPrintableDocument(jointSummaryToHtml(summary))) announce(t('chat.printBlocked'));
+    } else if (action === 'export-markdown') {
+        downloadFile(getJointSummaryFilename(summary, 'md'), jointSummaryToMarkdown(summary), 'text/markdown');
+    } else if (action === 'export-json') {
+        downloadFile(getJointSummaryFilename(summary, 'json'), summaryToJson(summary), 'application/json');
+    }
+}
+
+/**
+ * Move the focus to the question a side is on
+ * @param {string} role - Side to focus
+ */
+function focusJointQuestion(role) {
+    const prompt = findElement(`jointQuestion-${role}`);
+    if (prompt) prompt.focus();
+}
+
+/**
+ * Show both sides, the disagreements found so far and, once both sides
+ * are done, the summary
+ */
+function renderJointSession() {
+    const session = AppState.jointSession;
+    if (!session) return;
+
+    const definition = getJointDefinition(session.type);
+    const disagreements = findJointDisagreements(session);
+    jointHeading.textContent = t(`joint.${definition.key}.title`);
+    jointIntro.textContent = t(`joint.${definition.key}.intro`);
+
+    jointDisagreements.classList.toggle('hidden', disagreements.length === 0);
+    jointDisagreements.innerHTML = disagreements.length === 0 ? '' : `
+        <h3>${decorativeIcon('⚠️')} ${escapeHtml(t('joint.disagreements'))}</h3>
+        <ul>${disagreements.map(item => `<li>${escapeHtml(describeJointDisagreement(session, item))}</li>`).join('')}</ul>`;
+
+    jointSides.innerHTML = definition.sides
+        .map(({ role }) => buildJointSide(role, session.sides[role], disagreements))
+        .join('');
+    renderJointSummary();
+}
+
+/**
+ * Build one side's column: its answers so far, then its current
+ * question or the guidance it ended on
+ * @param {string} role - Side to show
+ * @param {Object} side - Side state
+ * @param {Array<Object>} disagreements - From findJointDisagreements
+ * @returns {string} HTML
+ */
+function buildJointSide(role, side, disagreements) {
+    const tree = getLocalizedTree(role);
+    const node = tree.nodes[side.currentNodeId];
+    const definition = getRoleDefinition(role);
+    const answers = side.answerPath.map(step => {
+        const mismatch = disagreements.some(item => (item.nodes[role] || []).includes(step.nodeId));
+        return `
+            <li class="joint-answer${mismatch ? ' joint-mismatch' : ''}">
+                <span class="joint-answer-question">${escapeHtml(tree.nodes[step.nodeId].question)}</span>
+                <strong>${escapeHtml(getAnswerLabel(tree.nodes[step.nodeId], step))}</strong>
+                ${mismatch ? `<span class="joint-mismatch-label">${decorativeIcon('⚠️')} ${escapeHtml(t('joint.mismatch'))}</span>` : ''}
+            </li>`;
+    }).join('');
+
+    const current = side.completed
+        ? `<p class="joint-done">${decorativeIcon('✅')} ${escapeHtml(t('joint.done', { title: node.guidance.title }))}</p>`
+        : `<p id="jointQuestion-${escapeHtml(role)}" class="joint-question" tabindex="-1">${escapeHtml(node.question)}</p>
+            ${buildJointControls(role, node)}`;
+
+    return `
+        <section class="joint-side" aria-labelledby="jointSideHeading-${escapeHtml(role)}">
+            <h3 id="jointSideHeading-${escapeHtml(role)}">${definition ? decorativeIcon(definition.icon) : ''} ${escapeHtml(getRoleLabel(role))}</h3>
+            ${answers ? `<ol class="joint-answers">${answers}</ol>` : ''}
+            ${current}
+            <div class="joint-errors" role="alert">${jointErrors[role] ? escapeHtml(jointErrors[role]) : ''}</div>
+            <button type="button" class="joint-back-btn" data-joint-action="back" data-joint-side="${escapeHtml(role)}"${side.answerPath.length === 0 ? ' disabled' : ''}>${decorativeIcon('←')} ${escapeHtml(t('composer.back'))}</button>
+        </section>`;
+}
+
+/**
+ * Build the answer controls for a side's question: Yes/No, one button
+ * per option, or a text box
+ * @param {string} role - Side answering
+ * @param {Object} node - Question node
+ * @returns {string} HTML
+ */
+function buildJointControls(role, node) {
+    const type = getNodeType(node);
+    const answerButton = (value, label, className) =>
+        `<button type="button" class="${className}" data-joint-action="answer" data-joint-side="${escapeHtml(role)}" data-value="${escapeHtml(value)}">${escapeHtml(label)}</button>`;
+
+    if (type === 'yesno') {
+        return `<div class="joint-controls">${answerButton('yes', t('answer.yes'), 'yes-btn')}${answerButton('no', t('answer.no'), 'no-btn')}</div>`;
+    }
+    if (type === 'choice') {
+        return `<div class="joint-controls choice-buttons">${node.options.map(option => answerButton(option.value, option.label, 'choice-btn')).join('')}</div>`;
+    }
+    return `
+            <form class="joint-controls" data-joint-side="${escapeHtml(role)}" novalidate>
+                <input type="${node.input === 'date' ? 'date' : 'text'}" name="answer" class="chat-input" aria-labelledby="jointQuestion-${escapeHtml(role)}">
+                <button type="submit" class="send-btn">${escapeHtml(t('composer.send'))}</button>
+            </form>`;
+}
+
+/**
+ * Show the combined summary with a review box for each side, once both
+ * sides have reached their guidance
+ */
+function renderJointSummary() {
+    const session = AppState.jointSession;
+    const complete = Boolean(session) && isJointSessionComplete(session);
+    jointSummary.classList.toggle('hidden', !complete);
+    if (!complete) {
+        jointSummary.innerHTML = '';
+        return;
+    }
+
+    const summary = buildJointSummary(session);
+    const sides = summary.sides.map(side => `
+            <div class="joint-summary-side">
+                <h4>${escapeHtml(side.roleLabel)}: ${escapeHtml(side.guidance.title)}</h4>
+                <p>${getRiskBadge(side.guidance.riskLevel)}</p>
+                <ul>${side.guidance.keyPoints.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+                <p class="joint-summary-label">${escapeHtml(t('guidance.nextSteps'))}</p>
+                <ul>${side.guidance.nextSteps.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+            </div>`).join('');
+    const reviews = summary.sides.map(side => `
+            <li>
+                <label>
+                    <input type="checkbox" data-joint-review="${escapeHtml(side.role)}"${side.reviewedAt ? ' checked' : ''}>
+                    ${escapeHtml(t('joint.reviewedBy', { role: side.roleLabel }))}
+                </label>
+                ${side.reviewedAt ? `<span class="joint-reviewed-at">${escapeHtml(formatSummaryTime(side.reviewedAt))}</span>` : ''}
+            </li>`).join('');
+
+    jointSummary.innerHTML = `
+        <h3 id="jointSummaryHeading" tabindex="-1">${decorativeIcon('📋')} ${escapeHtml(summary.title)}</h3>
+        <p class="joint-note">${escapeHtml(t('joint.summaryNote'))}</p>
+        ${summary.disagreements.length === 0 ? `<p class="joint-note">${escapeHtml(t('joint.noDisagreements'))}</p>` : ''}
+        <div class="joint-summary-sides">${sides}</div>
+        <ul class="joint-reviews" aria-label="${escapeHtml(t('joint.reviews'))}">${reviews}</ul>
+        <p class="joint-note"><strong>${decorativeIcon('⚠️')} ${escapeHtml(summary.disclaimer)}</strong></p>
+        <div class="guidance-actions">
+            <span class="guidance-actions-label">${escapeHtml(t('guidance.export'))}</span>
+            <button type="button" class="guidance-action-btn" data-joint-action="export-print">${escapeHtml(t('guidance.print'))}</button>
+            <button type="button" class="guidance-action-btn" data-joint-action="export-markdown">Markdown</button>
+            <button type="button" class="guidance-action-btn" data-joint-action="export-json">JSON</button>
+        </div>`;
+}
+
+// ==========================================
+// ESCALATION
+// ==========================================
+
+// Emergency leaves ("emergency": true) open a banner above the chat with
+// call links and a checklist of the leaf's next steps (see emergency.js).
+// Until the banner is acknowledged the rest of the chat is locked. The
+// acknowledgement and each ticked action are added to the transcript,
+// and the state is saved with the session.
+
+/**
+ * Open the banner for the emergency leaf being shown. A banner already
+ * open for the same leaf, e.g. after a resume, keeps its state.
+ * @param {Object} guidance - Resolved guidance from resolveGuidance
+ */
+function startEscalation(guidance) {
+    if (!AppState.escalation || AppState.escalation.nodeId !== AppState.currentNodeId) {
+        AppState.escalation = createEscalation(AppState.currentNodeId, guidance.nextSteps);
+    }
+    renderEscalation();
+    saveCurrentSession();
+    if (!isEscalationPending()) return;
+
+    announce(t('emergency.announce', { title: guidance.title }));
+    escalationHeading.focus();
+}
+
+/**
+ * Whether an emergency banner is waiting to be acknowledged
+ * @returns {boolean}
+ */
+function isEscalationPending() {
+    return Boolean(AppState.escalation && !AppState.escalation.acknowledgedAt);
+}
+
+/**
+ * Confirm the emergency banner has been read and unlock the chat
+ */
+function acknowledgeEscalation() {
+    if (!isEscalationPending()) return;
+
+    AppState.escalation.acknowledgedAt = new Date().toISOString();
+    addMessage(t('emergency.acknowledged', { time: formatEscalationTime(AppState.escalation.acknowledgedAt) }), 'user', 'escalation');
+    renderEscalation();
+    updateAnswerControls();
+    saveCurrentSession();
+    focusLatestBotMessage();
+}
+
+/**
+ * Tick or untick an action on the emergency checklist
+ * @param {number} index - Index into AppState.escalation.checklist
+ * @param {boolean} done - New state
+ */
+function setEscalationStepDone(index, done) {
+    const step = AppState.escalation && AppState.escalation.checklist[index];
+    if (!step || Boolean(step.doneAt) === done) return;
+
+    step.doneAt = done ? new Date().toISOString() : null;
+    addMessage(done
+        ? t('emergency.done', { action: step.text, time: formatEscalationTime(step.doneAt) })
+        : t('emergency.undone', { action: step.text }), 'user', 'escalation');
+    renderEscalation();
+    saveCurrentSession();
+}
+
+/**
+ * Show the banner for AppState.escalation, or hide it, and lock or
+ * unlock the other controls to match
+ */
+function renderEscalation() {
+    const escalation = AppState.escalation;
+    const pending = isEscalationPending();
+    escalationBanner.classList.toggle('hidden', !escalation);
+    escalationBanner.classList.toggle('pending', pending);
+
+    // Acknowledging the banner is the only thing to do until it is
+    messagesContainer.toggleAttribute('inert', pending);
+    if (AppState.selectedRole) {
+        userInput.disabled = pending;
+        yesBtn.disabled = pending;
+        noBtn.disabled = pending;
+        clearBtn.disabled = pending;
+        changeRoleBtn.disabled = pending || AppState.previewMode;
+        updateBackButton();
+        updateAnswerControls();
+    }
+
+    if (!escalation) {
+        escalationContacts.innerHTML = '';
+        escalationChecklist.innerHTML = '';
+        return;
+    }
+
+    escalationContacts.innerHTML = getEmergencyContacts(AppState.jurisdiction).map(contact => `
+        <li><a class="escalation-call" href="${escapeHtml(getTelHref(contact.number))}">${decorativeIcon('📞')} ${escapeHtml(t('emergency.call', {
+            service: t(`emergency.contact.${contact.type}`),
+            number: contact.number
+        }))}</a></li>
+    `).join('');
+
+    escalationChecklist.innerHTML = escalation.checklist.map((step, index) => `
+        <li class="escalation-step${step.doneAt ? ' done' : ''}">
+            <label>
+                <input type="checkbox" data-escalation-step="${index}"${step.doneAt ? ' checked' : ''}>
+                <span>${escapeHtml(step.text)}</span>
+            </label>
+            ${step.doneAt ? `<span class="escalation-done-at">${escapeHtml(t('emergency.doneAt', { time: formatEscalationTime(step.doneAt) }))}</span>` : ''}
+        </li>
+    `).join('');
+
+    escalationStatus.textContent = pending
+        ? t('emergency.pending')
+        : t('emergency.acknowledgedAt', { time: formatEscalationTime(escalation.acknowledgedAt) });
+    escalationAckBtn.classList.toggle('hidden', !pending);
+}
+
+/**
+ * Format a checklist or acknowledgement time for the banner and transcript
+ * @param {string} iso - ISO timestamp
+ * @returns {string}
+ */
+function formatEscalationTime(iso) {
+    return new Date(iso).toLocaleTimeString(getIntlLocale(), {
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// ==========================================
+// TIMELINE
+// ==========================================
+
+// The event being edited and the file references picked for it
+const timelineDraft = { editingId: null, files: [] };
+
+/**
+ * Show the timeline builder below the chat
+ */
+function openTimeline() {
+    timelinePanel.classList.remove('hidden');
+    if (!timelineForm.elements.date.value) {
+        timelineForm.elements.date.value = getIncidentDate() || '';
+    }
+    renderTimeline();
+    timelinePanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    timelineForm.elements.description.focus();
+}
+
+/**
+ * Hide the timeline builder and drop any unsaved edit
+ */
+function closeTimeline() {
+    timelinePanel.classList.add('hidden');
+    resetTimelineForm();
+}
+
+/**
+ * Run a button in the timeline panel
+ * @param {string} action - data-timeline-action value
+ * @param {DOMStringMap} data - The button's data attributes
+ */
+function handleTimelineAction(action, data) {
+    if (action === 'close') {
+        closeTimeline();
+        focusLatestBotMessage();
+    } else if (action === 'cancel') {
+        resetTimelineForm();
+        renderTimeline();
+    } else if (action === 'edit') {
+        editTimelineEvent(data.eventId);
+    } else if (action === 'delete') {
+        deleteTimelineEvent(data.eventId);
+    } else if (action === 'remove-file') {
+        timelineDraft.files.splice(Number(data.fileIndex), 1);
+        renderTimeline();
+    }
+}
+
+/**
+ * Add or update an event from the form
+ */
+function saveTimelineEvent() {
+    const fields = timelineForm.elements;
+    const { event, errors } = parseTimelineEvent({
+        date: fields.date.value,
+        time: fields.time.value,
+        description: fields.description.value,
+        people: fields.people.value,
+        files: timelineDraft.files
+    });
+
+    if (errors.length > 0) {
+        timelineErrors.innerHTML = errors.map(error => `<p>${escapeHtml(error)}</p>`).join('');
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const existing = AppState.timeline.find(item => item.id === timelineDraft.editingId);
+    if (existing) {
+        Object.assign(existing, event, { updatedAt: now });
+    } else {
+        AppState.timeline.push({ id: createTimelineEventId(), ...event, createdAt: now, updatedAt: now });
+    }
+
+    resetTimelineForm();
+    renderTimeline();
+    saveCurrentSession();
+    fields.description.focus();
+}
+
+/**
+ * Load an event into the form for editing
+ * @param {string} id - Event id
+ */
+function editTimelineEvent(id) {
+    const event = AppState.timeline.find(item => item.id === id);
+    if (!event) return;
+
+    const fields = timelineForm.elements;
+    fields.date.value = event.date;
+    fields.time.value = event.time || '';
+    fields.description.value = event.description;
+    fields.people.value = event.people.join(', ');
+    timelineDraft.editingId = id;
+    timelineDraft.files = event.files.map(file => ({ ...file }));
+    timelineErrors.innerHTML = '';
+    renderTimeline();
+    fields.description.focus();
+}
+
+/**
+ * Delete an event after confirmation
+ * @param {string} id - Event id
+ */
+function deleteTimelineEvent(id) {
+    if (!confirm(t('timeline.confirmDelete'))) return;
+    AppState.timeline = AppState.timeline.filter(item => item.id !== id);
+    if (timelineDraft.editingId === id) resetTimelineForm();
+    renderTimeline();
+    saveCurrentSession();
+}
+
+/**
+ * Keep references to picked files for the event being written
+ * @param {FileList} files - Files from the file input
+ */
+function addTimelineFiles(files) {
+    Array.from(files).map(toFileReference).forEach(reference => {
+        const duplicate = timelineDraft.files.some(file => file.name === reference.name && file.size === reference.size);
+        if (!duplicate) timelineDraft.files.push(reference);
+    });
+    timelineForm.elements.files.value = '';
+    renderTimeline();
+}
+
+/**
+ * Clear the form and leave edit mode
+ */
+function resetTimelineForm() {
+    timelineForm.reset();
+    timelineDraft.editingId = null;
+    timelineDraft.files = [];
+    timelineErrors.innerHTML = '';
+    renderTimeline();
+}
+
+/**
+ * Render the sorted events, the picked files and the form buttons
+ */
+function renderTimeline() {
+    const events = sortTimeline(AppState.timeline);
+    timelineList.innerHTML = events.length === 0
+        ? `<li class="timeline-empty">${escapeHtml(t('timeline.empty'))}</li>`
+        : events.map(event => `
+            <li class="timeline-event${event.id === timelineDraft.editingId ? ' editing' : ''}">
+                <div class="timeline-event-date">${escapeHtml(formatEventDate(event))}</div>
+                <div class="timeline-event-body">
+                    <p class="timeline-event-description">${escapeHtml(event.description)}</p>
+                    ${event.people.length > 0 ? `<p class="timeline-event-meta"><strong>${escapeHtml(t('timeline.peopleLabel'))}</strong> ${escapeHtml(event.people.join(', '))}</p>` : ''}
+                    ${event.files.length > 0 ? `<ul class="timeline-files">${event.files.map(file => `<li>${decorativeIcon('📎')} ${escapeHtml(file.name)} <span>(${formatFileSize(file.size)})</span></li>`).join('')}</ul>` : ''}
+                </div>
+                <div class="timeline-event-actions">
+                    <button type="button" data-timeline-action="edit" data-event-id="${escapeHtml(event.id)}">${escapeHtml(t('timeline.edit'))}</button>
+                    <button type="button" data-timeline-action="delete" data-event-id="${escapeHtml(event.id)}">${escapeHtml(t('timeline.delete'))}</button>
+                </div>
+            </li>`).join('');
+
+    timelineDraftFiles.innerHTML = timelineDraft.files
+        .map((file, index) => `
+            <li>${decorativeIcon('📎')} ${escapeHtml(file.name)} <span>(${formatFileSize(file.size)})</span>
+                <button type="button" data-timeline-action="remove-file" data-file-index="${index}">${escapeHtml(t('timeline.removeFile'))}</button>
+            </li>`)
+        .join('');
+
+    timelineSubmitBtn.textContent = t(timelineDraft.editingId ? 'timeline.update' : 'timeline.add');
+    timelineCancelBtn.classList.toggle('hidden', !timelineDraft.editingId);
+}
+
+// ==========================================
+// REQUEST LETTERS
+// ==========================================
+
+// The template being filled in and the letter shown under the form
+const letterDraft = { type: null, previewId: null };
+
+/**
+ * Show the letter form for a template, filled from earlier answers
+ * @param {string} type - Letter template id
+ */
+function openLetter(type) {
+    if (!LETTER_TEMPLATES[type]) return;
+
+    const previous = AppState.letters[AppState.letters.length - 1];
+    const captured = { ...getCapturedFields(), incidentDate: getIncidentDate() || '' };
+    letterDraft.type = type;
+    letterDraft.previewId = null;
+    letterHeading.textContent = getLetterTitle(type);
+    letterErrors.innerHTML = '';
+    renderLetterFields(type, getLetterDefaults(type, captured, previous ? previous.values : null));
+    renderLetters();
+    letterPanel.classList.remove('hidden');
+    letterPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    letterForm.querySelector('input, textarea').focus();
+}
+
+/**
+ * Hide the letter panel
+ */
+function closeLetter() {
+    letterPanel.classList.add('hidden');
+    letterDraft.type = null;
+    letterDraft.previewId = null;
+    letterFields.innerHTML = '';
+    letterErrors.innerHTML = '';
+}
+
+/**
+ * Run a button in the letter panel
+ * @param {string} action - data-letter-action value
+ * @param {DOMStringMap} data - The button's data attributes
+ */
+function handleLetterAction(action, data) {
+    if (action === 'close') {
+        closeLetter();
+        focusLatestBotMessage();
+        return;
+    }
+
+    const letter = AppState.letters.find(item => item.id === data.letterId);
+    if (!letter) return;
+
+    if (action === 'view') {
+        letterDraft.previewId = letter.id;
+        renderLetters();
+    } else if (action === 'download') {
+        downloadFile(getLetterFilename(letter), letter.text, 'text/plain');
+    } else if (action === 'print') {
+        if (!openPrintableDocument(letterToHtml(letter, letter.locale))) {
+            letterErrors.innerHTML = `<p>${escapeHtml(t('chat.printBlocked'))}</p>`;
+        }
+    } else if (action === 'delete') {
+        deleteLetter(letter.id);
+    }
+}
+
+/**
+ * Write a letter from the form and keep it in the session
+ */
+function saveLetter() {
+    const type = letterDraft.type;
+    const values = readLetterValues();
+    const errors = validateLetterValues(type, values);
+    if (errors.length > 0) {
+        letterErrors.innerHTML = errors.map(error => `<p>${escapeHtml(error)}</p>`).join('');
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const letter = {
+        id: createLetterId(),
+        type: type,
+        locale: getLocale(),
+        values: values,
+        text: buildLetter(type, values, now.slice(0, 10)).text,
+        createdAt: now
+    };
+    AppState.letters.push(letter);
+    letterDraft.previewId = letter.id;
+    letterErrors.innerHTML = '';
+    renderLetters();
+    saveCurrentSession();
+}
+
+/**
+ * Read the values entered in the letter form
+ * @returns {Object<string, string>}
+ */
+function readLetterValues() {
+    const values = {};
+    getLetterFields(letterDraft.type).forEach(field => {
+        values[field.name] = letterForm.elements[field.name].value.trim();
+    });
+    return values;
+}
+
+/**
+ * Delete a letter after confirmation
+ * @param {string} id - Letter id
+ */
+function deleteLetter(id) {
+    if (!confirm(t('letter.confirmDelete'))) return;
+    AppState.letters = AppState.letters.filter(item => item.id !== id);
+    if (letterDraft.previewId === id) letterDraft.previewId = null;
+    renderLetters();
+    saveCurrentSession();
+}
+
+/**
+ * Render the inputs of a letter template
+ * @param {string} type - Letter template id
+ * @param {Object<string, string>} values - Starting values
+ */
+function renderLetterFields(type, values) {
+    letterFields.innerHTML = getLetterFields(type)
+        .map(field => {
+            const label = `${escapeHtml(t(`letter.field.${field.name}`))}${field.required ? ' *' : ''}`;
+            const value = escapeHtml(values[field.name] || '');
+            const required = field.required ? ' required' : '';
+            const control = field.input === 'textarea'
+                ? `<textarea name="${field.name}" rows="3"${required}>${value}</textarea>`
+                : `<input type="${field.input === 'date' ? 'date' : 'text'}" name="${field.name}" value="${value}"${required}>`;
+            return `<label><span>${label}</span>${control}</label>`;
+        })
+        .join('');
+}
+
+/**
+ * Render the letter being previewed and the letters saved in the session
+ */
+function renderLetters() {
+    const previewed = AppState.letters.find(item => item.id === letterDraft.previewId);
+    letterPreview.classList.toggle('hidden', !previewed);
+    letterPreview.innerHTML = previewed
+        ? `
+            <p class="letter-note">${escapeHtml(t('letter.reviewNote'))}</p>
+            <pre class="letter-text">${escapeHtml(previewed.text)}</pre>
+            <div class="letter-actions">
+                <button type="button" data-letter-action="download" data-letter-id="${escapeHtml(previewed.id)}">${escapeHtml(t('letter.download'))}</button>
+                <button type="button" data-letter-action="print" data-letter-id="${escapeHtml(previewed.id)}">${escapeHtml(t('letter.print'))}</button>
+            </div>`
+        : '';
+
+    letterList.innerHTML = AppState.letters
+        .map(letter => `
+            <li class="letter-item${letter.id === letterDraft.previewId ? ' previewing' : ''}">
+                <div>
+                    <p class="letter-item-title">${escapeHtml(getLetterTitle(letter.type))}</p>
+                    <p class="letter-note">${escapeHtml(t('letter.created', { date: formatSummaryTime(letter.createdAt) }))}</p>
+                </div>
+                <div class="letter-actions">
+                    <button type="button" data-letter-action="view" data-letter-id="${escapeHtml(letter.id)}">${escapeHtml(t('letter.view'))}</button>
+                    <button type="button" data-letter-action="download" data-letter-id="${escapeHtml(letter.id)}">${escapeHtml(t('letter.download'))}</button>
+                    <button type="button" data-letter-action="delete" data-letter-id="${escapeHtml(letter.id)}">${escapeHtml(t('letter.delete'))}</button>
+                </div>
+            </li>`)
+        .join('');
+    letterList.previousElementSibling.classList.toggle('hidden', AppState.letters.length === 0);
+}
+
+// ==========================================
+// INCIDENT REPORT
+// ==========================================
+
+// Wording flags shown under the form; once they have been shown, the next
+// submit without further edits creates the draft anyway
+const reportDraft = { flags: [], confirmed: false };
+
+/**
+ * Show the incident report form, filled from the saved draft if there is one
+ */
+function openReport() {
+    const saved = AppState.incidentReport;
+    if (saved) {
+        INCIDENT_REPORT_FIELDS.forEach(field => {
+            reportForm.elements[field.name].value = saved.values[field.name] || '';
+        });
+    } else if (!reportForm.elements.eventDate.value) {
+        reportForm.elements.eventDate.value = getIncidentDate() || '';
+    }
+    renderReport();
+    reportPanel.classList.remove('hidden');
+    reportPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    reportForm.elements.location.focus();
+}
+
+/**
+ * Hide the incident report form and drop unsaved input
+ */
+function closeReport() {
+    reportPanel.classList.add('hidden');
+    reportForm.reset();
+    reportDraft.flags = [];
+    reportDraft.confirmed = false;
+    reportErrors.innerHTML = '';
+    renderReport();
+}
+
+/**
+ * Run a button in the incident report panel
+ * @param {string} action - data-report-action value
+ */
+function handleReportAction(action) {
+    const report = AppState.incidentReport;
+    if (action === 'close') {
+        closeReport();
+        focusLatestBotMessage();
+    } else if (action === 'download' && report) {
+        downloadFile(getReportFilename(report), report.text, 'text/plain');
+    } else if (action === 'print' && report) {
+        if (!openPrintableDocument(plainTextToHtml(t('report.title'), report.text, report.locale))) {
+            reportErrors.innerHTML = `<p>${escapeHtml(t('chat.printBlocked'))}</p>`;
+        }
+    }
+}
+
+/**
+ * Build the file name for a downloaded incident report draft
+ * @param {Object} report - Saved report
+ * @returns {string}
+ */
+function getReportFilename(report) {
+    return `medilegal-incident-report-${report.updatedAt.slice(0, 10)}.txt`;
+}
+
+/**
+ * Read the values entered in the incident report form
+ * @returns {Object<string, string>}
+ */
+function readReportValues() {
+    const values = {};
+    INCIDENT_REPORT_FIELDS.forEach(field => {
+        values[field.name] = reportForm.elements[field.name].value.trim();
+    });
+    return values;
+}
+
+/**
+ * Write the draft from the form. Speculative or blaming wording is shown
+ * first and only kept if the user submits again without changing it.
+ */
+function saveReport() {
+    const values = readReportValues();
+    const errors = validateIncidentReport(values);
+    reportErrors.innerHTML = errors.map(error => `<p>${escapeHtml(error)}</p>`).join('');
+    if (errors.length > 0) return;
+
+    const flags = checkReportWording(values);
+    if (flags.length > 0 && !reportDraft.confirmed) {
+        reportDraft.flags = flags;
+        reportDraft.confirmed = true;
+        renderReport();
+        return;
+    }
+
+    const now = new Date().toISOString();
+    AppState.incidentReport = {
+        values: values,
+        flags: flags,
+        locale: getLocale(),
+        text: buildIncidentReport(values, now),
+        createdAt: AppState.incidentReport ? AppState.incidentReport.createdAt : now,
+        updatedAt: now
+    };
+    reportDraft.flags = [];
+    reportDraft.confirmed = false;
+    renderReport();
+    saveCurrentSession();
+}
+
+/**
+ * Re-check the wording as the user edits, once flags have been shown
+ */
+function refreshReportFlags() {
+    if (reportDraft.flags.length === 0 && !reportDraft.confirmed) return;
+    reportDraft.flags = checkReportWording(readReportValues());
+    reportDraft.confirmed = false;
+    renderReport();
+}
+
+/**
+ * Describe wording flags as a list
+ * @param {Array<Object>} flags - Entries from checkReportWording
+ * @returns {string} HTML
+ */
+function buildReportFlagsList(flags) {
+    return `<ul>${flags.map(flag => `<li>${escapeHtml(t(`report.flag.${flag.kind}`, {
+        phrase: flag.phrase,
+        field: t(`report.field.${flag.field}`)
+    }))}</li>`).join('')}</ul>`;
+}
+
+/**
+ * Render the wording flags, the submit button and the saved draft
+ */
+function renderReport() {
+    reportFlags.classList.toggle('hidden', reportDraft.flags.length === 0);
+    reportFlags.innerHTML = reportDraft.flags.length === 0
+        ? ''
+        : `<p>${escapeHtml(t('report.flagsHeading'))}</p>${buildReportFlagsList(reportDraft.flags)}`;
+    reportSubmitBtn.textContent = t(reportDraft.confirmed ? 'report.createAnyway' : 'report.create');
+
+    const report = AppState.incidentReport;
+    reportPreview.classList.toggle('hidden', !report);
+    reportPreview.innerHTML = report
+        ? `
+            <p class="report-note">${escapeHtml(t('report.reviewNote'))}</p>
+            ${report.flags.length > 0 ? `<div class="report-flags">${buildReportFlagsList(report.flags)}</div>` : ''}
+            <pre class="report-text">${escapeHtml(report.text)}</pre>
+            <div class="report-actions">
+                <button type="button" data-report-action="download">${escapeHtml(t('report.download'))}</button>
+                <button type="button" data-report-action="print">${escapeHtml(t('report.print'))}</button>
+            </div>`
+        : '';
+}
+
+// ==========================================
+// FOLLOW-UP QUESTIONS
+// ==========================================
+
+// Questions typed after the guidance is shown go to the answer provider
+// (see answer-provider.js), if one is configured
+
+let answerProvider = null;
+
+/**
+ * Plug in the provider that answers follow-up questions
+ * @param {{ ask: Function }|null} provider - Provider, or null to turn follow-ups off
+ */
+function setAnswerProvider(provider) {
+    answerProvider = provider;
+    if (AppState.selectedRole) updateAnswerControls();
+}
+
+/**
+ * Build the request sent to the answer provider: the question with the
+ * decision path and guidance as context
+ * @param {string} question - Follow-up question
+ * @returns {Object}
+ */
+function buildFollowUpRequest(question) {
+    return {
+        question: question,
+        locale: getLocale(),
+        role: AppState.selectedRole,
+        context: buildCaseSummary()
+    };
+}
+
+/**
+ * Send a follow-up question and show the answer as it arrives
+ * @param {string} question - Follow-up question
+ */
+async function askFollowUp(question) {
+    if (AppState.followUpRequest) return;
+
+    addMessage(question, 'user');
+    const messageObj = addMessage(buildFollowUpContent(''), 'bot', 'follow-up');
+    const messageEl = findElement(messageObj.id);
+    messageEl.setAttribute('aria-busy', 'true');
+    const controller = new AbortController();
+    AppState.followUpRequest = controller;
+    updateAnswerControls();
+
+    let text = '';
+    try {
+        const answer = await answerProvider.ask(buildFollowUpRequest(question), {
+            signal: controller.signal,
+            onToken: token => {
+                text += token;
+                updateMessageContent(messageObj, buildFollowUpContent(text));
+            }
+        });
+        text = answer || text;
+        updateMessageContent(messageObj, buildFollowUpContent(text));
+    } catch (error) {
+        // The chat was cleared or rewound; the message is already gone
+        if (controller.signal.aborted) return;
+
+        console.error('Follow-up question failed:', error);
+        updateMessageContent(messageObj, buildFollowUpContent(text, getFollowUpErrorText(error, text)));
+        if (!text) userInput.value = question;
+    } finally {
+        messageEl.removeAttribute('aria-busy');
+        if (AppState.followUpRequest === controller) {
+            AppState.followUpRequest = null;
+            updateAnswerControls();
+        }
+    }
+
+    announce(getAccessibleText(messageEl.querySelector('.message-content')));
+    saveCurrentSession();
+}
+
+/**
+ * Stop waiting for the follow-up answer in progress, if any
+ */
+function cancelFollowUp() {
+    if (!AppState.followUpRequest) return;
+    AppState.followUpRequest.abort();
+    AppState.followUpRequest = null;
+}
+
+/**
+ * Build the bot message for a follow-up answer. The legal disclaimer is
+ * always included, whatever the provider sends.
+ * @param {string} text - Answer text received so far
+ * @param {string} [errorText] - Shown when the answer failed
+ * @returns {string}
+ */
+function buildFollowUpContent(text, errorText) {
+    const answer = text
+        ? escapeHtml(text).replace(/\n/g, '<br>')
+        : (errorText ? '' : `<em>${escapeHtml(t('followUp.thinking'))}</em>`);
+    const error = errorText
+        ? `<div class="response-section"><div class="response-section-content follow-up-error">${escapeHtml(errorText)}</div></div>`
+        : '';
+
+    return `
+        <div class="bot-response">
+            <div class="response-section">
+                <div class="response-section-title" role="heading" aria-level="3">${decorativeIcon('💬')} ${escapeHtml(t('followUp.title'))}</div>
+                <div class="response-section-content">${answer}</div>
+            </div>
+            ${error}
+            <div class="response-section">
+                <div class="response-section-content"><strong>${decorativeIcon('⚠️')} ${escapeHtml(t('disclaimer'))}</strong></div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Explain a failed follow-up question
+ * @param {Error} error - Provider error (see ANSWER_ERROR_CODES)
+ * @param {string} text - Part of the answer already shown
+ * @returns {string}
+ */
+function getFollowUpErrorText(error, text) {
+    if (text) return t('followUp.interrupted');
+    if (error.code === 'offline') return t('followUp.offline');
+    if (error.code === 'timeout') return t('followUp.timeout');
+    return t('followUp.error');
+}
+
+// ==========================================
+// ACCESSIBILITY
+// ==========================================
+
+// Announcements and display settings are in accessibility.js. New
+// questions and guidance take the focus so keyboard and screen reader
+// users land on them; the shortcuts below act on the chat.
+
+/**
+ * Run a keyboard shortcut: Y/N answer a yes/no question, Backspace goes
+ * back one answer and Escape closes the open timeline, letter or report
+ * panel. Letters and Backspace are ignored inside the panels.
+ * @param {KeyboardEvent} event - keydown event
+ */
+function handleKeyboardShortcut(event) {
+    // Embedded, only keys pressed inside the widget count
+    if (!widgetStandalone && !widgetRoot.contains(event.target)) return;
+    if (chatSection.classList.contains('hidden')) return;
+    const shortcut = getKeyboardShortcut(event);
+    if (!shortcut) return;
+
+    if (shortcut === 'escape') {
+        if (!closeOpenPanel()) return;
+    } else if (event.target.closest && event.target.closest('.timeline-panel, .letter-panel, .report-panel')) {
+        return;
+    } else if (shortcut === 'back') {
+        if (backBtn.disabled) return;
+        goBack();
+    } else {
+        if (AppState.flowCompleted || yesNoButtons.classList.contains('hidden') || yesBtn.disabled) return;
+        submitGuidedAnswer(shortcut);
+    }
+    event.preventDefault();
+}
+
+/**
+ * Close whichever panel is open and return to the chat
+ * @returns {boolean} False when no panel was open
+ */
+function closeOpenPanel() {
+    if (!timelinePanel.classList.contains('hidden')) {
+        closeTimeline();
+    } else if (!letterPanel.classList.contains('hidden')) {
+        closeLetter();
+    } else if (!reportPanel.classList.contains('hidden')) {
+        closeReport();
+    } else {
+        return false;
+    }
+    focusLatestBotMessage();
+    return true;
+}
+
+/**
+ * Move the focus to a message in the chat
+ * @param {string} messageId - Message element id
+ */
+function focusMessage(messageId) {
+    const messageEl = findElement(messageId);
+    if (!messageEl) return;
+    if (!messageEl.hasAttribute('tabindex')) messageEl.tabIndex = -1;
+    messageEl.focus();
+}
+
+/**
+ * Move the focus to the last bot message, e.g. the question being
+ * answered again after Back
+ */
+function focusLatestBotMessage() {
+    const messageObj = AppState.messages.slice().reverse().find(msg => msg.sender === 'bot');
+    if (messageObj) focusMessage(messageObj.id);
+}
+
+/**
+ * Change and remember display settings
+ * @param {Object} changes - New contrast and/or textSize
+ */
+function updateDisplayPreferences(changes) {
+    const preferences = Object.assign(loadDisplayPreferences(), changes);
+    applyDisplayPreferences(preferences);
+    saveDisplayPreferences(preferences);
+    renderDisplaySettings();
+}
+
+/**
+ * Fill the text size selector and show the contrast toggle's state
+ */
+function renderDisplaySettings() {
+    const preferences = loadDisplayPreferences();
+    textSizeSelect.innerHTML = TEXT_SIZES
+        .map(size => `<option value="${size}">${escapeHtml(t(`textSize.${size}`))}</option>`)
+        .join('');
+    textSizeSelect.value = preferences.textSize;
+    contrastToggle.setAttribute('aria-pressed', String(preferences.contrast === 'high'));
+}
+
+// ==========================================
+// VOICE MODE
+// ==========================================
+
+// The speech APIs are wrapped in voice.js. With voice mode on, each
+// question and guidance card is read aloud, then yes/no questions listen
+// for a spoken answer that goes through submitGuidedAnswer like a click.
+
+// Speech recognition in progress, how often the current question was
+// not understood, and a counter that outdates speech cut off by stopVoice
+const voiceState = { recognition: null, misses: 0, listenBlocked: false, turn: 0 };
+
+const VOICE_MAX_MISSES = 2;
+
+/**
+ * Check whether the browser can read aloud or listen
+ * @returns {boolean}
+ */
+function isVoiceAvailable() {
+    return canSpeak() || canListen();
+}
+
+/**
+ * Turn voice mode on or off for this session
+ * @param {boolean} enabled
+ */
+function setVoiceMode(enabled) {
+    AppState.voiceMode = enabled && isVoiceAvailable();
+    voiceState.misses = 0;
+    renderVoiceButton();
+    saveCurrentSession();
+
+    if (AppState.voiceMode) {
+        speakCurrentPrompt();
+    } else {
+        stopVoice();
+    }
+}
+
+/**
+ * Show the voice toggle only when the browser supports speech, with a
+ * note when it can read aloud but not listen
+ */
+function renderVoiceButton() {
+    const available = isVoiceAvailable();
+    voiceBtn.classList.toggle('hidden', !available);
+    voiceBtn.setAttribute('aria-pressed', String(AppState.voiceMode));
+    voiceBtn.title = available && !canListen() ? t('voice.speakOnly') : '';
+    if (!AppState.voiceMode) setVoiceStatus('');
+}
+
+/**
+ * Show what voice mode is doing next to the toggle
+ * @param {string} text - Status text, empty to clear
+ */
+function setVoiceStatus(text) {
+    voiceStatus.textContent = text;
+}
+
+/**
+ * Stop reading aloud and listening
+ */
+function stopVoice() {
+    voiceState.turn++;
+    stopSpeaking();
+    if (voiceState.recognition) {
+        const recognition = voiceState.recognition;
+        voiceState.recognition = null;
+        recognition.abort();
+    }
+    setVoiceStatus('');
+}
+
+/**
+ * Get what should be read aloud for the current step
+ * @returns {{ text: string, listen: boolean }|null} listen is true when a
+ *   spoken yes/no answers the step
+ */
+function getVoicePrompt() {
+    if (AppState.flowCompleted) {
+        const rawGuidance = getCurrentGuidance();
+        return rawGuidance ? { text: getGuidanceSpeech(resolveGuidance(rawGuidance)), listen: false } : null;
+    }
+    if (AppState.pendingIntent) {
+        const intent = getIntent(AppState.pendingIntent.id);
+        return intent ? { text: `${t('intent.confirm', { topic: intent.label })} ${t('voice.sayYesNo')}`, listen: true } : null;
+    }
+
+    const node = getCurrentTree().nodes[AppState.currentNodeId];
+    if (!node || !node.question) return null;
+    const question = fillPlaceholders(node.question, getCapturedFields());
+    if (getNodeType(node) === 'yesno') {
+        return { text: `${question} ${t(canListen() ? 'voice.sayYesNo' : 'hint.yesNo')}`, listen: true };
+    }
+    return { text: `${question} ${getAnswerHint(node)}`, listen: false };
+}
 
-        messageDiv.appendChild(contentDiv);
+/**
+ * Build the spoken version of a guidance card
+ * @param {Object} guidance - Resolved guidance
+ * @returns {string}
+ */
+function getGuidanceSpeech(guidance) {
+    const sentence = text => (/[.!?…]$/.test(text) ? text : `${text}.`);
+    return [
+        sentence(guidance.title),
+        sentence(`${t('guidance.risk')}: ${getRiskLabel(guidance.risk)}`),
+        `${t('guidance.keyPoints')}:`,
+        ...guidance.bullets.map(sentence),
+        `${t('guidance.nextSteps')}:`,
+        ...guidance.nextSteps.map(sentence),
+        t('disclaimer')
+    ].join(' ');
+}
+
+/**
+ * In voice mode, read the current question or guidance aloud and then
+ * listen for a yes/no answer if it takes one
+ */
+function speakCurrentPrompt() {
+    if (!AppState.voiceMode) return;
+    stopVoice();
+    voiceState.misses = 0;
+
+    const prompt = getVoicePrompt();
+    if (!prompt) return;
+    speakPrompt(prompt.text, prompt.listen);
+}
+
+/**
+ * Read text aloud, then listen if asked to. Without speech synthesis
+ * the listening starts straight away.
+ * @param {string} text - Text to read
+ * @param {boolean} listen - Listen for a yes/no answer afterwards
+ */
+function speakPrompt(text, listen) {
+    const turn = voiceState.turn;
+    const startListening = () => {
+        // Some browsers end cancelled speech normally; ignore it
+        if (turn !== voiceState.turn || !AppState.voiceMode) return;
+        if (listen && canListen() && !voiceState.listenBlocked) listenForYesNo();
+    };
+
+    if (!canSpeak()) {
+        startListening();
+        return;
     }
+    setVoiceStatus(t('voice.speaking'));
+    speakText(text, getIntlLocale(), () => {
+        if (turn === voiceState.turn) setVoiceStatus('');
+        startListening();
+    });
+}
 
-    return messageDiv;
+/**
+ * Listen for a spoken yes/no and submit it. Speech that is not a yes/no
+ * is asked again up to VOICE_MAX_MISSES times, then the buttons are left
+ * to the user.
+ */
+function listenForYesNo() {
+    let heard = null;
+    let error = null;
+
+    setVoiceStatus(t('voice.listening'));
+    const recognition = listenForAnswer(getIntlLocale(), {
+        onResult: transcripts => {
+            heard = readSpokenAnswer(transcripts);
+        },
+        onError: code => {
+            error = code;
+        },
+        onEnd: () => {
+            // Stopped because the user answered another way or moved on
+            if (voiceState.recognition !== recognition) return;
+            voiceState.recognition = null;
+            setVoiceStatus('');
+
+            if (heard) {
+                submitGuidedAnswer(heard);
+            } else if (error === 'not-allowed' || error === 'service-not-allowed') {
+                voiceState.listenBlocked = true;
+                setVoiceStatus(t('voice.micBlocked'));
+            } else if (++voiceState.misses <= VOICE_MAX_MISSES) {
+                speakPrompt(t('voice.notUnderstood'), true);
+            } else {
+                setVoiceStatus(t('voice.useButtons'));
+            }
+        }
+    });
+    voiceState.recognition = recognition;
+}
+
+// ==========================================
+// USAGE ANALYTICS
+// ==========================================
+
+// Anonymous events about the path taken go to the analytics sink (see
+// analytics.js). Each conversation is a run with its own random id;
+// runs that end before the guidance is shown count as abandoned.
+
+let analyticsSink = null;
+const analyticsRun = { id: null, completed: false };
+
+/**
+ * Plug in the sink that receives usage events
+ * @param {{ record: Function, flush: Function }|null} sink - Sink, or null to stop recording
+ */
+function setAnalyticsSink(sink) {
+    analyticsSink = sink;
+}
+
+/**
+ * Record a usage event for the current run. Nothing is recorded in the
+ * editor preview.
+ * @param {string} type - One of USAGE_EVENT_TYPES
+ * @param {Object} [details] - Extra event fields, e.g. { nodeId }
+ */
+function trackUsage(type, details = {}) {
+    if (!analyticsSink || !analyticsRun.id || AppState.previewMode) return;
+    const tree = getCurrentTree();
+    try {
+        analyticsSink.record(createUsageEvent(type, Object.assign({
+            tree: tree.id,
+            treeVersion: tree.version,
+            locale: getLocale(),
+            run: analyticsRun.id
+        }, details)));
+    } catch (error) {
+        console.warn('Could not record usage event', error);
+    }
+}
+
+/**
+ * Start a run for the conversation now on screen
+ * @param {string} type - Event that starts it: 'role_selected', 'flow_restarted' or 'session_resumed'
+ */
+function startUsageRun(type) {
+    analyticsRun.id = `run-${Math.random().toString(36).slice(2, 10)}`;
+    analyticsRun.completed = AppState.flowCompleted;
+    trackUsage(type);
+}
+
+/**
+ * End the current run, as abandoned when no guidance was shown
+ * @param {string} reason - 'cleared', 'role_changed' or 'closed'
+ */
+function endUsageRun(reason) {
+    if (!analyticsRun.id) return;
+    if (!analyticsRun.completed) {
+        trackUsage('abandoned', { nodeId: AppState.currentNodeId, answers: AppState.answerPath.length, reason: reason });
+    }
+    analyticsRun.id = null;
+}
+
+// ==========================================
+// OFFLINE AND UPDATES
+// ==========================================
+
+// service-worker.js caches the app and trees for offline use. Updates
+// are only offered: applying one reloads the page and resumes the
+// session, which reconcileWithTree then fits to the new trees.
+
+// Worker waiting to replace the current one, if the update is to the app
+const updateState = { worker: null, reloading: false };
+
+/**
+ * Register the service worker and listen for updates. Skipped in the
+ * editor preview and where service workers are not supported.
+ */
+function registerServiceWorker() {
+    if (AppState.previewMode || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'medilegal:content-updated') showUpdatePrompt(null);
+    });
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateState.reloading) window.location.reload();
+    });
+
+    navigator.serviceWorker.register('service-worker.js')
+        .then(registration => {
+            // A waiting worker only counts as an update when one is already in charge
+            const offer = worker => {
+                if (worker && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+            };
+            offer(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed') offer(worker);
+                });
+            });
+        })
+        .catch(error => console.error('Service worker registration failed:', error));
+}
+
+/**
+ * Offer an update without interrupting the conversation
+ * @param {ServiceWorker|null} worker - Waiting worker for app updates,
+ *   null when only tree content changed
+ */
+function showUpdatePrompt(worker) {
+    if (worker) updateState.worker = worker;
+    updateBanner.classList.remove('hidden');
+}
+
+/**
+ * Save the conversation, then reload into the update. The conversation
+ * is reopened after the reload (see resumeAfterUpdate): from the vault
+ * when saving is on, otherwise from a copy kept for this tab only.
+ */
+async function applyUpdate() {
+    saveCurrentSession();
+    await SecureStore.flush();
+    if (AppState.selectedRole && AppState.answerPath.length > 0 && !AppState.previewMode) {
+        const marker = SecureStore.isUnlocked()
+            ? { role: AppState.selectedRole, id: AppState.sessionId }
+            : { role: AppState.selectedRole, session: buildSessionRecord(new Date().toISOString()) };
+        try {
+            sessionStorage.setItem(`${AppConfig.storagePrefix}.resumeAfterUpdate`, JSON.stringify(marker));
+        } catch (error) {
+            console.warn('Could not remember the session to resume', error);
+        }
+    }
+
+    updateState.reloading = true;
+    updateBanner.classList.add('hidden');
+    if (updateState.worker) {
+        // The page reloads once the new worker takes over (controllerchange)
+        updateState.worker.postMessage({ type: 'medilegal:skip-waiting' });
+    } else {
+        window.location.reload();
+    }
+}
+
+/**
+ * Reopen the session that was in progress when an update was applied.
+ * A session from the vault waits for the passphrase, as saved
+ * conversations are locked after the reload (see unlockVault).
+ */
+function resumeAfterUpdate() {
+    const key = `${AppConfig.storagePrefix}.resumeAfterUpdate`;
+    let saved = null;
+    try {
+        saved = JSON.parse(sessionStorage.getItem(key));
+    } catch (error) {
+        console.warn('Could not read the session to resume', error);
+    }
+    if (saved && saved.id && !SecureStore.isUnlocked()) return;
+    sessionStorage.removeItem(key);
+    if (!saved || !decisionTrees[saved.role]) return;
+
+    if (saved.session) {
+        restoreSession(saved.session);
+    } else {
+        resumeSession(saved.role, saved.id);
+    }
 }
 
 // ==========================================
@@ -611,50 +3231,756 @@ function createMessageElement(messageObj) {
 // ==========================================
 
 /**
- * Escape HTML to prevent XSS
+ * Escape HTML to prevent XSS. Double quotes are escaped too, so the
+ * result can be used inside attribute values.
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap an emoji so screen readers skip it
+ * @param {string} symbol - Decorative emoji
+ * @returns {string} HTML
+ */
+function decorativeIcon(symbol) {
+    return `<span aria-hidden="true">${symbol}</span>`;
+}
+
+/**
+ * Fetch and parse a JSON file
+ * @param {string} url - File URL
+ * @returns {Promise<*>} Parsed JSON
+ */
+async function fetchJson(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Request for ${url} failed with status ${response.status}`);
+    }
+    return response.json();
 }
 
 /**
  * Clear all chat messages
  */
 function clearChat() {
-    if (confirm('Are you sure you want to clear all messages?')) {
+    if (confirm(t('chat.confirmClear'))) {
+        const cleared = { role: AppState.selectedRole, sessionId: AppState.sessionId, reason: 'cleared' };
+        trackUsage('cleared');
+        endUsageRun('cleared');
+        cancelFollowUp();
+        stopVoice();
+        if (AppState.sessionId) {
+            SessionStore.remove(AppState.selectedRole, AppState.sessionId);
+        }
+        AppState.sessionId = createSessionId();
         AppState.messages = [];
         AppState.messageCount = 0;
         AppState.initialPromptShown = false;
         AppState.currentNodeId = null;
         AppState.flowCompleted = false;
+        AppState.answerPath = [];
+        AppState.incidentDate = null;
+        AppState.pendingIntent = null;
+        AppState.intentTarget = null;
+        AppState.timeline = [];
+        AppState.letters = [];
+        AppState.incidentReport = null;
+        AppState.escalation = null;
+        renderEscalation();
+        closeTimeline();
+        closeLetter();
+        closeReport();
         messagesContainer.innerHTML = '';
         userInput.value = '';
+        runPluginHook('onClear', cleared);
+        startUsageRun('flow_restarted');
         showInitialPrompt();
-        userInput.focus();
     }
 }
 
+// ==========================================
+// SAVED SESSIONS
+// ==========================================
+
+/**
+ * Generate a unique id for a new session
+ * @returns {string}
+ */
+function createSessionId() {
+    return `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Persist the current conversation so it can be resumed after a reload.
+ * Sessions without any answers are not worth keeping and are removed.
+ */
+function saveCurrentSession() {
+    if (AppState.previewMode || !AppState.selectedRole || !AppState.sessionId) return;
+
+    if (AppState.answerPath.length === 0) {
+        SessionStore.remove(AppState.selectedRole, AppState.sessionId);
+        return;
+    }
+
+    const existing = SessionStore.get(AppState.selectedRole, AppState.sessionId);
+    const now = new Date().toISOString();
+    SessionStore.save(Object.assign(buildSessionRecord(now), { createdAt: existing ? existing.createdAt : now }));
+}
+
+/**
+ * Build the session record of the current conversation
+ * @param {string} now - ISO time of the save
+ * @returns {Object} Session record, as kept by SessionStore
+ */
+function buildSessionRecord(now) {
+    return {
+        id: AppState.sessionId,
+        role: AppState.selectedRole,
+        treeVersion: getCurrentTree().version,
+        createdAt: now,
+        updatedAt: now,
+        messages: AppState.messages,
+        messageCount: AppState.messageCount,
+        currentNodeId: AppState.currentNodeId,
+        flowCompleted: AppState.flowCompleted,
+        answerPath: AppState.answerPath,
+        jurisdiction: AppState.jurisdiction,
+        incidentDate: AppState.incidentDate,
+        pendingIntent: AppState.pendingIntent,
+        intentTarget: AppState.intentTarget,
+        timeline: AppState.timeline,
+        letters: AppState.letters,
+        incidentReport: AppState.incidentReport,
+        escalation: AppState.escalation,
+        voiceMode: AppState.voiceMode
+    };
+}
+
+/**
+ * Restore a saved session and rebuild its transcript
+ * @param {string} role - Role id
+ * @param {string} id - Session id
+ */
+function resumeSession(role, id) {
+    const session = SessionStore.get(role, id);
+    if (!session) {
+        renderSavedSessions();
+        return;
+    }
+    restoreSession(session);
+}
+
+/**
+ * Put a session record back on screen and continue it
+ * @param {Object} session - Session record from buildSessionRecord
+ */
+function restoreSession(session) {
+    cancelFollowUp();
+    AppState.selectedRole = session.role;
+    AppState.sessionId = session.id;
+    AppState.messages = session.messages;
+    AppState.messageCount = session.messageCount;
+    AppState.initialPromptShown = true;
+    AppState.currentNodeId = session.currentNodeId;
+    AppState.flowCompleted = session.flowCompleted;
+    AppState.answerPath = session.answerPath;
+    AppState.incidentDate = session.incidentDate || null;
+    AppState.pendingIntent = session.pendingIntent || null;
+    AppState.intentTarget = session.intentTarget || null;
+    AppState.timeline = session.timeline || [];
+    AppState.letters = session.letters || [];
+    AppState.incidentReport = session.incidentReport || null;
+    AppState.escalation = session.escalation || null;
+    AppState.voiceMode = Boolean(session.voiceMode) && isVoiceAvailable();
+    stopVoice();
+    closeTimeline();
+    closeLetter();
+    closeReport();
+    if (session.jurisdiction && jurisdictions.some(item => item.id === session.jurisdiction)) {
+        AppState.jurisdiction = session.jurisdiction;
+        jurisdictionSelect.value = session.jurisdiction;
+    }
+
+    openChat(session.role);
+    startUsageRun('session_resumed');
+    runPluginHook('onRoleSelected', { role: session.role, sessionId: session.id, resumed: true });
+
+    AppState.messages.forEach(messageObj => {
+        messagesContainer.appendChild(createMessageElement(messageObj));
+    });
+    AppState.answerPath.forEach(markEditableAnswer);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+    updateBackButton();
+    updateAnswerControls();
+
+    if (session.treeVersion !== getCurrentTree().version) {
+        reconcileWithTree();
+    }
+
+    if (isEscalationPending()) {
+        escalationHeading.focus();
+    } else {
+        focusLatestBotMessage();
+    }
+    speakCurrentPrompt();
+}
+
+/**
+ * Delete a saved session after confirmation
+ * @param {string} role - Role id
+ * @param {string} id - Session id
+ */
+function deleteSession(role, id) {
+    if (confirm(t('sessions.confirmDelete'))) {
+        SessionStore.remove(role, id);
+        renderSavedSessions();
+    }
+}
+
+/**
+ * Render the list of resumable sessions on the role screen
+ */
+function renderSavedSessions() {
+    const sessions = SessionStore.listAll(Object.keys(decisionTrees));
+    savedSessionsSection.classList.toggle('hidden', sessions.length === 0);
+    savedSessionsNote.textContent = t('sessions.note', { days: AppConfig.sessionRetentionDays });
+
+    savedSessionsList.innerHTML = sessions.map(session => {
+        const savedAt = new Date(session.updatedAt).toLocaleString(getIntlLocale(), {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const answers = t('sessions.answers', { count: session.answerPath.length });
+        const status = t(session.flowCompleted ? 'sessions.completed' : 'sessions.inProgress');
+
+        const infoId = `${session.id}-info`;
+
+        return `
+            <li class="saved-session">
+                <div class="saved-session-info" id="${escapeHtml(infoId)}">
+                    <strong>${escapeHtml(getRoleLabel(session.role))}</strong>
+                    <span>${escapeHtml(savedAt)} · ${escapeHtml(answers)} · ${escapeHtml(status)}</span>
+                </div>
+                <div class="saved-session-actions">
+                    <button class="session-resume-btn" aria-describedby="${escapeHtml(infoId)}" data-session-action="resume" data-session-role="${escapeHtml(session.role)}" data-session-id="${escapeHtml(session.id)}">${escapeHtml(t('sessions.resume'))}</button>
+                    <button class="session-delete-btn" aria-describedby="${escapeHtml(infoId)}" data-session-action="delete" data-session-role="${escapeHtml(session.role)}" data-session-id="${escapeHtml(session.id)}">${escapeHtml(t('sessions.delete'))}</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+
+    if (!historyPanel.classList.contains('hidden')) renderHistory();
+}
+
+// ==========================================
+// HISTORY
+// ==========================================
+
+// The history panel sits under the saved sessions on the role screen. It
+// lists them with the guidance each one ended on, and searches their
+// questions, answers and guidance (see transcript.js).
+
+/**
+ * Show or hide the history panel
+ */
+function toggleHistory() {
+    if (historyPanel.classList.contains('hidden')) {
+        historyPanel.classList.remove('hidden');
+        historyOpenBtn.setAttribute('aria-expanded', 'true');
+        renderHistory();
+        historySearch.focus();
+    } else {
+        closeHistory();
+    }
+}
+
+/**
+ * Hide the history panel and clear its filters
+ */
+function closeHistory() {
+    historyPanel.classList.add('hidden');
+    historyOpenBtn.setAttribute('aria-expanded', 'false');
+    historyForm.reset();
+}
+
+/**
+ * Get the guidance a saved session ended on, in the current locale
+ * @param {Object} session - Saved session
+ * @returns {{ title: string, risk: string }|null} Null while the session is in progress
+ */
+function getSessionOutcome(session) {
+    const tree = getLocalizedTree(session.role);
+    const node = session.flowCompleted && tree ? tree.nodes[session.currentNodeId] : null;
+    if (!node || !node.guidance) return null;
+
+    return {
+        title: fillPlaceholders(node.guidance.title, getCapturedFields(session.answerPath)),
+        risk: assessRisk(tree, session.answerPath, node.guidance.risk).level
+    };
+}
+
+/**
+ * Fill the filter options, keeping what is selected, then the results
+ */
+function renderHistory() {
+    const roles = Object.keys(decisionTrees);
+    const role = historyRole.value;
+    const risk = historyRisk.value;
+    const option = ([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+
+    historyRole.innerHTML = [['', t('history.allRoles')]]
+        .concat(roles.map(id => [id, getRoleLabel(id)]))
+        .map(option)
+        .join('');
+    historyRole.value = roles.includes(role) ? role : '';
+
+    historyRisk.innerHTML = [
+        ['', t('history.allRisks')],
+        ['high', getRiskLabel('high')],
+        ['medium', getRiskLabel('medium')],
+        ['low', getRiskLabel('low')],
+        ['none', t('sessions.inProgress')]
+    ].map(option).join('');
+    historyRisk.value = risk;
+
+    renderHistoryResults();
+}
+
+/**
+ * List the saved sessions matching the search and filters
+ */
+function renderHistoryResults() {
+    const entries = SessionStore.listAll(Object.keys(decisionTrees)).map(session => ({
+        session: session,
+        outcome: getSessionOutcome(session)
+    }));
+    const results = filterHistory(entries, {
+        query: historySearch.value,
+        role: historyRole.value,
+        risk: historyRisk.value
+    });
+
+    historyStatus.textContent = results.length > 0
+        ? t('history.results', { count: results.length })
+        : t('history.noResults');
+
+    historyResults.innerHTML = results.map(({ session, outcome, hits }) => {
+        const savedAt = new Date(session.updatedAt).toLocaleString(getIntlLocale(), {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const outcomeHtml = outcome
+            ? `${getRiskBadge(outcome.risk)} ${escapeHtml(outcome.title)}`
+            : escapeHtml(t('sessions.inProgress'));
+        const hitsHtml = hits.map(hit => `
+            <li>
+                <span class="history-hit-type">${escapeHtml(t(`history.type.${hit.type}`))}</span>
+                <span class="history-hit-text">${highlightSnippet(hit.snippet)}</span>
+            </li>
+        `).join('');
+        const infoId = `${session.id}-history`;
+
+        return `
+            <li class="history-entry">
+                <div class="history-entry-info" id="${escapeHtml(infoId)}">
+                    <strong>${escapeHtml(getRoleLabel(session.role))}</strong>
+                    <span>${escapeHtml(savedAt)}</span>
+                    <span class="history-outcome">${outcomeHtml}</span>
+                </div>
+                ${hitsHtml ? `<ul class="history-hits">${hitsHtml}</ul>` : ''}
+                <button class="session-resume-btn" aria-describedby="${escapeHtml(infoId)}" data-history-action="resume" data-session-role="${escapeHtml(session.role)}" data-session-id="${escapeHtml(session.id)}">${escapeHtml(t('sessions.resume'))}</button>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Build the HTML for a search snippet with its matches marked
+ * @param {{ text: string, ranges: Array<[number, number]> }} snippet - From searchMessages
+ * @returns {string}
+ */
+function highlightSnippet(snippet) {
+    let html = '';
+    let position = 0;
+    snippet.ranges.forEach(([start, end]) => {
+        html += escapeHtml(snippet.text.slice(position, start));
+        html += `<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHtml(snippet.text.slice(position));
+}
+
+// ==========================================
+// ENCRYPTED STORAGE
+// ==========================================
+
+// Saved conversations are encrypted with a key derived from the user's
+// passphrase (see secure-storage.js). The panel on the role screen turns
+// saving on and unlocks it. Locking, by hand or after
+// AppConfig.autoLockMinutes without activity, also closes the
+// conversation on screen.
+
+// Message shown in the panel, whether a key is being derived, and the
+// auto-lock timer
+const vaultState = { error: null, notice: null, busy: false, timer: null };
+
+/**
+ * Show the panel for the current state: turn saving on, unlock, or
+ * lock now
+ */
+function renderVaultPanel() {
+    const unlocked = SecureStore.isUnlocked();
+    lockBtn.classList.toggle('hidden', !unlocked || AppState.previewMode);
+
+    const feedback = `
+        ${vaultState.notice ? `<p class="vault-notice">${escapeHtml(vaultState.notice)}</p>` : ''}
+        <div class="vault-errors" role="alert">${vaultState.error ? escapeHtml(vaultState.error) : ''}</div>`;
+    const submitAttributes = vaultState.busy ? ' disabled aria-busy="true"' : '';
+
+    if (!SecureStore.isSupported()) {
+        vaultPanel.innerHTML = `<p class="vault-note">${escapeHtml(t('vault.unsupported'))}</p>`;
+    } else if (unlocked) {
+        vaultPanel.innerHTML = `
+            <div class="vault-unlocked">
+                <p class="vault-note">${decorativeIcon('🔓')} ${escapeHtml(t('vault.unlocked', { minutes: AppConfig.autoLockMinutes }))}</p>
+                <button type="button" class="vault-lock-btn" data-vault-action="lock">${escapeHtml(t('vault.lock'))}</button>
+            </div>
+            ${feedback}`;
+    } else if (SecureStore.isSetUp()) {
+        vaultPanel.innerHTML = `
+            <form class="vault-form" data-vault-form="unlock" novalidate>
+                <h3>${decorativeIcon('🔒')} ${escapeHtml(t('vault.lockedHeading'))}</h3>
+                <p class="vault-note">${escapeHtml(t('vault.lockedNote'))}</p>
+                <label>
+                    <span>${escapeHtml(t('vault.passphrase'))}</span>
+                    <input type="password" name="passphrase" autocomplete="current-password" required>
+                </label>
+                <button type="submit" class="vault-submit-btn"${submitAttributes}>${escapeHtml(t('vault.unlock'))}</button>
+                ${feedback}
+            </form>`;
+    } else {
+        vaultPanel.innerHTML = `
+            <form class="vault-form" data-vault-form="setup" novalidate>
+                <h3>${decorativeIcon('🔒')} ${escapeHtml(t('vault.setupHeading'))}</h3>
+                <p class="vault-note">${escapeHtml(t('vault.setupNote'))}</p>
+                <label>
+                    <span>${escapeHtml(t('vault.newPassphrase', { length: AppConfig.minPassphraseLength }))}</span>
+                    <input type="password" name="passphrase" autocomplete="new-password" required>
+                </label>
+                <label>
+                    <span>${escapeHtml(t('vault.confirmPassphrase'))}</span>
+                    <input type="password" name="confirmation" autocomplete="new-password" required>
+                </label>
+                <button type="submit" class="vault-submit-btn"${submitAttributes}>${escapeHtml(t('vault.setup'))}</button>
+                ${feedback}
+            </form>`;
+    }
+}
+
+/**
+ * Turn saving on with the passphrase from the setup form
+ * @param {HTMLFormElement} form - Setup form
+ */
+async function setUpVault(form) {
+    const passphrase = form.elements.passphrase.value;
+    const confirmation = form.elements.confirmation.value;
+    vaultState.notice = null;
+    vaultState.error = null;
+    if (passphrase.length < AppConfig.minPassphraseLength) {
+        vaultState.error = t('vault.tooShort', { length: AppConfig.minPassphraseLength });
+    } else if (passphrase !== confirmation) {
+        vaultState.error = t('vault.mismatch');
+    }
+    if (vaultState.error) {
+        renderVaultPanel();
+        vaultPanel.querySelector('input[name="passphrase"]').focus();
+        return;
+    }
+
+    vaultState.busy = true;
+    renderVaultPanel();
+    try {
+        await SecureStore.setUp(passphrase, AppConfig.passphraseIterations);
+        vaultState.notice = t('vault.setupDone');
+    } catch (error) {
+        console.error('Could not turn on encrypted saving', error);
+        vaultState.error = t(error.code === 'unsupported' ? 'vault.unsupported' : 'vault.failed');
+    }
+    vaultState.busy = false;
+    restartAutoLock();
+    renderVaultPanel();
+    renderSavedSessions();
+}
+
+/**
+ * Unlock saved conversations with the passphrase from the unlock form
+ * @param {HTMLFormElement} form - Unlock form
+ */
+async function unlockVault(form) {
+    const passphrase = form.elements.passphrase.value;
+    vaultState.notice = null;
+    vaultState.error = null;
+    vaultState.busy = true;
+    renderVaultPanel();
+
+    try {
+        await SecureStore.unlock(passphrase);
+    } catch (error) {
+        vaultState.error = t(error.code === 'passphrase' ? 'vault.wrongPassphrase' : 'vault.failed');
+    }
+    vaultState.busy = false;
+    renderVaultPanel();
+    if (vaultState.error) {
+        vaultPanel.querySelector('input[name="passphrase"]').focus();
+        return;
+    }
+
+    restartAutoLock();
+    renderSavedSessions();
+    resumeAfterUpdate();
+}
+
+/**
+ * Lock saved conversations and close the one on screen. It was saved
+ * as it went, so it can be resumed after unlocking.
+ * @param {string} [notice] - Why it was locked, shown in the panel
+ */
+async function lockVault(notice) {
+    if (!SecureStore.isUnlocked()) return;
+
+    if (AppState.selectedRole && !AppState.previewMode) {
+        saveCurrentSession();
+        endUsageRun('closed');
+        leaveConversation();
+        roleHeading.focus();
+    }
+    if (analyticsSink && analyticsSink.flush) analyticsSink.flush();
+    await SecureStore.flush();
+    SecureStore.lock();
+    clearTimeout(vaultState.timer);
+    vaultState.error = null;
+    vaultState.notice = notice || null;
+    renderVaultPanel();
+    renderSavedSessions();
+}
+
+/**
+ * Start the inactivity timer again. Runs on every key press, tap and
+ * input while saved conversations are unlocked.
+ */
+function restartAutoLock() {
+    clearTimeout(vaultState.timer);
+    vaultState.timer = null;
+    if (!SecureStore.isUnlocked() || !AppConfig.autoLockMinutes) return;
+
+    vaultState.timer = setTimeout(() => {
+        lockVault(t('vault.autoLocked', { minutes: AppConfig.autoLockMinutes }));
+    }, AppConfig.autoLockMinutes * 60 * 1000);
+}
+
+/**
+ * Delete everything at once, without asking: the conversation in memory
+ * and on screen, the saved conversations and passphrase, and every
+ * other value the app stored on this device
+ */
+function panicWipe() {
+    SecureStore.wipe();
+    clearWipedData();
+}
+
+/**
+ * Close the conversation and reset the screen once everything stored
+ * was deleted, in this tab or in another one
+ */
+function clearWipedData() {
+    clearTimeout(vaultState.timer);
+    // Nothing about the wiped conversation is recorded, not even that it ended
+    analyticsRun.id = null;
+    if (analyticsSink && analyticsSink.clear) analyticsSink.clear();
+
+    leaveConversation();
+    AppState.messages = [];
+    AppState.messageCount = 0;
+    AppState.initialPromptShown = false;
+    AppState.incidentDate = null;
+    AppState.jurisdiction = GENERIC_JURISDICTION;
+    jurisdictionSelect.value = GENERIC_JURISDICTION;
+    timelineForm.reset();
+    letterForm.reset();
+
+    vaultState.error = null;
+    vaultState.notice = t('vault.wiped');
+    renderVaultPanel();
+    announce(t('vault.wiped'));
+    roleHeading.focus();
+}
+
 // ==========================================
 // INITIALIZATION
 // ==========================================
 
+/**
+ * Put the widget into a container and start it. index.html marks its
+ * container with data-medilegal-mount="standalone"; other pages call
+ * this themselves once the scripts have loaded. One widget can be
+ * mounted per page.
+ * @param {HTMLElement} container - Element the widget fills; its content is replaced
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Overrides for AppConfig, e.g. { treesPath: '/medilegal/trees' }
+ * @param {Array<Object>} [options.plugins] - Plugins to register first (see plugins.js)
+ * @param {boolean} [options.standalone] - The widget is the whole page: it
+ *   translates the page title, takes keyboard shortcuts from anywhere on
+ *   the page, links to the editor and dashboard, runs the editor preview
+ *   and registers the service worker
+ * @throws {Error} When a widget is already mounted or a plugin is not valid
+ */
+function mountApp(container, options = {}) {
+    if (widgetRoot) throw new Error('MediLegal AI is already mounted on this page');
+
+    Object.assign(AppConfig, options.config);
+    (options.plugins || []).forEach(registerPlugin);
+    container.innerHTML = WIDGET_MARKUP;
+    container.classList.add('medilegal-widget');
+    widgetRoot = container;
+    widgetStandalone = Boolean(options.standalone);
+    bindElements();
+    initializeApp();
+}
+
+/**
+ * Translate the widget's fixed text, and the page title and language
+ * when the widget is the whole page
+ */
+function translateWidget() {
+    applyTranslations(widgetRoot);
+    widgetRoot.lang = getLocale();
+    if (widgetStandalone) {
+        document.documentElement.lang = getLocale();
+        applyTranslations(document.head);
+    }
+}
+
 /**
  * Initialize the application
  */
 function initializeApp() {
     console.log('MediLegal AI Chatbot initialized');
+    const preview = widgetStandalone && new URLSearchParams(window.location.search).has('preview');
+    // The editor's preview keeps its settings apart from the app's
+    if (preview) AppConfig.storagePrefix = `${AppConfig.storagePrefix}.preview`;
     initializeEventListeners();
 
+    setLocale(loadLocalePreference());
+    translateWidget();
+    renderLocaleOptions();
+    applyDisplayPreferences(loadDisplayPreferences());
+    renderDisplaySettings();
+
+    if (AppConfig.answerEndpoint) {
+        setAnswerProvider(createHttpAnswerProvider({ endpoint: AppConfig.answerEndpoint }));
+    }
+    if (AppConfig.usageAnalytics) {
+        setAnalyticsSink(AppConfig.analyticsEndpoint
+            ? createHttpAnalyticsSink({ endpoint: AppConfig.analyticsEndpoint })
+            : createLocalAnalyticsSink({ key: `${AppConfig.storagePrefix}.analytics` }));
+    }
+
     // Ensure proper initial state
     roleSection.classList.remove('hidden');
     chatSection.classList.add('hidden');
     yesBtn.disabled = true;
     noBtn.disabled = true;
+    backBtn.disabled = true;
+    editorLinks.classList.toggle('hidden', !widgetStandalone);
+    renderRoleButtons();
+
+    if (preview) {
+        startPreviewMode();
+        return;
+    }
+
+    // Roles become available once their decision tree has loaded
+    loadDecisionTrees()
+        .then(showTreeErrors)
+        .catch(error => showTreeErrors([`Could not load decision trees: ${error.message}`]))
+        .finally(() => {
+            AppState.jurisdiction = loadJurisdictionPreference();
+            renderJurisdictionOptions();
+            renderRoleButtons();
+            renderVaultPanel();
+            renderSavedSessions();
+            resumeAfterUpdate();
+        });
+
+    if (widgetStandalone) registerServiceWorker();
+}
+
+/**
+ * Run a draft tree sent by the editor (editor.html) instead of the
+ * published trees. The jurisdictions and emergency numbers still come
+ * from the manifest. The editor posts the tree once this page is ready.
+ */
+async function startPreviewMode() {
+    AppState.previewMode = true;
+    changeRoleBtn.disabled = true;
+    panicWipeBtn.classList.add('hidden');
+    try {
+        const manifest = await fetchJson(`${AppConfig.treesPath}/manifest.json`);
+        setJurisdictions(manifest.jurisdictions);
+        setEmergencyContacts(manifest.emergencyContacts);
+    } catch (error) {
+        showTreeErrors([`Could not load decision trees: ${error.message}`]);
+    }
+    AppState.jurisdiction = loadJurisdictionPreference();
+    renderJurisdictionOptions();
+
+    window.addEventListener('message', (event) => {
+        if (event.origin !== window.location.origin) return;
+        if (!event.data || event.data.type !== 'medilegal:preview-tree') return;
+
+        const tree = event.data.tree;
+        const result = validateTree(tree);
+        if (!result.valid) {
+            showTreeErrors(result.errors);
+            return;
+        }
+
+        Object.keys(decisionTrees).forEach(id => delete decisionTrees[id]);
+        decisionTrees[tree.id] = tree;
+        selectRole(tree.id);
+    });
+
+    window.parent.postMessage({ type: 'medilegal:preview-ready' }, window.location.origin);
+}
+
+/**
+ * Show decision tree loading/validation errors on the role screen
+ * @param {Array<string>} errors - Error messages
+ */
+function showTreeErrors(errors) {
+    treeErrors.classList.toggle('hidden', errors.length === 0);
+    if (errors.length === 0) return;
+
+    errors.forEach(error => console.error(`Decision tree error: ${error}`));
+    treeErrors.innerHTML = `
+        <strong>${escapeHtml(t('errors.heading'))}</strong>
+        <ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+    `;
 }
 
-// Start the app when DOM is ready
-document.addEventListener('DOMContentLoaded', initializeApp);
+// Mount the widget where the page asks for it once the DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const container = document.querySelector('[data-medilegal-mount]');
+    if (container) mountApp(container, { standalone: container.dataset.medilegalMount === 'standalone' });
+});
@@ -0,0 +1,363 @@
+/* ============================================
+   MediLegal AI - Case Summary Export
+   ============================================ */
+
+// ==========================================
+// SUMMARY DATA
+// ==========================================
+
+/**
+ * Build a structured summary of the completed guided flow
+ * @returns {Object} Case summary
+ */
+function buildCaseSummary() {
+    const tree = getCurrentTree();
+    const leaf = tree.nodes[AppState.currentNodeId] || {};
+    const guidance = resolveGuidance(leaf.guidance || { title: '', risk: 'medium', bullets: [], nextSteps: [] });
+    const jurisdiction = guidance.jurisdiction || 'generic';
+    const fields = getCapturedFields();
+    const riskLevel = (guidance.risk || 'medium').toLowerCase();
+
+    return {
+        generatedAt: new Date().toISOString(),
+        sessionId: AppState.sessionId,
+        role: AppState.selectedRole,
+        roleLabel: getRoleLabel(AppState.selectedRole),
+        treeVersion: tree.version,
+        locale: getLocale(),
+        jurisdiction: jurisdiction,
+        jurisdictionLabel: getJurisdictionLabel(jurisdiction),
+        incidentDate: getIncidentDate(),
+        steps: AppState.answerPath.map(step => ({
+            nodeId: step.nodeId,
+            question: tree.nodes[step.nodeId] ? fillPlaceholders(tree.nodes[step.nodeId].question, fields) : '',
+            answer: getAnswerLabel(tree.nodes[step.nodeId], step),
+            answeredAt: step.answeredAt || null,
+            inferred: Boolean(step.inferred)
+        })),
+        guidance: {
+            nodeId: AppState.currentNodeId,
+            title: guidance.title,
+            riskLevel: riskLevel,
+            riskLabel: getRiskLabel(riskLevel),
+            riskScore: guidance.riskAssessment.score,
+            riskBaseLevel: guidance.riskAssessment.baseLevel,
+            riskFactors: guidance.riskAssessment.factors.map(factor => ({ ...factor })),
+            riskExplanation: describeRiskAssessment(guidance.riskAssessment),
+            keyPoints: guidance.bullets.slice(),
+            nextSteps: guidance.nextSteps.slice(),
+            deadlines: guidance.deadlines.map(deadline => ({ ...deadline }))
+        },
+        timeline: sortTimeline(AppState.timeline).map(event => ({
+            date: event.date,
+            time: event.time,
+            description: event.description,
+            people: event.people.slice(),
+            files: event.files.map(file => ({ ...file }))
+        })),
+        escalation: AppState.escalation
+            ? {
+                startedAt: AppState.escalation.startedAt,
+                acknowledgedAt: AppState.escalation.acknowledgedAt,
+                checklist: AppState.escalation.checklist.map(step => ({ ...step }))
+            }
+            : null,
+        disclaimer: t('disclaimer')
+    };
+}
+
+/**
+ * Build a download filename for a summary
+ * @param {Object} summary - Case summary
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+function getSummaryFilename(summary, extension) {
+    const date = summary.generatedAt.slice(0, 10);
+    return `medilegal-summary-${summary.role}-${date}.${extension}`;
+}
+
+/**
+ * Format an ISO timestamp for display in exports
+ * @param {string|null} iso - ISO timestamp
+ * @returns {string}
+ */
+function formatSummaryTime(iso) {
+    if (!iso) return t('summary.unknownTime');
+    return new Date(iso).toLocaleString(getIntlLocale(), {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// ==========================================
+// FORMATS
+// ==========================================
+
+/**
+ * Serialize a summary as pretty-printed JSON
+ * @param {Object} summary - Case summary
+ * @returns {string}
+ */
+function summaryToJson(summary) {
+    return JSON.stringify(summary, null, 2);
+}
+
+/**
+ * Render a summary as Markdown
+ * @param {Object} summary - Case summary
+ * @returns {string}
+ */
+function summaryToMarkdown(summary) {
+    const lines = [
+        `# ${t('summary.title')}`,
+        '',
+        `- **${t('summary.role')}:** ${summary.roleLabel}`,
+        `- **${t('summary.generated')}:** ${formatSummaryTime(summary.generatedAt)}`,
+        `- **${t('summary.version')}:** ${summary.treeVersion}`,
+        `- **${t('summary.jurisdiction')}:** ${summary.jurisdictionLabel}`,
+        '',
+        `## ${t('summary.questions')}`,
+        ''
+    ];
+
+    summary.steps.forEach((step, index) => {
+        const when = formatSummaryTime(step.answeredAt);
+        const note = step.inferred ? `${t('summary.inferred')}, ${when}` : when;
+        lines.push(`${index + 1}. ${step.question} — **${step.answer}** _(${note})_`);
+    });
+
+    lines.push(
+        '',
+        `## ${t('summary.guidance', { title: summary.guidance.title })}`,
+        '',
+        `**${t('guidance.risk')}:** ${summary.guidance.riskLabel} (${t('risk.score', { score: summary.guidance.riskScore })})`,
+        '',
+        `${t('risk.why')}:`,
+        '',
+        ...summary.guidance.riskExplanation.map(line => `- ${line}`),
+        '',
+        `### ${t('guidance.keyPoints')}`,
+        '',
+        ...summary.guidance.keyPoints.map(item => `- ${item}`),
+        '',
+        `### ${t('guidance.nextSteps')}`,
+        '',
+        ...summary.guidance.nextSteps.map(item => `- ${item}`),
+        ''
+    );
+
+    if (summary.guidance.deadlines.length > 0) {
+        lines.push(
+            `### ${t('guidance.deadlines')}`,
+            '',
+            ...summary.guidance.deadlines.map(deadline => `- ${describeDeadline(deadline)}`),
+            ''
+        );
+    }
+
+    if (summary.escalation) {
+        const acknowledged = summary.escalation.acknowledgedAt
+            ? formatSummaryTime(summary.escalation.acknowledgedAt)
+            : t('summary.notAcknowledged');
+        lines.push(
+            `## ${t('summary.emergency')}`,
+            '',
+            `**${t('summary.acknowledged')}:** ${acknowledged}`,
+            '',
+            ...summary.escalation.checklist.map(step => step.doneAt
+                ? `- [x] ${step.text} _(${formatSummaryTime(step.doneAt)})_`
+                : `- [ ] ${step.text}`),
+            ''
+        );
+    }
+
+    if (summary.timeline.length > 0) {
+        lines.push(`## ${t('summary.timeline')}`, '');
+        summary.timeline.forEach((event, index) => {
+            lines.push(`${index + 1}. **${formatEventDate(event)}** — ${event.description.replace(/\n+/g, ' ')}`);
+            if (event.people.length > 0) {
+                lines.push(`   - ${t('summary.people')}: ${event.people.join(', ')}`);
+            }
+            if (event.files.length > 0) {
+                lines.push(`   - ${t('summary.files')}: ${event.files.map(file => file.name).join(', ')}`);
+            }
+        });
+        lines.push('');
+    }
+
+    lines.push(
+        '---',
+        '',
+        `_${summary.disclaimer}_`,
+        ''
+    );
+
+    return lines.join('\n');
+}
+
+/**
+ * Render a summary as a standalone, print-friendly HTML document
+ * @param {Object} summary - Case summary
+ * @returns {string}
+ */
+function summaryToHtml(summary) {
+    const steps = summary.steps
+        .map(step => `
+            <tr>
+                <td>${escapeHtml(step.question)}</td>
+                <td><strong>${escapeHtml(step.answer)}</strong></td>
+                <td>${escapeHtml(formatSummaryTime(step.answeredAt))}${step.inferred ? `<br><em>${escapeHtml(t('summary.inferred'))}</em>` : ''}</td>
+            </tr>`)
+        .join('');
+    const keyPoints = summary.guidance.keyPoints.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+    const nextSteps = summary.guidance.nextSteps.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+    const deadlines = summary.guidance.deadlines.length > 0
+        ? `<h3>${escapeHtml(t('guidance.deadlines'))}</h3>
+    <ul>${summary.guidance.deadlines.map(deadline => `<li>${escapeHtml(describeDeadline(deadline))}</li>`).join('')}</ul>`
+        : '';
+    const escalation = summary.escalation
+        ? `<h2>${escapeHtml(t('summary.emergency'))}</h2>
+    <p><strong>${escapeHtml(t('summary.acknowledged'))}:</strong> ${escapeHtml(summary.escalation.acknowledgedAt ? formatSummaryTime(summary.escalation.acknowledgedAt) : t('summary.notAcknowledged'))}</p>
+    <table>
+        <thead><tr><th>${escapeHtml(t('emergency.checklist'))}</th><th>${escapeHtml(t('summary.when'))}</th></tr></thead>
+        <tbody>${summary.escalation.checklist.map(step => `
+            <tr>
+                <td>${escapeHtml(step.text)}</td>
+                <td>${escapeHtml(step.doneAt ? formatSummaryTime(step.doneAt) : t('summary.notDone'))}</td>
+            </tr>`).join('')}</tbody>
+    </table>`
+        : '';
+    const timeline = summary.timeline.length > 0
+        ? `<h2>${escapeHtml(t('summary.timeline'))}</h2>
+    <table>
+        <thead><tr><th>${escapeHtml(t('summary.when'))}</th><th>${escapeHtml(t('summary.event'))}</th><th>${escapeHtml(t('summary.people'))}</th><th>${escapeHtml(t('summary.files'))}</th></tr></thead>
+        <tbody>${summary.timeline.map(event => `
+            <tr>
+                <td>${escapeHtml(formatEventDate(event))}</td>
+                <td class="pre-line">${escapeHtml(event.description)}</td>
+                <td>${escapeHtml(event.people.join(', '))}</td>
+                <td>${event.files.map(file => escapeHtml(file.name)).join('<br>')}</td>
+            </tr>`).join('')}</tbody>
+    </table>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(summary.locale)}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(t('summary.title'))}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #101214; margin: 2rem; line-height: 1.5; }
+        h1, h2, h3 { color: #0a2342; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 1.5rem; }
+        th, td { border: 1px solid #d6deea; padding: 0.5rem; text-align: left; vertical-align: top; }
+        th { background: #eef3fa; }
+        .meta { color: #4a5568; }
+        .pre-line { white-space: pre-line; }
+        .disclaimer { margin-top: 2rem; padding-top: 1rem; border-top: 1px solid #d6deea; font-style: italic; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(t('summary.title'))}</h1>
+    <p class="meta">${escapeHtml(t('summary.role'))}: <strong>${escapeHtml(summary.roleLabel)}</strong> · ${escapeHtml(t('summary.generated'))}: ${escapeHtml(formatSummaryTime(summary.generatedAt))} · ${escapeHtml(t('summary.version'))}: ${escapeHtml(summary.treeVersion)} · ${escapeHtml(t('summary.jurisdiction'))}: ${escapeHtml(summary.jurisdictionLabel)}</p>
+
+    <h2>${escapeHtml(t('summary.questions'))}</h2>
+    <table>
+        <thead><tr><th>${escapeHtml(t('summary.question'))}</th><th>${escapeHtml(t('summary.answer'))}</th><th>${escapeHtml(t('summary.answered'))}</th></tr></thead>
+        <tbody>${steps}</tbody>
+    </table>
+
+    <h2>${escapeHtml(t('summary.guidance', { title: summary.guidance.title }))}</h2>
+    <p><strong>${escapeHtml(t('guidance.risk'))}:</strong> ${escapeHtml(summary.guidance.riskLabel)} (${escapeHtml(t('risk.score', { score: summary.guidance.riskScore }))})</p>
+    <p class="meta">${escapeHtml(t('risk.why'))}:</p>
+    <ul>${summary.guidance.riskExplanation.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+    <h3>${escapeHtml(t('guidance.keyPoints'))}</h3>
+    <ul>${keyPoints}</ul>
+    <h3>${escapeHtml(t('guidance.nextSteps'))}</h3>
+    <ul>${nextSteps}</ul>
+    ${deadlines}
+
+    ${escalation}
+
+    ${timeline}
+
+    <p class="disclaimer">${escapeHtml(summary.disclaimer)}</p>
+</body>
+</html>`;
+}
+
+/**
+ * Render plain text (a letter or a report draft) as a printable HTML document
+ * @param {string} title - Document title
+ * @param {string} text - Plain text, printed with its line breaks
+ * @param {string} locale - Language of the text
+ * @returns {string}
+ */
+function plainTextToHtml(title, text, locale) {
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: Georgia, 'Times New Roman', serif; color: #101214; margin: 2.5cm; line-height: 1.5; }
+        .document { white-space: pre-wrap; }
+    </style>
+</head>
+<body>
+    <div class="document">${escapeHtml(text)}</div>
+</body>
+</html>`;
+}
+
+// ==========================================
+// OUTPUT
+// ==========================================
+
+/**
+ * Open the summary in a new window and start printing
+ * @param {Object} summary - Case summary
+ * @returns {boolean} False when the window could not be opened
+ */
+function openPrintableSummary(summary) {
+    return openPrintableDocument(summaryToHtml(summary));
+}
+
+/**
+ * Open an HTML document in a new window and start printing
+ * @param {string} html - Complete HTML document
+ * @returns {boolean} False when the window could not be opened
+ */
+function openPrintableDocument(html) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return false;
+
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return true;
+}
+
+/**
+ * Trigger a browser download of generated text
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,313 @@
+/* ============================================
+   MediLegal AI - Usage Dashboard
+   ============================================ */
+
+// ==========================================
+// STATE MANAGEMENT
+// ==========================================
+
+// secure-storage.js finds the app's vault by its storage prefix
+const AppConfig = { storagePrefix: 'medilegal' };
+
+const DashboardState = {
+    trees: {}, // Published trees by file name, for question and guidance wording
+    events: [], // Usage events being shown (see analytics.js)
+    source: 'device', // 'device' or the name of an imported file
+    treesPath: 'trees', // Folder holding manifest.json and the tree files
+    storageKey: `${AppConfig.storagePrefix}.analytics` // Where the app keeps events recorded on this device, inside the vault
+};
+
+const deviceSink = createLocalAnalyticsSink({ key: DashboardState.storageKey });
+
+// ==========================================
+// DOM ELEMENTS
+// ==========================================
+
+const treeSelect = document.getElementById('treeSelect');
+const importInput = document.getElementById('importInput');
+const deviceEventsBtn = document.getElementById('deviceEventsBtn');
+const exportBtn = document.getElementById('exportBtn');
+const clearEventsBtn = document.getElementById('clearEventsBtn');
+const sourceNote = document.getElementById('sourceNote');
+const unlockForm = document.getElementById('unlockForm');
+const funnelChart = document.getElementById('funnelChart');
+const dropOffChart = document.getElementById('dropOffChart');
+const branchChart = document.getElementById('branchChart');
+const leafChart = document.getElementById('leafChart');
+
+// ==========================================
+// EVENT LISTENERS
+// ==========================================
+
+/**
+ * Initialize event listeners
+ */
+function initializeDashboardListeners() {
+    treeSelect.addEventListener('change', renderDashboard);
+    importInput.addEventListener('change', importEventsFile);
+    deviceEventsBtn.addEventListener('click', showDeviceEvents);
+    exportBtn.addEventListener('click', exportEvents);
+    clearEventsBtn.addEventListener('click', clearDeviceEvents);
+    unlockForm.addEventListener('submit', unlockDeviceEvents);
+    // The app in another tab recorded or deleted events
+    window.addEventListener('storage', async (e) => {
+        const result = await SecureStore.handleStorageChange(e).catch(() => null);
+        if (result && DashboardState.source === 'device') showDeviceEvents();
+    });
+}
+
+// ==========================================
+// LOADING AND SAVING
+// ==========================================
+
+/**
+ * Load every published tree and fill the tree picker
+ */
+async function loadTrees() {
+    try {
+        const manifest = await fetchJson(`${DashboardState.treesPath}/manifest.json`);
+        for (const entry of manifest.trees) {
+            DashboardState.trees[entry.file] = await fetchJson(`${DashboardState.treesPath}/${entry.file}`);
+        }
+        treeSelect.innerHTML = manifest.trees
+            .map(entry => `<option value="${escapeHtml(entry.file)}">${escapeHtml(entry.id)}</option>`)
+            .join('');
+        renderDashboard();
+    } catch (error) {
+        sourceNote.innerHTML = `<span class="editor-error">Could not load trees: ${escapeHtml(error.message)}</span>`;
+    }
+}
+
+/**
+ * Show the events the app recorded in this browser. They are kept in the
+ * app's vault, so the passphrase is asked for first.
+ */
+function showDeviceEvents() {
+    unlockForm.hidden = !SecureStore.isSetUp() || SecureStore.isUnlocked();
+    DashboardState.events = deviceSink.read();
+    DashboardState.source = 'device';
+    renderDashboard();
+}
+
+/**
+ * Unlock the vault with the passphrase set in the app
+ * @param {SubmitEvent} event - Unlock form submission
+ */
+async function unlockDeviceEvents(event) {
+    event.preventDefault();
+    try {
+        await SecureStore.unlock(unlockForm.elements.passphrase.value);
+    } catch (error) {
+        const message = error.code === 'passphrase' ? 'The passphrase is not correct.' : `Could not unlock: ${error.message}`;
+        sourceNote.innerHTML = `<span class="editor-error">${escapeHtml(message)}</span>`;
+        return;
+    }
+    unlockForm.reset();
+    showDeviceEvents();
+}
+
+/**
+ * Show events from a JSON file, e.g. collected by the HTTP sink. The
+ * file holds an array of events or { "events": [...] }.
+ */
+function importEventsFile() {
+    const file = importInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const data = JSON.parse(reader.result);
+            const events = Array.isArray(data) ? data : data && data.events;
+            if (!Array.isArray(events)) throw new Error('File does not contain a list of events.');
+            DashboardState.events = events;
+            DashboardState.source = file.name;
+            renderDashboard();
+        } catch (error) {
+            sourceNote.innerHTML = `<span class="editor-error">Could not import ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</span>`;
+        }
+        importInput.value = '';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Download the events being shown as JSON
+ */
+function exportEvents() {
+    const blob = new Blob([`${JSON.stringify({ events: DashboardState.events }, null, 4)}\n`], { type: 'application/json;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'medilegal-usage-events.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Delete the events recorded in this browser after confirmation
+ */
+function clearDeviceEvents() {
+    if (!confirm('Delete all usage events recorded in this browser?')) return;
+    deviceSink.clear();
+    showDeviceEvents();
+}
+
+// ==========================================
+// RENDERING
+// ==========================================
+
+/**
+ * Summarize the events for the selected tree and draw every chart
+ */
+function renderDashboard() {
+    const tree = DashboardState.trees[treeSelect.value];
+    if (!tree) return;
+
+    const summary = summarizeUsage(DashboardState.events, tree);
+    const from = DashboardState.source === 'device' ? describeDeviceSource() : `from ${DashboardState.source}`;
+    sourceNote.textContent = `${DashboardState.events.length} events ${from}; ${summary.runs} conversations started with the ${tree.id} tree.`;
+
+    const started = summary.funnel[0].count;
+    funnelChart.innerHTML = renderBars(summary.funnel.map(item => ({
+        label: describeFunnelStep(item.step),
+        count: item.count
+    })), started);
+
+    const abandonedTotal = summary.abandoned.reduce((total, item) => total + item.count, 0);
+    dropOffChart.innerHTML = renderBars(summary.abandoned.map(item => ({
+        label: describeNode(tree, item.nodeId),
+        count: item.count
+    })), abandonedTotal);
+
+    branchChart.innerHTML = summary.branches.map(branch => `
+        <div class="usage-branch">
+            <h3>${escapeHtml(describeNode(tree, branch.nodeId))}</h3>
+            <p class="editor-preview-note">Shown in ${branch.visits} conversation(s)</p>
+            ${renderBars(branch.answers.map(item => ({
+                label: describeAnswer(tree.nodes[branch.nodeId], item.value),
+                count: item.count
+            })), branch.visits)}
+        </div>
+    `).join('');
+
+    const completedTotal = summary.leaves.reduce((total, item) => total + item.count, 0);
+    leafChart.innerHTML = renderBars(summary.leaves.map(item => ({
+        label: describeNode(tree, item.nodeId),
+        count: item.count
+    })), completedTotal);
+}
+
+/**
+ * Describe where the device's events come from
+ * @returns {string}
+ */
+function describeDeviceSource() {
+    if (!SecureStore.isSetUp()) return 'recorded in this browser (none are recorded until a passphrase is set in the app)';
+    if (!SecureStore.isUnlocked()) return 'recorded in this browser (locked: enter the passphrase to see them)';
+    return 'recorded in this browser';
+}
+
+/**
+ * Draw a horizontal bar chart
+ * @param {Array<{ label: string, count: number }>} rows - Bars, top to bottom
+ * @param {number} total - Count that fills a whole bar
+ * @returns {string} HTML
+ */
+function renderBars(rows, total) {
+    if (rows.length === 0) return '<p class="editor-empty">No data yet.</p>';
+
+    return `<ul class="usage-bars">${rows.map(row => {
+        const share = total > 0 ? Math.round((row.count / total) * 100) : 0;
+        return `
+            <li class="usage-bar-row">
+                <span class="usage-bar-label">${escapeHtml(row.label)}</span>
+                <span class="usage-bar" aria-hidden="true"><span class="usage-bar-fill" style="width: ${Math.min(share, 100)}%"></span></span>
+                <span class="usage-bar-value">${row.count} (${share}%)</span>
+            </li>
+        `;
+    }).join('')}</ul>`;
+}
+
+/**
+ * Describe a funnel step from summarizeUsage
+ * @param {string} step - 'started', 'answered-<n>' or 'completed'
+ * @returns {string}
+ */
+function describeFunnelStep(step) {
+    if (step === 'started') return 'Started';
+    if (step === 'completed') return 'Reached guidance';
+    return `Answered ${step.replace('answered-', '')} question(s)`;
+}
+
+/**
+ * Describe a node by its question or guidance title
+ * @param {Object} tree - Decision tree
+ * @param {string|null} nodeId - Node id
+ * @returns {string}
+ */
+function describeNode(tree, nodeId) {
+    const node = tree.nodes[nodeId];
+    if (!node) return `${nodeId || 'Before the first question'} (not in this version)`;
+    const text = node.question || (node.guidance && node.guidance.title) || '';
+    return `${nodeId}: ${text}`;
+}
+
+/**
+ * Describe a recorded answer value
+ * @param {Object} node - Question node
+ * @param {string} value - Recorded value; 'text' for typed answers
+ * @returns {string}
+ */
+function describeAnswer(node, value) {
+    const option = (node.options || []).find(item => item.value === value);
+    if (option) return option.label;
+    if (value === 'yes') return 'Yes';
+    if (value === 'no') return 'No';
+    return value === 'text' ? 'Answered (text not recorded)' : value;
+}
+
+// ==========================================
+// UTILITY FUNCTIONS
+// ==========================================
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Fetch and parse a JSON file
+ * @param {string} url - File URL
+ * @returns {Promise<*>} Parsed JSON
+ */
+async function fetchJson(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Request for ${url} failed with status ${response.status}`);
+    }
+    return response.json();
+}
+
+// ==========================================
+// INITIALIZATION
+// ==========================================
+
+/**
+ * Initialize the dashboard
+ */
+function initializeDashboard() {
+    initializeDashboardListeners();
+    showDeviceEvents();
+    loadTrees();
+}
+
+document.addEventListener('DOMContentLoaded', initializeDashboard);
@@ -0,0 +1,855 @@
+/* ============================================
+   MediLegal AI - Decision Tree Editor
+   ============================================ */
+
+// ==========================================
+// STATE MANAGEMENT
+// ==========================================
+
+const EditorState = {
+    tree: null, // Draft tree being edited, same format as trees/*.json
+    selectedId: null, // Node shown in the edit form
+    treesPath: 'trees' // Folder holding manifest.json and the tree files
+};
+
+const GRAPH_LAYOUT = {
+    columnWidth: 250,
+    rowHeight: 110,
+    nodeWidth: 200,
+    nodeHeight: 76,
+    padding: 24
+};
+
+// ==========================================
+// DOM ELEMENTS
+// ==========================================
+
+const treeSelect = document.getElementById('treeSelect');
+const importInput = document.getElementById('importInput');
+const addNodeBtn = document.getElementById('addNodeBtn');
+const exportBtn = document.getElementById('exportBtn');
+const treeIdInput = document.getElementById('treeIdInput');
+const treeVersionInput = document.getElementById('treeVersionInput');
+const treeStartSelect = document.getElementById('treeStartSelect');
+const graphCanvas = document.getElementById('graphCanvas');
+const graphEdges = document.getElementById('graphEdges');
+const nodeForm = document.getElementById('nodeForm');
+const validationPanel = document.getElementById('validationPanel');
+const runPreviewBtn = document.getElementById('runPreviewBtn');
+const previewFrame = document.getElementById('previewFrame');
+
+// ==========================================
+// EVENT LISTENERS
+// ==========================================
+
+/**
+ * Initialize event listeners
+ */
+function initializeEditorListeners() {
+    treeSelect.addEventListener('change', () => loadTreeFile(treeSelect.value));
+    importInput.addEventListener('change', importTreeFile);
+    addNodeBtn.addEventListener('click', addNode);
+    exportBtn.addEventListener('click', exportTree);
+    runPreviewBtn.addEventListener('click', runPreview);
+
+    treeIdInput.addEventListener('input', () => {
+        EditorState.tree.id = treeIdInput.value.trim();
+        refreshValidation();
+    });
+    treeVersionInput.addEventListener('input', () => {
+        EditorState.tree.version = treeVersionInput.value.trim();
+        refreshValidation();
+    });
+    treeStartSelect.addEventListener('change', () => {
+        EditorState.tree.start = treeStartSelect.value;
+        refreshGraph();
+    });
+
+    graphCanvas.addEventListener('click', (e) => {
+        const nodeEl = e.target.closest('.graph-node');
+        if (nodeEl) selectNode(nodeEl.dataset.nodeId);
+    });
+
+    nodeForm.addEventListener('input', handleNodeFormInput);
+    nodeForm.addEventListener('change', handleNodeFormChange);
+    nodeForm.addEventListener('click', handleNodeFormClick);
+
+    window.addEventListener('message', (event) => {
+        if (event.origin !== window.location.origin) return;
+        if (event.data && event.data.type === 'medilegal:preview-ready') {
+            previewFrame.contentWindow.postMessage(
+                { type: 'medilegal:preview-tree', tree: EditorState.tree },
+                window.location.origin
+            );
+        }
+    });
+}
+
+// ==========================================
+// LOADING AND SAVING
+// ==========================================
+
+/**
+ * Fill the tree picker from the manifest and open the first tree
+ */
+async function loadManifest() {
+    try {
+        const manifest = await fetchJson(`${EditorState.treesPath}/manifest.json`);
+        treeSelect.innerHTML = manifest.trees
+            .map(entry => `<option value="${escapeHtml(entry.file)}">${escapeHtml(entry.id)}</option>`)
+            .join('');
+        if (manifest.trees.length > 0) {
+            await loadTreeFile(manifest.trees[0].file);
+        }
+    } catch (error) {
+        validationPanel.innerHTML = `<p class="editor-error">Could not load trees: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * Load a tree file from the trees folder into the editor
+ * @param {string} file - File name relative to the trees folder
+ */
+async function loadTreeFile(file) {
+    try {
+        setTree(await fetchJson(`${EditorState.treesPath}/${file}`));
+    } catch (error) {
+        validationPanel.innerHTML = `<p class="editor-error">Could not load ${escapeHtml(file)}: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * Load a tree from a local JSON file chosen by the user
+ */
+function importTreeFile() {
+    const file = importInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const tree = JSON.parse(reader.result);
+            if (!tree || typeof tree !== 'object' || !tree.nodes || typeof tree.nodes !== 'object') {
+                throw new Error('File does not contain a "nodes" object.');
+            }
+            setTree(tree);
+        } catch (error) {
+            validationPanel.innerHTML = `<p class="editor-error">Could not import ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</p>`;
+        }
+        importInput.value = '';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Replace the draft tree and redraw everything
+ * @param {Object} tree - Tree in trees/*.json format
+ */
+function setTree(tree) {
+    EditorState.tree = tree;
+    EditorState.selectedId = tree.start || null;
+    treeIdInput.value = tree.id || '';
+    treeVersionInput.value = tree.version || '';
+    refreshGraph();
+    renderNodeForm();
+}
+
+/**
+ * Download the draft tree in the same format the app loads
+ */
+function exportTree() {
+    const tree = EditorState.tree;
+    if (!tree) return;
+
+    const result = validateTree(tree);
+    if (!result.valid && !confirm(`This tree has ${result.errors.length} validation error(s) and will not load in the app. Download anyway?`)) {
+        return;
+    }
+
+    const { $schema, ...rest } = tree;
+    const output = { $schema: $schema || './tree.schema.json', ...rest };
+    const blob = new Blob([`${JSON.stringify(output, null, 4)}\n`], { type: 'application/json;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${tree.id || 'tree'}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ==========================================
+// NODE EDITING
+// ==========================================
+
+/**
+ * Create a new guidance leaf and select it
+ * @returns {string} Id of the new node
+ */
+function addNode() {
+    const tree = EditorState.tree;
+    const prefix = (tree.id || 'n').charAt(0);
+    let index = Object.keys(tree.nodes).length + 1;
+    while (tree.nodes[`${prefix}${index}`]) index++;
+
+    const nodeId = `${prefix}${index}`;
+    tree.nodes[nodeId] = createGuidanceNode();
+    selectNode(nodeId);
+    return nodeId;
+}
+
+/**
+ * Build an empty guidance leaf
+ * @returns {Object}
+ */
+function createGuidanceNode() {
+    return {
+        guidance: {
+            title: '',
+            risk: 'medium',
+            bullets: [],
+            nextSteps: []
+        }
+    };
+}
+
+/**
+ * Delete a node. Edges that pointed to it are unlinked so the
+ * validator shows where the tree needs re-linking.
+ * @param {string} nodeId - Node to delete
+ */
+function deleteNode(nodeId) {
+    const tree = EditorState.tree;
+    if (nodeId === tree.start) {
+        alert('The start node cannot be deleted. Choose a different start node first.');
+        return;
+    }
+    if (!confirm(`Delete node "${nodeId}"?`)) return;
+
+    delete tree.nodes[nodeId];
+    Object.values(tree.nodes).forEach(node => replaceEdgeTarget(node, nodeId, ''));
+    replaceIntentTarget(tree, nodeId, '');
+
+    EditorState.selectedId = null;
+    refreshGraph();
+    renderNodeForm();
+}
+
+/**
+ * Rename a node and update every edge that points to it
+ * @param {string} oldId - Current id
+ * @param {string} newId - Requested id
+ * @returns {boolean} False when the new id is empty or taken
+ */
+function renameNode(oldId, newId) {
+    const tree = EditorState.tree;
+    if (!newId || newId === oldId || tree.nodes[newId]) return false;
+
+    const renamed = {};
+    Object.entries(tree.nodes).forEach(([id, node]) => {
+        renamed[id === oldId ? newId : id] = node;
+        replaceEdgeTarget(node, oldId, newId);
+    });
+    tree.nodes = renamed;
+    if (tree.start === oldId) tree.start = newId;
+    replaceIntentTarget(tree, oldId, newId);
+
+    EditorState.selectedId = newId;
+    return true;
+}
+
+/**
+ * Point every intent that targets one id at another
+ * @param {Object} tree - Tree being edited
+ * @param {string} fromId - Current target
+ * @param {string} toId - Replacement target ('' to unlink)
+ */
+function replaceIntentTarget(tree, fromId, toId) {
+    (tree.intents || []).forEach(intent => {
+        if (intent.target === fromId) intent.target = toId;
+    });
+}
+
+/**
+ * Keep a question's risk factors with an option whose value changed
+ * @param {Object} node - Multi-choice node
+ * @param {string} fromValue - Old option value
+ * @param {string|null} toValue - New option value, or null when the option was removed
+ */
+function moveAnswerFactors(node, fromValue, toValue) {
+    if (!node.factors || !node.factors[fromValue] || fromValue === toValue) return;
+    if (toValue !== null) node.factors[toValue] = node.factors[fromValue];
+    delete node.factors[fromValue];
+    if (Object.keys(node.factors).length === 0) delete node.factors;
+}
+
+/**
+ * Point every edge of a node that targets one id at another
+ * @param {Object} node - Node definition
+ * @param {string} fromId - Current target
+ * @param {string} toId - Replacement target ('' to unlink)
+ */
+function replaceEdgeTarget(node, fromId, toId) {
+    ['yes', 'no', 'next'].forEach(edge => {
+        if (node[edge] === fromId) node[edge] = toId;
+    });
+    if (Array.isArray(node.options)) {
+        node.options.forEach(option => {
+            if (option.next === fromId) option.next = toId;
+        });
+    }
+}
+
+/**
+ * Build a question node of the given type, keeping the question text
+ * @param {string} type - 'yesno', 'choice' or 'text'
+ * @param {string} question - Question text to carry over
+ * @returns {Object}
+ */
+function createQuestionNode(type, question) {
+    if (type === 'choice') {
+        return {
+            type: 'choice',
+            question: question,
+            options: [
+                { value: 'option1', label: '', next: '' },
+                { value: 'option2', label: '', next: '' }
+            ]
+        };
+    }
+    if (type === 'text') {
+        return { type: 'text', question: question, field: '', next: '' };
+    }
+    return { question: question, yes: '', no: '' };
+}
+
+/**
+ * Select a node in the graph and show its form
+ * @param {string} nodeId - Node id
+ */
+function selectNode(nodeId) {
+    EditorState.selectedId = nodeId;
+    refreshGraph();
+    renderNodeForm();
+}
+
+/**
+ * Apply free-text edits from the node form as the user types
+ * @param {Event} e - Input event
+ */
+function handleNodeFormInput(e) {
+    const node = EditorState.tree.nodes[EditorState.selectedId];
+    if (!node) return;
+
+    const field = e.target.dataset.field;
+    const option = getEditedOption(node, e.target);
+    if (field === 'question') {
+        node.question = e.target.value;
+    } else if (field === 'field' || field === 'placeholder') {
+        node[field] = e.target.value.trim();
+        if (field === 'placeholder' && !node.placeholder) delete node.placeholder;
+    } else if (option && field === 'optionValue') {
+        const value = e.target.value.trim();
+        moveAnswerFactors(node, option.value, value);
+        option.value = value;
+    } else if (option && field === 'optionLabel') {
+        option.label = e.target.value.trim();
+    } else if (field === 'title') {
+        node.guidance.title = e.target.value;
+    } else if (field === 'bullets' || field === 'nextSteps') {
+        node.guidance[field] = e.target.value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+    } else {
+        return;
+    }
+
+    refreshGraph();
+}
+
+/**
+ * Apply structural edits (id, type, links, risk) from the node form
+ * @param {Event} e - Change event
+ */
+function handleNodeFormChange(e) {
+    const nodeId = EditorState.selectedId;
+    const node = EditorState.tree.nodes[nodeId];
+    if (!node) return;
+
+    const field = e.target.dataset.field;
+    const option = getEditedOption(node, e.target);
+    if (field === 'id') {
+        if (!renameNode(nodeId, e.target.value.trim())) {
+            e.target.value = nodeId;
+            return;
+        }
+    } else if (field === 'type') {
+        EditorState.tree.nodes[nodeId] = e.target.value === 'guidance'
+            ? createGuidanceNode()
+            : createQuestionNode(e.target.value, node.question || '');
+    } else if (field === 'yes' || field === 'no' || field === 'next') {
+        node[field] = e.target.value === '__new__' ? createLinkedNode() : e.target.value;
+    } else if (option && field === 'optionNext') {
+        option.next = e.target.value === '__new__' ? createLinkedNode() : e.target.value;
+    } else if (field === 'inputKind') {
+        if (e.target.value === 'date') node.input = 'date';
+        else delete node.input;
+    } else if (field === 'maxLength') {
+        const maxLength = parseInt(e.target.value, 10);
+        if (maxLength > 0) node.maxLength = maxLength;
+        else delete node.maxLength;
+    } else if (field === 'risk') {
+        node.guidance.risk = e.target.value;
+    } else {
+        return;
+    }
+
+    refreshGraph();
+    renderNodeForm();
+}
+
+/**
+ * Add or remove choice options from the node form
+ * @param {Event} e - Click event
+ */
+function handleNodeFormClick(e) {
+    const node = EditorState.tree.nodes[EditorState.selectedId];
+    if (!node) return;
+
+    if (e.target.closest('#deleteNodeBtn')) {
+        deleteNode(EditorState.selectedId);
+        return;
+    }
+
+    if (e.target.closest('[data-action="add-option"]')) {
+        let index = node.options.length + 1;
+        while (node.options.some(option => option.value === `option${index}`)) index++;
+        node.options.push({ value: `option${index}`, label: '', next: '' });
+    } else if (e.target.closest('[data-action="remove-option"]')) {
+        const [removed] = node.options.splice(Number(e.target.closest('[data-option-index]').dataset.optionIndex), 1);
+        moveAnswerFactors(node, removed.value, null);
+    } else {
+        return;
+    }
+
+    refreshGraph();
+    renderNodeForm();
+}
+
+/**
+ * Find the choice option a form control belongs to
+ * @param {Object} node - Selected node
+ * @param {HTMLElement} target - Form control
+ * @returns {Object|null}
+ */
+function getEditedOption(node, target) {
+    const row = target.closest('[data-option-index]');
+    if (!row || !Array.isArray(node.options)) return null;
+    return node.options[Number(row.dataset.optionIndex)] || null;
+}
+
+/**
+ * Add a new node for a "+ New node" link without changing the selection
+ * @returns {string} Id of the new node
+ */
+function createLinkedNode() {
+    const selectedId = EditorState.selectedId;
+    const nodeId = addNode();
+    EditorState.selectedId = selectedId;
+    return nodeId;
+}
+
+// ==========================================
+// RENDERING
+// ==========================================
+
+/**
+ * Redraw the graph, the start picker and the validation panel
+ */
+function refreshGraph() {
+    renderStartSelect();
+    renderGraph();
+    refreshValidation();
+}
+
+/**
+ * Re-run validation and list any errors
+ */
+function refreshValidation() {
+    const result = validateTree(EditorState.tree);
+    validationPanel.innerHTML = result.valid
+        ? '<p class="editor-ok">✓ Tree is valid and ready to export.</p>'
+        : `
+            <p class="editor-error"><strong>${result.errors.length} problem(s) to fix before export:</strong></p>
+            <ul class="editor-error-list">${result.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+        `;
+}
+
+function renderStartSelect() {
+    const tree = EditorState.tree;
+    treeStartSelect.innerHTML = Object.keys(tree.nodes)
+        .map(id => `<option value="${escapeHtml(id)}" ${id === tree.start ? 'selected' : ''}>${escapeHtml(id)}</option>`)
+        .join('');
+}
+
+/**
+ * Lay nodes out in columns by their distance from the start node.
+ * Nodes that cannot be reached go in a final column.
+ * @param {Object} tree - Draft tree
+ * @returns {Object<string, {x: number, y: number}>}
+ */
+function layoutGraph(tree) {
+    const columns = [];
+    const placed = new Set();
+    let frontier = tree.nodes[tree.start] ? [tree.start] : [];
+
+    while (frontier.length > 0) {
+        const column = frontier.filter(id => !placed.has(id));
+        column.forEach(id => placed.add(id));
+        if (column.length > 0) columns.push(column);
+
+        frontier = column
+            .flatMap(id => getEdgeTargets(tree.nodes[id]))
+            .filter(id => id && tree.nodes[id] && !placed.has(id));
+        frontier = Array.from(new Set(frontier));
+    }
+
+    const unreachable = Object.keys(tree.nodes).filter(id => !placed.has(id));
+    if (unreachable.length > 0) columns.push(unreachable);
+
+    const positions = {};
+    columns.forEach((column, columnIndex) => {
+        column.forEach((id, rowIndex) => {
+            positions[id] = {
+                x: GRAPH_LAYOUT.padding + columnIndex * GRAPH_LAYOUT.columnWidth,
+                y: GRAPH_LAYOUT.padding + rowIndex * GRAPH_LAYOUT.rowHeight
+            };
+        });
+    });
+    return positions;
+}
+
+/**
+ * Draw node cards and labelled answer edges
+ */
+function renderGraph() {
+    const tree = EditorState.tree;
+    const positions = layoutGraph(tree);
+    const errorText = validateTree(tree).errors.join('\n');
+
+    graphCanvas.querySelectorAll('.graph-node').forEach(el => el.remove());
+
+    let width = 0;
+    let height = 0;
+    Object.entries(positions).forEach(([id, pos]) => {
+        const node = tree.nodes[id];
+        const isQuestion = isQuestionNode(node);
+        const summary = isQuestion ? node.question : (node.guidance && node.guidance.title);
+        const hasError = errorText.includes(`"${id}"`);
+
+        const nodeEl = document.createElement('button');
+        nodeEl.type = 'button';
+        nodeEl.className = [
+            'graph-node',
+            isQuestion ? 'question' : 'guidance',
+            id === EditorState.selectedId ? 'selected' : '',
+            id === tree.start ? 'start' : '',
+            hasError ? 'invalid' : ''
+        ].filter(Boolean).join(' ');
+        nodeEl.dataset.nodeId = id;
+        nodeEl.style.left = `${pos.x}px`;
+        nodeEl.style.top = `${pos.y}px`;
+        nodeEl.style.width = `${GRAPH_LAYOUT.nodeWidth}px`;
+        nodeEl.style.height = `${GRAPH_LAYOUT.nodeHeight}px`;
+        nodeEl.innerHTML = `
+            <span class="graph-node-id">${escapeHtml(id)}${isQuestion ? '' : ` · ${escapeHtml((node.guidance && node.guidance.risk) || '')}`}</span>
+            <span class="graph-node-text">${escapeHtml(summary || '(empty)')}</span>
+        `;
+        graphCanvas.appendChild(nodeEl);
+
+        width = Math.max(width, pos.x + GRAPH_LAYOUT.nodeWidth + GRAPH_LAYOUT.padding);
+        height = Math.max(height, pos.y + GRAPH_LAYOUT.nodeHeight + GRAPH_LAYOUT.padding);
+    });
+
+    graphEdges.setAttribute('width', width);
+    graphEdges.setAttribute('height', height);
+    graphEdges.innerHTML = Object.entries(tree.nodes)
+        .filter(([, node]) => isQuestionNode(node))
+        .flatMap(([id, node]) => getLabelledEdges(node).map(edge =>
+            renderEdge(positions[id], positions[edge.target], edge.label, edge.kind)
+        ))
+        .join('');
+}
+
+/**
+ * List a question node's edges with the label to draw on each
+ * @param {Object} node - Question node
+ * @returns {Array<{ target: string, label: string, kind: string }>}
+ */
+function getLabelledEdges(node) {
+    if (node.type === 'choice') {
+        return (node.options || []).map(option => ({
+            target: option.next,
+            label: option.label || option.value,
+            kind: 'choice'
+        }));
+    }
+    if (node.type === 'text') {
+        return [{ target: node.next, label: node.field ? `{{${node.field}}}` : 'Answer', kind: 'text' }];
+    }
+    return [
+        { target: node.yes, label: 'Yes', kind: 'yes' },
+        { target: node.no, label: 'No', kind: 'no' }
+    ];
+}
+
+/**
+ * Build the SVG for one labelled edge
+ * @param {{x: number, y: number}} from - Source node position
+ * @param {{x: number, y: number}} to - Target node position
+ * @param {string} label - Text drawn on the edge
+ * @param {string} kind - 'yes', 'no', 'choice' or 'text', used for styling
+ * @returns {string} SVG markup, empty when either end is missing
+ */
+function renderEdge(from, to, label, kind) {
+    if (!from || !to) return '';
+
+    const startX = from.x + GRAPH_LAYOUT.nodeWidth;
+    const startY = from.y + GRAPH_LAYOUT.nodeHeight / 2;
+    const endX = to.x;
+    const endY = to.y + GRAPH_LAYOUT.nodeHeight / 2;
+    const bend = Math.max(40, Math.abs(endX - startX) / 2);
+
+    return `
+        <path class="graph-edge ${kind}" d="M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}"></path>
+        <text class="graph-edge-label ${kind}" x="${(startX + endX) / 2}" y="${(startY + endY) / 2 - 6}">${escapeHtml(label)}</text>
+    `;
+}
+
+/**
+ * Render the edit form for the selected node
+ */
+function renderNodeForm() {
+    const nodeId = EditorState.selectedId;
+    const node = EditorState.tree && EditorState.tree.nodes[nodeId];
+    if (!node) {
+        nodeForm.innerHTML = '<p class="editor-empty">Select a node in the graph to edit it.</p>';
+        return;
+    }
+
+    const isQuestion = isQuestionNode(node);
+    const type = isQuestion ? (node.type || 'yesno') : 'guidance';
+    if (!isQuestion && !isPlainObject(node.guidance)) {
+        node.guidance = createGuidanceNode().guidance;
+    }
+    ['bullets', 'nextSteps'].forEach(field => {
+        if (!isQuestion && !Array.isArray(node.guidance[field])) node.guidance[field] = [];
+    });
+    if (type === 'choice' && !Array.isArray(node.options)) {
+        node.options = [];
+    }
+
+    const typeOptions = [
+        ['yesno', 'Question (yes/no)'],
+        ['choice', 'Question (multiple choice)'],
+        ['text', 'Question (free text)'],
+        ['guidance', 'Guidance (leaf)']
+    ].map(([value, label]) => `<option value="${value}" ${type === value ? 'selected' : ''}>${label}</option>`).join('');
+
+    const common = `
+        <h2>Node ${escapeHtml(nodeId)}</h2>
+        <label class="editor-field">
+            Node id
+            <input type="text" data-field="id" value="${escapeHtml(nodeId)}">
+        </label>
+        <label class="editor-field">
+            Type
+            <select data-field="type">${typeOptions}</select>
+        </label>
+    `;
+
+    const fields = isQuestion ? renderQuestionFields(node, type) : renderGuidanceFields(node.guidance);
+    nodeForm.innerHTML = `${common}${fields}<button id="deleteNodeBtn" class="session-delete-btn">Delete node</button>`;
+}
+
+/**
+ * Render the form fields for a question node
+ * @param {Object} node - Question node
+ * @param {string} type - 'yesno', 'choice' or 'text'
+ * @returns {string}
+ */
+function renderQuestionFields(node, type) {
+    const question = `
+        <label class="editor-field">
+            Question
+            <textarea data-field="question" rows="3">${escapeHtml(node.question || '')}</textarea>
+        </label>
+    `;
+
+    if (type === 'choice') {
+        const rows = node.options.map((option, index) => `
+            <div class="editor-option" data-option-index="${index}">
+                <input type="text" data-field="optionLabel" value="${escapeHtml(option.label || '')}" placeholder="Label shown to the user" aria-label="Option ${index + 1} label">
+                <input type="text" data-field="optionValue" value="${escapeHtml(option.value || '')}" placeholder="value" aria-label="Option ${index + 1} value">
+                <select data-field="optionNext" aria-label="Option ${index + 1} goes to">${renderTargetOptions(option.next)}</select>
+                <button type="button" class="session-delete-btn" data-action="remove-option" aria-label="Remove option ${index + 1}">✕</button>
+            </div>
+        `).join('');
+        return `
+            ${question}
+            <div class="editor-field">
+                Options (label, value, goes to)
+                ${rows}
+                <button type="button" class="guidance-action-btn" data-action="add-option">+ Add option</button>
+            </div>
+        `;
+    }
+
+    if (type === 'text') {
+        return `
+            ${question}
+            <label class="editor-field">
+                Field name (use as {{name}} in guidance)
+                <input type="text" data-field="field" value="${escapeHtml(node.field || '')}" placeholder="incidentDate">
+            </label>
+            <label class="editor-field">
+                Answer format
+                <select data-field="inputKind">
+                    <option value="text" ${node.input === 'date' ? '' : 'selected'}>Short text</option>
+                    <option value="date" ${node.input === 'date' ? 'selected' : ''}>Date</option>
+                </select>
+            </label>
+            <label class="editor-field">
+                Input placeholder (optional)
+                <input type="text" data-field="placeholder" value="${escapeHtml(node.placeholder || '')}">
+            </label>
+            <label class="editor-field">
+                Maximum length (optional)
+                <input type="number" min="1" data-field="maxLength" value="${node.maxLength || ''}">
+            </label>
+            <label class="editor-field">
+                Then go to
+                <select data-field="next">${renderTargetOptions(node.next)}</select>
+            </label>
+        `;
+    }
+
+    return `
+        ${question}
+        <label class="editor-field">
+            If “Yes”, go to
+            <select data-field="yes">${renderTargetOptions(node.yes)}</select>
+        </label>
+        <label class="editor-field">
+            If “No”, go to
+            <select data-field="no">${renderTargetOptions(node.no)}</select>
+        </label>
+    `;
+}
+
+/**
+ * Render the form fields for a guidance leaf
+ * @param {Object} guidance - Leaf guidance
+ * @returns {string}
+ */
+function renderGuidanceFields(guidance) {
+    return `
+        <label class="editor-field">
+            Guidance title
+            <input type="text" data-field="title" value="${escapeHtml(guidance.title)}">
+        </label>
+        <label class="editor-field">
+            Starting risk level (answers can raise or lower it)
+            <select data-field="risk">
+                ${RISK_LEVELS.map(level => `<option value="${level}" ${guidance.risk === level ? 'selected' : ''}>${level}</option>`).join('')}
+            </select>
+        </label>
+        <label class="editor-field">
+            Key points (one per line)
+            <textarea data-field="bullets" rows="4">${escapeHtml(guidance.bullets.join('\n'))}</textarea>
+        </label>
+        <label class="editor-field">
+            Next steps (one per line)
+            <textarea data-field="nextSteps" rows="4">${escapeHtml(guidance.nextSteps.join('\n'))}</textarea>
+        </label>
+    `;
+}
+
+/**
+ * Build the options for an edge target picker
+ * @param {string} current - Currently linked node id
+ * @returns {string}
+ */
+function renderTargetOptions(current) {
+    const options = Object.keys(EditorState.tree.nodes)
+        .filter(id => id !== EditorState.selectedId)
+        .map(id => `<option value="${escapeHtml(id)}" ${id === current ? 'selected' : ''}>${escapeHtml(id)}</option>`)
+        .join('');
+    return `
+        <option value="" ${current ? '' : 'selected'}>(not linked)</option>
+        ${options}
+        <option value="__new__">+ New node</option>
+    `;
+}
+
+// ==========================================
+// TEST RUN
+// ==========================================
+
+/**
+ * Run the draft tree in the sandboxed chat preview.
+ * The app in preview mode asks for the tree once it has loaded.
+ */
+function runPreview() {
+    const result = validateTree(EditorState.tree);
+    if (!result.valid) {
+        refreshValidation();
+        alert('Fix the listed problems before running a test.');
+        return;
+    }
+    previewFrame.src = `index.html?preview=${Date.now()}`;
+}
+
+// ==========================================
+// UTILITY FUNCTIONS
+// ==========================================
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Fetch and parse a JSON file
+ * @param {string} url - File URL
+ * @returns {Promise<*>} Parsed JSON
+ */
+async function fetchJson(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Request for ${url} failed with status ${response.status}`);
+    }
+    return response.json();
+}
+
+// ==========================================
+// INITIALIZATION
+// ==========================================
+
+/**
+ * Initialize the editor
+ */
+function initializeEditor() {
+    initializeEditorListeners();
+    loadManifest();
+}
+
+document.addEventListener('DOMContentLoaded', initializeEditor);
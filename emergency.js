@@ -0,0 +1,89 @@
+/* ============================================
+   MediLegal AI - Emergency Escalation
+   ============================================ */
+
+// Guidance leaves marked "emergency": true put the chat into escalation
+// mode (see the ESCALATION section of app.js): a banner with call links
+// and a checklist of the leaf's next steps that stays until the user
+// acknowledges it. The numbers are listed in trees/manifest.json under
+// "emergencyContacts"; a jurisdiction entry may list its own instead.
+
+const EMERGENCY_CONTACT_TYPES = ['emergency', 'poison'];
+
+// Filled from the manifest by loadDecisionTrees
+const emergencyContacts = [];
+
+/**
+ * Check a list of emergency contacts from the manifest
+ * @param {*} list - Value of an "emergencyContacts" key
+ * @param {string} label - Where the list came from, for messages
+ * @returns {Array<string>} Errors
+ */
+function validateEmergencyContacts(list, label) {
+    if (!Array.isArray(list) || list.length === 0) {
+        return [`${label}: "emergencyContacts" must be a non-empty array.`];
+    }
+
+    const errors = [];
+    list.forEach((contact, index) => {
+        if (!contact || !EMERGENCY_CONTACT_TYPES.includes(contact.type)) {
+            errors.push(`${label}: emergency contact ${index + 1} "type" must be one of ${EMERGENCY_CONTACT_TYPES.join(', ')}.`);
+        }
+        if (!contact || typeof contact.number !== 'string' || !/\d/.test(contact.number)) {
+            errors.push(`${label}: emergency contact ${index + 1} needs a "number".`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Replace the default contacts with the manifest list
+ * @param {Array<{type: string, number: string}>} list - Manifest entries
+ */
+function setEmergencyContacts(list) {
+    if (validateEmergencyContacts(list, 'manifest.json').length > 0) return;
+    emergencyContacts.splice(0, emergencyContacts.length, ...list);
+}
+
+/**
+ * Get the numbers to offer for a jurisdiction: its own list when the
+ * manifest has one, else the default list
+ * @param {string} jurisdiction - Jurisdiction code
+ * @returns {Array<{type: string, number: string}>}
+ */
+function getEmergencyContacts(jurisdiction) {
+    const match = jurisdictions.find(item => item.id === jurisdiction);
+    if (match && match.emergencyContacts && validateEmergencyContacts(match.emergencyContacts, match.id).length === 0) {
+        return match.emergencyContacts;
+    }
+    return emergencyContacts;
+}
+
+/**
+ * Build the tel: link for a phone number as written in the manifest
+ * @param {string} number - e.g. '1-800-222-1222'
+ * @returns {string}
+ */
+function getTelHref(number) {
+    return `tel:${number.replace(/(?!^\+)[^\d]/g, '')}`;
+}
+
+/**
+ * Start the escalation state for an emergency leaf
+ * @param {string} nodeId - Emergency leaf
+ * @param {Array<string>} actions - The leaf's resolved next steps
+ * @returns {{ nodeId: string, startedAt: string, acknowledgedAt: null, checklist: Array<{text: string, doneAt: null}> }}
+ */
+function createEscalation(nodeId, actions) {
+    return {
+        nodeId: nodeId,
+        startedAt: new Date().toISOString(),
+        acknowledgedAt: null,
+        checklist: actions.map(text => ({ text: text, doneAt: null }))
+    };
+}
+
+// Lets scripts/validate-trees.js check the manifest
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EMERGENCY_CONTACT_TYPES, validateEmergencyContacts, getTelHref };
+}
@@ -0,0 +1,177 @@
+/* ============================================
+   MediLegal AI - Flow Engine
+   ============================================ */
+
+// Turning input into answers for decision tree nodes. Nothing here
+// touches the page or AppState, so the rules can be run on their own
+// (see test/). Messages come from i18n.js, which must be loaded first.
+
+const DEFAULT_TEXT_MAX_LENGTH = 200;
+
+/**
+ * Read a typed yes/no answer in the current locale. English words are
+ * always accepted, and accents are ignored ("si" matches "sí").
+ * @param {string} text - Typed answer
+ * @returns {string|null} 'yes', 'no' or null when not recognised
+ */
+function normalizeYesNo(text) {
+    const value = text.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const words = [YES_NO_WORDS[getLocale()], YES_NO_WORDS[DEFAULT_LOCALE]];
+    if (words.some(list => list.yes.includes(value))) return 'yes';
+    if (words.some(list => list.no.includes(value))) return 'no';
+    return null;
+}
+
+/**
+ * Get the kind of answer a question node expects
+ * @param {Object} node - Decision tree node
+ * @returns {string} 'yesno', 'choice' or 'text'
+ */
+function getNodeType(node) {
+    return (node && node.type) || 'yesno';
+}
+
+/**
+ * Turn raw input into an answer for the given node
+ * @param {Object} node - Question node being answered
+ * @param {string} input - Button value or typed text
+ * @returns {{ answer: string, value: string, next: string, field?: string }|{ error: string }}
+ */
+function resolveAnswer(node, input) {
+    const type = getNodeType(node);
+    if (type === 'choice') return resolveChoiceAnswer(node, input);
+    if (type === 'text') return resolveTextAnswer(node, input);
+
+    const normalized = normalizeYesNo(input);
+    if (!normalized) {
+        return { error: t('error.yesNo') };
+    }
+    return {
+        answer: t(`answer.${normalized}`),
+        value: normalized,
+        next: normalized === 'yes' ? node.yes : node.no
+    };
+}
+
+/**
+ * Get the text of a recorded answer in the current locale. Yes/no and
+ * choice answers are looked up from their value; typed text is kept.
+ * @param {Object|undefined} node - Node the answer belongs to
+ * @param {Object} step - Answer path step
+ * @returns {string}
+ */
+function getAnswerLabel(node, step) {
+    const type = node ? getNodeType(node) : null;
+    if (type === 'yesno') return t(`answer.${step.value}`);
+    if (type === 'choice') {
+        const option = node.options.find(item => item.value === step.value);
+        if (option) return option.label;
+    }
+    return step.answer;
+}
+
+/**
+ * Match input against a choice node's options by value, label or number
+ * @param {Object} node - Choice node
+ * @param {string} input - Option value or typed text
+ * @returns {Object} Resolved answer or error
+ */
+function resolveChoiceAnswer(node, input) {
+    const value = input.trim().toLowerCase();
+    const number = Number(value);
+    const option = node.options.find((item, index) =>
+        item.value.toLowerCase() === value ||
+        item.label.toLowerCase() === value ||
+        number === index + 1
+    );
+
+    if (!option) {
+        const labels = node.options.map((item, index) => `${index + 1}. ${item.label}`).join(', ');
+        return { error: t('error.choice', { options: labels }) };
+    }
+    return { answer: option.label, value: option.value, next: option.next };
+}
+
+/**
+ * Validate a free-text answer
+ * @param {Object} node - Text node
+ * @param {string} input - Typed text
+ * @returns {Object} Resolved answer or error
+ */
+function resolveTextAnswer(node, input) {
+    const value = input.trim();
+
+    if (node.input === 'date') {
+        if (!isValidIsoDate(value)) {
+            return { error: t('error.date') };
+        }
+    } else {
+        const maxLength = node.maxLength || DEFAULT_TEXT_MAX_LENGTH;
+        if (!value) {
+            return { error: t('error.textEmpty') };
+        }
+        if (value.length > maxLength) {
+            return { error: t('error.textTooLong', { max: maxLength }) };
+        }
+    }
+
+    return { answer: value, value: value, next: node.next, field: node.field };
+}
+
+/**
+ * Check for a real calendar date in YYYY-MM-DD form
+ * @param {string} value - Date text
+ * @returns {boolean}
+ */
+function isValidIsoDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Replace {{field}} placeholders with captured free-text values
+ * @param {string} text - Text containing placeholders
+ * @param {Object<string, string>} fields - Captured values
+ * @returns {string}
+ */
+function fillPlaceholders(text, fields) {
+    return text.replace(/\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g, (match, name) =>
+        (fields[name] !== undefined ? fields[name] : t('placeholder.missing'))
+    );
+}
+
+/**
+ * Replay saved answers on a tree, e.g. one updated since the session was
+ * saved, and find where the flow stands. The replay stops at the first
+ * answer that no longer fits: its question was removed or moved, or its
+ * value is no longer accepted.
+ * @param {Object} tree - Decision tree
+ * @param {Array<Object>} answerPath - Saved answer steps ({ nodeId, value })
+ * @returns {{ validSteps: number, currentNodeId: string, flowCompleted: boolean }}
+ *   validSteps is how many answers at the start of the path still fit
+ */
+function locateAnswerPath(tree, answerPath) {
+    let currentNodeId = tree.start;
+    let validSteps = 0;
+
+    for (const step of answerPath) {
+        const node = tree.nodes[currentNodeId];
+        if (step.nodeId !== currentNodeId || !node || !node.question) break;
+
+        const resolved = resolveAnswer(node, step.value);
+        if (resolved.error) break;
+        validSteps++;
+
+        // Guidance on the answered node itself ends the flow
+        if (!resolved.next) return { validSteps: validSteps, currentNodeId: currentNodeId, flowCompleted: true };
+        currentNodeId = resolved.next;
+    }
+
+    const node = tree.nodes[currentNodeId];
+    return {
+        validSteps: validSteps,
+        currentNodeId: currentNodeId,
+        flowCompleted: Boolean(node && node.guidance && !node.question)
+    };
+}
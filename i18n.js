@@ -0,0 +1,1201 @@
+/* ============================================
+   MediLegal AI - Localization
+   ============================================ */
+
+// UI strings live in the MESSAGES catalogs below and are looked up with
+// t(key, params). Decision tree wording is translated in separate files
+// listed per tree in trees/manifest.json (see localizeTree).
+
+const DEFAULT_LOCALE = 'en';
+
+const LOCALES = [
+    { id: 'en', label: 'English', intl: 'en-US' },
+    { id: 'es', label: 'Español', intl: 'es-ES' },
+    { id: 'fr', label: 'Français', intl: 'fr-FR' }
+];
+
+// Words accepted as yes/no answers, compared without accents.
+// English words are always accepted so the buttons work in every locale.
+const YES_NO_WORDS = {
+    en: { yes: ['yes', 'y', 'yeah', 'yep'], no: ['no', 'n', 'nope'] },
+    es: { yes: ['si', 's', 'claro', 'vale'], no: ['no', 'n'] },
+    fr: { yes: ['oui', 'o', 'ouais'], no: ['non', 'n'] }
+};
+
+const MESSAGES = {
+    en: {
+        'app.title': 'MediLegal AI - Medical-Legal Guidance',
+        'header.subtitle': 'Clear medical-legal guidance in yes/no steps',
+        'header.role': 'Role:',
+        'header.location': 'Location:',
+        'header.language': 'Language:',
+        'header.changeRole': 'Change Role',
+        'header.textSize': 'Text size:',
+        'header.highContrast': 'High contrast',
+        'textSize.normal': 'Normal',
+        'textSize.large': 'Large',
+        'textSize.larger': 'Larger',
+        'banner.text': 'Legal information only, not legal advice. Consult a qualified professional for your specific situation.',
+        'roles.heading': 'Select your role',
+        'roles.description': 'We tailor the guidance based on who you are.',
+        'roles.doctorButton': 'I am a Doctor',
+        'roles.patientButton': 'I am a Patient',
+        'roles.nurseButton': 'I am a Nurse',
+        'roles.caregiverButton': 'I am a Family Member or Caregiver',
+        'roles.adminButton': 'I am a Hospital Administrator',
+        'roles.editorLink': 'Edit guidance content',
+        'roles.dashboardLink': 'Usage dashboard',
+        'role.doctor': 'Doctor',
+        'role.patient': 'Patient',
+        'role.nurse': 'Nurse',
+        'role.caregiver': 'Caregiver',
+        'role.admin': 'Administrator',
+        'composer.send': 'Send',
+        'composer.back': 'Back',
+        'composer.clear': 'Clear Chat',
+        'composer.voice': 'Voice mode',
+        'composer.shortcuts': 'Keyboard: Y yes, N no, Backspace back, Esc close',
+        'input.label': 'Your answer',
+        'input.options': 'Answer options',
+        'input.yesNo': 'Type yes or no...',
+        'input.choice': 'Choose an option or type its number...',
+        'input.text': 'Type your answer...',
+        'input.followUp': 'Ask a follow-up question...',
+        'input.followUpOffline': 'You are offline. Follow-up questions need a connection.',
+        'answer.yes': 'Yes',
+        'answer.no': 'No',
+        'chat.intro': 'I will guide you with a few short questions to give focused medical-legal information. Please answer using the buttons, or describe your concern in your own words.',
+        'chat.flowComplete': 'The guided flow is complete. Click “Clear Chat” to start over.',
+        'chat.error': 'Something went wrong. Please clear the chat and try again.',
+        'chat.noGuidance': 'No guidance available. Please clear the chat and try again.',
+        'chat.confirmClear': 'Are you sure you want to clear all messages?',
+        'chat.editAnswer': 'Click to change this answer',
+        'chat.treeRewound': 'The guidance content has changed since this session was saved, and not all of your answers still apply. Please continue from the question below.',
+        'chat.treeDiscard': 'The guidance content has changed since this session was saved. The letters and incident report draft written from the earlier guidance will be removed from this session. Download them first?',
+        'chat.treeDiscarded': 'The letters and incident report draft written from the earlier guidance were removed. Your timeline is kept.',
+        'update.available': 'An update to the app or its guidance is available. Your answers are kept, and you will continue where you left off.',
+        'update.apply': 'Update now',
+        'update.later': 'Later',
+        'emergency.heading': 'Emergency: get help now',
+        'emergency.intro': 'Call for help first. Tick each action as you complete it; the time is saved with this conversation.',
+        'emergency.contacts': 'Emergency numbers',
+        'emergency.contact.emergency': 'Emergency services',
+        'emergency.contact.poison': 'Poison control',
+        'emergency.call': 'Call {service}: {number}',
+        'emergency.checklist': 'Actions',
+        'emergency.doneAt': 'Done at {time}',
+        'emergency.acknowledge': 'I understand',
+        'emergency.pending': 'Answers and other actions are paused until you confirm you have read this.',
+        'emergency.acknowledgedAt': 'Acknowledged at {time}',
+        'emergency.acknowledged': 'I have read the emergency instructions ({time}).',
+        'emergency.done': 'Done: {action} ({time})',
+        'emergency.undone': 'Not done after all: {action}',
+        'emergency.announce': 'Emergency. {title}. Call for help first, then confirm you have read the instructions.',
+        'voice.speakOnly': 'This browser can read aloud but cannot listen. Answer with the buttons.',
+        'voice.sayYesNo': 'Say yes or no.',
+        'voice.speaking': 'Reading aloud…',
+        'voice.listening': 'Listening… say yes or no',
+        'voice.notUnderstood': 'Sorry, I did not catch that. Please say yes or no.',
+        'voice.micBlocked': 'The microphone is blocked. Answer with the buttons, or allow the microphone and turn voice mode on again.',
+        'voice.useButtons': 'I could not understand the answer. Please use the buttons.',
+        'chat.label': 'Guidance chat',
+        'chat.messages': 'Conversation',
+        'chat.botSays': 'MediLegal AI:',
+        'chat.youSaid': 'You:',
+        'chat.guidanceReady': 'Guidance: {title}. {risk}, {score}.',
+        'chat.printBlocked': 'The print view was blocked. Please allow pop-ups for this page and try again.',
+        'chat.treeUpdated': 'The guidance content has been updated since this session was saved. Use Back or click an earlier answer if a question no longer matches.',
+        'intent.confirm': 'It sounds like your concern is about {topic}. Shall I skip ahead to the questions on that?',
+        'intent.declined': 'No problem, let’s continue step by step.',
+        'intent.unsure': 'I could not tell what that is about, so let’s continue step by step.',
+        'intent.filled': 'Filled in from your description (use Back to undo):',
+        'intent.safetyFirst': 'First, one safety question that I cannot answer for you:',
+        'followUp.title': 'Follow-up answer',
+        'followUp.thinking': 'Looking into your question…',
+        'followUp.offline': 'You appear to be offline, so your question was not sent. It is back in the text box; send it again once you are connected.',
+        'followUp.timeout': 'The answer service took too long to respond. Please try again.',
+        'followUp.error': 'The answer service is not available right now. Please try again later.',
+        'followUp.interrupted': 'The answer was cut off before it finished. Please ask again.',
+        'error.yesNo': 'Please answer with “yes” or “no”.',
+        'error.choice': 'Please choose one of: {options}.',
+        'error.date': 'Please enter a valid date as YYYY-MM-DD.',
+        'error.textEmpty': 'Please type a short answer.',
+        'error.textTooLong': 'Please keep your answer under {max} characters.',
+        'question.title': 'Question',
+        'hint.label': 'Answer:',
+        'hint.yesNo': 'Yes or No.',
+        'hint.choice': 'Choose one: {options}.',
+        'hint.date': 'Enter a date (YYYY-MM-DD).',
+        'hint.text': 'Type a short answer.',
+        'placeholder.missing': '(not provided)',
+        'guidance.title': 'Guidance',
+        'guidance.risk': 'Risk Level',
+        'guidance.keyPoints': 'Key Points',
+        'guidance.nextSteps': 'Next Steps',
+        'guidance.deadlines': 'Deadlines',
+        'guidance.incidentDate': 'Incident date',
+        'guidance.deadlineNote': 'Deadlines depend on the facts and can be shorter. Confirm them with a qualified professional.',
+        'guidance.deadlineHint': 'Enter the incident date to see exact dates.',
+        'guidance.forJurisdiction': 'Guidance for {jurisdiction}',
+        'guidance.noLocalRules': 'General guidance: no specific rules for {jurisdiction} on this topic yet',
+        'guidance.chooseLocation': 'General guidance: choose your location above for local rules',
+        'guidance.export': 'Export summary:',
+        'guidance.print': 'Print',
+        'risk.high': 'High Risk',
+        'risk.medium': 'Medium Risk',
+        'risk.low': 'Low Risk',
+        'risk.score': 'Score {score}',
+        'risk.why': 'What set this level',
+        'risk.base': 'Starting level for this guidance: {level} ({score})',
+        'risk.noFactors': 'None of the answers changed the starting level.',
+        'risk.answered': 'answered “{answer}” to “{question}”',
+        'risk.inferred': 'inferred “{answer}” for “{question}” from the description',
+        'deadline.within': '{label}: within {days} days of the incident',
+        'deadline.due': '{label}: by {date} ({days} days after the incident)',
+        'deadline.duePassed': '{label}: by {date} (this date has passed) ({days} days after the incident)',
+        'disclaimer': 'This is legal information, not legal advice. Consult a qualified professional for your situation.',
+        'timeline.heading': 'Incident timeline',
+        'timeline.intro': 'Record dated events, who was involved and related documents. The timeline is saved on this device with this session and included in the exported summary.',
+        'timeline.open': 'Build a timeline',
+        'timeline.close': 'Close',
+        'timeline.empty': 'No events yet. Add the first one below.',
+        'timeline.date': 'Date',
+        'timeline.time': 'Time (optional)',
+        'timeline.description': 'What happened',
+        'timeline.people': 'People involved (separate with commas)',
+        'timeline.files': 'Related files',
+        'timeline.filesNote': 'Only file names are kept; the files stay where they are.',
+        'timeline.add': 'Add event',
+        'timeline.update': 'Save changes',
+        'timeline.cancelEdit': 'Cancel',
+        'timeline.edit': 'Edit',
+        'timeline.delete': 'Delete',
+        'timeline.removeFile': 'Remove',
+        'timeline.confirmDelete': 'Delete this event from the timeline?',
+        'timeline.peopleLabel': 'People:',
+        'timeline.errorDate': 'Enter the date of the event.',
+        'timeline.errorTime': 'Enter the time as HH:MM, or leave it empty.',
+        'timeline.errorDescription': 'Describe what happened.',
+        'timeline.errorTooLong': 'Keep the description under {max} characters.',
+        'letters.label': 'Request letters:',
+        'letter.intro': 'Fill in the details below to create the letter. Fields marked * are required. Letters are saved on this device with this session.',
+        'letter.create': 'Create letter',
+        'letter.close': 'Close',
+        'letter.download': 'Download',
+        'letter.print': 'Print',
+        'letter.view': 'View',
+        'letter.delete': 'Delete',
+        'letter.confirmDelete': 'Delete this letter from the session?',
+        'letter.saved': 'Letters in this session',
+        'letter.created': 'Created {date}',
+        'letter.reviewNote': 'Check the letter before sending it and keep a copy with the date you sent it.',
+        'letter.errorRequired': 'Enter {field}.',
+        'letter.errorDate': 'Enter a valid date for {field}.',
+        'letter.errorTooLong': 'Keep {field} under {max} characters.',
+        'letter.field.senderName': 'Your full name',
+        'letter.field.senderAddress': 'Your address',
+        'letter.field.senderContact': 'Phone or email',
+        'letter.field.dateOfBirth': 'Your date of birth',
+        'letter.field.recipient': 'Provider or facility',
+        'letter.field.recipientAddress': 'Provider or facility address',
+        'letter.field.recordNumber': 'Medical record or patient number',
+        'letter.field.treatmentDates': 'Dates of care (e.g. March–May 2024)',
+        'letter.field.accountNumber': 'Account or invoice number',
+        'letter.field.serviceDate': 'Date of service',
+        'letter.field.insurer': 'Insurance company',
+        'letter.field.claimNumber': 'Insurance claim number',
+        'letter.field.procedure': 'Procedure or treatment',
+        'letter.field.procedureDate': 'Date of the procedure',
+        'letter.field.clinician': 'Clinician responsible',
+        'letter.field.questions': 'Your questions',
+        'letter.field.incidentDate': 'Date of the incident',
+        'letter.field.complaintDetails': 'What happened',
+        'letter.field.staffInvolved': 'Staff involved',
+        'letter.field.desiredOutcome': 'What you would like to happen',
+        'letter.greeting': 'To whom it may concern,',
+        'letter.closing': 'Yours sincerely,',
+        'letter.records.title': 'Medical records request',
+        'letter.records.subject': 'Re: Request for a copy of my medical records',
+        'letter.records.intro': 'I am writing to request a complete copy of the medical records that {recipient} holds about me.',
+        'letter.records.dateOfBirth': 'To help identify my records, my date of birth is {dateOfBirth}.',
+        'letter.records.recordNumber': 'My medical record or patient number is {recordNumber}.',
+        'letter.records.treatmentDates': 'The request covers the care I received during {treatmentDates}.',
+        'letter.records.scope': 'Please include clinical notes, test and imaging results, medication records, correspondence, and any consent forms I signed.',
+        'letter.records.delivery': 'Please send the records to the address above, and tell me in advance if there is a fee or a form I need to complete. I would be grateful for a reply within the time limit that applies to records requests.',
+        'letter.bill.title': 'Itemized bill request',
+        'letter.bill.subject': 'Re: Request for an itemized bill, account {accountNumber}',
+        'letter.bill.intro': 'I am writing about account {accountNumber} for services I received on {serviceDate}.',
+        'letter.bill.request': 'Please send me a fully itemized bill that lists each charge with its date, description, billing code and amount, together with any payments or adjustments already applied.',
+        'letter.bill.insurer': 'My insurance company is {insurer}.',
+        'letter.bill.claimNumber': 'The insurance claim number is {claimNumber}.',
+        'letter.bill.hold': 'Please put any collection activity on this account on hold until I have received and reviewed the itemized bill.',
+        'letter.consent.title': 'Consent explanation request',
+        'letter.consent.subject': 'Re: Request for information about consent for {procedure}',
+        'letter.consent.intro': 'I am writing about my {procedure} at {recipient}.',
+        'letter.consent.procedureDate': 'The procedure took place, or is planned, on {procedureDate}.',
+        'letter.consent.clinician': 'The clinician responsible was {clinician}.',
+        'letter.consent.request': 'Please explain in writing the risks, benefits and alternatives that were discussed with me before the procedure, and send me a copy of any consent form I signed.',
+        'letter.consent.questions': 'I would also like answers to the following questions:\n{questions}',
+        'letter.consent.reply': 'Please reply in writing to the address above.',
+        'letter.complaint.title': 'Formal complaint',
+        'letter.complaint.subject': 'Re: Formal complaint about care on {incidentDate}',
+        'letter.complaint.intro': 'I wish to make a formal complaint about the care I received at {recipient} on {incidentDate}.',
+        'letter.complaint.details': 'What happened:\n{complaintDetails}',
+        'letter.complaint.staffInvolved': 'The staff involved included {staffInvolved}.',
+        'letter.complaint.desiredOutcome': 'To resolve this complaint, I would like:\n{desiredOutcome}',
+        'letter.complaint.response': 'Please acknowledge this complaint in writing, tell me who is handling it and when I can expect a full response, and explain how I can take it further if I am not satisfied.',
+        'report.open': 'Draft incident report',
+        'report.heading': 'Incident report draft',
+        'report.intro': 'Record what was observed and done, without guessing at causes or assigning fault. The draft is saved on this device with this session; copy it into your institution’s reporting system.',
+        'report.close': 'Close',
+        'report.create': 'Create draft',
+        'report.createAnyway': 'Create draft anyway',
+        'report.download': 'Download',
+        'report.print': 'Print',
+        'report.reviewNote': 'This is a draft. Check it against your institution’s incident report form before submitting it.',
+        'report.flagsHeading': 'Review this wording before exporting. Reports should state only what was seen, heard and done.',
+        'report.flag.speculation': '“{phrase}” in {field} sounds like speculation. Describe what you observed instead.',
+        'report.flag.blame': '“{phrase}” in {field} assigns blame. State the facts and leave conclusions to the review.',
+        'report.errorRequired': 'Enter {field}.',
+        'report.errorDate': 'Enter a valid date for {field}.',
+        'report.errorTime': 'Enter {field} as HH:MM, or leave it empty.',
+        'report.errorTooLong': 'Keep {field} under {max} characters.',
+        'report.field.eventDate': 'Date of the event',
+        'report.field.eventTime': 'Time of the event',
+        'report.field.location': 'Location',
+        'report.field.reporter': 'Reported by (name and role)',
+        'report.field.people': 'People involved and their roles',
+        'report.field.description': 'What happened',
+        'report.field.actions': 'Actions taken',
+        'report.field.notifications': 'Notifications made (who and when)',
+        'report.field.outcome': 'Patient condition afterwards',
+        'report.title': 'Incident report (draft)',
+        'report.when': 'Date and time',
+        'report.prepared': 'Draft prepared',
+        'report.notRecorded': 'Not recorded',
+        'report.draftNote': 'Draft for internal incident reporting. Objective facts only; review before submitting.',
+        'sessions.heading': 'Resume previous session',
+        'vault.label': 'Saved conversations',
+        'vault.lock': 'Lock',
+        'vault.wipe': 'Wipe all data',
+        'vault.unsupported': 'Conversations cannot be saved on this page because the browser cannot encrypt them here. Open the app over https to save them.',
+        'vault.unlocked': 'Saved conversations are unlocked. They lock after {minutes} minutes without activity.',
+        'vault.lockedHeading': 'Saved conversations are locked',
+        'vault.lockedNote': 'Enter your passphrase to see and resume them. New conversations are not saved while locked.',
+        'vault.passphrase': 'Passphrase',
+        'vault.unlock': 'Unlock',
+        'vault.setupHeading': 'Save conversations on this device',
+        'vault.setupNote': 'Conversations are saved only once you choose a passphrase. They are encrypted with it, and nobody can recover them if it is forgotten.',
+        'vault.newPassphrase': 'Passphrase (at least {length} characters)',
+        'vault.confirmPassphrase': 'Repeat the passphrase',
+        'vault.setup': 'Turn on saving',
+        'vault.tooShort': 'The passphrase needs at least {length} characters.',
+        'vault.mismatch': 'The two passphrases do not match.',
+        'vault.setupDone': 'Saving is on. Conversations are encrypted on this device.',
+        'vault.failed': 'Something went wrong. Please try again.',
+        'vault.wrongPassphrase': 'That passphrase is not correct.',
+        'vault.autoLocked': 'Locked after {minutes} minutes without activity.',
+        'vault.wiped': 'All data on this device has been wiped.',
+        'sessions.note': 'Sessions are saved on this device only and deleted automatically after {days} days.',
+        'sessions.answers.one': '{count} answer',
+        'sessions.answers.other': '{count} answers',
+        'sessions.completed': 'Completed',
+        'sessions.inProgress': 'In progress',
+        'sessions.resume': 'Resume',
+        'sessions.delete': 'Delete',
+        'sessions.confirmDelete': 'Delete this saved session? This cannot be undone.',
+        'history.open': 'Search past conversations',
+        'history.heading': 'Conversation history',
+        'history.search': 'Search questions, answers and guidance',
+        'history.role': 'Role',
+        'history.risk': 'Risk level',
+        'history.allRoles': 'All roles',
+        'history.allRisks': 'All risk levels',
+        'history.results.one': '{count} conversation',
+        'history.results.other': '{count} conversations',
+        'history.noResults': 'No saved conversations match.',
+        'history.type.question': 'Question',
+        'history.type.answer': 'Answer',
+        'history.type.guidance': 'Guidance',
+        'errors.heading': 'Some guidance content could not be loaded:',
+        'summary.title': 'MediLegal AI Case Summary',
+        'summary.role': 'Role',
+        'summary.generated': 'Generated',
+        'summary.version': 'Guidance content version',
+        'summary.jurisdiction': 'Jurisdiction',
+        'summary.questions': 'Questions and Answers',
+        'summary.question': 'Question',
+        'summary.answer': 'Answer',
+        'summary.answered': 'Answered',
+        'summary.guidance': 'Guidance: {title}',
+        'summary.inferred': 'from your description',
+        'summary.timeline': 'Timeline',
+        'summary.when': 'When',
+        'summary.event': 'Event',
+        'summary.people': 'People involved',
+        'summary.files': 'Files',
+        'summary.unknownTime': 'Unknown time',
+        'summary.emergency': 'Emergency actions',
+        'summary.acknowledged': 'Banner acknowledged',
+        'summary.notAcknowledged': 'Not acknowledged',
+        'summary.notDone': 'Not done',
+        'joint.start': 'Consent discussion together',
+        'joint.startNote': 'For a clinician and a patient sitting together: each answers their own consent questions side by side, then you review one summary.',
+        'joint.role': 'Clinician and patient',
+        'joint.leave': 'Leave',
+        'joint.consent.title': 'Consent discussion: clinician and patient',
+        'joint.consent.intro': 'Each of you answers your own questions. Answers that do not match are highlighted so you can talk them through. Nothing here is saved on this device.',
+        'joint.consent.summaryTitle': 'Consent understanding summary',
+        'joint.consent.disagreement.notExplained': 'The clinician says consent was obtained and documented, but the patient says the risks, benefits and alternatives were not clearly explained.',
+        'joint.consent.disagreement.notDocumented': 'The patient says the risks, benefits and alternatives were explained, but the clinician says consent was not documented before the procedure.',
+        'joint.disagreements': 'Answers that do not match',
+        'joint.disagreementFound': 'Your answers do not match. See the highlighted answers.',
+        'joint.noDisagreements': 'Your answers match.',
+        'joint.mismatch': 'Does not match the other answers',
+        'joint.done': 'Done: {title}',
+        'joint.summaryNote': 'Read the summary together. Each of you ticks your box once you have reviewed it.',
+        'joint.reviews': 'Reviews',
+        'joint.reviewedBy': 'Reviewed by: {role}',
+        'joint.notReviewed': 'Not reviewed'
+    },
+    es: {
+        'app.title': 'MediLegal AI - Orientación médico-legal',
+        'header.subtitle': 'Orientación médico-legal clara en pasos de sí/no',
+        'header.role': 'Rol:',
+        'header.location': 'Ubicación:',
+        'header.language': 'Idioma:',
+        'header.changeRole': 'Cambiar rol',
+        'header.textSize': 'Tamaño del texto:',
+        'header.highContrast': 'Alto contraste',
+        'textSize.normal': 'Normal',
+        'textSize.large': 'Grande',
+        'textSize.larger': 'Más grande',
+        'banner.text': 'Solo información legal, no asesoramiento legal. Consulte a un profesional cualificado sobre su situación concreta.',
+        'roles.heading': 'Seleccione su rol',
+        'roles.description': 'Adaptamos la orientación según quién es usted.',
+        'roles.doctorButton': 'Soy médico',
+        'roles.patientButton': 'Soy paciente',
+        'roles.nurseButton': 'Soy enfermero o enfermera',
+        'roles.caregiverButton': 'Soy familiar o cuidador',
+        'roles.adminButton': 'Soy administrador del hospital',
+        'roles.editorLink': 'Editar el contenido de orientación',
+        'roles.dashboardLink': 'Panel de uso',
+        'role.doctor': 'Médico',
+        'role.patient': 'Paciente',
+        'role.nurse': 'Enfermero/a',
+        'role.caregiver': 'Cuidador',
+        'role.admin': 'Administrador/a',
+        'composer.send': 'Enviar',
+        'composer.back': 'Atrás',
+        'composer.clear': 'Borrar chat',
+        'composer.voice': 'Modo de voz',
+        'composer.shortcuts': 'Teclado: S o Y sí, N no, Retroceso atrás, Esc cerrar',
+        'input.label': 'Su respuesta',
+        'input.options': 'Opciones de respuesta',
+        'input.yesNo': 'Escriba sí o no...',
+        'input.choice': 'Elija una opción o escriba su número...',
+        'input.text': 'Escriba su respuesta...',
+        'input.followUp': 'Haga una pregunta adicional...',
+        'input.followUpOffline': 'Está sin conexión. Las preguntas adicionales necesitan conexión.',
+        'answer.yes': 'Sí',
+        'answer.no': 'No',
+        'chat.intro': 'Le guiaré con unas pocas preguntas breves para darle información médico-legal concreta. Responda con los botones o describa su inquietud con sus propias palabras.',
+        'chat.flowComplete': 'El recorrido guiado ha terminado. Pulse «Borrar chat» para empezar de nuevo.',
+        'chat.error': 'Algo salió mal. Borre el chat e inténtelo de nuevo.',
+        'chat.noGuidance': 'No hay orientación disponible. Borre el chat e inténtelo de nuevo.',
+        'chat.confirmClear': '¿Seguro que desea borrar todos los mensajes?',
+        'chat.editAnswer': 'Haga clic para cambiar esta respuesta',
+        'chat.treeRewound': 'El contenido de orientación ha cambiado desde que se guardó esta sesión y no todas sus respuestas siguen siendo válidas. Continúe desde la pregunta siguiente.',
+        'chat.treeDiscard': 'El contenido de orientación ha cambiado desde que se guardó esta sesión. Las cartas y el borrador del informe de incidente redactados a partir de la orientación anterior se eliminarán de esta sesión. ¿Desea descargarlos primero?',
+        'chat.treeDiscarded': 'Se eliminaron las cartas y el borrador del informe de incidente redactados a partir de la orientación anterior. Su cronología se conserva.',
+        'update.available': 'Hay una actualización de la aplicación o de su contenido. Sus respuestas se conservan y continuará donde lo dejó.',
+        'update.apply': 'Actualizar ahora',
+        'update.later': 'Más tarde',
+        'emergency.heading': 'Emergencia: pida ayuda ahora',
+        'emergency.intro': 'Primero pida ayuda. Marque cada acción a medida que la complete; la hora se guarda con esta conversación.',
+        'emergency.contacts': 'Números de emergencia',
+        'emergency.contact.emergency': 'Servicios de emergencia',
+        'emergency.contact.poison': 'Centro de toxicología',
+        'emergency.call': 'Llamar a {service}: {number}',
+        'emergency.checklist': 'Acciones',
+        'emergency.doneAt': 'Hecho a las {time}',
+        'emergency.acknowledge': 'Entendido',
+        'emergency.pending': 'Las respuestas y otras acciones quedan en pausa hasta que confirme que ha leído esto.',
+        'emergency.acknowledgedAt': 'Confirmado a las {time}',
+        'emergency.acknowledged': 'He leído las instrucciones de emergencia ({time}).',
+        'emergency.done': 'Hecho: {action} ({time})',
+        'emergency.undone': 'Finalmente no hecho: {action}',
+        'emergency.announce': 'Emergencia. {title}. Primero pida ayuda y después confirme que ha leído las instrucciones.',
+        'voice.speakOnly': 'Este navegador puede leer en voz alta pero no escuchar. Responda con los botones.',
+        'voice.sayYesNo': 'Diga sí o no.',
+        'voice.speaking': 'Leyendo en voz alta…',
+        'voice.listening': 'Escuchando… diga sí o no',
+        'voice.notUnderstood': 'Perdone, no lo he entendido. Diga sí o no, por favor.',
+        'voice.micBlocked': 'El micrófono está bloqueado. Responda con los botones, o permita el micrófono y vuelva a activar el modo de voz.',
+        'voice.useButtons': 'No he podido entender la respuesta. Use los botones, por favor.',
+        'chat.label': 'Chat de orientación',
+        'chat.messages': 'Conversación',
+        'chat.botSays': 'MediLegal AI:',
+        'chat.youSaid': 'Usted:',
+        'chat.guidanceReady': 'Orientación: {title}. {risk}, {score}.',
+        'chat.printBlocked': 'Se bloqueó la vista de impresión. Permita las ventanas emergentes en esta página e inténtelo de nuevo.',
+        'chat.treeUpdated': 'El contenido de orientación se ha actualizado desde que se guardó esta sesión. Use Atrás o haga clic en una respuesta anterior si alguna pregunta ya no coincide.',
+        'intent.confirm': 'Parece que su inquietud tiene que ver con {topic}. ¿Paso directamente a las preguntas sobre eso?',
+        'intent.declined': 'De acuerdo, sigamos paso a paso.',
+        'intent.unsure': 'No he podido saber de qué trata, así que sigamos paso a paso.',
+        'intent.filled': 'Completado a partir de su descripción (use Atrás para deshacerlo):',
+        'intent.safetyFirst': 'Primero, una pregunta de seguridad que no puedo responder por usted:',
+        'followUp.title': 'Respuesta a su pregunta',
+        'followUp.thinking': 'Revisando su pregunta…',
+        'followUp.offline': 'Parece que está sin conexión, así que su pregunta no se envió. Está de nuevo en el cuadro de texto; envíela otra vez cuando tenga conexión.',
+        'followUp.timeout': 'El servicio de respuestas tardó demasiado en responder. Inténtelo de nuevo.',
+        'followUp.error': 'El servicio de respuestas no está disponible en este momento. Inténtelo más tarde.',
+        'followUp.interrupted': 'La respuesta se interrumpió antes de terminar. Vuelva a preguntar.',
+        'error.yesNo': 'Responda «sí» o «no».',
+        'error.choice': 'Elija una de estas opciones: {options}.',
+        'error.date': 'Introduzca una fecha válida con el formato AAAA-MM-DD.',
+        'error.textEmpty': 'Escriba una respuesta breve.',
+        'error.textTooLong': 'Su respuesta debe tener menos de {max} caracteres.',
+        'question.title': 'Pregunta',
+        'hint.label': 'Respuesta:',
+        'hint.yesNo': 'Sí o No.',
+        'hint.choice': 'Elija una: {options}.',
+        'hint.date': 'Introduzca una fecha (AAAA-MM-DD).',
+        'hint.text': 'Escriba una respuesta breve.',
+        'placeholder.missing': '(no indicado)',
+        'guidance.title': 'Orientación',
+        'guidance.risk': 'Nivel de riesgo',
+        'guidance.keyPoints': 'Puntos clave',
+        'guidance.nextSteps': 'Próximos pasos',
+        'guidance.deadlines': 'Plazos',
+        'guidance.incidentDate': 'Fecha del incidente',
+        'guidance.deadlineNote': 'Los plazos dependen de los hechos y pueden ser más cortos. Confírmelos con un profesional cualificado.',
+        'guidance.deadlineHint': 'Introduzca la fecha del incidente para ver las fechas exactas.',
+        'guidance.forJurisdiction': 'Orientación para {jurisdiction}',
+        'guidance.noLocalRules': 'Orientación general: aún no hay normas específicas de {jurisdiction} sobre este tema',
+        'guidance.chooseLocation': 'Orientación general: elija su ubicación arriba para ver las normas locales',
+        'guidance.export': 'Exportar resumen:',
+        'guidance.print': 'Imprimir',
+        'risk.high': 'Riesgo alto',
+        'risk.medium': 'Riesgo medio',
+        'risk.low': 'Riesgo bajo',
+        'risk.score': 'Puntuación {score}',
+        'risk.why': 'Qué determinó este nivel',
+        'risk.base': 'Nivel inicial de esta orientación: {level} ({score})',
+        'risk.noFactors': 'Ninguna respuesta cambió el nivel inicial.',
+        'risk.answered': 'respondió «{answer}» a «{question}»',
+        'risk.inferred': '«{answer}» deducido de la descripción para «{question}»',
+        'deadline.within': '{label}: dentro de los {days} días posteriores al incidente',
+        'deadline.due': '{label}: antes del {date} ({days} días después del incidente)',
+        'deadline.duePassed': '{label}: antes del {date} (esta fecha ya pasó) ({days} días después del incidente)',
+        'disclaimer': 'Esto es información legal, no asesoramiento legal. Consulte a un profesional cualificado sobre su situación.',
+        'timeline.heading': 'Cronología del incidente',
+        'timeline.intro': 'Anote los hechos con su fecha, quién intervino y los documentos relacionados. La cronología se guarda en este dispositivo con esta sesión y se incluye en el resumen exportado.',
+        'timeline.open': 'Crear una cronología',
+        'timeline.close': 'Cerrar',
+        'timeline.empty': 'Aún no hay hechos. Añada el primero abajo.',
+        'timeline.date': 'Fecha',
+        'timeline.time': 'Hora (opcional)',
+        'timeline.description': 'Qué ocurrió',
+        'timeline.people': 'Personas implicadas (separadas por comas)',
+        'timeline.files': 'Archivos relacionados',
+        'timeline.filesNote': 'Solo se guardan los nombres de los archivos; los archivos se quedan donde están.',
+        'timeline.add': 'Añadir hecho',
+        'timeline.update': 'Guardar cambios',
+        'timeline.cancelEdit': 'Cancelar',
+        'timeline.edit': 'Editar',
+        'timeline.delete': 'Eliminar',
+        'timeline.removeFile': 'Quitar',
+        'timeline.confirmDelete': '¿Eliminar este hecho de la cronología?',
+        'timeline.peopleLabel': 'Personas:',
+        'timeline.errorDate': 'Indique la fecha del hecho.',
+        'timeline.errorTime': 'Indique la hora como HH:MM o déjela vacía.',
+        'timeline.errorDescription': 'Describa qué ocurrió.',
+        'timeline.errorTooLong': 'La descripción debe tener menos de {max} caracteres.',
+        'letters.label': 'Cartas de solicitud:',
+        'letter.intro': 'Complete los datos para crear la carta. Los campos marcados con * son obligatorios. Las cartas se guardan en este dispositivo con esta sesión.',
+        'letter.create': 'Crear carta',
+        'letter.close': 'Cerrar',
+        'letter.download': 'Descargar',
+        'letter.print': 'Imprimir',
+        'letter.view': 'Ver',
+        'letter.delete': 'Eliminar',
+        'letter.confirmDelete': '¿Eliminar esta carta de la sesión?',
+        'letter.saved': 'Cartas de esta sesión',
+        'letter.created': 'Creada el {date}',
+        'letter.reviewNote': 'Revise la carta antes de enviarla y guarde una copia con la fecha de envío.',
+        'letter.errorRequired': 'Indique {field}.',
+        'letter.errorDate': 'Introduzca una fecha válida en {field}.',
+        'letter.errorTooLong': '{field} debe tener menos de {max} caracteres.',
+        'letter.field.senderName': 'Su nombre completo',
+        'letter.field.senderAddress': 'Su dirección',
+        'letter.field.senderContact': 'Teléfono o correo electrónico',
+        'letter.field.dateOfBirth': 'Su fecha de nacimiento',
+        'letter.field.recipient': 'Profesional o centro',
+        'letter.field.recipientAddress': 'Dirección del profesional o centro',
+        'letter.field.recordNumber': 'Número de historia clínica o de paciente',
+        'letter.field.treatmentDates': 'Fechas de la atención (p. ej., marzo–mayo de 2024)',
+        'letter.field.accountNumber': 'Número de cuenta o de factura',
+        'letter.field.serviceDate': 'Fecha del servicio',
+        'letter.field.insurer': 'Compañía de seguros',
+        'letter.field.claimNumber': 'Número de reclamación al seguro',
+        'letter.field.procedure': 'Procedimiento o tratamiento',
+        'letter.field.procedureDate': 'Fecha del procedimiento',
+        'letter.field.clinician': 'Profesional responsable',
+        'letter.field.questions': 'Sus preguntas',
+        'letter.field.incidentDate': 'Fecha del incidente',
+        'letter.field.complaintDetails': 'Qué ocurrió',
+        'letter.field.staffInvolved': 'Personal implicado',
+        'letter.field.desiredOutcome': 'Qué solución desea',
+        'letter.greeting': 'Estimados señores:',
+        'letter.closing': 'Atentamente,',
+        'letter.records.title': 'Solicitud de historia clínica',
+        'letter.records.subject': 'Asunto: Solicitud de copia de mi historia clínica',
+        'letter.records.intro': 'Les escribo para solicitar una copia completa de la historia clínica que {recipient} conserva sobre mí.',
+        'letter.records.dateOfBirth': 'Para identificar mi historia, mi fecha de nacimiento es el {dateOfBirth}.',
+        'letter.records.recordNumber': 'Mi número de historia clínica o de paciente es {recordNumber}.',
+        'letter.records.treatmentDates': 'La solicitud abarca la atención que recibí durante {treatmentDates}.',
+        'letter.records.scope': 'Incluyan, por favor, las notas clínicas, los resultados de pruebas e imágenes, los registros de medicación, la correspondencia y cualquier formulario de consentimiento que haya firmado.',
+        'letter.records.delivery': 'Envíen la documentación a la dirección indicada arriba e infórmenme antes si hay algún coste o formulario que deba completar. Les agradecería una respuesta dentro del plazo aplicable a este tipo de solicitudes.',
+        'letter.bill.title': 'Solicitud de factura detallada',
+        'letter.bill.subject': 'Asunto: Solicitud de factura detallada, cuenta {accountNumber}',
+        'letter.bill.intro': 'Les escribo en relación con la cuenta {accountNumber} por los servicios que recibí el {serviceDate}.',
+        'letter.bill.request': 'Les ruego que me envíen una factura detallada con cada cargo, su fecha, descripción, código de facturación e importe, junto con los pagos o ajustes ya aplicados.',
+        'letter.bill.insurer': 'Mi compañía de seguros es {insurer}.',
+        'letter.bill.claimNumber': 'El número de reclamación al seguro es {claimNumber}.',
+        'letter.bill.hold': 'Les ruego que suspendan cualquier gestión de cobro de esta cuenta hasta que haya recibido y revisado la factura detallada.',
+        'letter.consent.title': 'Solicitud de explicación del consentimiento',
+        'letter.consent.subject': 'Asunto: Solicitud de información sobre el consentimiento para {procedure}',
+        'letter.consent.intro': 'Les escribo en relación con mi {procedure} en {recipient}.',
+        'letter.consent.procedureDate': 'El procedimiento se realizó, o está previsto, el {procedureDate}.',
+        'letter.consent.clinician': 'El profesional responsable fue {clinician}.',
+        'letter.consent.request': 'Les ruego que me expliquen por escrito los riesgos, beneficios y alternativas que se comentaron conmigo antes del procedimiento, y que me envíen una copia de cualquier formulario de consentimiento que haya firmado.',
+        'letter.consent.questions': 'También me gustaría obtener respuesta a las siguientes preguntas:\n{questions}',
+        'letter.consent.reply': 'Les ruego que respondan por escrito a la dirección indicada arriba.',
+        'letter.complaint.title': 'Reclamación formal',
+        'letter.complaint.subject': 'Asunto: Reclamación formal sobre la atención del {incidentDate}',
+        'letter.complaint.intro': 'Deseo presentar una reclamación formal sobre la atención que recibí en {recipient} el {incidentDate}.',
+        'letter.complaint.details': 'Lo que ocurrió:\n{complaintDetails}',
+        'letter.complaint.staffInvolved': 'Entre el personal implicado se encontraba {staffInvolved}.',
+        'letter.complaint.desiredOutcome': 'Para resolver esta reclamación, desearía:\n{desiredOutcome}',
+        'letter.complaint.response': 'Les ruego que acusen recibo de esta reclamación por escrito, me indiquen quién la gestiona y cuándo recibiré una respuesta completa, y me expliquen cómo puedo continuarla si no quedo satisfecho.',
+        'report.open': 'Redactar informe de incidente',
+        'report.heading': 'Borrador del informe de incidente',
+        'report.intro': 'Anote lo que se observó y se hizo, sin suponer causas ni atribuir culpas. El borrador se guarda en este dispositivo con esta sesión; cópielo en el sistema de notificación de su institución.',
+        'report.close': 'Cerrar',
+        'report.create': 'Crear borrador',
+        'report.createAnyway': 'Crear borrador de todos modos',
+        'report.download': 'Descargar',
+        'report.print': 'Imprimir',
+        'report.reviewNote': 'Esto es un borrador. Compárelo con el formulario de notificación de incidentes de su institución antes de enviarlo.',
+        'report.flagsHeading': 'Revise esta redacción antes de exportar. El informe solo debe recoger lo que se vio, se oyó y se hizo.',
+        'report.flag.speculation': '«{phrase}» en {field} parece una suposición. Describa lo que observó.',
+        'report.flag.blame': '«{phrase}» en {field} atribuye culpa. Exponga los hechos y deje las conclusiones para la revisión.',
+        'report.errorRequired': 'Indique {field}.',
+        'report.errorDate': 'Introduzca una fecha válida en {field}.',
+        'report.errorTime': 'Introduzca {field} como HH:MM o déjelo vacío.',
+        'report.errorTooLong': '{field} debe tener menos de {max} caracteres.',
+        'report.field.eventDate': 'Fecha del suceso',
+        'report.field.eventTime': 'Hora del suceso',
+        'report.field.location': 'Lugar',
+        'report.field.reporter': 'Notificado por (nombre y cargo)',
+        'report.field.people': 'Personas implicadas y su función',
+        'report.field.description': 'Qué ocurrió',
+        'report.field.actions': 'Medidas adoptadas',
+        'report.field.notifications': 'Comunicaciones realizadas (a quién y cuándo)',
+        'report.field.outcome': 'Estado posterior del paciente',
+        'report.title': 'Informe de incidente (borrador)',
+        'report.when': 'Fecha y hora',
+        'report.prepared': 'Borrador preparado',
+        'report.notRecorded': 'No consta',
+        'report.draftNote': 'Borrador para la notificación interna de incidentes. Solo hechos objetivos; revíselo antes de enviarlo.',
+        'sessions.heading': 'Reanudar una sesión anterior',
+        'vault.label': 'Conversaciones guardadas',
+        'vault.lock': 'Bloquear',
+        'vault.wipe': 'Borrar todos los datos',
+        'vault.unsupported': 'No se pueden guardar conversaciones en esta página porque el navegador no puede cifrarlas aquí. Abra la aplicación por https para guardarlas.',
+        'vault.unlocked': 'Las conversaciones guardadas están desbloqueadas. Se bloquean tras {minutes} minutos sin actividad.',
+        'vault.lockedHeading': 'Las conversaciones guardadas están bloqueadas',
+        'vault.lockedNote': 'Introduzca su frase de contraseña para verlas y reanudarlas. Las conversaciones nuevas no se guardan mientras estén bloqueadas.',
+        'vault.passphrase': 'Frase de contraseña',
+        'vault.unlock': 'Desbloquear',
+        'vault.setupHeading': 'Guardar conversaciones en este dispositivo',
+        'vault.setupNote': 'Las conversaciones solo se guardan cuando elige una frase de contraseña. Se cifran con ella y nadie puede recuperarlas si la olvida.',
+        'vault.newPassphrase': 'Frase de contraseña (al menos {length} caracteres)',
+        'vault.confirmPassphrase': 'Repita la frase de contraseña',
+        'vault.setup': 'Activar el guardado',
+        'vault.tooShort': 'La frase de contraseña necesita al menos {length} caracteres.',
+        'vault.mismatch': 'Las dos frases de contraseña no coinciden.',
+        'vault.setupDone': 'El guardado está activado. Las conversaciones se cifran en este dispositivo.',
+        'vault.failed': 'Algo salió mal. Inténtelo de nuevo.',
+        'vault.wrongPassphrase': 'Esa frase de contraseña no es correcta.',
+        'vault.autoLocked': 'Bloqueado tras {minutes} minutos sin actividad.',
+        'vault.wiped': 'Se han borrado todos los datos de este dispositivo.',
+        'sessions.note': 'Las sesiones se guardan solo en este dispositivo y se eliminan automáticamente después de {days} días.',
+        'sessions.answers.one': '{count} respuesta',
+        'sessions.answers.other': '{count} respuestas',
+        'sessions.completed': 'Completada',
+        'sessions.inProgress': 'En curso',
+        'sessions.resume': 'Reanudar',
+        'sessions.delete': 'Eliminar',
+        'sessions.confirmDelete': '¿Eliminar esta sesión guardada? No se puede deshacer.',
+        'history.open': 'Buscar conversaciones anteriores',
+        'history.heading': 'Historial de conversaciones',
+        'history.search': 'Buscar en preguntas, respuestas y orientación',
+        'history.role': 'Rol',
+        'history.risk': 'Nivel de riesgo',
+        'history.allRoles': 'Todos los roles',
+        'history.allRisks': 'Todos los niveles de riesgo',
+        'history.results.one': '{count} conversación',
+        'history.results.other': '{count} conversaciones',
+        'history.noResults': 'Ninguna conversación guardada coincide.',
+        'history.type.question': 'Pregunta',
+        'history.type.answer': 'Respuesta',
+        'history.type.guidance': 'Orientación',
+        'errors.heading': 'No se pudo cargar parte del contenido de orientación:',
+        'summary.title': 'Resumen del caso de MediLegal AI',
+        'summary.role': 'Rol',
+        'summary.generated': 'Generado',
+        'summary.version': 'Versión del contenido de orientación',
+        'summary.jurisdiction': 'Jurisdicción',
+        'summary.questions': 'Preguntas y respuestas',
+        'summary.question': 'Pregunta',
+        'summary.answer': 'Respuesta',
+        'summary.answered': 'Respondida',
+        'summary.guidance': 'Orientación: {title}',
+        'summary.inferred': 'según su descripción',
+        'summary.timeline': 'Cronología',
+        'summary.when': 'Cuándo',
+        'summary.event': 'Hecho',
+        'summary.people': 'Personas implicadas',
+        'summary.files': 'Archivos',
+        'summary.unknownTime': 'Hora desconocida',
+        'summary.emergency': 'Acciones de emergencia',
+        'summary.acknowledged': 'Aviso confirmado',
+        'summary.notAcknowledged': 'Sin confirmar',
+        'summary.notDone': 'No hecho',
+        'joint.start': 'Conversación conjunta sobre el consentimiento',
+        'joint.startNote': 'Para un profesional sanitario y un paciente juntos: cada uno responde sus propias preguntas sobre el consentimiento, una al lado de la otra, y luego revisan un único resumen.',
+        'joint.role': 'Profesional y paciente',
+        'joint.leave': 'Salir',
+        'joint.consent.title': 'Conversación sobre el consentimiento: profesional y paciente',
+        'joint.consent.intro': 'Cada uno responde sus propias preguntas. Las respuestas que no coinciden se resaltan para que puedan hablarlas. Nada de esto se guarda en este dispositivo.',
+        'joint.consent.summaryTitle': 'Resumen de la comprensión del consentimiento',
+        'joint.consent.disagreement.notExplained': 'El profesional indica que el consentimiento se obtuvo y se documentó, pero el paciente indica que no se le explicaron claramente los riesgos, beneficios y alternativas.',
+        'joint.consent.disagreement.notDocumented': 'El paciente indica que se le explicaron los riesgos, beneficios y alternativas, pero el profesional indica que el consentimiento no se documentó antes del procedimiento.',
+        'joint.disagreements': 'Respuestas que no coinciden',
+        'joint.disagreementFound': 'Sus respuestas no coinciden. Vea las respuestas resaltadas.',
+        'joint.noDisagreements': 'Sus respuestas coinciden.',
+        'joint.mismatch': 'No coincide con las otras respuestas',
+        'joint.done': 'Terminado: {title}',
+        'joint.summaryNote': 'Lean el resumen juntos. Cada uno marca su casilla cuando lo haya revisado.',
+        'joint.reviews': 'Revisiones',
+        'joint.reviewedBy': 'Revisado por: {role}',
+        'joint.notReviewed': 'Sin revisar',
+        'jurisdiction.generic': 'General (cualquier ubicación)',
+        'jurisdiction.US-CA': 'California, EE. UU.',
+        'jurisdiction.US-NY': 'Nueva York, EE. UU.',
+        'jurisdiction.US-TX': 'Texas, EE. UU.',
+        'jurisdiction.GB': 'Reino Unido'
+    },
+    fr: {
+        'app.title': 'MediLegal AI - Orientation médico-légale',
+        'header.subtitle': 'Une orientation médico-légale claire, étape par étape en oui/non',
+        'header.role': 'Rôle :',
+        'header.location': 'Lieu :',
+        'header.language': 'Langue :',
+        'header.changeRole': 'Changer de rôle',
+        'header.textSize': 'Taille du texte :',
+        'header.highContrast': 'Contraste élevé',
+        'textSize.normal': 'Normale',
+        'textSize.large': 'Grande',
+        'textSize.larger': 'Très grande',
+        'banner.text': 'Information juridique uniquement, pas un conseil juridique. Consultez un professionnel qualifié pour votre situation.',
+        'roles.heading': 'Choisissez votre rôle',
+        'roles.description': 'Nous adaptons l’orientation selon votre profil.',
+        'roles.doctorButton': 'Je suis médecin',
+        'roles.patientButton': 'Je suis patient',
+        'roles.nurseButton': 'Je suis infirmier ou infirmière',
+        'roles.caregiverButton': 'Je suis un proche ou un aidant',
+        'roles.adminButton': 'Je suis administrateur d’hôpital',
+        'roles.editorLink': 'Modifier le contenu d’orientation',
+        'roles.dashboardLink': 'Tableau de bord d’utilisation',
+        'role.doctor': 'Médecin',
+        'role.patient': 'Patient',
+        'role.nurse': 'Infirmier',
+        'role.caregiver': 'Proche aidant',
+        'role.admin': 'Administrateur',
+        'composer.send': 'Envoyer',
+        'composer.back': 'Retour',
+        'composer.clear': 'Effacer la conversation',
+        'composer.voice': 'Mode vocal',
+        'composer.shortcuts': 'Clavier : O ou Y oui, N non, Retour arrière retour, Échap fermer',
+        'input.label': 'Votre réponse',
+        'input.options': 'Options de réponse',
+        'input.yesNo': 'Tapez oui ou non...',
+        'input.choice': 'Choisissez une option ou tapez son numéro...',
+        'input.text': 'Tapez votre réponse...',
+        'input.followUp': 'Posez une question complémentaire...',
+        'input.followUpOffline': 'Vous êtes hors ligne. Les questions complémentaires nécessitent une connexion.',
+        'answer.yes': 'Oui',
+        'answer.no': 'Non',
+        'chat.intro': 'Je vais vous guider avec quelques questions courtes afin de vous donner une information médico-légale ciblée. Répondez avec les boutons ou décrivez votre préoccupation avec vos propres mots.',
+        'chat.flowComplete': 'Le parcours guidé est terminé. Cliquez sur « Effacer la conversation » pour recommencer.',
+        'chat.error': 'Une erreur s’est produite. Effacez la conversation et réessayez.',
+        'chat.noGuidance': 'Aucune orientation disponible. Effacez la conversation et réessayez.',
+        'chat.confirmClear': 'Voulez-vous vraiment effacer tous les messages ?',
+        'chat.editAnswer': 'Cliquez pour modifier cette réponse',
+        'chat.treeRewound': 'Le contenu d’orientation a changé depuis l’enregistrement de cette session et certaines de vos réponses ne s’appliquent plus. Veuillez reprendre à la question ci-dessous.',
+        'chat.treeDiscard': 'Le contenu d’orientation a changé depuis l’enregistrement de cette session. Les lettres et le brouillon de rapport d’incident rédigés à partir de l’orientation précédente seront retirés de cette session. Voulez-vous d’abord les télécharger ?',
+        'chat.treeDiscarded': 'Les lettres et le brouillon de rapport d’incident rédigés à partir de l’orientation précédente ont été retirés. Votre chronologie est conservée.',
+        'update.available': 'Une mise à jour de l’application ou de son contenu est disponible. Vos réponses sont conservées et vous reprendrez là où vous en étiez.',
+        'update.apply': 'Mettre à jour',
+        'update.later': 'Plus tard',
+        'emergency.heading': 'Urgence : demandez de l’aide maintenant',
+        'emergency.intro': 'Appelez d’abord les secours. Cochez chaque action une fois faite ; l’heure est enregistrée avec cette conversation.',
+        'emergency.contacts': 'Numéros d’urgence',
+        'emergency.contact.emergency': 'Services d’urgence',
+        'emergency.contact.poison': 'Centre antipoison',
+        'emergency.call': 'Appeler {service} : {number}',
+        'emergency.checklist': 'Actions',
+        'emergency.doneAt': 'Fait à {time}',
+        'emergency.acknowledge': 'J’ai compris',
+        'emergency.pending': 'Les réponses et les autres actions sont suspendues jusqu’à ce que vous confirmiez avoir lu ceci.',
+        'emergency.acknowledgedAt': 'Confirmé à {time}',
+        'emergency.acknowledged': 'J’ai lu les consignes d’urgence ({time}).',
+        'emergency.done': 'Fait : {action} ({time})',
+        'emergency.undone': 'Finalement pas fait : {action}',
+        'emergency.announce': 'Urgence. {title}. Appelez d’abord les secours, puis confirmez avoir lu les consignes.',
+        'voice.speakOnly': 'Ce navigateur peut lire à voix haute mais pas écouter. Répondez avec les boutons.',
+        'voice.sayYesNo': 'Dites oui ou non.',
+        'voice.speaking': 'Lecture à voix haute…',
+        'voice.listening': 'Écoute… dites oui ou non',
+        'voice.notUnderstood': 'Désolé, je n’ai pas compris. Dites oui ou non, s’il vous plaît.',
+        'voice.micBlocked': 'Le micro est bloqué. Répondez avec les boutons, ou autorisez le micro et réactivez le mode vocal.',
+        'voice.useButtons': 'Je n’ai pas pu comprendre la réponse. Utilisez les boutons, s’il vous plaît.',
+        'chat.label': 'Discussion d’orientation',
+        'chat.messages': 'Conversation',
+        'chat.botSays': 'MediLegal AI :',
+        'chat.youSaid': 'Vous :',
+        'chat.guidanceReady': 'Orientation : {title}. {risk}, {score}.',
+        'chat.printBlocked': 'La vue d’impression a été bloquée. Autorisez les fenêtres pop-up pour cette page et réessayez.',
+        'chat.treeUpdated': 'Le contenu d’orientation a été mis à jour depuis l’enregistrement de cette session. Utilisez Retour ou cliquez sur une réponse précédente si une question ne correspond plus.',
+        'intent.confirm': 'Il semble que votre préoccupation concerne {topic}. Voulez-vous passer directement aux questions sur ce sujet ?',
+        'intent.declined': 'Très bien, continuons étape par étape.',
+        'intent.unsure': 'Je n’ai pas pu déterminer le sujet, continuons donc étape par étape.',
+        'intent.filled': 'Réponses déduites de votre description (utilisez Retour pour annuler) :',
+        'intent.safetyFirst': 'D’abord, une question de sécurité à laquelle je ne peux pas répondre à votre place :',
+        'followUp.title': 'Réponse à votre question',
+        'followUp.thinking': 'Examen de votre question…',
+        'followUp.offline': 'Vous semblez être hors ligne, votre question n’a donc pas été envoyée. Elle est de nouveau dans la zone de texte ; renvoyez-la une fois connecté.',
+        'followUp.timeout': 'Le service de réponses a mis trop de temps à répondre. Veuillez réessayer.',
+        'followUp.error': 'Le service de réponses n’est pas disponible pour le moment. Veuillez réessayer plus tard.',
+        'followUp.interrupted': 'La réponse a été interrompue avant la fin. Veuillez reposer la question.',
+        'error.yesNo': 'Veuillez répondre par « oui » ou « non ».',
+        'error.choice': 'Veuillez choisir parmi : {options}.',
+        'error.date': 'Veuillez saisir une date valide au format AAAA-MM-JJ.',
+        'error.textEmpty': 'Veuillez taper une réponse courte.',
+        'error.textTooLong': 'Votre réponse doit faire moins de {max} caractères.',
+        'question.title': 'Question',
+        'hint.label': 'Réponse :',
+        'hint.yesNo': 'Oui ou Non.',
+        'hint.choice': 'Choisissez : {options}.',
+        'hint.date': 'Saisissez une date (AAAA-MM-JJ).',
+        'hint.text': 'Tapez une réponse courte.',
+        'placeholder.missing': '(non renseigné)',
+        'guidance.title': 'Orientation',
+        'guidance.risk': 'Niveau de risque',
+        'guidance.keyPoints': 'Points clés',
+        'guidance.nextSteps': 'Prochaines étapes',
+        'guidance.deadlines': 'Délais',
+        'guidance.incidentDate': 'Date de l’incident',
+        'guidance.deadlineNote': 'Les délais dépendent des faits et peuvent être plus courts. Faites-les confirmer par un professionnel qualifié.',
+        'guidance.deadlineHint': 'Saisissez la date de l’incident pour voir les dates exactes.',
+        'guidance.forJurisdiction': 'Orientation pour : {jurisdiction}',
+        'guidance.noLocalRules': 'Orientation générale : pas encore de règles spécifiques pour {jurisdiction} sur ce sujet',
+        'guidance.chooseLocation': 'Orientation générale : choisissez votre lieu ci-dessus pour les règles locales',
+        'guidance.export': 'Exporter le résumé :',
+        'guidance.print': 'Imprimer',
+        'risk.high': 'Risque élevé',
+        'risk.medium': 'Risque moyen',
+        'risk.low': 'Risque faible',
+        'risk.score': 'Score {score}',
+        'risk.why': 'Ce qui a fixé ce niveau',
+        'risk.base': 'Niveau de départ pour cette orientation : {level} ({score})',
+        'risk.noFactors': 'Aucune réponse n’a modifié le niveau de départ.',
+        'risk.answered': 'réponse « {answer} » à « {question} »',
+        'risk.inferred': '« {answer} » déduit de la description pour « {question} »',
+        'deadline.within': '{label} : dans les {days} jours suivant l’incident',
+        'deadline.due': '{label} : avant le {date} ({days} jours après l’incident)',
+        'deadline.duePassed': '{label} : avant le {date} (cette date est passée) ({days} jours après l’incident)',
+        'disclaimer': 'Il s’agit d’une information juridique, pas d’un conseil juridique. Consultez un professionnel qualifié pour votre situation.',
+        'timeline.heading': 'Chronologie de l’incident',
+        'timeline.intro': 'Notez les événements datés, les personnes concernées et les documents liés. La chronologie est enregistrée sur cet appareil avec cette session et incluse dans le résumé exporté.',
+        'timeline.open': 'Établir une chronologie',
+        'timeline.close': 'Fermer',
+        'timeline.empty': 'Aucun événement pour l’instant. Ajoutez le premier ci-dessous.',
+        'timeline.date': 'Date',
+        'timeline.time': 'Heure (facultative)',
+        'timeline.description': 'Ce qui s’est passé',
+        'timeline.people': 'Personnes concernées (séparées par des virgules)',
+        'timeline.files': 'Fichiers liés',
+        'timeline.filesNote': 'Seuls les noms des fichiers sont conservés ; les fichiers restent où ils sont.',
+        'timeline.add': 'Ajouter l’événement',
+        'timeline.update': 'Enregistrer les modifications',
+        'timeline.cancelEdit': 'Annuler',
+        'timeline.edit': 'Modifier',
+        'timeline.delete': 'Supprimer',
+        'timeline.removeFile': 'Retirer',
+        'timeline.confirmDelete': 'Supprimer cet événement de la chronologie ?',
+        'timeline.peopleLabel': 'Personnes :',
+        'timeline.errorDate': 'Indiquez la date de l’événement.',
+        'timeline.errorTime': 'Indiquez l’heure au format HH:MM, ou laissez-la vide.',
+        'timeline.errorDescription': 'Décrivez ce qui s’est passé.',
+        'timeline.errorTooLong': 'La description doit faire moins de {max} caractères.',
+        'letters.label': 'Lettres de demande :',
+        'letter.intro': 'Remplissez les informations ci-dessous pour créer la lettre. Les champs marqués * sont obligatoires. Les lettres sont enregistrées sur cet appareil avec cette session.',
+        'letter.create': 'Créer la lettre',
+        'letter.close': 'Fermer',
+        'letter.download': 'Télécharger',
+        'letter.print': 'Imprimer',
+        'letter.view': 'Afficher',
+        'letter.delete': 'Supprimer',
+        'letter.confirmDelete': 'Supprimer cette lettre de la session ?',
+        'letter.saved': 'Lettres de cette session',
+        'letter.created': 'Créée le {date}',
+        'letter.reviewNote': 'Relisez la lettre avant de l’envoyer et gardez-en une copie avec la date d’envoi.',
+        'letter.errorRequired': 'Indiquez : {field}.',
+        'letter.errorDate': 'Saisissez une date valide : {field}.',
+        'letter.errorTooLong': '{field} doit faire moins de {max} caractères.',
+        'letter.field.senderName': 'Vos nom et prénom',
+        'letter.field.senderAddress': 'Votre adresse',
+        'letter.field.senderContact': 'Téléphone ou e-mail',
+        'letter.field.dateOfBirth': 'Votre date de naissance',
+        'letter.field.recipient': 'Professionnel ou établissement',
+        'letter.field.recipientAddress': 'Adresse du professionnel ou de l’établissement',
+        'letter.field.recordNumber': 'Numéro de dossier médical ou de patient',
+        'letter.field.treatmentDates': 'Dates des soins (ex. : mars–mai 2024)',
+        'letter.field.accountNumber': 'Numéro de compte ou de facture',
+        'letter.field.serviceDate': 'Date des soins facturés',
+        'letter.field.insurer': 'Assureur',
+        'letter.field.claimNumber': 'Numéro de dossier auprès de l’assureur',
+        'letter.field.procedure': 'Intervention ou traitement',
+        'letter.field.procedureDate': 'Date de l’intervention',
+        'letter.field.clinician': 'Praticien responsable',
+        'letter.field.questions': 'Vos questions',
+        'letter.field.incidentDate': 'Date de l’incident',
+        'letter.field.complaintDetails': 'Ce qui s’est passé',
+        'letter.field.staffInvolved': 'Personnel concerné',
+        'letter.field.desiredOutcome': 'Ce que vous souhaitez obtenir',
+        'letter.greeting': 'Madame, Monsieur,',
+        'letter.closing': 'Veuillez agréer, Madame, Monsieur, l’expression de mes salutations distinguées.',
+        'letter.records.title': 'Demande de dossier médical',
+        'letter.records.subject': 'Objet : Demande de copie de mon dossier médical',
+        'letter.records.intro': 'Je vous écris pour demander une copie complète du dossier médical que {recipient} détient à mon sujet.',
+        'letter.records.dateOfBirth': 'Pour identifier mon dossier, ma date de naissance est le {dateOfBirth}.',
+        'letter.records.recordNumber': 'Mon numéro de dossier médical ou de patient est {recordNumber}.',
+        'letter.records.treatmentDates': 'La demande porte sur les soins reçus pendant la période suivante : {treatmentDates}.',
+        'letter.records.scope': 'Merci d’y inclure les notes cliniques, les résultats d’examens et d’imagerie, les prescriptions, la correspondance et tout formulaire de consentement que j’ai signé.',
+        'letter.records.delivery': 'Merci d’envoyer ces documents à l’adresse ci-dessus et de m’indiquer à l’avance si des frais ou un formulaire sont nécessaires. Je vous remercie de me répondre dans le délai applicable à ce type de demande.',
+        'letter.bill.title': 'Demande de facture détaillée',
+        'letter.bill.subject': 'Objet : Demande de facture détaillée, compte {accountNumber}',
+        'letter.bill.intro': 'Je vous écris au sujet du compte {accountNumber} pour les soins reçus le {serviceDate}.',
+        'letter.bill.request': 'Merci de m’envoyer une facture détaillée indiquant chaque frais avec sa date, sa description, son code de facturation et son montant, ainsi que les paiements ou ajustements déjà appliqués.',
+        'letter.bill.insurer': 'Mon assureur est {insurer}.',
+        'letter.bill.claimNumber': 'Le numéro de dossier auprès de l’assureur est {claimNumber}.',
+        'letter.bill.hold': 'Merci de suspendre toute procédure de recouvrement sur ce compte jusqu’à ce que j’aie reçu et examiné la facture détaillée.',
+        'letter.consent.title': 'Demande d’explication sur le consentement',
+        'letter.consent.subject': 'Objet : Demande d’informations sur le consentement pour : {procedure}',
+        'letter.consent.intro': 'Je vous écris au sujet de l’intervention suivante, réalisée à {recipient} : {procedure}.',
+        'letter.consent.procedureDate': 'L’intervention a eu lieu, ou est prévue, le {procedureDate}.',
+        'letter.consent.clinician': 'Le praticien responsable était {clinician}.',
+        'letter.consent.request': 'Merci de m’expliquer par écrit les risques, les bénéfices et les alternatives qui m’ont été présentés avant l’intervention, et de m’envoyer une copie de tout formulaire de consentement que j’ai signé.',
+        'letter.consent.questions': 'Je souhaiterais également une réponse aux questions suivantes :\n{questions}',
+        'letter.consent.reply': 'Merci de me répondre par écrit à l’adresse ci-dessus.',
+        'letter.complaint.title': 'Réclamation officielle',
+        'letter.complaint.subject': 'Objet : Réclamation officielle concernant les soins du {incidentDate}',
+        'letter.complaint.intro': 'Je souhaite déposer une réclamation officielle concernant les soins que j’ai reçus à {recipient} le {incidentDate}.',
+        'letter.complaint.details': 'Ce qui s’est passé :\n{complaintDetails}',
+        'letter.complaint.staffInvolved': 'Le personnel concerné comprenait : {staffInvolved}.',
+        'letter.complaint.desiredOutcome': 'Pour résoudre cette réclamation, je souhaiterais :\n{desiredOutcome}',
+        'letter.complaint.response': 'Merci d’accuser réception de cette réclamation par écrit, de m’indiquer qui la traite et quand je recevrai une réponse complète, et de m’expliquer comment la poursuivre si la réponse ne me satisfait pas.',
+        'report.open': 'Rédiger un rapport d’incident',
+        'report.heading': 'Brouillon de rapport d’incident',
+        'report.intro': 'Notez ce qui a été observé et fait, sans supposer de causes ni attribuer de faute. Le brouillon est enregistré sur cet appareil avec cette session ; recopiez-le dans le système de déclaration de votre établissement.',
+        'report.close': 'Fermer',
+        'report.create': 'Créer le brouillon',
+        'report.createAnyway': 'Créer le brouillon quand même',
+        'report.download': 'Télécharger',
+        'report.print': 'Imprimer',
+        'report.reviewNote': 'Ceci est un brouillon. Comparez-le au formulaire de déclaration d’incident de votre établissement avant de l’envoyer.',
+        'report.flagsHeading': 'Relisez cette formulation avant l’export. Un rapport ne doit décrire que ce qui a été vu, entendu et fait.',
+        'report.flag.speculation': '« {phrase} » dans {field} ressemble à une supposition. Décrivez ce que vous avez observé.',
+        'report.flag.blame': '« {phrase} » dans {field} attribue une faute. Exposez les faits et laissez les conclusions à l’analyse.',
+        'report.errorRequired': 'Indiquez : {field}.',
+        'report.errorDate': 'Saisissez une date valide : {field}.',
+        'report.errorTime': 'Saisissez {field} au format HH:MM, ou laissez vide.',
+        'report.errorTooLong': '{field} doit faire moins de {max} caractères.',
+        'report.field.eventDate': 'Date de l’événement',
+        'report.field.eventTime': 'Heure de l’événement',
+        'report.field.location': 'Lieu',
+        'report.field.reporter': 'Déclaré par (nom et fonction)',
+        'report.field.people': 'Personnes concernées et leur rôle',
+        'report.field.description': 'Ce qui s’est passé',
+        'report.field.actions': 'Mesures prises',
+        'report.field.notifications': 'Personnes informées (qui et quand)',
+        'report.field.outcome': 'État du patient ensuite',
+        'report.title': 'Rapport d’incident (brouillon)',
+        'report.when': 'Date et heure',
+        'report.prepared': 'Brouillon préparé',
+        'report.notRecorded': 'Non renseigné',
+        'report.draftNote': 'Brouillon pour la déclaration interne d’incident. Faits objectifs uniquement ; à relire avant envoi.',
+        'sessions.heading': 'Reprendre une session précédente',
+        'vault.label': 'Conversations enregistrées',
+        'vault.lock': 'Verrouiller',
+        'vault.wipe': 'Effacer toutes les données',
+        'vault.unsupported': 'Les conversations ne peuvent pas être enregistrées sur cette page, car le navigateur ne peut pas les chiffrer ici. Ouvrez l’application en https pour les enregistrer.',
+        'vault.unlocked': 'Les conversations enregistrées sont déverrouillées. Elles se verrouillent après {minutes} minutes d’inactivité.',
+        'vault.lockedHeading': 'Les conversations enregistrées sont verrouillées',
+        'vault.lockedNote': 'Saisissez votre phrase secrète pour les voir et les reprendre. Les nouvelles conversations ne sont pas enregistrées tant que c’est verrouillé.',
+        'vault.passphrase': 'Phrase secrète',
+        'vault.unlock': 'Déverrouiller',
+        'vault.setupHeading': 'Enregistrer les conversations sur cet appareil',
+        'vault.setupNote': 'Les conversations ne sont enregistrées qu’une fois une phrase secrète choisie. Elles sont chiffrées avec elle, et personne ne peut les récupérer si elle est oubliée.',
+        'vault.newPassphrase': 'Phrase secrète (au moins {length} caractères)',
+        'vault.confirmPassphrase': 'Répétez la phrase secrète',
+        'vault.setup': 'Activer l’enregistrement',
+        'vault.tooShort': 'La phrase secrète doit comporter au moins {length} caractères.',
+        'vault.mismatch': 'Les deux phrases secrètes ne correspondent pas.',
+        'vault.setupDone': 'L’enregistrement est activé. Les conversations sont chiffrées sur cet appareil.',
+        'vault.failed': 'Un problème est survenu. Veuillez réessayer.',
+        'vault.wrongPassphrase': 'Cette phrase secrète n’est pas correcte.',
+        'vault.autoLocked': 'Verrouillé après {minutes} minutes d’inactivité.',
+        'vault.wiped': 'Toutes les données de cet appareil ont été effacées.',
+        'sessions.note': 'Les sessions sont enregistrées uniquement sur cet appareil et supprimées automatiquement après {days} jours.',
+        'sessions.answers.one': '{count} réponse',
+        'sessions.answers.other': '{count} réponses',
+        'sessions.completed': 'Terminée',
+        'sessions.inProgress': 'En cours',
+        'sessions.resume': 'Reprendre',
+        'sessions.delete': 'Supprimer',
+        'sessions.confirmDelete': 'Supprimer cette session enregistrée ? Cette action est irréversible.',
+        'history.open': 'Rechercher dans les conversations passées',
+        'history.heading': 'Historique des conversations',
+        'history.search': 'Rechercher dans les questions, réponses et orientations',
+        'history.role': 'Rôle',
+        'history.risk': 'Niveau de risque',
+        'history.allRoles': 'Tous les rôles',
+        'history.allRisks': 'Tous les niveaux de risque',
+        'history.results.one': '{count} conversation',
+        'history.results.other': '{count} conversations',
+        'history.noResults': 'Aucune conversation enregistrée ne correspond.',
+        'history.type.question': 'Question',
+        'history.type.answer': 'Réponse',
+        'history.type.guidance': 'Orientation',
+        'errors.heading': 'Une partie du contenu d’orientation n’a pas pu être chargée :',
+        'summary.title': 'Résumé du dossier MediLegal AI',
+        'summary.role': 'Rôle',
+        'summary.generated': 'Généré le',
+        'summary.version': 'Version du contenu d’orientation',
+        'summary.jurisdiction': 'Juridiction',
+        'summary.questions': 'Questions et réponses',
+        'summary.question': 'Question',
+        'summary.answer': 'Réponse',
+        'summary.answered': 'Répondu le',
+        'summary.guidance': 'Orientation : {title}',
+        'summary.inferred': 'd’après votre description',
+        'summary.timeline': 'Chronologie',
+        'summary.when': 'Quand',
+        'summary.event': 'Événement',
+        'summary.people': 'Personnes concernées',
+        'summary.files': 'Fichiers',
+        'summary.unknownTime': 'Heure inconnue',
+        'summary.emergency': 'Actions d’urgence',
+        'summary.acknowledged': 'Alerte confirmée',
+        'summary.notAcknowledged': 'Non confirmée',
+        'summary.notDone': 'Pas fait',
+        'joint.start': 'Discussion commune sur le consentement',
+        'joint.startNote': 'Pour un soignant et un patient réunis : chacun répond à ses propres questions sur le consentement, côte à côte, puis vous relisez un seul résumé.',
+        'joint.role': 'Soignant et patient',
+        'joint.leave': 'Quitter',
+        'joint.consent.title': 'Discussion sur le consentement : soignant et patient',
+        'joint.consent.intro': 'Chacun répond à ses propres questions. Les réponses qui ne concordent pas sont mises en évidence pour que vous puissiez en parler. Rien n’est enregistré sur cet appareil.',
+        'joint.consent.summaryTitle': 'Résumé de la compréhension du consentement',
+        'joint.consent.disagreement.notExplained': 'Le soignant indique que le consentement a été obtenu et documenté, mais le patient indique que les risques, les bénéfices et les alternatives n’ont pas été clairement expliqués.',
+        'joint.consent.disagreement.notDocumented': 'Le patient indique que les risques, les bénéfices et les alternatives ont été expliqués, mais le soignant indique que le consentement n’a pas été documenté avant l’intervention.',
+        'joint.disagreements': 'Réponses qui ne concordent pas',
+        'joint.disagreementFound': 'Vos réponses ne concordent pas. Voir les réponses mises en évidence.',
+        'joint.noDisagreements': 'Vos réponses concordent.',
+        'joint.mismatch': 'Ne concorde pas avec les autres réponses',
+        'joint.done': 'Terminé : {title}',
+        'joint.summaryNote': 'Lisez le résumé ensemble. Chacun coche sa case une fois qu’il l’a relu.',
+        'joint.reviews': 'Relectures',
+        'joint.reviewedBy': 'Relu par : {role}',
+        'joint.notReviewed': 'Non relu',
+        'jurisdiction.generic': 'Général (tout lieu)',
+        'jurisdiction.US-CA': 'Californie, États-Unis',
+        'jurisdiction.US-NY': 'New York, États-Unis',
+        'jurisdiction.US-TX': 'Texas, États-Unis',
+        'jurisdiction.GB': 'Royaume-Uni'
+    }
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Look up a UI string in the current locale, falling back to English.
+ * {name} placeholders are replaced from params; a numeric params.count
+ * picks the plural form (key.one, key.other, ...).
+ * @param {string} key - Message key
+ * @param {Object} [params] - Values for {name} placeholders
+ * @returns {string}
+ */
+function t(key, params = {}) {
+    const keys = typeof params.count === 'number'
+        ? [`${key}.${new Intl.PluralRules(getIntlLocale()).select(params.count)}`, `${key}.other`]
+        : [key];
+    const template = [currentLocale, DEFAULT_LOCALE]
+        .map(locale => keys.map(name => MESSAGES[locale][name]).find(Boolean))
+        .find(Boolean);
+
+    if (template === undefined) return key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        (params[name] !== undefined ? String(params[name]) : match)
+    );
+}
+
+/**
+ * Check whether the current locale has its own text for a key
+ * @param {string} key - Message key
+ * @returns {boolean}
+ */
+function hasMessage(key) {
+    return Boolean(MESSAGES[currentLocale][key]);
+}
+
+/**
+ * Get the current locale code
+ * @returns {string} e.g. 'en'
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Get the BCP 47 tag used for date and time formatting
+ * @returns {string} e.g. 'en-US'
+ */
+function getIntlLocale() {
+    return LOCALES.find(locale => locale.id === currentLocale).intl;
+}
+
+/**
+ * Switch the UI locale; unknown codes fall back to English
+ * @param {string} id - Locale code
+ */
+function setLocale(id) {
+    currentLocale = MESSAGES[id] ? id : DEFAULT_LOCALE;
+}
+
+/**
+ * Pick the locale saved last time, or the browser language if supported
+ * @returns {string}
+ */
+function loadLocalePreference() {
+    const saved = readJson(`${AppConfig.storagePrefix}.locale`, null);
+    if (MESSAGES[saved]) return saved;
+
+    const browserLocale = (navigator.languages || [navigator.language])
+        .map(tag => String(tag).slice(0, 2).toLowerCase())
+        .find(id => MESSAGES[id]);
+    return browserLocale || DEFAULT_LOCALE;
+}
+
+/**
+ * Remember the chosen locale for future visits
+ * @param {string} id - Locale code
+ */
+function saveLocalePreference(id) {
+    writeJson(`${AppConfig.storagePrefix}.locale`, id);
+}
+
+/**
+ * Translate static markup: data-i18n sets the text, data-i18n-placeholder,
+ * data-i18n-title and data-i18n-aria-label set those attributes
+ * @param {ParentNode} root - Element or document to translate
+ */
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+        el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+}
+
+/**
+ * Copy a tree with its wording replaced by a translation. Structure,
+ * targets, option values, deadline days and risk weights always come from
+ * the tree. Translated intent keywords and phrases are added to the
+ * originals, so descriptions typed in English still match.
+ * @param {Object} tree - Decision tree
+ * @param {Object} translation - Validated translation for the tree
+ * @returns {Object}
+ */
+function localizeTree(tree, translation) {
+    const localized = JSON.parse(JSON.stringify(tree));
+
+    Object.entries(translation.nodes).forEach(([nodeId, text]) => {
+        const node = localized.nodes[nodeId];
+        if (text.question) node.question = text.question;
+        if (text.placeholder) node.placeholder = text.placeholder;
+        if (text.options) {
+            node.options.forEach(option => {
+                option.label = text.options[option.value] || option.label;
+            });
+        }
+        if (text.guidance) {
+            localizeGuidanceText(node.guidance, text.guidance);
+            Object.entries(text.guidance.jurisdictions || {}).forEach(([code, variantText]) => {
+                localizeGuidanceText(node.guidance.jurisdictions[code], variantText);
+            });
+        }
+    });
+
+    (localized.intents || []).forEach(intent => {
+        const text = (translation.intents || {})[intent.id];
+        if (!text) return;
+        intent.label = text.label;
+        intent.keywords = (intent.keywords || []).concat(text.keywords || []);
+        intent.phrases = (intent.phrases || []).concat(text.phrases || []);
+    });
+
+    (localized.riskFactors || []).forEach(factor => {
+        factor.label = (translation.riskFactors || {})[factor.id] || factor.label;
+    });
+
+    return localized;
+}
+
+/**
+ * Copy translated guidance wording onto guidance or a jurisdiction variant
+ * @param {Object} target - Guidance or variant to update in place
+ * @param {Object} text - Translated title, bullets, nextSteps and deadline labels
+ */
+function localizeGuidanceText(target, text) {
+    if (text.title) target.title = text.title;
+    if (text.bullets) target.bullets = text.bullets.slice();
+    if (text.nextSteps) target.nextSteps = text.nextSteps.slice();
+    if (text.deadlines) {
+        target.deadlines = target.deadlines.map((deadline, index) => ({
+            ...deadline,
+            label: text.deadlines[index]
+        }));
+    }
+}
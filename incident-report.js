@@ -0,0 +1,139 @@
+/* ============================================
+   MediLegal AI - Incident Report Draft
+   ============================================ */
+
+// Facts a clinician records after guidance leaves marked "incidentReport"
+// (see trees/tree.schema.json), turned into a draft for the institution's
+// reporting system. Free-text answers are checked for speculative or
+// blaming wording first, since reports should state objective facts only.
+
+const INCIDENT_REPORT_FIELDS = [
+    { name: 'eventDate', input: 'date', required: true },
+    { name: 'eventTime', input: 'time' },
+    { name: 'location', required: true },
+    { name: 'reporter', required: true },
+    { name: 'people', input: 'textarea', checkWording: true },
+    { name: 'description', input: 'textarea', required: true, checkWording: true },
+    { name: 'actions', input: 'textarea', required: true, checkWording: true },
+    { name: 'notifications', input: 'textarea', checkWording: true },
+    { name: 'outcome', input: 'textarea', checkWording: true }
+];
+
+const INCIDENT_REPORT_MAX_LENGTH = { text: 200, textarea: 2000 };
+
+// Wording that guesses at causes or assigns fault, per language
+const REPORT_WORDING = {
+    en: {
+        speculation: ['probably', 'possibly', 'perhaps', 'maybe', 'likely', 'apparently', 'presumably',
+            'seemed', 'seems', 'appears to', 'i think', 'i believe', 'i assume', 'i guess', 'i suspect',
+            'might have', 'may have', 'must have', 'could have'],
+        blame: ['fault', 'blame', 'blamed', 'negligent', 'negligence', 'careless', 'incompetent', 'reckless',
+            'malpractice', 'mistake', 'screwed up', 'sloppy', 'should have', "shouldn't have", 'failed to']
+    },
+    es: {
+        speculation: ['probablemente', 'posiblemente', 'quizás', 'quizá', 'tal vez', 'aparentemente',
+            'supuestamente', 'parece que', 'creo que', 'supongo que', 'sospecho que', 'debió de', 'pudo haber'],
+        blame: ['culpa', 'culpable', 'negligente', 'negligencia', 'descuido', 'descuidado', 'incompetente',
+            'imprudente', 'debería haber', 'no debió']
+    },
+    fr: {
+        speculation: ['probablement', 'peut-être', 'sans doute', 'apparemment', 'vraisemblablement',
+            'il semble', 'semble-t-il', 'je pense', 'je crois', 'je suppose', 'a dû', 'aurait pu'],
+        blame: ['faute', 'fautif', 'coupable', 'négligent', 'négligente', 'négligence', 'incompétent',
+            'imprudent', 'aurait dû', "n'aurait pas dû"]
+    }
+};
+
+/**
+ * Check the required fields, dates and lengths of a report form
+ * @param {Object<string, string>} values - Form values
+ * @returns {Array<string>} Error messages
+ */
+function validateIncidentReport(values) {
+    const errors = [];
+    INCIDENT_REPORT_FIELDS.forEach(field => {
+        const value = (values[field.name] || '').trim();
+        const label = t(`report.field.${field.name}`);
+        const maxLength = INCIDENT_REPORT_MAX_LENGTH[field.input === 'textarea' ? 'textarea' : 'text'];
+
+        if (!value) {
+            if (field.required) errors.push(t('report.errorRequired', { field: label }));
+        } else if (field.input === 'date' && !isValidIsoDate(value)) {
+            errors.push(t('report.errorDate', { field: label }));
+        } else if (field.input === 'time' && !TIME_PATTERN.test(value)) {
+            errors.push(t('report.errorTime', { field: label }));
+        } else if (value.length > maxLength) {
+            errors.push(t('report.errorTooLong', { field: label, max: maxLength }));
+        }
+    });
+    return errors;
+}
+
+/**
+ * Find speculative or blaming phrases in the free-text fields, using the
+ * word lists of the current language and English
+ * @param {Object<string, string>} values - Form values
+ * @returns {Array<{ field: string, phrase: string, kind: string }>} One entry per phrase and field
+ */
+function checkReportWording(values) {
+    const lists = [...new Set([getLocale(), DEFAULT_LOCALE])].map(locale => REPORT_WORDING[locale]);
+    const flags = [];
+
+    INCIDENT_REPORT_FIELDS.filter(field => field.checkWording).forEach(field => {
+        // Curly apostrophes are the same length, so match positions still line up
+        const text = (values[field.name] || '').replace(/[’‘]/g, "'");
+        const found = new Set();
+
+        ['speculation', 'blame'].forEach(kind => {
+            lists.forEach(list => list[kind].forEach(phrase => {
+                const match = text.match(createPhrasePattern(phrase));
+                const key = phrase.toLowerCase();
+                if (!match || found.has(key)) return;
+                found.add(key);
+                flags.push({ field: field.name, phrase: match[2], kind: kind });
+            }));
+        });
+    });
+    return flags;
+}
+
+/**
+ * Build a pattern matching a phrase as whole words, any case
+ * @param {string} phrase - Word or words from REPORT_WORDING
+ * @returns {RegExp} The phrase as written is capture group 2
+ */
+function createPhrasePattern(phrase) {
+    const body = phrase
+        .split(/\s+/)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('\\s+');
+    return new RegExp(`(^|[^\\p{L}\\p{N}'-])(${body})(?=$|[^\\p{L}\\p{N}'-])`, 'iu');
+}
+
+/**
+ * Write the report draft as plain text
+ * @param {Object<string, string>} values - Valid form values
+ * @param {string} preparedAt - ISO timestamp of the draft
+ * @returns {string}
+ */
+function buildIncidentReport(values, preparedAt) {
+    const value = name => (values[name] || '').trim() || t('report.notRecorded');
+    const when = formatEventDate({ date: values.eventDate, time: (values.eventTime || '').trim() || null });
+    const section = name => `${t(`report.field.${name}`).toUpperCase()}\n${value(name)}`;
+
+    return [
+        t('report.title').toUpperCase(),
+        [
+            `${t('report.when')}: ${when}`,
+            `${t('report.field.location')}: ${value('location')}`,
+            `${t('report.field.reporter')}: ${value('reporter')}`,
+            `${t('report.prepared')}: ${formatSummaryTime(preparedAt)}`
+        ].join('\n'),
+        section('people'),
+        section('description'),
+        section('actions'),
+        section('notifications'),
+        section('outcome'),
+        `— ${t('report.draftNote')}`
+    ].join('\n\n');
+}
@@ -0,0 +1,143 @@
+/* ============================================
+   MediLegal AI - Intent Detection
+   ============================================ */
+
+// Offline, rule-based matching of a free-text description to one of a
+// tree's "intents" (see trees/tree.schema.json). Each intent lists
+// keywords, matched as word prefixes ("bill" matches "billing"), and
+// phrases, matched as whole words in order. Phrases count double.
+
+const INTENT_KEYWORD_WEIGHT = 1;
+const INTENT_PHRASE_WEIGHT = 2;
+
+/**
+ * Score a description against every intent and pick the best match
+ * @param {string} text - Free-text description
+ * @param {Array<Object>} intents - Tree intents
+ * @param {{ minScore: number, minConfidence: number }} thresholds - Below either, the match is too weak to offer
+ * @returns {{ intent: Object, score: number, confidence: number }|null}
+ */
+function classifyIntent(text, intents, thresholds) {
+    const words = normalizeForMatching(text).split(' ').filter(Boolean);
+    if (words.length === 0 || !Array.isArray(intents)) return null;
+
+    const scored = intents
+        .map(intent => ({ intent: intent, score: scoreIntent(words, intent) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score);
+    if (scored.length === 0) return null;
+
+    const total = scored.reduce((sum, result) => sum + result.score, 0);
+    const best = scored[0];
+    const confidence = best.score / total;
+
+    if (best.score < thresholds.minScore || confidence < thresholds.minConfidence) return null;
+    return { intent: best.intent, score: best.score, confidence: confidence };
+}
+
+/**
+ * Add up the keyword and phrase matches of one intent
+ * @param {Array<string>} words - Normalized words of the description
+ * @param {Object} intent - Tree intent
+ * @returns {number}
+ */
+function scoreIntent(words, intent) {
+    const padded = ` ${words.join(' ')} `;
+    const keywordHits = (intent.keywords || [])
+        .map(normalizeForMatching)
+        .filter(keyword => keyword && words.some(word => word.startsWith(keyword)))
+        .length;
+    const phraseHits = (intent.phrases || [])
+        .map(normalizeForMatching)
+        .filter(phrase => phrase && padded.includes(` ${phrase} `))
+        .length;
+
+    return keywordHits * INTENT_KEYWORD_WEIGHT + phraseHits * INTENT_PHRASE_WEIGHT;
+}
+
+/**
+ * Lowercase, drop accents and apostrophes, and turn everything that is
+ * not a letter or digit into single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalizeForMatching(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Find the answers that lead from one node to another, so the questions
+ * an intent skips can be filled in. Free-text questions cannot be
+ * answered this way, so paths through them are not used.
+ * @param {Object} tree - Decision tree
+ * @param {string} fromId - Node the user is on
+ * @param {string} targetId - Node to reach
+ * @returns {Array<{ nodeId: string, value: string }>|null} Null when the target cannot be reached
+ */
+function findAnswerPath(tree, fromId, targetId) {
+    const queue = [{ nodeId: fromId, path: [] }];
+    const seen = new Set([fromId]);
+
+    while (queue.length > 0) {
+        const { nodeId, path } = queue.shift();
+        if (nodeId === targetId) return path;
+
+        getAnswerEdges(tree.nodes[nodeId]).forEach(edge => {
+            if (seen.has(edge.next) || !tree.nodes[edge.next]) return;
+            seen.add(edge.next);
+            queue.push({ nodeId: edge.next, path: path.concat({ nodeId: nodeId, value: edge.value }) });
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Whether a question can lead to guidance marked as an emergency. These
+ * questions screen for danger, so they are always asked, never answered
+ * from a description.
+ * @param {Object} tree - Decision tree
+ * @param {string} nodeId - Question node
+ * @returns {boolean}
+ */
+function isSafetyQuestion(tree, nodeId) {
+    const queue = [nodeId];
+    const seen = new Set(queue);
+
+    while (queue.length > 0) {
+        const node = tree.nodes[queue.shift()];
+        if (node && node.guidance && node.guidance.emergency) return true;
+
+        getAnswerEdges(node).forEach(edge => {
+            if (seen.has(edge.next)) return;
+            seen.add(edge.next);
+            queue.push(edge.next);
+        });
+    }
+
+    return false;
+}
+
+/**
+ * List the answer values of a yes/no or choice node with their targets
+ * @param {Object} node - Node definition
+ * @returns {Array<{ value: string, next: string }>}
+ */
+function getAnswerEdges(node) {
+    if (!node || !node.question) return [];
+    if (node.type === 'choice') {
+        return node.options.map(option => ({ value: option.value, next: option.next }));
+    }
+    if (node.type === 'text') return [];
+    return [{ value: 'yes', next: node.yes }, { value: 'no', next: node.no }];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { classifyIntent, normalizeForMatching, findAnswerPath, isSafetyQuestion };
+}
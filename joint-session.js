@@ -0,0 +1,358 @@
+/* ============================================
+   MediLegal AI - Joint Sessions
+   ============================================ */
+
+// A joint session lets two roles sitting together answer matching
+// branches of their own trees side by side, e.g. a clinician and a
+// patient going through consent. Each side starts at its `start` node
+// and ends on a guidance leaf as usual. A disagreement is listed when
+// every answer in its `when` was given: role -> { nodeId: value }. The
+// wording lives in the message catalogs (joint.<key>.*), and the
+// combined summary is built once both sides are done.
+
+const JOINT_SESSIONS = {
+    consent: {
+        key: 'consent',
+        sides: [
+            { role: 'doctor', start: 'd4' },
+            { role: 'patient', start: 'p4' }
+        ],
+        disagreements: [
+            // Documented consent, but the patient did not understand the risks
+            { id: 'notExplained', when: { doctor: { d4: 'yes' }, patient: { p4: 'no' } } },
+            // The patient understood, but nothing was documented
+            { id: 'notDocumented', when: { doctor: { d4: 'no' }, patient: { p4: 'yes' } } }
+        ]
+    }
+};
+
+/**
+ * Check a joint session definition against the trees it uses: every
+ * start node and every node in a disagreement must be a question of
+ * that side's tree, and each value one it accepts
+ * @param {Object} definition - Entry of JOINT_SESSIONS
+ * @param {Object<string, Object>} trees - Trees by id
+ * @returns {Array<string>} Errors
+ */
+function validateJointDefinition(definition, trees) {
+    const errors = [];
+    const isQuestion = (role, nodeId) => Boolean(trees[role] && trees[role].nodes[nodeId] && trees[role].nodes[nodeId].question);
+
+    definition.sides.forEach(side => {
+        if (!trees[side.role]) {
+            errors.push(`Joint session "${definition.key}": no tree for role "${side.role}".`);
+        } else if (!isQuestion(side.role, side.start)) {
+            errors.push(`Joint session "${definition.key}": start "${side.start}" is not a question in the ${side.role} tree.`);
+        }
+    });
+    definition.disagreements.forEach(rule => {
+        Object.entries(rule.when).forEach(([role, answers]) => {
+            Object.entries(answers).forEach(([nodeId, value]) => {
+                if (!isQuestion(role, nodeId)) {
+                    errors.push(`Joint session "${definition.key}": disagreement "${rule.id}" uses "${nodeId}", which is not a question in the ${role} tree.`);
+                    return;
+                }
+                // Node types as in getNodeType (flow-engine.js), which the CLI does not load
+                const node = trees[role].nodes[nodeId];
+                const accepted = node.type === 'choice' ? node.options.map(option => option.value) : ['yes', 'no'];
+                if (node.type === 'text' || !accepted.includes(value)) {
+                    errors.push(`Joint session "${definition.key}": disagreement "${rule.id}" expects "${value}" for "${nodeId}", which it does not accept.`);
+                }
+            });
+        });
+    });
+    return errors;
+}
+
+/**
+ * Find a joint session definition
+ * @param {string} type - Key of JOINT_SESSIONS
+ * @returns {Object|null}
+ */
+function getJointDefinition(type) {
+    return JOINT_SESSIONS[type] || null;
+}
+
+/**
+ * Start a joint session with every side on its first question
+ * @param {string} type - Key of JOINT_SESSIONS
+ * @returns {{ type: string, startedAt: string, sides: Object, reviews: Object }}
+ *   sides and reviews are keyed by role: { currentNodeId, answerPath, completed } and a review time or null
+ */
+function createJointSession(type) {
+    const definition = getJointDefinition(type);
+    const session = { type: type, startedAt: new Date().toISOString(), sides: {}, reviews: {} };
+    definition.sides.forEach(side => {
+        session.sides[side.role] = { currentNodeId: side.start, answerPath: [], completed: false };
+        session.reviews[side.role] = null;
+    });
+    return session;
+}
+
+/**
+ * Answer the current question of one side
+ * @param {Object} tree - That side's decision tree
+ * @param {Object} side - Side state from createJointSession
+ * @param {string} input - Button value or typed text
+ * @returns {string|null} Error message when the input is not an answer
+ */
+function answerJointSide(tree, side, input) {
+    const node = tree.nodes[side.currentNodeId];
+    if (side.completed || !node || !node.question) return null;
+
+    const resolved = resolveAnswer(node, input);
+    if (resolved.error) return resolved.error;
+
+    side.answerPath.push({
+        nodeId: side.currentNodeId,
+        answer: resolved.answer,
+        value: resolved.value,
+        field: resolved.field,
+        answeredAt: new Date().toISOString()
+    });
+
+    // Guidance on the answered node itself ends the branch
+    if (!resolved.next) {
+        side.completed = true;
+        return null;
+    }
+    const next = tree.nodes[resolved.next];
+    side.currentNodeId = resolved.next;
+    side.completed = Boolean(next && next.guidance && !next.question);
+    return null;
+}
+
+/**
+ * Undo the last answer of one side
+ * @param {Object} side - Side state from createJointSession
+ */
+function undoJointAnswer(side) {
+    const step = side.answerPath.pop();
+    if (!step) return;
+    side.currentNodeId = step.nodeId;
+    side.completed = false;
+}
+
+/**
+ * Check whether every side has reached its guidance
+ * @param {Object} session - Joint session
+ * @returns {boolean}
+ */
+function isJointSessionComplete(session) {
+    return Object.values(session.sides).every(side => side.completed);
+}
+
+/**
+ * List the disagreements the answers given so far match
+ * @param {Object} session - Joint session
+ * @returns {Array<{ id: string, nodes: Object<string, Array<string>> }>} nodes lists the answered node ids involved, by role
+ */
+function findJointDisagreements(session) {
+    const definition = getJointDefinition(session.type);
+    return definition.disagreements
+        .filter(rule => Object.entries(rule.when).every(([role, answers]) => {
+            const side = session.sides[role];
+            return side && Object.entries(answers).every(([nodeId, value]) =>
+                side.answerPath.some(step => step.nodeId === nodeId && step.value === value));
+        }))
+        .map(rule => ({
+            id: rule.id,
+            nodes: Object.fromEntries(Object.entries(rule.when).map(([role, answers]) => [role, Object.keys(answers)]))
+        }));
+}
+
+/**
+ * Describe a disagreement in the current locale
+ * @param {Object} session - Joint session
+ * @param {{ id: string }} disagreement - Entry from findJointDisagreements
+ * @returns {string}
+ */
+function describeJointDisagreement(session, disagreement) {
+    return t(`joint.${getJointDefinition(session.type).key}.disagreement.${disagreement.id}`);
+}
+
+// ==========================================
+// SUMMARY
+// ==========================================
+
+/**
+ * Build the combined summary both sides review at the end
+ * @param {Object} session - Completed joint session
+ * @returns {Object}
+ */
+function buildJointSummary(session) {
+    const definition = getJointDefinition(session.type);
+    const disagreements = findJointDisagreements(session);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        type: session.type,
+        title: t(`joint.${definition.key}.summaryTitle`),
+        locale: getLocale(),
+        jurisdictionLabel: getJurisdictionLabel(AppState.jurisdiction),
+        sides: definition.sides.map(({ role }) => {
+            const tree = getLocalizedTree(role);
+            const side = session.sides[role];
+            const leaf = tree.nodes[side.currentNodeId];
+            const guidance = leaf.guidance;
+            const variant = getJurisdictionVariant(guidance, AppState.jurisdiction) || {};
+            const riskLevel = assessRisk(tree, side.answerPath, guidance.risk).level;
+            return {
+                role: role,
+                roleLabel: getRoleLabel(role),
+                treeVersion: tree.version,
+                steps: side.answerPath.map(step => ({
+                    nodeId: step.nodeId,
+                    question: tree.nodes[step.nodeId].question,
+                    answer: getAnswerLabel(tree.nodes[step.nodeId], step),
+                    answeredAt: step.answeredAt,
+                    disagreement: disagreements.some(item => (item.nodes[role] || []).includes(step.nodeId))
+                })),
+                guidance: {
+                    nodeId: side.currentNodeId,
+                    title: guidance.title,
+                    riskLevel: riskLevel,
+                    riskLabel: getRiskLabel(riskLevel),
+                    keyPoints: (variant.bullets || guidance.bullets).slice(),
+                    nextSteps: (variant.nextSteps || guidance.nextSteps).slice()
+                },
+                reviewedAt: session.reviews[role]
+            };
+        }),
+        disagreements: disagreements.map(item => describeJointDisagreement(session, item)),
+        disclaimer: t('disclaimer')
+    };
+}
+
+/**
+ * Build a download filename for a joint summary
+ * @param {Object} summary - Joint summary
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+function getJointSummaryFilename(summary, extension) {
+    return `medilegal-${summary.type}-discussion-${summary.generatedAt.slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Render a joint summary as Markdown
+ * @param {Object} summary - Joint summary
+ * @returns {string}
+ */
+function jointSummaryToMarkdown(summary) {
+    const lines = [
+        `# ${summary.title}`,
+        '',
+        `- **${t('summary.generated')}:** ${formatSummaryTime(summary.generatedAt)}`,
+        `- **${t('summary.jurisdiction')}:** ${summary.jurisdictionLabel}`,
+        '',
+        `## ${t('joint.disagreements')}`,
+        ''
+    ];
+    if (summary.disagreements.length === 0) {
+        lines.push(t('joint.noDisagreements'), '');
+    } else {
+        lines.push(...summary.disagreements.map(text => `- ⚠️ ${text}`), '');
+    }
+
+    summary.sides.forEach(side => {
+        lines.push(`## ${side.roleLabel}`, '');
+        side.steps.forEach((step, index) => {
+            const flag = step.disagreement ? ` ⚠️ ${t('joint.mismatch')}` : '';
+            lines.push(`${index + 1}. ${step.question} — **${step.answer}** _(${formatSummaryTime(step.answeredAt)})_${flag}`);
+        });
+        lines.push(
+            '',
+            `### ${t('summary.guidance', { title: side.guidance.title })}`,
+            '',
+            `**${t('guidance.risk')}:** ${side.guidance.riskLabel}`,
+            '',
+            ...side.guidance.keyPoints.map(item => `- ${item}`),
+            '',
+            `**${t('guidance.nextSteps')}:**`,
+            '',
+            ...side.guidance.nextSteps.map(item => `- ${item}`),
+            ''
+        );
+    });
+
+    lines.push(`## ${t('joint.reviews')}`, '');
+    summary.sides.forEach(side => {
+        lines.push(side.reviewedAt
+            ? `- [x] ${t('joint.reviewedBy', { role: side.roleLabel })} _(${formatSummaryTime(side.reviewedAt)})_`
+            : `- [ ] ${t('joint.reviewedBy', { role: side.roleLabel })}`);
+    });
+    lines.push('', '---', '', `_${summary.disclaimer}_`, '');
+
+    return lines.join('\n');
+}
+
+/**
+ * Render a joint summary as a standalone, print-friendly HTML document
+ * @param {Object} summary - Joint summary
+ * @returns {string}
+ */
+function jointSummaryToHtml(summary) {
+    const disagreements = summary.disagreements.length === 0
+        ? `<p>${escapeHtml(t('joint.noDisagreements'))}</p>`
+        : `<ul class="mismatch">${summary.disagreements.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>`;
+    const sides = summary.sides.map(side => `
+    <h2>${escapeHtml(side.roleLabel)}</h2>
+    <table>
+        <thead><tr><th>${escapeHtml(t('summary.question'))}</th><th>${escapeHtml(t('summary.answer'))}</th><th>${escapeHtml(t('summary.answered'))}</th></tr></thead>
+        <tbody>${side.steps.map(step => `
+            <tr${step.disagreement ? ' class="mismatch"' : ''}>
+                <td>${escapeHtml(step.question)}</td>
+                <td><strong>${escapeHtml(step.answer)}</strong>${step.disagreement ? `<br><em>${escapeHtml(t('joint.mismatch'))}</em>` : ''}</td>
+                <td>${escapeHtml(formatSummaryTime(step.answeredAt))}</td>
+            </tr>`).join('')}</tbody>
+    </table>
+    <h3>${escapeHtml(t('summary.guidance', { title: side.guidance.title }))}</h3>
+    <p><strong>${escapeHtml(t('guidance.risk'))}:</strong> ${escapeHtml(side.guidance.riskLabel)}</p>
+    <ul>${side.guidance.keyPoints.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+    <p><strong>${escapeHtml(t('guidance.nextSteps'))}:</strong></p>
+    <ul>${side.guidance.nextSteps.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`).join('');
+    const reviews = summary.sides.map(side => `
+            <tr>
+                <td>${escapeHtml(t('joint.reviewedBy', { role: side.roleLabel }))}</td>
+                <td>${escapeHtml(side.reviewedAt ? formatSummaryTime(side.reviewedAt) : t('joint.notReviewed'))}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(summary.locale)}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(summary.title)}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #101214; margin: 2rem; line-height: 1.5; }
+        h1, h2, h3 { color: #0a2342; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 1.5rem; }
+        th, td { border: 1px solid #d6deea; padding: 0.5rem; text-align: left; vertical-align: top; }
+        th { background: #eef3fa; }
+        .meta { color: #4a5568; }
+        .mismatch { background: #fff4e5; }
+        .disclaimer { margin-top: 2rem; padding-top: 1rem; border-top: 1px solid #d6deea; font-style: italic; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(summary.title)}</h1>
+    <p class="meta">${escapeHtml(t('summary.generated'))}: ${escapeHtml(formatSummaryTime(summary.generatedAt))} · ${escapeHtml(t('summary.jurisdiction'))}: ${escapeHtml(summary.jurisdictionLabel)}</p>
+
+    <h2>${escapeHtml(t('joint.disagreements'))}</h2>
+    ${disagreements}
+    ${sides}
+
+    <h2>${escapeHtml(t('joint.reviews'))}</h2>
+    <table>
+        <tbody>${reviews}</tbody>
+    </table>
+
+    <p class="disclaimer">${escapeHtml(summary.disclaimer)}</p>
+</body>
+</html>`;
+}
+
+// Lets scripts/validate-trees.js check the definitions against the trees
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JOINT_SESSIONS, validateJointDefinition };
+}
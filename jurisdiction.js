@@ -0,0 +1,138 @@
+/* ============================================
+   MediLegal AI - Jurisdictions and Deadlines
+   ============================================ */
+
+// Jurisdictions are listed in trees/manifest.json. Guidance leaves can
+// override bullets, nextSteps and deadlines per jurisdiction code; the
+// generic guidance is used when there is no override.
+
+const GENERIC_JURISDICTION = 'generic';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filled from the manifest by loadDecisionTrees
+const jurisdictions = [{ id: GENERIC_JURISDICTION, label: 'General (any location)' }];
+
+/**
+ * Replace the known jurisdictions with the manifest list
+ * @param {Array<{id: string, label: string}>} list - Manifest entries
+ */
+function setJurisdictions(list) {
+    if (!Array.isArray(list) || list.length === 0) return;
+    jurisdictions.splice(0, jurisdictions.length, ...list);
+    if (!jurisdictions.some(item => item.id === GENERIC_JURISDICTION)) {
+        jurisdictions.unshift({ id: GENERIC_JURISDICTION, label: 'General (any location)' });
+    }
+}
+
+/**
+ * Get the display label for a jurisdiction code: the translated label
+ * from the message catalog when there is one, else the manifest label
+ * @param {string} id - Jurisdiction code
+ * @returns {string}
+ */
+function getJurisdictionLabel(id) {
+    if (hasMessage(`jurisdiction.${id}`)) return t(`jurisdiction.${id}`);
+    const match = jurisdictions.find(item => item.id === id);
+    return match ? match.label : id;
+}
+
+/**
+ * Read the jurisdiction the user picked last time
+ * @returns {string}
+ */
+function loadJurisdictionPreference() {
+    const saved = readJson(`${AppConfig.storagePrefix}.jurisdiction`, GENERIC_JURISDICTION);
+    return jurisdictions.some(item => item.id === saved) ? saved : GENERIC_JURISDICTION;
+}
+
+/**
+ * Remember the chosen jurisdiction for future sessions
+ * @param {string} id - Jurisdiction code
+ */
+function saveJurisdictionPreference(id) {
+    writeJson(`${AppConfig.storagePrefix}.jurisdiction`, id);
+}
+
+/**
+ * Get the override block for the selected jurisdiction, if the leaf has one
+ * @param {Object} guidance - Leaf guidance
+ * @param {string} jurisdiction - Jurisdiction code
+ * @returns {Object|null}
+ */
+function getJurisdictionVariant(guidance, jurisdiction) {
+    if (!guidance.jurisdictions || jurisdiction === GENERIC_JURISDICTION) return null;
+    return guidance.jurisdictions[jurisdiction] || null;
+}
+
+/**
+ * Attach concrete due dates to deadlines counted from the incident date
+ * @param {Array<{label: string, days: number}>} deadlines - Deadline definitions
+ * @param {string|null} incidentDate - Incident date as YYYY-MM-DD
+ * @returns {Array<{label: string, days: number, dueDate: string|null, passed: boolean}>}
+ */
+function computeDeadlines(deadlines, incidentDate) {
+    const today = getLocalIsoDate(new Date());
+    return deadlines.map(deadline => {
+        const dueDate = incidentDate ? addDays(incidentDate, deadline.days) : null;
+        return {
+            label: deadline.label,
+            days: deadline.days,
+            dueDate: dueDate,
+            passed: Boolean(dueDate && dueDate < today)
+        };
+    });
+}
+
+/**
+ * The calendar date of a moment on the user's clock. The incident date
+ * is a date the user typed, so it is compared with their own today, not
+ * the date in UTC.
+ * @param {Date} date - Moment
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function getLocalIsoDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Add whole days to a calendar date
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function addDays(isoDate, days) {
+    const start = Date.parse(`${isoDate}T00:00:00Z`);
+    return new Date(start + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Format a YYYY-MM-DD date for display
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @returns {string}
+ */
+function formatCalendarDate(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(getIntlLocale(), {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+/**
+ * Describe one computed deadline in plain text
+ * @param {Object} deadline - Entry from computeDeadlines
+ * @returns {string}
+ */
+function describeDeadline(deadline) {
+    if (!deadline.dueDate) {
+        return t('deadline.within', { label: deadline.label, days: deadline.days });
+    }
+    return t(deadline.passed ? 'deadline.duePassed' : 'deadline.due', {
+        label: deadline.label,
+        date: formatCalendarDate(deadline.dueDate),
+        days: deadline.days
+    });
+}
@@ -0,0 +1,209 @@
+/* ============================================
+   MediLegal AI - Request Letters
+   ============================================ */
+
+// Letter templates offered from guidance leaves that list them under
+// "letters" (see trees/tree.schema.json). A template names the fields
+// the user fills in and the paragraphs of the letter; the wording lives
+// in the message catalogs (letter.<key>.*) so letters follow the UI
+// language. A paragraph listed with `requires` is left out when any of
+// those fields is empty.
+
+// Who the letter is from and to; asked for every template
+const LETTER_PARTY_FIELDS = [
+    { name: 'senderName', required: true },
+    { name: 'senderAddress', input: 'textarea' },
+    { name: 'senderContact' },
+    { name: 'dateOfBirth', input: 'date' },
+    { name: 'recipient', required: true, prefill: 'facilityName' },
+    { name: 'recipientAddress', input: 'textarea' }
+];
+
+const LETTER_TEMPLATES = {
+    'records-request': {
+        key: 'records',
+        fields: [
+            { name: 'recordNumber' },
+            { name: 'treatmentDates' }
+        ],
+        paragraphs: [
+            { key: 'intro' },
+            { key: 'dateOfBirth', requires: ['dateOfBirth'] },
+            { key: 'recordNumber', requires: ['recordNumber'] },
+            { key: 'treatmentDates', requires: ['treatmentDates'] },
+            { key: 'scope' },
+            { key: 'delivery' }
+        ]
+    },
+    'itemized-bill': {
+        key: 'bill',
+        fields: [
+            { name: 'accountNumber', required: true },
+            { name: 'serviceDate', input: 'date', required: true, prefill: 'incidentDate' },
+            { name: 'insurer' },
+            { name: 'claimNumber' }
+        ],
+        paragraphs: [
+            { key: 'intro' },
+            { key: 'request' },
+            { key: 'insurer', requires: ['insurer'] },
+            { key: 'claimNumber', requires: ['claimNumber'] },
+            { key: 'hold' }
+        ]
+    },
+    'consent-explanation': {
+        key: 'consent',
+        fields: [
+            { name: 'procedure', required: true },
+            { name: 'procedureDate', input: 'date', prefill: 'incidentDate' },
+            { name: 'clinician' },
+            { name: 'questions', input: 'textarea' }
+        ],
+        paragraphs: [
+            { key: 'intro' },
+            { key: 'procedureDate', requires: ['procedureDate'] },
+            { key: 'clinician', requires: ['clinician'] },
+            { key: 'request' },
+            { key: 'questions', requires: ['questions'] },
+            { key: 'reply' }
+        ]
+    },
+    'facility-complaint': {
+        key: 'complaint',
+        fields: [
+            { name: 'incidentDate', input: 'date', required: true, prefill: 'incidentDate' },
+            { name: 'complaintDetails', input: 'textarea', required: true },
+            { name: 'staffInvolved' },
+            { name: 'desiredOutcome', input: 'textarea' }
+        ],
+        paragraphs: [
+            { key: 'intro' },
+            { key: 'details' },
+            { key: 'staffInvolved', requires: ['staffInvolved'] },
+            { key: 'desiredOutcome', requires: ['desiredOutcome'] },
+            { key: 'response' }
+        ]
+    }
+};
+
+const LETTER_FIELD_MAX_LENGTH = { text: 200, textarea: 2000 };
+
+/**
+ * Get the display title of a letter template
+ * @param {string} type - Template id
+ * @returns {string}
+ */
+function getLetterTitle(type) {
+    return t(`letter.${LETTER_TEMPLATES[type].key}.title`);
+}
+
+/**
+ * List every field of a template, starting with sender and recipient
+ * @param {string} type - Template id
+ * @returns {Array<{ name: string, input?: string, required?: boolean, prefill?: string }>}
+ */
+function getLetterFields(type) {
+    return LETTER_PARTY_FIELDS.concat(LETTER_TEMPLATES[type].fields);
+}
+
+/**
+ * Suggest starting values: answers captured by the tree, then the
+ * sender and recipient of the last letter written in this session
+ * @param {string} type - Template id
+ * @param {Object<string, string>} captured - Captured field values (facilityName, incidentDate, ...)
+ * @param {Object|null} previous - Values of the last letter, if any
+ * @returns {Object<string, string>}
+ */
+function getLetterDefaults(type, captured, previous) {
+    const defaults = {};
+    getLetterFields(type).forEach(field => {
+        const fromPrevious = previous && LETTER_PARTY_FIELDS.includes(field) ? previous[field.name] : '';
+        const fromTree = field.prefill ? captured[field.prefill] : '';
+        defaults[field.name] = fromPrevious || fromTree || '';
+    });
+    return defaults;
+}
+
+/**
+ * Check the values entered for a letter
+ * @param {string} type - Template id
+ * @param {Object<string, string>} values - Form values
+ * @returns {Array<string>} Error messages
+ */
+function validateLetterValues(type, values) {
+    const errors = [];
+    getLetterFields(type).forEach(field => {
+        const value = (values[field.name] || '').trim();
+        const label = t(`letter.field.${field.name}`);
+        const maxLength = LETTER_FIELD_MAX_LENGTH[field.input === 'textarea' ? 'textarea' : 'text'];
+
+        if (!value) {
+            if (field.required) errors.push(t('letter.errorRequired', { field: label }));
+        } else if (field.input === 'date' && !isValidIsoDate(value)) {
+            errors.push(t('letter.errorDate', { field: label }));
+        } else if (value.length > maxLength) {
+            errors.push(t('letter.errorTooLong', { field: label, max: maxLength }));
+        }
+    });
+    return errors;
+}
+
+/**
+ * Write a letter from a template
+ * @param {string} type - Template id
+ * @param {Object<string, string>} values - Valid form values
+ * @param {string} isoDate - Date the letter is written, YYYY-MM-DD
+ * @returns {{ type: string, title: string, text: string }}
+ */
+function buildLetter(type, values, isoDate) {
+    const template = LETTER_TEMPLATES[type];
+    const fields = getLetterFields(type);
+    const params = {};
+    fields.forEach(field => {
+        const value = (values[field.name] || '').trim();
+        params[field.name] = value && field.input === 'date' ? formatCalendarDate(value) : value;
+    });
+
+    const paragraphs = template.paragraphs
+        .filter(paragraph => (paragraph.requires || []).every(name => params[name]))
+        .map(paragraph => t(`letter.${template.key}.${paragraph.key}`, params));
+
+    const blocks = [
+        [params.senderName, params.senderAddress, params.senderContact].filter(Boolean).join('\n'),
+        formatCalendarDate(isoDate),
+        [params.recipient, params.recipientAddress].filter(Boolean).join('\n'),
+        t(`letter.${template.key}.subject`, params),
+        t('letter.greeting'),
+        ...paragraphs,
+        `${t('letter.closing')}\n\n\n${params.senderName}`
+    ];
+
+    return { type: type, title: getLetterTitle(type), text: blocks.join('\n\n') };
+}
+
+/**
+ * Generate a unique id for a saved letter
+ * @returns {string}
+ */
+function createLetterId() {
+    return `letter-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Render a letter as a printable HTML document
+ * @param {{ type: string, text: string }} letter - Saved or built letter
+ * @param {string} locale - Language of the letter
+ * @returns {string}
+ */
+function letterToHtml(letter, locale) {
+    return plainTextToHtml(getLetterTitle(letter.type), letter.text, locale);
+}
+
+/**
+ * Build a download filename for a letter
+ * @param {{ type: string, createdAt: string }} letter - Saved letter
+ * @returns {string}
+ */
+function getLetterFilename(letter) {
+    return `medilegal-letter-${letter.type}-${letter.createdAt.slice(0, 10)}.txt`;
+}
@@ -0,0 +1,138 @@
+/* ============================================
+   MediLegal AI - Plugins
+   ============================================ */
+
+// Pages that embed the widget (see mountApp in app.js) extend it with
+// plugins instead of changing the app scripts. A plugin is an object
+// with a name, any of the hooks in PLUGIN_HOOKS and message renderers:
+//
+//   registerPlugin({
+//       name: 'portal-audit',
+//       onAnswer(event) { ... },
+//       renderers: {
+//           guidance(message, context) { ... return element; }
+//       }
+//   });
+//
+// Hooks are called with one event object once the app has updated its
+// state and the screen; what they return is ignored. The events are:
+//
+//   onRoleSelected  { role, sessionId, resumed }
+//                   A conversation starts, or a saved one is resumed
+//   onNodeEnter     { role, nodeId, node }
+//                   The flow arrives at a question or guidance node,
+//                   also when Back returns to one
+//   onAnswer        { role, nodeId, answer, value, field, inferred }
+//                   An answer is recorded, typed text included
+//   onGuidance      { role, nodeId, guidance }
+//                   The guidance card is shown; guidance is resolved for
+//                   display (jurisdiction, placeholders, risk level)
+//   onClear         { role, sessionId, reason }
+//                   The conversation is closed: reason is 'cleared'
+//                   (Clear Chat) or 'left' (change role, lock or wipe)
+//
+// Nodes and guidance are the app's own objects: read them, don't change
+// them. A renderer replaces how messages of one type (MESSAGE_TYPES in
+// transcript.js) are shown. It gets the message record and a context,
+// { role, node, locale }, and returns a DOM node to show instead of the
+// built-in content, or null to keep it. When several plugins render the
+// same type, the one registered last wins. A hook or renderer that
+// throws is logged and skipped.
+
+const PLUGIN_HOOKS = ['onRoleSelected', 'onNodeEnter', 'onAnswer', 'onGuidance', 'onClear'];
+
+const registeredPlugins = [];
+
+/**
+ * Check that an object is a usable plugin
+ * @param {Object} plugin - Candidate plugin
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+function validatePlugin(plugin) {
+    if (!plugin || typeof plugin !== 'object') return ['a plugin must be an object'];
+
+    const errors = [];
+    if (typeof plugin.name !== 'string' || !plugin.name.trim()) {
+        errors.push('a plugin needs a name');
+    }
+    Object.keys(plugin)
+        .filter(key => key !== 'name' && key !== 'renderers')
+        .forEach(key => {
+            if (!PLUGIN_HOOKS.includes(key)) {
+                errors.push(`unknown hook "${key}"`);
+            } else if (typeof plugin[key] !== 'function') {
+                errors.push(`hook "${key}" must be a function`);
+            }
+        });
+    Object.entries(plugin.renderers || {}).forEach(([type, render]) => {
+        if (!MESSAGE_TYPES.includes(type)) {
+            errors.push(`unknown message type "${type}"`);
+        } else if (typeof render !== 'function') {
+            errors.push(`renderer "${type}" must be a function`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Add a plugin. A plugin with the same name is replaced.
+ * @param {Object} plugin - Plugin as described at the top of this file
+ * @throws {Error} When the plugin is not valid
+ */
+function registerPlugin(plugin) {
+    const errors = validatePlugin(plugin);
+    if (errors.length > 0) {
+        throw new Error(`Invalid plugin${plugin && plugin.name ? ` "${plugin.name}"` : ''}: ${errors.join('; ')}`);
+    }
+    unregisterPlugin(plugin.name);
+    registeredPlugins.push(plugin);
+}
+
+/**
+ * Remove a plugin
+ * @param {string} name - Plugin name
+ * @returns {boolean} False when no plugin had that name
+ */
+function unregisterPlugin(name) {
+    const index = registeredPlugins.findIndex(plugin => plugin.name === name);
+    if (index === -1) return false;
+    registeredPlugins.splice(index, 1);
+    return true;
+}
+
+/**
+ * Call a hook on every plugin that has it, in registration order
+ * @param {string} hook - One of PLUGIN_HOOKS
+ * @param {Object} event - Event object passed to the hook
+ */
+function runPluginHook(hook, event) {
+    registeredPlugins.forEach(plugin => {
+        if (!plugin[hook]) return;
+        try {
+            plugin[hook](event);
+        } catch (error) {
+            console.error(`Plugin "${plugin.name}" failed in ${hook}:`, error);
+        }
+    });
+}
+
+/**
+ * Let the plugins render a message
+ * @param {Object} messageObj - Message record
+ * @param {{ role: string|null, node: Object|null, locale: string }} context
+ * @returns {Node|null} Node to show, or null for the built-in content
+ */
+function renderWithPlugins(messageObj, context) {
+    const plugin = registeredPlugins
+        .slice()
+        .reverse()
+        .find(item => item.renderers && item.renderers[messageObj.type]);
+    if (!plugin) return null;
+
+    try {
+        return plugin.renderers[messageObj.type](messageObj, context) || null;
+    } catch (error) {
+        console.error(`Plugin "${plugin.name}" failed to render a ${messageObj.type} message:`, error);
+        return null;
+    }
+}
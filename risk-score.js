@@ -0,0 +1,82 @@
+/* ============================================
+   MediLegal AI - Risk Scoring
+   ============================================ */
+
+// The risk level shown with guidance is scored from the whole answer
+// path. A leaf's "risk" sets the starting score, and answers add the
+// weighted factors their question lists under "factors" (ids from the
+// tree's "riskFactors"). The total maps back to a level, and the factors
+// are kept so the guidance can explain what raised or lowered it.
+
+const RISK_BASE_SCORES = { low: 0, medium: 3, high: 6 };
+
+// Lowest score for each level, highest level first
+const RISK_LEVEL_THRESHOLDS = [
+    { level: 'high', min: 6 },
+    { level: 'medium', min: 3 },
+    { level: 'low', min: -Infinity }
+];
+
+/**
+ * Map a score to a risk level
+ * @param {number} score - Total risk score
+ * @returns {string} 'high', 'medium' or 'low'
+ */
+function getRiskLevelForScore(score) {
+    return RISK_LEVEL_THRESHOLDS.find(threshold => score >= threshold.min).level;
+}
+
+/**
+ * List the risk factors added by the answers given
+ * @param {Object} tree - Decision tree, localized for display
+ * @param {Array<Object>} answerPath - Answered steps ({ nodeId, value, inferred })
+ * @returns {Array<{ id: string, label: string, weight: number, nodeId: string, value: string, inferred: boolean }>}
+ */
+function collectRiskFactors(tree, answerPath) {
+    const factorsById = new Map((tree.riskFactors || []).map(factor => [factor.id, factor]));
+
+    return answerPath.flatMap(step => {
+        const node = tree.nodes[step.nodeId];
+        const ids = node && node.factors ? node.factors[step.value] || [] : [];
+        return ids
+            .filter(id => factorsById.has(id))
+            .map(id => ({
+                ...factorsById.get(id),
+                nodeId: step.nodeId,
+                value: step.value,
+                inferred: Boolean(step.inferred)
+            }));
+    });
+}
+
+/**
+ * Score the risk of an answer path ending on a guidance leaf
+ * @param {Object} tree - Decision tree, localized for display
+ * @param {Array<Object>} answerPath - Answered steps
+ * @param {string} baseLevel - The leaf's "risk"
+ * @returns {{ level: string, score: number, baseLevel: string, baseScore: number, factors: Array<Object> }}
+ */
+function assessRisk(tree, answerPath, baseLevel) {
+    const base = RISK_BASE_SCORES[baseLevel] === undefined ? 'medium' : baseLevel;
+    const factors = collectRiskFactors(tree, answerPath);
+    const score = factors.reduce((total, factor) => total + factor.weight, RISK_BASE_SCORES[base]);
+
+    return {
+        level: getRiskLevelForScore(score),
+        score: score,
+        baseLevel: base,
+        baseScore: RISK_BASE_SCORES[base],
+        factors: factors
+    };
+}
+
+/**
+ * Describe a factor's weight with its sign, e.g. "+3" or "−1"; zero has
+ * no sign
+ * @param {number} weight - Factor weight
+ * @returns {string}
+ */
+function formatRiskWeight(weight) {
+    if (weight === 0) return '0';
+    return weight > 0 ? `+${weight}` : `−${Math.abs(weight)}`;
+}
@@ -0,0 +1,27 @@
+/* ============================================
+   MediLegal AI - Roles
+   ============================================ */
+
+// The roles offered on the role screen, in display order. Each role is
+// answered by the tree with the same id in trees/manifest.json; a role
+// whose tree did not load is shown disabled, and a tree without a role
+// here is not offered. `button` and `label` are message keys in i18n.js:
+// the role screen wording, and the short name shown in the chat header
+// and saved sessions.
+
+const ROLES = [
+    { id: 'doctor', icon: '👨‍⚕️', button: 'roles.doctorButton', label: 'role.doctor' },
+    { id: 'nurse', icon: '🩺', button: 'roles.nurseButton', label: 'role.nurse' },
+    { id: 'patient', icon: '👤', button: 'roles.patientButton', label: 'role.patient' },
+    { id: 'caregiver', icon: '🤝', button: 'roles.caregiverButton', label: 'role.caregiver' },
+    { id: 'admin', icon: '🏢', button: 'roles.adminButton', label: 'role.admin' }
+];
+
+/**
+ * Find a role by id
+ * @param {string} id - Role id, the same as its tree id
+ * @returns {Object|null}
+ */
+function getRoleDefinition(id) {
+    return ROLES.find(role => role.id === id) || null;
+}
@@ -0,0 +1,53 @@
+/* ============================================
+   MediLegal AI - Embeddable Widget Build (CLI)
+   ============================================ */
+
+// Usage: node scripts/build-widget.js [output]
+// Joins the scripts index.html loads, in its order, into one file
+// (dist/medilegal-widget.js by default) for pages that embed the widget.
+// Inside it the scripts share one function scope instead of the page's
+// globals, so names like `t` or `AppState` cannot clash with the page's
+// own code. The page only gets `window.MediLegal`: mountApp,
+// registerPlugin and unregisterPlugin.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const NAMESPACE_EXPORTS = ['mountApp', 'registerPlugin', 'unregisterPlugin'];
+
+/**
+ * List the scripts index.html loads, in order
+ * @returns {Array<string>} Paths relative to the repo root
+ */
+function listAppScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+}
+
+/**
+ * Build the widget file
+ * @returns {string} JavaScript source
+ */
+function buildWidget() {
+    const sources = listAppScripts().map(file =>
+        `// ---- ${file}\n${fs.readFileSync(path.join(ROOT, file), 'utf8')}`);
+
+    return [
+        '/* MediLegal AI - embeddable widget, built by scripts/build-widget.js. Do not edit. */',
+        '(function () {',
+        ...sources,
+        `window.MediLegal = { ${NAMESPACE_EXPORTS.map(name => `${name}: ${name}`).join(', ')} };`,
+        '})();',
+        ''
+    ].join('\n');
+}
+
+if (require.main === module) {
+    const output = path.resolve(process.argv[2] || path.join(ROOT, 'dist', 'medilegal-widget.js'));
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, buildWidget());
+    console.log(`✓ ${path.relative(process.cwd(), output)}`);
+}
+
+module.exports = { buildWidget, listAppScripts };
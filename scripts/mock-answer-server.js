@@ -0,0 +1,137 @@
+/* ============================================
+   MediLegal AI - Mock Follow-up Answer Server
+   ============================================ */
+
+// Usage: node scripts/mock-answer-server.js [port]
+// Serves POST /answer on http://localhost:8787 (or the given port) with
+// canned answers, so the follow-up question feature can be developed and
+// tested without a live model. Add ?mode=... to the endpoint URL to try
+// the error paths:
+//   stream (default) - newline-delimited JSON, one word at a time
+//   json             - a single { "answer": "..." } reply
+//   slow             - waits 30 seconds before replying (timeouts)
+//   error            - always replies 503
+//   flaky            - replies 503 to every other request (retries)
+//   broken           - starts streaming, then sends an error line
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+const WORD_DELAY_MS = 40;
+let requestCount = 0;
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const url = new URL(req.url, `http://localhost:${port}`);
+    if (req.method !== 'POST' || url.pathname !== '/answer') {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        let request;
+        try {
+            request = JSON.parse(body);
+        } catch (error) {
+            sendJson(res, 400, { error: 'Request body is not JSON' });
+            return;
+        }
+        if (!request || typeof request.question !== 'string') {
+            sendJson(res, 400, { error: 'Missing "question"' });
+            return;
+        }
+
+        requestCount++;
+        const mode = url.searchParams.get('mode') || 'stream';
+        console.log(`#${requestCount} [${mode}] ${request.question}`);
+        replyInMode(mode, request, res);
+    });
+});
+
+/**
+ * Send the canned answer the way the requested mode describes
+ * @param {string} mode - Value of the ?mode= parameter
+ * @param {Object} request - Parsed follow-up request
+ * @param {http.ServerResponse} res - Response
+ */
+function replyInMode(mode, request, res) {
+    const answer = buildMockAnswer(request);
+
+    if (mode === 'error' || (mode === 'flaky' && requestCount % 2 === 1)) {
+        sendJson(res, 503, { error: 'Mock service unavailable' });
+    } else if (mode === 'json') {
+        sendJson(res, 200, { answer: answer });
+    } else if (mode === 'slow') {
+        setTimeout(() => sendJson(res, 200, { answer: answer }), 30000);
+    } else {
+        streamAnswer(res, answer, mode === 'broken');
+    }
+}
+
+/**
+ * Write an answer as newline-delimited JSON, one word per line
+ * @param {http.ServerResponse} res - Response
+ * @param {string} answer - Full answer
+ * @param {boolean} failHalfway - Send an error line after half the words
+ */
+function streamAnswer(res, answer, failHalfway) {
+    const words = answer.split(/(?<= )/);
+    const stopAt = failHalfway ? Math.ceil(words.length / 2) : words.length;
+    let index = 0;
+
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson; charset=utf-8' });
+    const timer = setInterval(() => {
+        if (index < stopAt) {
+            res.write(`${JSON.stringify({ delta: words[index++] })}\n`);
+            return;
+        }
+        clearInterval(timer);
+        if (failHalfway) res.write(`${JSON.stringify({ error: 'Mock stream interrupted' })}\n`);
+        res.end();
+    }, WORD_DELAY_MS);
+    res.on('close', () => clearInterval(timer));
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} data - Body
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Echo the question and context back in a plausible-looking answer
+ * @param {Object} request - Parsed follow-up request
+ * @returns {string}
+ */
+function buildMockAnswer(request) {
+    const context = request.context || {};
+    const guidance = context.guidance || {};
+    const steps = Array.isArray(context.steps) ? context.steps.length : 0;
+    return [
+        `(Mock answer) You asked: "${request.question}".`,
+        guidance.title ? `Your guided answers (${steps}) led to "${guidance.title}".` : '',
+        'A real service would answer here using that context.'
+    ].filter(Boolean).join(' ');
+}
+
+server.listen(port, () => {
+    console.log(`Mock answer server listening on http://localhost:${port}/answer`);
+});
@@ -0,0 +1,48 @@
+/* ============================================
+   MediLegal AI - Decision Tree Coverage (CLI)
+   ============================================ */
+
+// Usage: node scripts/tree-coverage.js
+// Lists, for every tree in trees/manifest.json, each guidance leaf with
+// the number of answer paths that reach it and the shortest one. Exits
+// non-zero when a leaf cannot be reached from the start node, or when a
+// tree is invalid (run validate-trees.js for the details).
+
+const fs = require('fs');
+const path = require('path');
+const { validateTree, listTreePaths } = require('../tree-validator.js');
+
+const treesDir = path.join(__dirname, '..', 'trees');
+const manifest = JSON.parse(fs.readFileSync(path.join(treesDir, 'manifest.json'), 'utf8'));
+let failed = false;
+
+manifest.trees.forEach(entry => {
+    const tree = JSON.parse(fs.readFileSync(path.join(treesDir, entry.file), 'utf8'));
+    if (!validateTree(tree).valid) {
+        failed = true;
+        console.error(`✗ ${entry.file}: invalid tree, run scripts/validate-trees.js`);
+        return;
+    }
+
+    const paths = listTreePaths(tree);
+    const leaves = Object.keys(tree.nodes).filter(id => tree.nodes[id].guidance);
+    const reached = leaves.filter(id => paths.some(item => item.leaf === id));
+    console.log(`${entry.file} (v${tree.version}): ${paths.length} paths, ${reached.length}/${leaves.length} guidance leaves reached`);
+
+    leaves.forEach(id => {
+        const leafPaths = paths
+            .filter(item => item.leaf === id)
+            .sort((a, b) => a.answers.length - b.answers.length);
+        if (leafPaths.length === 0) {
+            failed = true;
+            console.log(`  ✗ ${id}: unreachable`);
+            return;
+        }
+        const shortest = leafPaths[0].answers
+            .map(answer => `${answer.nodeId}=${answer.value === null ? '(text)' : answer.value}`)
+            .join(' → ');
+        console.log(`  ✓ ${id}: ${leafPaths.length} path${leafPaths.length === 1 ? '' : 's'}, e.g. ${shortest}`);
+    });
+});
+
+process.exit(failed ? 1 : 0);
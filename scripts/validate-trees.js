@@ -0,0 +1,138 @@
+/* ============================================
+   MediLegal AI - Decision Tree Check (CLI)
+   ============================================ */
+
+// Usage: node scripts/validate-trees.js
+// Validates every tree listed in trees/manifest.json, and each tree's
+// translations, and exits non-zero when any of them has errors, so
+// content edits can be checked before they are published.
+
+const fs = require('fs');
+const path = require('path');
+const { validateTree, validateTranslation } = require('../tree-validator.js');
+const { validateEmergencyContacts } = require('../emergency.js');
+const { JOINT_SESSIONS, validateJointDefinition } = require('../joint-session.js');
+
+const treesDir = path.join(__dirname, '..', 'trees');
+const manifest = JSON.parse(fs.readFileSync(path.join(treesDir, 'manifest.json'), 'utf8'));
+let failed = false;
+// Trees that passed, by id, for the checks that span trees
+const validTrees = {};
+
+manifest.trees.forEach(entry => {
+    const file = path.join(treesDir, entry.file);
+    let tree;
+
+    try {
+        tree = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        failed = true;
+        console.error(`✗ ${entry.file}: ${error.message}`);
+        return;
+    }
+
+    const result = validateTree(tree);
+    if (tree.id !== entry.id) {
+        result.errors.push(`Tree id "${tree.id}" does not match manifest id "${entry.id}".`);
+    }
+    findUnknownJurisdictions(tree).forEach(code => {
+        result.errors.push(`Jurisdiction "${code}" is not listed in manifest.json.`);
+    });
+
+    if (result.errors.length === 0) {
+        console.log(`✓ ${entry.file} (v${tree.version})`);
+        validTrees[tree.id] = tree;
+    } else {
+        failed = true;
+        console.error(`✗ ${entry.file}`);
+        result.errors.forEach(error => console.error(`    - ${error}`));
+        return;
+    }
+
+    Object.entries(entry.translations || {}).forEach(([locale, translationFile]) => {
+        checkTranslation(tree, locale, translationFile);
+    });
+});
+
+/**
+ * Validate one translation file of a valid tree and report the result
+ * @param {Object} tree - Parsed tree
+ * @param {string} locale - Locale code from the manifest
+ * @param {string} file - Translation file name
+ */
+function checkTranslation(tree, locale, file) {
+    let translation;
+
+    try {
+        translation = JSON.parse(fs.readFileSync(path.join(treesDir, file), 'utf8'));
+    } catch (error) {
+        failed = true;
+        console.error(`✗ ${file}: ${error.message}`);
+        return;
+    }
+
+    const result = validateTranslation(tree, translation);
+    if (translation.locale !== locale) {
+        result.errors.push(`Locale "${translation.locale}" does not match manifest locale "${locale}".`);
+    }
+
+    if (result.errors.length === 0) {
+        console.log(`  ✓ ${file}`);
+    } else {
+        failed = true;
+        console.error(`  ✗ ${file}`);
+        result.errors.forEach(error => console.error(`    - ${error}`));
+    }
+}
+
+/**
+ * List jurisdiction codes used in a tree but missing from the manifest
+ * @param {Object} tree - Parsed tree
+ * @returns {Array<string>}
+ */
+function findUnknownJurisdictions(tree) {
+    const known = new Set((manifest.jurisdictions || []).map(item => item.id));
+    const used = new Set();
+    Object.values(tree.nodes || {}).forEach(node => {
+        if (node && node.guidance && node.guidance.jurisdictions) {
+            Object.keys(node.guidance.jurisdictions).forEach(code => used.add(code));
+        }
+    });
+    return Array.from(used).filter(code => !known.has(code));
+}
+
+const contactErrors = findContactErrors();
+if (contactErrors.length === 0) {
+    console.log('✓ manifest.json emergency contacts');
+} else {
+    failed = true;
+    console.error('✗ manifest.json emergency contacts');
+    contactErrors.forEach(error => console.error(`    - ${error}`));
+}
+
+/**
+ * Check the default emergency contacts and any jurisdiction's own list
+ * @returns {Array<string>}
+ */
+function findContactErrors() {
+    const errors = validateEmergencyContacts(manifest.emergencyContacts, 'manifest.json');
+    (manifest.jurisdictions || []).forEach(item => {
+        if (item.emergencyContacts !== undefined) {
+            errors.push(...validateEmergencyContacts(item.emergencyContacts, `Jurisdiction "${item.id}"`));
+        }
+    });
+    return errors;
+}
+
+Object.values(JOINT_SESSIONS).forEach(definition => {
+    const errors = validateJointDefinition(definition, validTrees);
+    if (errors.length === 0) {
+        console.log(`✓ joint session "${definition.key}"`);
+    } else {
+        failed = true;
+        console.error(`✗ joint session "${definition.key}"`);
+        errors.forEach(error => console.error(`    - ${error}`));
+    }
+});
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,390 @@
+/* ============================================
+   MediLegal AI - Encrypted Storage
+   ============================================ */
+
+// Saved conversations hold health and legal details, so they are only
+// ever written encrypted. The values live in one vault record under
+// `<storagePrefix>.vault`: AES-GCM ciphertext of every stored value,
+// with a key derived from the user's passphrase (PBKDF2, SHA-256) and a
+// random salt. Nothing is saved until a passphrase is set.
+//
+// The vault holds the saved sessions and the usage events recorded on
+// this device for dashboard.html (see createLocalAnalyticsSink). Those
+// events list the questions and answers of each conversation, so they
+// are not written to plain storage either. Outside the vault there are
+// only preferences (language, jurisdiction, display) and the update
+// marker, which holds a session id but no content.
+//
+// While unlocked, the decrypted values are kept in memory so reads stay
+// synchronous; each write re-encrypts the vault in the background (see
+// SecureStore.flush). Locking drops the key and the decrypted values.
+// Failures reject with an Error whose `code` is one of
+// SECURE_STORAGE_ERROR_CODES.
+
+const SECURE_STORAGE_ERROR_CODES = ['unsupported', 'missing', 'passphrase', 'write'];
+
+const VAULT_FORMAT = 1;
+
+const SecureStore = {
+    cryptoKey: null, // AES-GCM key while unlocked
+    values: null, // Decrypted values as JSON text, keyed by storage key, while unlocked
+    salt: null, // PBKDF2 salt of the vault
+    iterations: 0, // PBKDF2 rounds of the vault
+    changes: [], // Updates not yet merged into the stored vault: { key, change, fallback }
+    pending: Promise.resolve(), // Last queued vault write
+    generation: 0, // Bumped by wipe so queued writes are dropped
+
+    /**
+     * Storage key of the vault record
+     * @returns {string}
+     */
+    vaultKey() {
+        return `${AppConfig.storagePrefix}.vault`;
+    },
+
+    /**
+     * Whether the browser can encrypt. Web Crypto is only available on
+     * https:// and localhost pages.
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    },
+
+    /**
+     * Whether a passphrase has been set on this device
+     * @returns {boolean}
+     */
+    isSetUp() {
+        return readJson(this.vaultKey(), null) !== null;
+    },
+
+    /**
+     * Whether stored values can be read and written
+     * @returns {boolean}
+     */
+    isUnlocked() {
+        return this.cryptoKey !== null;
+    },
+
+    /**
+     * Create an empty vault with a new passphrase
+     * @param {string} passphrase - New passphrase
+     * @param {number} iterations - PBKDF2 rounds
+     * @returns {Promise<void>} Rejects with code 'write' when the vault
+     *   could not be stored, e.g. because storage is full
+     */
+    async setUp(passphrase, iterations) {
+        requireWebCrypto();
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        this.cryptoKey = await deriveStorageKey(passphrase, salt, iterations);
+        this.salt = salt;
+        this.iterations = iterations;
+        this.values = {};
+        this.changes = [];
+
+        const encrypted = await encryptText(this.cryptoKey, JSON.stringify(this.values));
+        writeJson(this.vaultKey(), Object.assign({ format: VAULT_FORMAT, salt: toBase64(salt), iterations: iterations }, encrypted));
+        if (!this.isSetUp()) {
+            this.lock();
+            this.salt = null;
+            throw createStorageError('write', 'The encrypted data could not be stored.');
+        }
+    },
+
+    /**
+     * Decrypt the vault with the passphrase
+     * @param {string} passphrase - Passphrase set with setUp
+     * @returns {Promise<void>} Rejects with code 'passphrase' when it is wrong
+     */
+    async unlock(passphrase) {
+        requireWebCrypto();
+        const vault = readJson(this.vaultKey(), null);
+        if (!vault) throw createStorageError('missing', 'No passphrase has been set on this device.');
+
+        const salt = fromBase64(vault.salt);
+        const cryptoKey = await deriveStorageKey(passphrase, salt, vault.iterations);
+        let values;
+        try {
+            values = JSON.parse(await decryptText(cryptoKey, vault.iv, vault.data));
+        } catch (error) {
+            // AES-GCM rejects the ciphertext when the key is wrong
+            throw createStorageError('passphrase', 'The passphrase is not correct.');
+        }
+
+        this.cryptoKey = cryptoKey;
+        this.values = values;
+        this.salt = salt;
+        this.iterations = vault.iterations;
+    },
+
+    /**
+     * Forget the key and the decrypted values. Writes already queued
+     * still finish.
+     */
+    lock() {
+        this.cryptoKey = null;
+        this.values = null;
+    },
+
+    /**
+     * Read a stored value
+     * @param {string} key - Storage key
+     * @param {*} fallback - Value returned when missing or locked
+     * @returns {*} A fresh copy of the value
+     */
+    read(key, fallback) {
+        if (!this.values || this.values[key] === undefined) return fallback;
+        return JSON.parse(this.values[key]);
+    },
+
+    /**
+     * Store a value and queue the vault write
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {boolean} False when locked; nothing is stored then
+     */
+    write(key, value) {
+        return this.update(key, () => value);
+    },
+
+    /**
+     * Change a stored value and queue the vault write. The change is
+     * applied again to the vault as stored when it is written, so that
+     * writes from other tabs in between are kept.
+     * @param {string} key - Storage key
+     * @param {Function} change - Receives the current value, returns the new one
+     * @param {*} [fallback] - Current value when there is none
+     * @returns {boolean} False when locked; nothing is stored then
+     */
+    update(key, change, fallback) {
+        if (!this.isUnlocked()) return false;
+        applyChanges(this.values, [{ key: key, change: change, fallback: fallback }]);
+        this.changes.push({ key: key, change: change, fallback: fallback });
+        this.persist();
+        return true;
+    },
+
+    /**
+     * Merge the queued changes into the vault record, after any write
+     * already queued. The record is read again first: another tab may
+     * have written it since, and when it was wiped or set up anew there
+     * the changes are dropped.
+     * @returns {Promise<void>}
+     */
+    persist() {
+        const generation = this.generation;
+        const cryptoKey = this.cryptoKey;
+        const header = { format: VAULT_FORMAT, salt: toBase64(this.salt), iterations: this.iterations };
+
+        this.pending = this.pending
+            .then(async () => {
+                const changes = this.changes.slice();
+                if (changes.length === 0) return;
+
+                // Another tab may write while this one encrypts; try again then
+                for (let attempt = 0; attempt < 3; attempt++) {
+                    const stored = readJson(this.vaultKey(), null);
+                    if (generation !== this.generation) return;
+                    if (!stored || stored.salt !== header.salt) {
+                        this.changes = [];
+                        return;
+                    }
+                    const values = JSON.parse(await decryptText(cryptoKey, stored.iv, stored.data));
+                    applyChanges(values, changes);
+                    const encrypted = await encryptText(cryptoKey, JSON.stringify(values));
+                    if (generation !== this.generation) return;
+                    if (readJson(this.vaultKey(), {}).iv !== stored.iv) continue;
+
+                    writeJson(this.vaultKey(), Object.assign(header, encrypted));
+                    this.changes = this.changes.slice(changes.length);
+                    if (this.cryptoKey === cryptoKey) {
+                        this.values = applyChanges(values, this.changes);
+                    }
+                    return;
+                }
+                throw new Error('The vault kept changing in another tab.');
+            })
+            .catch(error => console.warn('Could not save encrypted data', error));
+        return this.pending;
+    },
+
+    /**
+     * Follow a change another tab made to the vault, from a `storage`
+     * event. When everything was wiped there, or the vault removed or
+     * replaced, this tab locks and forgets it too; otherwise the new
+     * values are read while unlocked.
+     * @param {StorageEvent} event - Event fired on window
+     * @returns {Promise<string|null>} 'wiped', 'changed', or null when
+     *   the event does not concern the vault
+     */
+    async handleStorageChange(event) {
+        if (event.key === this.wipeSignalKey()) {
+            if (event.newValue === null) return null;
+            this.discard();
+            return 'wiped';
+        }
+        // A null key means the other tab cleared all of localStorage
+        if (event.key !== null && event.key !== this.vaultKey()) return null;
+        const stored = readJson(this.vaultKey(), null);
+        if (this.salt && (!stored || stored.salt !== toBase64(this.salt))) {
+            this.discard();
+            return 'wiped';
+        }
+        if (!stored) return null;
+        if (!this.isUnlocked()) return 'changed';
+
+        const cryptoKey = this.cryptoKey;
+        const values = JSON.parse(await decryptText(cryptoKey, stored.iv, stored.data));
+        if (this.cryptoKey === cryptoKey) {
+            this.values = applyChanges(values, this.changes);
+        }
+        return 'changed';
+    },
+
+    /**
+     * Wait until every queued write is stored
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.pending;
+    },
+
+    /**
+     * Lock and delete everything the app stored on this device: the
+     * vault, preferences, usage events and the update marker. Queued
+     * writes are dropped, and other open tabs of the app are told to
+     * drop theirs too (see handleStorageChange).
+     */
+    wipe() {
+        this.discard();
+        // Set and removed at once: other tabs only see the storage events
+        try {
+            localStorage.setItem(this.wipeSignalKey(), String(Date.now()));
+        } catch (error) {
+            console.warn('Could not tell other tabs about the wipe', error);
+        }
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(`${AppConfig.storagePrefix}.`))
+            .forEach(key => localStorage.removeItem(key));
+    },
+
+    /**
+     * Storage key whose storage events tell other tabs about a wipe
+     * @returns {string}
+     */
+    wipeSignalKey() {
+        return `${AppConfig.storagePrefix}.wiped`;
+    },
+
+    /**
+     * Lock, forget the vault and drop queued writes, and delete what
+     * the app keeps for this tab only
+     */
+    discard() {
+        this.generation++;
+        this.lock();
+        this.salt = null;
+        this.changes = [];
+        Object.keys(sessionStorage)
+            .filter(key => key.startsWith(`${AppConfig.storagePrefix}.`))
+            .forEach(key => sessionStorage.removeItem(key));
+    }
+};
+
+/**
+ * Apply queued updates to a set of decrypted values
+ * @param {Object} values - Values as JSON text, keyed by storage key; changed in place
+ * @param {Array<Object>} changes - Updates from SecureStore.update
+ * @returns {Object} The same values
+ */
+function applyChanges(values, changes) {
+    changes.forEach(item => {
+        const current = values[item.key] === undefined ? item.fallback : JSON.parse(values[item.key]);
+        values[item.key] = JSON.stringify(item.change(current));
+    });
+    return values;
+}
+
+/**
+ * Derive the AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt stored with the vault
+ * @param {number} iterations - PBKDF2 rounds
+ * @returns {Promise<CryptoKey>} Non-extractable key
+ */
+async function deriveStorageKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt text with a fresh random IV
+ * @param {CryptoKey} cryptoKey - AES-GCM key
+ * @param {string} text - Plain text
+ * @returns {Promise<{ iv: string, data: string }>} Base64 IV and ciphertext
+ */
+async function encryptText(cryptoKey, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, cryptoKey, new TextEncoder().encode(text));
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt text written by encryptText
+ * @param {CryptoKey} cryptoKey - AES-GCM key
+ * @param {string} iv - Base64 IV
+ * @param {string} data - Base64 ciphertext
+ * @returns {Promise<string>}
+ */
+async function decryptText(cryptoKey, iv, data) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, cryptoKey, fromBase64(data));
+    return new TextDecoder().decode(plain);
+}
+
+/**
+ * Reject when the browser cannot encrypt
+ */
+function requireWebCrypto() {
+    if (!SecureStore.isSupported()) {
+        throw createStorageError('unsupported', 'This browser cannot encrypt data on this page.');
+    }
+}
+
+/**
+ * Build an Error with a SECURE_STORAGE_ERROR_CODES code
+ * @param {string} code - Error code
+ * @param {string} message - Developer-facing message
+ * @returns {Error}
+ */
+function createStorageError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
@@ -0,0 +1,144 @@
+/* ============================================
+   MediLegal AI - Service Worker
+   ============================================ */
+
+// Keeps the guided flow working offline. The app shell is served from a
+// cache named after CACHE_VERSION: bump it whenever a file in APP_SHELL
+// changes. The new worker then waits until the user accepts the update
+// (see registerServiceWorker in app.js), so a page never runs a mix of
+// old and new scripts. Tree content under trees/ is served from the
+// cache as well but refreshed in the background; open pages are told
+// when it changed so they can offer to reload.
+
+const CACHE_VERSION = '10';
+const CACHE_NAME = `medilegal-${CACHE_VERSION}`;
+const TREES_PATH = 'trees/';
+
+// Everything index.html loads, in its order
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'tree-validator.js',
+    'session-store.js',
+    'secure-storage.js',
+    'roles.js',
+    'i18n.js',
+    'flow-engine.js',
+    'accessibility.js',
+    'voice.js',
+    'jurisdiction.js',
+    'emergency.js',
+    'risk-score.js',
+    'timeline.js',
+    'case-summary.js',
+    'letters.js',
+    'incident-report.js',
+    'joint-session.js',
+    'transcript.js',
+    'plugins.js',
+    'intent-classifier.js',
+    'answer-provider.js',
+    'analytics.js',
+    'widget.js',
+    'app.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        await cache.addAll(await listTreeFiles());
+
+        // A first install has no page to disrupt; updates wait for the user
+        if (!self.registration.active) await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('medilegal-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'medilegal:skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    const scopePath = new URL(self.registration.scope).pathname;
+    if (url.pathname.startsWith(scopePath + TREES_PATH)) {
+        event.respondWith(serveTreeFile(event));
+    } else {
+        event.respondWith(serveShellFile(request));
+    }
+});
+
+/**
+ * List the tree files to cache: the manifest, each tree and its translations
+ * @returns {Promise<Array<string>>} Paths relative to the worker
+ */
+async function listTreeFiles() {
+    const response = await fetch(`${TREES_PATH}manifest.json`, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`Tree manifest request failed with status ${response.status}`);
+    const manifest = await response.json();
+
+    const files = ['manifest.json'];
+    manifest.trees.forEach(entry => {
+        files.push(entry.file, ...Object.values(entry.translations || {}));
+    });
+    return files.map(file => TREES_PATH + file);
+}
+
+/**
+ * Serve an app file from the cache, falling back to the network. Page
+ * loads (e.g. index.html?preview) are matched without their query.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function serveShellFile(request) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    return cached || fetch(request);
+}
+
+/**
+ * Serve a tree file from the cache and refresh it from the network. When
+ * the refreshed file differs, open pages get a 'medilegal:content-updated'
+ * message.
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function serveTreeFile(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+
+    const refresh = fetch(event.request).then(async (response) => {
+        if (!response.ok) return response;
+        const changed = cached && (await cached.clone().text()) !== (await response.clone().text());
+        await cache.put(event.request, response.clone());
+        if (changed) await notifyContentUpdated();
+        return response;
+    });
+
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => {}));
+    return cached.clone();
+}
+
+/**
+ * Tell open pages that tree content changed
+ */
+async function notifyContentUpdated() {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach(client => client.postMessage({ type: 'medilegal:content-updated' }));
+}
@@ -0,0 +1,114 @@
+/* ============================================
+   MediLegal AI - Session Persistence
+   ============================================ */
+
+// Sessions are stored per role under `<storagePrefix>.sessions.<role>`
+// as an array of session records, newest first. They go to the
+// encrypted SecureStore (secure-storage.js), so nothing is listed or
+// saved while it is locked. Records are changed one at a time with
+// SecureStore.update, so sessions saved in another tab are kept.
+
+const SessionStore = {
+    /**
+     * Build the storage key for a role
+     * @param {string} role - Role id
+     * @returns {string}
+     */
+    key(role) {
+        return `${AppConfig.storagePrefix}.sessions.${role}`;
+    },
+
+    /**
+     * Read all sessions for a role, dropping expired ones
+     * @param {string} role - Role id
+     * @returns {Array<Object>}
+     */
+    list(role) {
+        const sessions = SecureStore.read(this.key(role), []);
+        const fresh = sessions.filter(session => !isSessionExpired(session));
+        if (fresh.length !== sessions.length) {
+            SecureStore.update(this.key(role), stored => stored.filter(session => !isSessionExpired(session)), []);
+        }
+        return fresh;
+    },
+
+    /**
+     * Read all sessions across the given roles, newest first
+     * @param {Array<string>} roles - Role ids
+     * @returns {Array<Object>}
+     */
+    listAll(roles) {
+        return roles
+            .flatMap(role => this.list(role))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    /**
+     * Insert or update a session record
+     * @param {Object} session - Session record with id and role
+     */
+    save(session) {
+        SecureStore.update(this.key(session.role), sessions => [session]
+            .concat(sessions.filter(item => item.id !== session.id && !isSessionExpired(item))), []);
+    },
+
+    /**
+     * Find a saved session
+     * @param {string} role - Role id
+     * @param {string} id - Session id
+     * @returns {Object|null}
+     */
+    get(role, id) {
+        return this.list(role).find(session => session.id === id) || null;
+    },
+
+    /**
+     * Delete a saved session
+     * @param {string} role - Role id
+     * @param {string} id - Session id
+     */
+    remove(role, id) {
+        SecureStore.update(this.key(role), sessions => sessions.filter(session => session.id !== id), []);
+    }
+};
+
+/**
+ * Check whether a session is past the retention period
+ * @param {Object} session - Session record
+ * @returns {boolean}
+ */
+function isSessionExpired(session) {
+    const updated = Date.parse(session.updatedAt);
+    if (Number.isNaN(updated)) return true;
+    const retentionMs = AppConfig.sessionRetentionDays * 24 * 60 * 60 * 1000;
+    return Date.now() - updated > retentionMs;
+}
+
+/**
+ * Read and parse a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when missing or unreadable
+ * @returns {*}
+ */
+function readJson(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (error) {
+        console.warn(`Could not read ${key} from storage`, error);
+        return fallback;
+    }
+}
+
+/**
+ * Serialize a value to localStorage
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ */
+function writeJson(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not write ${key} to storage`, error);
+    }
+}
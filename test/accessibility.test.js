@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp, readTree } = require('./helpers/load-app');
+
+const evaluate = loadScripts(['i18n.js', 'flow-engine.js', 'accessibility.js'], {
+    document: { documentElement: {} }
+});
+
+const PATIENT = readTree('patient.json');
+
+test('getKeyboardShortcut maps keys outside text fields only', () => {
+    evaluate(`
+        var button = { closest: () => null };
+        var field = { closest: () => ({}) };
+        var press = (key, target, extra) => getKeyboardShortcut(Object.assign({ key: key, target: target }, extra));
+    `);
+    assert.equal(evaluate("press('y', button)"), 'yes');
+    assert.equal(evaluate("press('N', button)"), 'no');
+    assert.equal(evaluate("press('Backspace', button)"), 'back');
+    assert.equal(evaluate("press('Escape', field)"), 'escape');
+    assert.equal(evaluate("press('y', field)"), null);
+    assert.equal(evaluate("press('Backspace', field)"), null);
+    assert.equal(evaluate("press('y', button, { ctrlKey: true })"), null);
+    assert.equal(evaluate("press('x', button)"), null);
+
+    evaluate("setLocale('es')");
+    assert.equal(evaluate("press('s', button)"), 'yes');
+    evaluate("setLocale('en')");
+    assert.equal(evaluate("press('s', button)"), null);
+});
+
+test('new questions are announced and take the focus; Y/N and Backspace answer', async () => {
+    const { evaluate: run, document, window } = await loadApp();
+    const announcer = document.getElementById('chatAnnouncer');
+    const press = (key, target = document.activeElement) =>
+        target.dispatchEvent(new window.KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true }));
+
+    run("selectRole('patient')");
+    const firstQuestion = document.activeElement;
+    assert.match(firstQuestion.textContent, new RegExp(PATIENT.nodes.p1.question.slice(0, 20)));
+    assert.match(announcer.textContent, /^Question /);
+    assert.ok(!announcer.textContent.includes('❓'));
+
+    press('y', document.getElementById('userInput'));
+    assert.equal(run('AppState.answerPath.length'), 0);
+
+    press('n');
+    assert.equal(run('AppState.currentNodeId'), 'p3');
+    assert.notEqual(document.activeElement, firstQuestion);
+    assert.match(announcer.textContent, new RegExp(PATIENT.nodes.p3.question.slice(0, 20)));
+
+    press('Backspace');
+    assert.equal(run('AppState.currentNodeId'), 'p1');
+    assert.equal(document.activeElement, firstQuestion);
+
+    // Earlier answers can be changed with the keyboard
+    press('n');
+    const answer = document.querySelector('.message.user[data-step="0"]');
+    assert.equal(answer.getAttribute('role'), 'button');
+    assert.equal(answer.tabIndex, 0);
+    press('Enter', answer);
+    assert.equal(run('AppState.answerPath.length'), 0);
+});
+
+test('guidance is summarised for screen readers and Escape closes its panels', async () => {
+    const { evaluate: run, document, window } = await loadApp();
+    run("selectRole('patient'); ['no', 'yes', 'no'].forEach(answer => submitGuidedAnswer(answer))");
+
+    const card = document.activeElement;
+    assert.ok(card.classList.contains('message'));
+    assert.match(document.getElementById('chatAnnouncer').textContent,
+        /^Guidance: .+\. High Risk, Score 9\.$/);
+    assert.ok([...card.querySelectorAll('[role="heading"]')].every(heading =>
+        heading.querySelector('[aria-hidden="true"]')));
+    const deadlines = document.createElement('div');
+    deadlines.innerHTML = run("buildDeadlinesSection({ deadlines: [{ label: 'File a complaint', days: 30 }] })");
+    const title = deadlines.querySelector('.response-section-title');
+    assert.equal(title.getAttribute('role'), 'heading');
+    assert.equal(title.getAttribute('aria-level'), '3');
+    assert.ok(title.querySelector('[aria-hidden="true"]'));
+
+    card.querySelector('button[data-action="timeline"]').click();
+    const panel = document.getElementById('timelinePanel');
+    assert.equal(panel.classList.contains('hidden'), false);
+    const field = document.activeElement;
+    field.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'n', bubbles: true }));
+    assert.equal(run('AppState.flowCompleted'), true);
+    field.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    assert.equal(panel.classList.contains('hidden'), true);
+    assert.equal(document.activeElement, card);
+});
+
+test('display settings apply to the widget and are remembered', async () => {
+    const { document, window } = await loadApp();
+    const root = document.getElementById('app');
+    const toggle = document.getElementById('contrastToggle');
+    assert.equal(root.dataset.contrast, 'normal');
+    assert.equal(toggle.getAttribute('aria-pressed'), 'false');
+
+    toggle.click();
+    assert.equal(root.dataset.contrast, 'high');
+    assert.equal(toggle.getAttribute('aria-pressed'), 'true');
+
+    const sizes = document.getElementById('textSizeSelect');
+    sizes.value = 'larger';
+    sizes.dispatchEvent(new window.Event('change'));
+    assert.equal(root.dataset.textSize, 'larger');
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('medilegal.display')), {
+        contrast: 'high',
+        textSize: 'larger'
+    });
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp, readTree, submitPassphrase, waitFor } = require('./helpers/load-app');
+
+const evaluate = loadScripts(['analytics.js'], {
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout
+});
+
+const PATIENT = readTree('patient.json');
+const PASSPHRASE = 'correct horse';
+
+/**
+ * Read the events the app recorded on the device
+ * @param {Function} run - evaluate of the app
+ * @returns {Array<Object>}
+ */
+function readEvents(run) {
+    return JSON.parse(run("analyticsSink.flush(); JSON.stringify(SecureStore.read('medilegal.analytics', []))"));
+}
+
+test('createUsageEvent keeps only the allowed fields and the day', () => {
+    const event = evaluate("createUsageEvent('answered', { tree: 'patient', nodeId: 'p9', value: null, text: 'Mercy Hospital', run: 'run-1' })");
+    assert.deepEqual(Object.keys(event).sort(), ['day', 'nodeId', 'run', 'tree', 'type']);
+    assert.match(event.day, /^\d{4}-\d{2}-\d{2}$/);
+});
+
+test('summarizeUsage builds the funnel, drop-off and branch counts', () => {
+    const events = [
+        { type: 'role_selected', tree: 'patient', run: 'a' },
+        { type: 'node_visited', tree: 'patient', run: 'a', nodeId: 'p1' },
+        { type: 'answered', tree: 'patient', run: 'a', nodeId: 'p1', value: 'no' },
+        { type: 'node_visited', tree: 'patient', run: 'a', nodeId: 'p3' },
+        { type: 'abandoned', tree: 'patient', run: 'a', nodeId: 'p3', reason: 'closed' },
+        { type: 'role_selected', tree: 'patient', run: 'b' },
+        { type: 'node_visited', tree: 'patient', run: 'b', nodeId: 'p1' },
+        { type: 'answered', tree: 'patient', run: 'b', nodeId: 'p1', value: 'yes' },
+        { type: 'completed', tree: 'patient', run: 'b', nodeId: 'p2' },
+        { type: 'role_selected', tree: 'doctor', run: 'c' }
+    ];
+    const summary = evaluate(`summarizeUsage(${JSON.stringify(events)}, ${JSON.stringify(PATIENT)})`);
+
+    assert.equal(summary.runs, 2);
+    assert.deepEqual(JSON.parse(JSON.stringify(summary.funnel)), [
+        { step: 'started', count: 2 },
+        { step: 'answered-1', count: 2 },
+        { step: 'completed', count: 1 }
+    ]);
+    assert.deepEqual(JSON.parse(JSON.stringify(summary.abandoned)), [{ nodeId: 'p3', count: 1 }]);
+    const first = summary.branches.find(branch => branch.nodeId === 'p1');
+    assert.equal(first.visits, 2);
+    assert.equal(first.answers.length, 2);
+    assert.deepEqual(JSON.parse(JSON.stringify(summary.leaves)), [{ nodeId: 'p2', count: 1 }]);
+});
+
+test('the HTTP sink sends events in batches', async () => {
+    evaluate(`
+        var posted = [];
+        var sink = createHttpAnalyticsSink({
+            endpoint: 'https://example.test/events',
+            batchSize: 2,
+            fetch: async (url, init) => posted.push(JSON.parse(init.body))
+        });
+        sink.record({ type: 'role_selected' });
+    `);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(evaluate('posted.length'), 0);
+
+    evaluate("sink.record({ type: 'node_visited' }); sink.record({ type: 'answered' }); sink.flush()");
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(JSON.parse(JSON.stringify(evaluate('posted'))), [
+        { events: [{ type: 'role_selected' }, { type: 'node_visited' }] },
+        { events: [{ type: 'answered' }] }
+    ]);
+});
+
+test('the app records the path taken but never typed answers', async () => {
+    const { evaluate: run } = await loadApp({ passphrase: PASSPHRASE });
+    run("selectRole('patient'); ['no', 'no', 'no', 'other', 'Mercy Hospital'].forEach(answer => submitGuidedAnswer(answer))");
+    assert.equal(run('AppState.flowCompleted'), true);
+
+    const events = readEvents(run);
+    assert.deepEqual(events.map(event => event.type), [
+        'role_selected',
+        'node_visited', 'answered',
+        'node_visited', 'answered',
+        'node_visited', 'answered',
+        'node_visited', 'answered',
+        'node_visited', 'answered',
+        'completed'
+    ]);
+    assert.equal(new Set(events.map(event => event.run)).size, 1);
+    assert.ok(events.every(event => event.tree === 'patient' && event.treeVersion === PATIENT.version));
+    assert.deepEqual(events.filter(event => event.type === 'answered').map(event => event.value),
+        ['no', 'no', 'no', 'other', undefined]);
+    assert.ok(!JSON.stringify(events).includes('Mercy'));
+    assert.ok(!JSON.stringify(events).includes(run('AppState.sessionId')));
+});
+
+test('leaving before the guidance counts as abandoned', async () => {
+    const { evaluate: run } = await loadApp({ passphrase: PASSPHRASE });
+    run("selectRole('patient'); submitGuidedAnswer('no'); clearChat()");
+    // The restarted conversation reaches guidance, so changing role does not abandon it
+    run("submitGuidedAnswer('yes'); changeRole()");
+
+    const events = readEvents(run);
+    const abandoned = events.filter(event => event.type === 'abandoned');
+    assert.deepEqual(abandoned.map(event => [event.reason, event.nodeId, event.answers]), [['cleared', 'p3', 1]]);
+    assert.deepEqual(events.filter(event => event.type !== 'node_visited' && event.type !== 'answered').map(event => event.type), [
+        'role_selected', 'cleared', 'abandoned', 'flow_restarted', 'completed', 'role_changed'
+    ]);
+    assert.equal(new Set(events.map(event => event.run)).size, 2);
+});
+
+test('events are only kept on the device inside the vault', async () => {
+    const { evaluate: run, window } = await loadApp();
+    run("selectRole('patient'); submitGuidedAnswer('no'); changeRole()");
+    assert.equal(readEvents(run).length, 0);
+
+    run('AppConfig.passphraseIterations = 1000; AppConfig.autoLockMinutes = 0');
+    await submitPassphrase(window, PASSPHRASE);
+    run("selectRole('patient'); submitGuidedAnswer('yes')");
+    const events = readEvents(run);
+    await run('SecureStore.flush()');
+
+    assert.deepEqual(events.map(event => event.run), new Array(4).fill(run('analyticsRun.id')));
+    assert.ok(!window.localStorage.getItem('medilegal.vault').includes('role_selected'));
+    assert.deepEqual(Object.keys(window.localStorage).filter(key => key !== 'medilegal.vault' && key.startsWith('medilegal.')), []);
+
+    // Nothing is recorded while the vault is locked
+    await run('lockVault()');
+    assert.deepEqual(readEvents(run), []);
+    run("selectRole('doctor'); changeRole()");
+    await submitPassphrase(window, PASSPHRASE);
+    assert.equal(readEvents(run).length, 4);
+});
+
+test('events are added to the vault in one write after a short delay', async () => {
+    const { evaluate: run } = await loadApp({ passphrase: PASSPHRASE });
+    run(`var analyticsWrites = 0;
+        var updateVault = SecureStore.update;
+        SecureStore.update = function (key, ...rest) {
+            if (key === 'medilegal.analytics') analyticsWrites++;
+            return updateVault.call(this, key, ...rest);
+        }`);
+    run("selectRole('patient'); ['no', 'no'].forEach(submitGuidedAnswer)");
+    const recorded = run('analyticsSink.read().length');
+    assert.ok(recorded > 4);
+    assert.equal(run('analyticsWrites'), 0);
+
+    await waitFor(() => run('analyticsWrites') === 1, 3000);
+    assert.equal(run("SecureStore.read('medilegal.analytics', []).length"), recorded);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHttpAnswerProvider } = require('../answer-provider.js');
+
+/**
+ * Build a fetch stand-in that plays back a list of replies
+ * @param {Array<Function>} replies - Each returns a Response or throws
+ * @returns {Function & { calls: number }}
+ */
+function scriptedFetch(replies) {
+    const fakeFetch = async (url, init) => {
+        const reply = replies[Math.min(fakeFetch.calls, replies.length - 1)];
+        fakeFetch.calls++;
+        return reply(init);
+    };
+    fakeFetch.calls = 0;
+    return fakeFetch;
+}
+
+const jsonReply = (status, data) => () => new Response(JSON.stringify(data), {
+    status: status,
+    headers: { 'Content-Type': 'application/json' }
+});
+
+test('streamed answers are passed on piece by piece', async () => {
+    const body = ['{"delta":"Keep "}\n{"delta":"copies', '."}\n'].join('');
+    const provider = createHttpAnswerProvider({
+        endpoint: 'http://mock/answer',
+        fetch: scriptedFetch([() => new Response(body, { headers: { 'Content-Type': 'application/x-ndjson' } })])
+    });
+    const tokens = [];
+    const answer = await provider.ask({ question: 'q' }, { onToken: token => tokens.push(token) });
+    assert.equal(answer, 'Keep copies.');
+    assert.deepEqual(tokens, ['Keep ', 'copies.']);
+});
+
+test('server errors are retried with backoff, client errors are not', async () => {
+    const flaky = scriptedFetch([jsonReply(503, {}), jsonReply(200, { answer: 'ok' })]);
+    const provider = createHttpAnswerProvider({ endpoint: 'http://mock/answer', fetch: flaky, backoffMs: 1 });
+    assert.equal(await provider.ask({ question: 'q' }), 'ok');
+    assert.equal(flaky.calls, 2);
+
+    const rejected = scriptedFetch([jsonReply(400, {})]);
+    const strict = createHttpAnswerProvider({ endpoint: 'http://mock/answer', fetch: rejected, backoffMs: 1 });
+    await assert.rejects(strict.ask({ question: 'q' }), { code: 'http', status: 400 });
+    assert.equal(rejected.calls, 1);
+});
+
+test('a silent service times out after the last retry', async () => {
+    const hang = scriptedFetch([init => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    })]);
+    const provider = createHttpAnswerProvider({
+        endpoint: 'http://mock/answer',
+        fetch: hang,
+        timeoutMs: 10,
+        retries: 1,
+        backoffMs: 1
+    });
+    await assert.rejects(provider.ask({ question: 'q' }), { code: 'timeout' });
+    assert.equal(hang.calls, 2);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, readTree, waitFor } = require('./helpers/load-app');
+
+const XSS = '<img src=x onerror="window.__pwned = true">';
+
+test('clearChat does nothing when the user cancels the confirmation', async () => {
+    let confirmed = false;
+    const { evaluate } = await loadApp({ confirm: () => confirmed });
+    evaluate("selectRole('patient'); submitGuidedAnswer('no')");
+    const sessionId = evaluate('AppState.sessionId');
+
+    evaluate('clearChat()');
+    assert.equal(evaluate('AppState.answerPath.length'), 1);
+    assert.equal(evaluate('AppState.sessionId'), sessionId);
+
+    confirmed = true;
+    evaluate('clearChat()');
+    assert.equal(evaluate('AppState.answerPath.length'), 0);
+    assert.notEqual(evaluate('AppState.sessionId'), sessionId);
+    assert.equal(evaluate('AppState.currentNodeId'), 'p1');
+    assert.equal(evaluate('AppState.flowCompleted'), false);
+    // Only the intro and the first question are left
+    assert.equal(evaluate('AppState.messages.length'), 2);
+});
+
+test('changeRole resets the conversation and returns to the role picker', async () => {
+    const { evaluate, document } = await loadApp({ passphrase: 'correct horse' });
+    evaluate("selectRole('doctor'); submitGuidedAnswer('yes'); submitGuidedAnswer('no')");
+    assert.equal(evaluate('AppState.flowCompleted'), true);
+
+    evaluate('changeRole()');
+    assert.equal(evaluate('AppState.selectedRole'), null);
+    assert.equal(evaluate('AppState.sessionId'), null);
+    assert.equal(evaluate('AppState.currentNodeId'), null);
+    assert.equal(evaluate('AppState.flowCompleted'), false);
+    assert.deepEqual([...evaluate('AppState.answerPath')], []);
+    assert.equal(document.getElementById('messagesContainer').children.length, 0);
+    assert.equal(document.getElementById('roleSection').classList.contains('hidden'), false);
+    assert.equal(document.getElementById('chatSection').classList.contains('hidden'), true);
+    assert.equal(document.getElementById('backBtn').disabled, true);
+    // The finished session can be resumed from the role screen
+    assert.equal(document.querySelectorAll('#savedSessionsList .saved-session').length, 1);
+});
+
+test('escapeHtml neutralises markup and double quotes', async () => {
+    const { evaluate } = await loadApp();
+    assert.equal(
+        evaluate(`escapeHtml(${JSON.stringify(XSS)})`),
+        '&lt;img src=x onerror=&quot;window.__pwned = true&quot;&gt;'
+    );
+    assert.equal(evaluate("escapeHtml('Tom & <b>Jerry</b>')"), 'Tom &amp; &lt;b&gt;Jerry&lt;/b&gt;');
+});
+
+test('user messages are rendered as text, never as HTML', async () => {
+    const { evaluate, document, window } = await loadApp();
+    const element = evaluate(`createMessageElement({ id: 'm1', sender: 'user', content: ${JSON.stringify(XSS)} })`);
+    assert.equal(element.querySelector('img'), null);
+    assert.equal(element.querySelector('.message-content').textContent, XSS);
+
+    // Answer up to the free-text question, whose answer is echoed back
+    evaluate("selectRole('patient'); ['no', 'no', 'no', 'other'].forEach(submitGuidedAnswer)");
+    const input = document.getElementById('userInput');
+    input.value = XSS;
+    document.getElementById('sendBtn').click();
+    const messages = document.getElementById('messagesContainer');
+    assert.equal(messages.querySelector('.message.user img'), null);
+    assert.ok([...messages.querySelectorAll('.message.user .message-content')].some(el => el.textContent === XSS));
+    assert.equal(window.__pwned, undefined);
+});
+
+test('typed answers shown in questions and guidance are escaped', async () => {
+    const { evaluate, document } = await loadApp();
+    evaluate("selectRole('patient')");
+    ['no', 'no', 'no', 'other', XSS].forEach(answer => {
+        evaluate(`submitGuidedAnswer(${JSON.stringify(answer)})`);
+    });
+    assert.equal(evaluate('AppState.flowCompleted'), true);
+    assert.equal(document.querySelector('#messagesContainer img'), null);
+});
+
+test('option labels listed in a choice error are escaped', async () => {
+    const { evaluate, document, window } = await loadApp();
+    evaluate("selectRole('patient'); ['no', 'no', 'no'].forEach(submitGuidedAnswer)");
+    evaluate(`decisionTrees.patient.nodes[AppState.currentNodeId].options[0].label = ${JSON.stringify(XSS)}`);
+
+    evaluate("submitGuidedAnswer('maybe')");
+    evaluate("submitGuidedAnswer('not one of these at all')");
+    const errors = [...document.querySelectorAll('#messagesContainer .message.bot')].slice(-2);
+    errors.forEach(message => assert.ok(message.textContent.includes(XSS)));
+    assert.equal(document.querySelector('#messagesContainer img'), null);
+    assert.equal(window.__pwned, undefined);
+});
+
+test('role buttons come from the role registry and unknown roles are refused', async () => {
+    const { evaluate, document } = await loadApp();
+    const buttons = [...document.querySelectorAll('#roleButtons .role-btn')];
+    assert.deepEqual(buttons.map(button => button.dataset.role), [...evaluate('ROLES.map(role => role.id)')]);
+    assert.ok(buttons.every(button => !button.disabled));
+
+    evaluate("selectRole('surgeon')");
+    assert.equal(evaluate('AppState.selectedRole'), null);
+    assert.equal(document.getElementById('chatSection').classList.contains('hidden'), true);
+
+    document.querySelector('.role-btn[data-role="nurse"]').click();
+    assert.equal(evaluate('AppState.currentNodeId'), 'n1');
+    assert.equal(document.getElementById('currentRole').textContent, 'Nurse');
+    assert.ok(document.querySelector('.role-btn[data-role="nurse"]').classList.contains('active'));
+
+    evaluate("selectLocale('es')");
+    assert.equal(document.querySelector('.role-btn[data-role="caregiver"] .role-label').textContent, 'Soy familiar o cuidador');
+    assert.equal(document.getElementById('currentRole').textContent, 'Enfermero/a');
+});
+
+test('the caregiver flow asks about danger first, then authority to act before the concern', async () => {
+    const { evaluate } = await loadApp();
+    evaluate("selectRole('caregiver')");
+    assert.equal(evaluate('AppState.currentNodeId'), 'c5');
+    evaluate("submitGuidedAnswer('yes')");
+    assert.equal(evaluate('AppState.currentNodeId'), 'c5y');
+
+    evaluate("changeRole(); selectRole('caregiver'); ['no', 'family', 'no', 'financial-poa'].forEach(submitGuidedAnswer)");
+    assert.equal(evaluate('AppState.currentNodeId'), 'c2f');
+    assert.equal(evaluate('AppState.flowCompleted'), true);
+
+    evaluate("changeRole(); selectRole('caregiver'); ['no', 'partner', 'no', 'healthcare-poa', 'records'].forEach(submitGuidedAnswer)");
+    assert.equal(evaluate('AppState.currentNodeId'), 'c4r');
+    assert.match(evaluate("document.querySelector('.message.bot:last-child').textContent"), /Requesting records for the patient/);
+});
+
+test('the editor preview keeps its settings apart and still has the emergency numbers', async () => {
+    const { evaluate: run, document, window } = await loadApp({
+        url: 'http://localhost/?preview=1',
+        storage: { local: { 'medilegal.locale': JSON.stringify('es'), 'medilegal.jurisdiction': JSON.stringify('US') } }
+    });
+    await waitFor(() => document.querySelectorAll('#jurisdictionSelect option').length > 1);
+    assert.equal(run('getLocale()'), 'en');
+    assert.equal(run('AppState.jurisdiction'), 'generic');
+
+    document.getElementById('contrastToggle').click();
+    assert.equal(window.localStorage.getItem('medilegal.display'), null);
+    assert.notEqual(window.localStorage.getItem('medilegal.preview.display'), null);
+
+    window.dispatchEvent(new window.MessageEvent('message', {
+        origin: 'http://localhost',
+        data: { type: 'medilegal:preview-tree', tree: readTree('patient.json') }
+    }));
+    assert.equal(run('AppState.selectedRole'), 'patient');
+    run("submitGuidedAnswer('yes')");
+    assert.ok(document.querySelectorAll('#escalationContacts a[href^="tel:"]').length > 0);
+});
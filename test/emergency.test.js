@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp } = require('./helpers/load-app');
+
+const evaluate = loadScripts(['jurisdiction.js', 'emergency.js']);
+
+test('validateEmergencyContacts reports unknown types and missing numbers', () => {
+    assert.deepEqual([...evaluate("validateEmergencyContacts([{ type: 'emergency', number: '911' }], 'manifest.json')")], []);
+    const errors = [...evaluate("validateEmergencyContacts([{ type: 'fire', number: '911' }, { type: 'poison' }], 'GB')")];
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /^GB: emergency contact 1 "type"/);
+    assert.match(errors[1], /contact 2 needs a "number"/);
+    assert.equal(evaluate("validateEmergencyContacts([], 'GB').length"), 1);
+});
+
+test('getTelHref keeps only digits and a leading plus', () => {
+    assert.equal(evaluate("getTelHref('1-800-222-1222')"), 'tel:18002221222');
+    assert.equal(evaluate("getTelHref('+44 (0)20 7946 0000')"), 'tel:+4402079460000');
+});
+
+test('a jurisdiction with its own numbers replaces the default list', () => {
+    evaluate(`
+        setJurisdictions([{ id: 'generic', label: 'General' }, { id: 'GB', label: 'UK', emergencyContacts: [{ type: 'emergency', number: '999' }] }]);
+        setEmergencyContacts([{ type: 'emergency', number: '911' }, { type: 'poison', number: '1-800-222-1222' }]);
+    `);
+    assert.deepEqual([...evaluate("getEmergencyContacts('generic').map(contact => contact.number)")], ['911', '1-800-222-1222']);
+    assert.deepEqual([...evaluate("getEmergencyContacts('GB').map(contact => contact.number)")], ['999']);
+});
+
+test('an emergency leaf locks the chat until the banner is acknowledged', async () => {
+    const { evaluate: run, document } = await loadApp();
+    run("selectRole('patient'); submitGuidedAnswer('yes')");
+
+    const banner = document.getElementById('escalationBanner');
+    assert.ok(!banner.classList.contains('hidden'));
+    assert.equal(document.activeElement.id, 'escalationHeading');
+    const links = [...document.querySelectorAll('#escalationContacts a')].map(link => link.getAttribute('href'));
+    assert.deepEqual(links, ['tel:911', 'tel:18002221222']);
+    assert.equal(document.querySelectorAll('#escalationChecklist input').length, 3);
+
+    assert.ok(document.getElementById('userInput').disabled);
+    assert.ok(document.getElementById('backBtn').disabled);
+    assert.ok(document.getElementById('clearBtn').disabled);
+    assert.ok(document.getElementById('messagesContainer').hasAttribute('inert'));
+    const before = run('AppState.messages.length');
+    run("submitGuidedAnswer('what now?')");
+    assert.equal(run('AppState.messages.length'), before);
+
+    document.getElementById('escalationAckBtn').click();
+    assert.ok(run('AppState.escalation.acknowledgedAt'));
+    assert.ok(!document.getElementById('userInput').disabled);
+    assert.ok(!document.getElementById('backBtn').disabled);
+    assert.ok(!document.getElementById('messagesContainer').hasAttribute('inert'));
+    assert.ok(!banner.classList.contains('hidden'));
+    assert.ok(document.getElementById('escalationAckBtn').classList.contains('hidden'));
+});
+
+test('ticked actions are timestamped, added to the transcript and saved', async () => {
+    const { evaluate: run, document } = await loadApp({ passphrase: 'correct horse' });
+    run("selectRole('patient'); submitGuidedAnswer('yes')");
+
+    const first = document.querySelector('#escalationChecklist input[data-escalation-step="0"]');
+    first.click();
+    assert.ok(run('AppState.escalation.checklist[0].doneAt'));
+    assert.ok(document.querySelector('#escalationChecklist .escalation-done-at'));
+    document.getElementById('escalationAckBtn').click();
+
+    const transcript = [...document.querySelectorAll('.message.user .message-content')].map(el => el.textContent);
+    assert.match(transcript[transcript.length - 2], /^Done: Call emergency services now/);
+    assert.match(transcript[transcript.length - 1], /^I have read the emergency instructions/);
+
+    const saved = JSON.parse(run("JSON.stringify(SessionStore.list('patient'))"))[0];
+    assert.equal(saved.escalation.nodeId, 'p2');
+    assert.ok(saved.escalation.acknowledgedAt);
+    assert.deepEqual(saved.escalation.checklist.map(step => Boolean(step.doneAt)), [true, false, false]);
+
+    const markdown = run('summaryToMarkdown(buildCaseSummary())');
+    assert.match(markdown, /## Emergency actions/);
+    assert.match(markdown, /- \[x\] Call emergency services now/);
+    assert.match(markdown, /- \[ \] Follow instructions from responders/);
+
+    // Going back leaves the emergency leaf and closes the banner
+    run('goBack()');
+    assert.equal(run('AppState.escalation'), null);
+    assert.ok(document.getElementById('escalationBanner').classList.contains('hidden'));
+});
+
+test('a resumed session keeps the banner waiting for acknowledgement', async () => {
+    const { evaluate: run, document } = await loadApp({ passphrase: 'correct horse' });
+    run("selectRole('patient'); submitGuidedAnswer('yes')");
+    run('changeRole()');
+
+    document.querySelector('#savedSessionsList [data-session-action="resume"]').click();
+    assert.ok(!document.getElementById('escalationBanner').classList.contains('hidden'));
+    assert.ok(document.getElementById('userInput').disabled);
+    assert.equal(document.activeElement.id, 'escalationHeading');
+});
+
+test('caregivers and nurses reporting danger now see the banner too', async () => {
+    const { evaluate: run, document } = await loadApp();
+    [['caregiver', 'c5y'], ['nurse', 'n2y']].forEach(([role, leaf]) => {
+        run(`selectRole('${role}');
+            findAnswerPath(getCurrentTree(), getCurrentTree().start, '${leaf}').forEach(step => submitGuidedAnswer(step.value))`);
+        assert.equal(run('AppState.currentNodeId'), leaf);
+        assert.ok(!document.getElementById('escalationBanner').classList.contains('hidden'), role);
+        assert.ok(document.getElementById('userInput').disabled, role);
+        document.getElementById('escalationAckBtn').click();
+        run('changeRole()');
+    });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-app');
+
+const evaluate = loadScripts(['i18n.js', 'flow-engine.js'], {
+    document: { documentElement: {} }
+});
+
+test('normalizeYesNo accepts English synonyms in any case and spacing', () => {
+    evaluate("setLocale('en')");
+    ['yes', 'Y', ' yeah ', 'YEP'].forEach(word => {
+        assert.equal(evaluate(`normalizeYesNo(${JSON.stringify(word)})`), 'yes', word);
+    });
+    ['no', 'N', ' nope'].forEach(word => {
+        assert.equal(evaluate(`normalizeYesNo(${JSON.stringify(word)})`), 'no', word);
+    });
+});
+
+test('normalizeYesNo rejects anything that is not a yes/no word', () => {
+    evaluate("setLocale('en')");
+    ['maybe', '', 'yes please', 'si', 'oui'].forEach(word => {
+        assert.equal(evaluate(`normalizeYesNo(${JSON.stringify(word)})`), null, word);
+    });
+});
+
+test('normalizeYesNo accepts the current locale words, with or without accents, plus English', () => {
+    evaluate("setLocale('es')");
+    ['sí', 'si', 'Claro', 'yes'].forEach(word => {
+        assert.equal(evaluate(`normalizeYesNo(${JSON.stringify(word)})`), 'yes', word);
+    });
+    evaluate("setLocale('fr')");
+    assert.equal(evaluate("normalizeYesNo('Oui')"), 'yes');
+    assert.equal(evaluate("normalizeYesNo('non')"), 'no');
+    assert.equal(evaluate("normalizeYesNo('si')"), null);
+    evaluate("setLocale('en')");
+});
+
+test('resolveAnswer follows yes/no edges and reports unrecognised input', () => {
+    const node = JSON.stringify({ question: 'Q?', yes: 'a', no: 'b' });
+    const yes = evaluate(`resolveAnswer(${node}, 'y')`);
+    assert.deepEqual({ ...yes }, { answer: 'Yes', value: 'yes', next: 'a' });
+    assert.ok(evaluate(`resolveAnswer(${node}, 'perhaps')`).error);
+});
+
+test('resolveAnswer matches choice options by value, label or number', () => {
+    const node = JSON.stringify({
+        type: 'choice',
+        question: 'Which?',
+        options: [
+            { value: 'bill', label: 'A bill', next: 'a' },
+            { value: 'records', label: 'My records', next: 'b' }
+        ]
+    });
+    assert.equal(evaluate(`resolveAnswer(${node}, 'records').next`), 'b');
+    assert.equal(evaluate(`resolveAnswer(${node}, 'a bill').next`), 'a');
+    assert.equal(evaluate(`resolveAnswer(${node}, '2').value`), 'records');
+    assert.ok(evaluate(`resolveAnswer(${node}, '3').error`));
+});
+
+test('resolveAnswer checks free-text length and real calendar dates', () => {
+    const text = JSON.stringify({ type: 'text', question: 'Name?', field: 'name', maxLength: 5, next: 'a' });
+    const date = JSON.stringify({ type: 'text', input: 'date', question: 'When?', field: 'when', next: 'a' });
+    assert.equal(evaluate(`resolveAnswer(${text}, ' Ann ').value`), 'Ann');
+    assert.ok(evaluate(`resolveAnswer(${text}, '   ').error`));
+    assert.ok(evaluate(`resolveAnswer(${text}, 'Annabel').error`));
+    assert.equal(evaluate(`resolveAnswer(${date}, '2024-02-29').field`), 'when');
+    assert.ok(evaluate(`resolveAnswer(${date}, '2023-02-29').error`));
+});
+
+test('fillPlaceholders uses captured values and marks missing ones', () => {
+    evaluate("setLocale('en')");
+    assert.equal(
+        evaluate("fillPlaceholders('Seen by {{ provider }} on {{date}}', { provider: 'Dr. Lee' })"),
+        'Seen by Dr. Lee on (not provided)'
+    );
+});
+
+test('locateAnswerPath keeps the answers that still lead through the tree', () => {
+    const tree = JSON.stringify({
+        start: 'a',
+        nodes: {
+            a: { question: 'A?', yes: 'b', no: 'c' },
+            b: { question: 'B?', yes: 'done', no: 'c' },
+            c: { question: 'C?', yes: 'done', no: 'done' },
+            done: { guidance: { title: 'Done' } }
+        }
+    });
+    const locate = path => evaluate(`locateAnswerPath(${tree}, ${JSON.stringify(path)})`);
+
+    const complete = locate([{ nodeId: 'a', value: 'yes' }, { nodeId: 'b', value: 'yes' }]);
+    assert.equal(complete.validSteps, 2);
+    assert.equal(complete.currentNodeId, 'done');
+    assert.equal(complete.flowCompleted, true);
+
+    // An answer to a question that is no longer on the way stops the replay
+    const moved = locate([{ nodeId: 'a', value: 'no' }, { nodeId: 'b', value: 'yes' }]);
+    assert.equal(moved.validSteps, 1);
+    assert.equal(moved.currentNodeId, 'c');
+    assert.equal(moved.flowCompleted, false);
+
+    assert.equal(locate([{ nodeId: 'a', value: 'maybe' }]).validSteps, 0);
+    assert.equal(locate([{ nodeId: 'gone', value: 'yes' }]).currentNodeId, 'a');
+});
@@ -0,0 +1,154 @@
+/* ============================================
+   MediLegal AI - Test Harness
+   ============================================ */
+
+// The app is a set of plain browser scripts sharing globals. These
+// helpers run them under Node: loadScripts for the parts that need no
+// page (i18n.js, flow-engine.js, ...), loadApp for the whole chat page
+// in jsdom with trees served from trees/.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+const { JSDOM } = require('jsdom');
+const { buildWidget } = require('../../scripts/build-widget');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Run browser scripts in a fresh context without a page
+ * @param {Array<string>} files - Script paths relative to the repo root, in load order
+ * @param {Object} [globals] - Extra globals the scripts expect, e.g. a stand-in document
+ * @returns {Function} Evaluates an expression in that context
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext(Object.assign({ console: console }, globals));
+    files.forEach(file => runScript(file, context));
+    return expression => vm.runInContext(expression, context);
+}
+
+/**
+ * Load index.html in jsdom, run its scripts and wait for the trees
+ * @param {Object} [options]
+ * @param {Function} [options.confirm] - Stands in for window.confirm (default: accept)
+ * @param {string} [options.locale] - Saved language preference
+ * @param {Object} [options.storage] - Items to put in { local, session }
+ *   storage before the page loads, keyed by storage key
+ * @param {string} [options.passphrase] - Turn on saving with this
+ *   passphrase once the page is ready. Auto-lock is off in that case.
+ * @param {Function} [options.page] - Turns the markup of index.html into
+ *   another page, e.g. one that embeds the widget
+ * @param {string} [options.url] - Page URL, e.g. with ?preview for the
+ *   editor preview, which waits for a draft tree instead of loading trees
+ * @param {boolean} [options.widgetBuild] - Run the embeddable widget file
+ *   (scripts/build-widget.js) instead of the page's scripts
+ * @returns {Promise<{ window: Window, document: Document, evaluate: Function }>}
+ */
+async function loadApp(options = {}) {
+    const index = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const html = options.page ? options.page(index) : index;
+    const dom = new JSDOM(html, {
+        url: options.url || 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+    window.confirm = options.confirm || (() => true);
+    window.fetch = serveRepoFile;
+    window.console = console;
+    window.Element.prototype.scrollIntoView = () => {};
+    // jsdom has no Web Crypto or text encoding; use Node's
+    Object.defineProperty(window, 'crypto', { value: webcrypto });
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+    if (options.locale) window.localStorage.setItem('medilegal.locale', JSON.stringify(options.locale));
+    const storage = options.storage || {};
+    Object.entries(storage.local || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    Object.entries(storage.session || {}).forEach(([key, value]) => window.sessionStorage.setItem(key, value));
+
+    // jsdom fires DOMContentLoaded on its own once the scripts have run
+    const loaded = new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    const context = dom.getInternalVMContext();
+    if (options.widgetBuild) {
+        new vm.Script(buildWidget(), { filename: 'medilegal-widget.js' }).runInContext(context);
+    } else {
+        window.document.querySelectorAll('script[src]').forEach(script => {
+            runScript(script.getAttribute('src'), context);
+        });
+    }
+    await loaded;
+
+    const evaluate = expression => vm.runInContext(expression, context);
+    if (!new URL(window.location.href).searchParams.has('preview')) {
+        await waitFor(() => !window.document.querySelector('.role-btn[data-role="patient"]').disabled);
+    }
+    if (options.passphrase) {
+        // Few PBKDF2 rounds for speed, and no auto-lock timer keeping the process alive
+        evaluate('AppConfig.passphraseIterations = 1000; AppConfig.autoLockMinutes = 0');
+        await submitPassphrase(window, options.passphrase);
+    }
+    return { window: window, document: window.document, evaluate: evaluate };
+}
+
+/**
+ * Fill in and submit the passphrase form on the role screen: the setup
+ * form when saving is off, the unlock form when it is locked
+ * @param {Window} window - jsdom window of the app
+ * @param {string} passphrase - Passphrase to enter
+ * @returns {Promise<void>} Resolves once the form has been handled
+ */
+async function submitPassphrase(window, passphrase) {
+    const form = window.document.querySelector('#vaultPanel form');
+    form.elements.passphrase.value = passphrase;
+    if (form.elements.confirmation) form.elements.confirmation.value = passphrase;
+    form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+    await waitFor(() => !window.document.querySelector('#vaultPanel [aria-busy]'));
+}
+
+/**
+ * Run one repo script in a context
+ * @param {string} file - Path relative to the repo root
+ * @param {Object} context - vm context
+ */
+function runScript(file, context) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    new vm.Script(source, { filename: file }).runInContext(context);
+}
+
+/**
+ * Answer fetch calls from the app with files from the repo
+ * @param {string} url - Requested URL
+ * @returns {Promise<Object>} Minimal Response
+ */
+async function serveRepoFile(url) {
+    const file = path.join(ROOT, new URL(url, 'http://localhost/').pathname);
+    if (!fs.existsSync(file)) return { ok: false, status: 404, json: async () => null };
+    const text = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(text) };
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ * @param {number} [timeoutMs] - Give up after this long
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for the app');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * Read a tree file from trees/
+ * @param {string} file - File name, e.g. 'patient.json'
+ * @returns {Object}
+ */
+function readTree(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'trees', file), 'utf8'));
+}
+
+module.exports = { loadScripts, loadApp, readTree, waitFor, submitPassphrase, ROOT };
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp } = require('./helpers/load-app');
+
+const evaluate = loadScripts(['i18n.js', 'flow-engine.js', 'jurisdiction.js', 'timeline.js', 'incident-report.js'], {
+    document: { documentElement: {} }
+});
+
+test('checkReportWording flags speculation and blame as whole words', () => {
+    const flags = evaluate(`checkReportWording({
+        description: 'The nurse probably missed the dose; it was her fault. Probably unrelated.',
+        actions: 'Checked the pump. Possibility of failure noted.',
+        location: 'Maybe ward'
+    })`);
+    assert.deepEqual([...flags].map(flag => `${flag.field}:${flag.kind}:${flag.phrase}`), [
+        'description:speculation:probably',
+        'description:blame:fault'
+    ]);
+
+    evaluate("setLocale('fr')");
+    const french = evaluate("checkReportWording({ description: 'L’infirmière aurait dû vérifier, c’est probablement une erreur.' })");
+    assert.deepEqual([...french].map(flag => flag.phrase), ['probablement', 'aurait dû']);
+    evaluate("setLocale('en')");
+});
+
+test('validateIncidentReport requires the core facts', () => {
+    const errors = evaluate("validateIncidentReport({ eventDate: '2024-03-02', eventTime: '7pm', description: 'Fall' })");
+    assert.deepEqual([...errors], [
+        'Enter Time of the event as HH:MM, or leave it empty.',
+        'Enter Location.',
+        'Enter Reported by (name and role).',
+        'Enter Actions taken.'
+    ]);
+});
+
+test('flagged wording must be confirmed before the draft is created', async () => {
+    const { evaluate: run, document, window } = await loadApp({ passphrase: 'correct horse' });
+    run("selectRole('doctor'); submitGuidedAnswer('no'); submitGuidedAnswer('no'); submitGuidedAnswer('yes')");
+    assert.equal(run('AppState.currentNodeId'), 'd5y');
+    document.querySelector('button[data-action="incident-report"]').click();
+
+    const form = document.getElementById('reportForm');
+    const submit = () => form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    form.elements.eventDate.value = '2024-03-02';
+    form.elements.location.value = 'Ward 4';
+    form.elements.reporter.value = 'Dr. Lee, attending';
+    form.elements.description.value = 'Patient found on the floor. The rail was probably left down.';
+    form.elements.actions.value = 'Assessed the patient and ordered an X-ray.';
+    submit();
+
+    assert.equal(run('AppState.incidentReport'), null);
+    assert.match(document.getElementById('reportFlags').textContent, /“probably” in What happened sounds like speculation/);
+    assert.equal(document.getElementById('reportSubmitBtn').textContent, 'Create draft anyway');
+
+    form.elements.description.value = 'Patient found on the floor. The bed rail was down.';
+    form.dispatchEvent(new window.Event('input'));
+    assert.equal(document.getElementById('reportFlags').classList.contains('hidden'), true);
+    submit();
+
+    const text = run('AppState.incidentReport.text');
+    assert.match(text, /^INCIDENT REPORT \(DRAFT\)/);
+    assert.match(text, /Location: Ward 4/);
+    assert.match(text, /NOTIFICATIONS MADE \(WHO AND WHEN\)\nNot recorded/);
+    assert.match(document.querySelector('#reportPreview .report-text').textContent, /The bed rail was down\./);
+
+    const saved = JSON.parse(run("JSON.stringify(SessionStore.list('doctor'))"));
+    assert.equal(saved[0].incidentReport.values.location, 'Ward 4');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyIntent, normalizeForMatching, findAnswerPath, isSafetyQuestion } = require('../intent-classifier.js');
+const { loadApp, readTree } = require('./helpers/load-app');
+
+const THRESHOLDS = { minScore: 2, minConfidence: 0.6 };
+const patient = readTree('patient.json');
+const doctor = readTree('doctor.json');
+
+test('normalizeForMatching drops case, accents and punctuation', () => {
+    assert.equal(normalizeForMatching("  Didn't get my RÉCORDS!! "), 'didnt get my records');
+});
+
+test('free-text descriptions map to the matching tree branch', () => {
+    const cases = [
+        [patient, 'I got a surprise bill', 'p5'],
+        [patient, 'they never explained the surgery risks', 'p4'],
+        [doctor, 'the family threatened to sue over a medication error', 'd5']
+    ];
+    cases.forEach(([tree, text, target]) => {
+        const match = classifyIntent(text, tree.intents, THRESHOLDS);
+        assert.ok(match, text);
+        assert.equal(match.intent.target, target, text);
+    });
+});
+
+test('weak or unrelated descriptions are not matched', () => {
+    assert.equal(classifyIntent('hello there', patient.intents, THRESHOLDS), null);
+    assert.equal(classifyIntent('bill', patient.intents, THRESHOLDS), null);
+});
+
+test('findAnswerPath lists the answers leading to a node', () => {
+    assert.deepEqual(findAnswerPath(patient, 'p1', 'p5'), [
+        { nodeId: 'p1', value: 'no' },
+        { nodeId: 'p3', value: 'no' }
+    ]);
+    assert.deepEqual(findAnswerPath(patient, 'p5', 'p5'), []);
+    assert.equal(findAnswerPath(patient, 'p5', 'p1'), null);
+});
+
+test('questions that can lead to emergency guidance are safety questions', () => {
+    assert.deepEqual(Object.keys(patient.nodes).filter(id => patient.nodes[id].question && isSafetyQuestion(patient, id)), ['p1']);
+    assert.equal(isSafetyQuestion(doctor, 'd1'), true);
+    assert.equal(isSafetyQuestion(doctor, 'd3'), false);
+});
+
+test('a topic jump asks the danger question instead of answering it', async () => {
+    const { evaluate: run } = await loadApp();
+    const path = () => JSON.parse(run('JSON.stringify(AppState.answerPath.map(step => [step.nodeId, step.value, Boolean(step.inferred)]))'));
+    run("selectRole('patient'); submitGuidedAnswer('I got a surprise bill from the hospital billing office'); submitGuidedAnswer('yes')");
+    assert.deepEqual(path(), []);
+    assert.equal(run('AppState.currentNodeId'), 'p1');
+
+    run("submitGuidedAnswer('no')");
+    assert.deepEqual(path(), [['p1', 'no', false], ['p3', 'no', true]]);
+    assert.equal(run('AppState.currentNodeId'), 'p5');
+
+    // Back undoes the inferred answers with the danger answer they followed
+    run('goBack()');
+    assert.equal(run('AppState.currentNodeId'), 'p1');
+    assert.equal(run('AppState.intentTarget'), null);
+
+    // Reporting danger leaves the topic behind
+    run("submitGuidedAnswer('I got a surprise bill from the hospital billing office'); submitGuidedAnswer('yes'); submitGuidedAnswer('yes')");
+    assert.deepEqual(path(), [['p1', 'yes', false]]);
+    assert.equal(run('AppState.currentNodeId'), 'p2');
+});
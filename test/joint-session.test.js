@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp, readTree } = require('./helpers/load-app');
+
+const evaluate = loadScripts(['i18n.js', 'flow-engine.js', 'joint-session.js']);
+evaluate(`
+    var doctorTree = ${JSON.stringify(readTree('doctor.json'))};
+    var patientTree = ${JSON.stringify(readTree('patient.json'))};
+`);
+
+test('each side walks its own branch from its start node to a guidance leaf', () => {
+    evaluate("var session = createJointSession('consent')");
+    assert.deepEqual(Object.keys(evaluate('session.sides')), ['doctor', 'patient']);
+    assert.equal(evaluate('session.sides.doctor.currentNodeId'), 'd4');
+    assert.equal(evaluate('session.sides.patient.currentNodeId'), 'p4');
+
+    assert.match(evaluate("answerJointSide(doctorTree, session.sides.doctor, 'maybe')"), /“yes” or “no”/);
+    assert.equal(evaluate("answerJointSide(doctorTree, session.sides.doctor, 'yes')"), null);
+    assert.equal(evaluate('session.sides.doctor.currentNodeId'), 'd4y');
+    assert.equal(evaluate('session.sides.doctor.completed'), true);
+    assert.equal(evaluate('isJointSessionComplete(session)'), false);
+
+    evaluate('undoJointAnswer(session.sides.doctor)');
+    assert.equal(evaluate('session.sides.doctor.currentNodeId'), 'd4');
+    assert.equal(evaluate('session.sides.doctor.answerPath.length'), 0);
+    assert.equal(evaluate('session.sides.doctor.completed'), false);
+});
+
+test('disagreements are found only once both contradicting answers are given', () => {
+    evaluate("var session = createJointSession('consent'); answerJointSide(doctorTree, session.sides.doctor, 'yes')");
+    assert.equal(evaluate('findJointDisagreements(session).length'), 0);
+
+    evaluate("answerJointSide(patientTree, session.sides.patient, 'no')");
+    const found = JSON.parse(JSON.stringify(evaluate('findJointDisagreements(session)')));
+    assert.deepEqual(found, [{ id: 'notExplained', nodes: { doctor: ['d4'], patient: ['p4'] } }]);
+    assert.match(evaluate('describeJointDisagreement(session, findJointDisagreements(session)[0])'), /risks, benefits and alternatives were not clearly explained/);
+
+    evaluate("var agreed = createJointSession('consent'); answerJointSide(doctorTree, agreed.sides.doctor, 'yes'); answerJointSide(patientTree, agreed.sides.patient, 'yes')");
+    assert.equal(evaluate('findJointDisagreements(agreed).length'), 0);
+});
+
+test('definitions are checked against the trees they use', () => {
+    assert.deepEqual([...evaluate("validateJointDefinition(JOINT_SESSIONS.consent, { doctor: doctorTree, patient: patientTree })")], []);
+    const errors = [...evaluate(`validateJointDefinition({
+        key: 'draft',
+        sides: [{ role: 'doctor', start: 'd4y' }, { role: 'nurse', start: 'n1' }],
+        disagreements: [{ id: 'x', when: { doctor: { d4: 'maybe' }, patient: { p404: 'no' } } }]
+    }, { doctor: doctorTree, patient: patientTree })`)];
+    assert.equal(errors.length, 4);
+    assert.match(errors[0], /start "d4y" is not a question/);
+    assert.match(errors[1], /no tree for role "nurse"/);
+    assert.match(errors[2], /expects "maybe" for "d4"/);
+    assert.match(errors[3], /"p404", which is not a question/);
+});
+
+test('the joint consent discussion highlights a mismatch and ends with a summary to review', async () => {
+    const { evaluate: run, document } = await loadApp();
+    assert.equal(document.getElementById('jointStart').classList.contains('hidden'), false);
+    document.getElementById('jointStartBtn').click();
+    assert.equal(document.getElementById('roleSection').classList.contains('hidden'), true);
+    assert.equal(document.activeElement.id, 'jointHeading');
+    assert.equal(document.querySelectorAll('.joint-side').length, 2);
+
+    document.querySelector('button[data-joint-side="doctor"][data-value="yes"]').click();
+    // The finished side hands over to the one still answering
+    assert.equal(document.activeElement.id, 'jointQuestion-patient');
+    assert.equal(document.getElementById('jointSummary').classList.contains('hidden'), true);
+
+    document.querySelector('button[data-joint-side="patient"][data-value="no"]').click();
+    assert.match(document.getElementById('jointDisagreements').textContent, /consent was obtained and documented, but the patient says/);
+    assert.equal(document.querySelectorAll('.joint-answer.joint-mismatch').length, 2);
+    assert.equal(document.activeElement.id, 'jointSummaryHeading');
+    assert.match(document.getElementById('jointSummary').textContent, /Consent documentation review/);
+    assert.match(document.getElementById('jointSummary').textContent, /Possible informed consent concern/);
+
+    document.querySelector('input[data-joint-review="patient"]').click();
+    assert.ok(run('AppState.jointSession.reviews.patient'));
+    const markdown = run('jointSummaryToMarkdown(buildJointSummary(AppState.jointSession))');
+    assert.match(markdown, /- \[ \] Reviewed by: Doctor/);
+    assert.match(markdown, /- \[x\] Reviewed by: Patient/);
+    assert.match(markdown, /\*\*No\*\* _\([^)]*\)_ ⚠️ Does not match/);
+
+    // Changing an answer clears the reviews
+    document.querySelector('button[data-joint-action="back"][data-joint-side="patient"]').click();
+    assert.equal(run('AppState.jointSession.reviews.patient'), null);
+    assert.equal(document.getElementById('jointDisagreements').classList.contains('hidden'), true);
+
+    document.querySelector('button[data-joint-action="leave"]').click();
+    assert.equal(run('AppState.jointSession'), null);
+    assert.equal(document.getElementById('jointSection').classList.contains('hidden'), true);
+    assert.equal(document.getElementById('roleSection').classList.contains('hidden'), false);
+});
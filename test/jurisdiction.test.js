@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-app');
+
+// UTC+14: from 10:00 UTC the local calendar is a day ahead of UTC
+process.env.TZ = 'Pacific/Kiritimati';
+const NOW = Date.parse('2024-03-10T12:00:00Z');
+
+class FixedDate extends Date {
+    constructor(...args) {
+        super(...(args.length > 0 ? args : [NOW]));
+    }
+}
+
+const evaluate = loadScripts(['jurisdiction.js'], { Date: FixedDate });
+
+test('deadlines are passed by the local date, not the UTC one', () => {
+    assert.equal(evaluate('getLocalIsoDate(new Date())'), '2024-03-11');
+
+    const deadlines = evaluate(`computeDeadlines([
+        { label: 'Yesterday here', days: 9 },
+        { label: 'Today here', days: 10 }
+    ], '2024-03-01')`);
+    assert.deepEqual(JSON.parse(JSON.stringify(deadlines)), [
+        { label: 'Yesterday here', days: 9, dueDate: '2024-03-10', passed: true },
+        { label: 'Today here', days: 10, dueDate: '2024-03-11', passed: false }
+    ]);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp, readTree } = require('./helpers/load-app');
+const { validateTree, LETTER_TYPES } = require('../tree-validator.js');
+
+const evaluate = loadScripts(['i18n.js', 'flow-engine.js', 'jurisdiction.js', 'letters.js'], {
+    document: { documentElement: {} }
+});
+
+test('every letter type the validator accepts has a template', () => {
+    assert.deepEqual([...evaluate('Object.keys(LETTER_TEMPLATES)')], LETTER_TYPES);
+});
+
+test('buildLetter leaves out paragraphs whose fields are empty', () => {
+    const values = `{
+        senderName: 'Ana Ruiz',
+        recipient: 'Riverside Clinic',
+        accountNumber: 'INV-42',
+        serviceDate: '2024-03-02',
+        insurer: 'Acme Health'
+    }`;
+    const text = evaluate(`buildLetter('itemized-bill', ${values}, '2024-04-01').text`);
+    assert.match(text, /^Ana Ruiz\n\nApril 1, 2024\n\nRiverside Clinic\n\nRe: Request for an itemized bill, account INV-42/);
+    assert.match(text, /account INV-42 for services I received on March 2, 2024\./);
+    assert.match(text, /My insurance company is Acme Health\./);
+    assert.doesNotMatch(text, /claim number/);
+    assert.match(text, /Yours sincerely,\n\n\nAna Ruiz$/);
+
+    evaluate("setLocale('es')");
+    assert.match(evaluate(`buildLetter('itemized-bill', ${values}, '2024-04-01').text`), /Atentamente,/);
+    evaluate("setLocale('en')");
+});
+
+test('validateLetterValues requires the key fields and real dates', () => {
+    const errors = evaluate("validateLetterValues('facility-complaint', { senderName: 'Ana', incidentDate: '2024-02-30' })");
+    assert.deepEqual([...errors], [
+        'Enter Provider or facility.',
+        'Enter a valid date for Date of the incident.',
+        'Enter What happened.'
+    ]);
+});
+
+test('trees may only offer known letters, once each', () => {
+    const tree = readTree('patient.json');
+    tree.nodes.p5y.guidance.letters = ['itemized-bill', 'itemized-bill', 'appeal'];
+    const { errors } = validateTree(tree);
+    assert.equal(errors.length, 2);
+    assert.match(errors.join('\n'), /"itemized-bill" is listed more than once/);
+    assert.match(errors.join('\n'), /"appeal" is not one of/);
+});
+
+test('a complaint letter is prefilled from the answers and kept in the session', async () => {
+    const { evaluate: run, document, window } = await loadApp({ passphrase: 'correct horse' });
+    run("selectRole('patient'); ['no', 'no', 'no', 'discrimination', '2024-03-02', 'Riverside Clinic'].forEach(submitGuidedAnswer)");
+    assert.equal(run('AppState.currentNodeId'), 'p8g');
+
+    document.querySelector('button[data-action="letter"][data-letter="facility-complaint"]').click();
+    assert.equal(document.getElementById('letterPanel').classList.contains('hidden'), false);
+
+    const form = document.getElementById('letterForm');
+    const submit = () => form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    assert.equal(form.elements.recipient.value, 'Riverside Clinic');
+    assert.equal(form.elements.incidentDate.value, '2024-03-02');
+
+    submit();
+    assert.match(document.getElementById('letterErrors').textContent, /Your full name/);
+
+    form.elements.senderName.value = 'Ana Ruiz';
+    form.elements.complaintDetails.value = 'I was refused an interpreter.';
+    submit();
+    assert.equal(run('AppState.letters.length'), 1);
+    assert.match(document.querySelector('#letterPreview .letter-text').textContent, /care I received at Riverside Clinic on March 2, 2024/);
+
+    const saved = JSON.parse(run("JSON.stringify(SessionStore.list('patient'))"));
+    assert.equal(saved[0].letters[0].type, 'facility-complaint');
+
+    document.querySelector('button[data-action="letter"][data-letter="facility-complaint"]').click();
+    assert.equal(form.elements.senderName.value, 'Ana Ruiz');
+});
+
+test('going back before the guidance drops the letters written from it', async () => {
+    const { evaluate: run, document, window } = await loadApp({ passphrase: 'correct horse' });
+    run("selectRole('patient'); ['no', 'no', 'no', 'discrimination', '2024-03-02', 'Riverside Clinic'].forEach(submitGuidedAnswer)");
+    document.querySelector('button[data-action="letter"][data-letter="facility-complaint"]').click();
+    const form = document.getElementById('letterForm');
+    form.elements.senderName.value = 'Ana Ruiz';
+    form.elements.complaintDetails.value = 'I was refused an interpreter.';
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    assert.equal(run('AppState.letters.length'), 1);
+
+    run('goBack()');
+    assert.equal(run('AppState.currentNodeId'), 'p8f');
+    assert.equal(document.getElementById('letterPanel').classList.contains('hidden'), true);
+    assert.equal(document.getElementById('reportPanel').classList.contains('hidden'), true);
+    assert.equal(run('AppState.letters.length + AppState.timeline.length'), 0);
+    assert.equal(run('AppState.incidentReport'), null);
+    const saved = JSON.parse(run("JSON.stringify(SessionStore.list('patient'))"));
+    assert.deepEqual(saved[0].letters, []);
+
+    run("submitGuidedAnswer('Mercy Hospital')");
+    document.querySelector('button[data-action="letter"][data-letter="facility-complaint"]').click();
+    assert.equal(form.elements.recipient.value, 'Mercy Hospital');
+    assert.equal(document.querySelectorAll('#letterList li').length, 0);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, loadApp, readTree, waitFor, submitPassphrase, ROOT } = require('./helpers/load-app');
+
+test('the service worker caches every file the page loads and every tree', async () => {
+    const evaluate = loadScripts(['service-worker.js'], {
+        self: { addEventListener: () => {} },
+        fetch: async url => ({
+            ok: true,
+            json: async () => JSON.parse(fs.readFileSync(path.join(ROOT, url), 'utf8'))
+        })
+    });
+    const shell = [...evaluate('APP_SHELL')];
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const pageFiles = [...html.matchAll(/<(?:script src|link [^>]*href)="([^"#:]+)"/g)].map(match => match[1]);
+    pageFiles.forEach(file => assert.ok(shell.includes(file), file));
+    shell.filter(file => file !== './').forEach(file => assert.ok(fs.existsSync(path.join(ROOT, file)), file));
+
+    const treeFiles = [...await evaluate('listTreeFiles()')];
+    assert.ok(treeFiles.includes('trees/manifest.json'));
+    assert.ok(treeFiles.includes('trees/patient.json'));
+    assert.ok(treeFiles.includes('trees/patient.es.json'));
+    treeFiles.forEach(file => assert.ok(fs.existsSync(path.join(ROOT, file)), file));
+});
+
+test('a session saved on an older tree resumes from the first answer that no longer fits', async () => {
+    const { evaluate, document } = await loadApp({ passphrase: 'correct horse' });
+    evaluate("selectRole('patient'); ['no', 'yes', 'no'].forEach(answer => submitGuidedAnswer(answer))");
+    evaluate('changeRole()');
+
+    // Pretend the second question used to be another node
+    evaluate(`{
+        const session = SessionStore.list('patient')[0];
+        session.treeVersion = '0.9.0';
+        session.answerPath[1].nodeId = 'p3-old';
+        SessionStore.save(session);
+    }`);
+
+    document.querySelector('#savedSessionsList [data-session-action="resume"]').click();
+    assert.equal(evaluate('AppState.currentNodeId'), 'p3');
+    assert.equal(evaluate('AppState.flowCompleted'), false);
+    assert.equal(evaluate('AppState.answerPath.length'), 1);
+    const messages = [...document.querySelectorAll('.message.bot .message-content')].map(el => el.textContent);
+    assert.match(messages[messages.length - 2], /not all of your answers still apply/);
+    assert.match(messages[messages.length - 1], new RegExp(readTree('patient.json').nodes.p3.question.slice(0, 20)));
+});
+
+test('a tree update offers the letters as files before dropping them, and keeps the timeline', async () => {
+    const asked = [];
+    const { evaluate, document } = await loadApp({
+        passphrase: 'correct horse',
+        confirm: message => asked.push(message) > 0
+    });
+    evaluate("selectRole('patient'); ['no', 'no', 'no', 'discrimination', '2024-03-02', 'Riverside Clinic'].forEach(submitGuidedAnswer)");
+    evaluate(`timelineForm.elements.date.value = '2024-03-02';
+        timelineForm.elements.description.value = 'Interpreter refused at the front desk';
+        saveTimelineEvent();
+        AppState.letters.push({ id: 'letter-1', type: 'facility-complaint', text: 'To Riverside Clinic', createdAt: new Date().toISOString() });
+        saveCurrentSession();
+        changeRole();
+        var downloads = [];
+        downloadFile = filename => downloads.push(filename);`);
+
+    evaluate(`{
+        const session = SessionStore.list('patient')[0];
+        session.treeVersion = '0.9.0';
+        session.answerPath[1].nodeId = 'p3-old';
+        SessionStore.save(session);
+    }`);
+    document.querySelector('#savedSessionsList [data-session-action="resume"]').click();
+
+    assert.equal(asked.length, 1);
+    assert.match(asked[0], /will be removed from this session\. Download them first\?/);
+    assert.equal(evaluate('downloads.length'), 1);
+    assert.equal(evaluate('AppState.letters.length'), 0);
+    assert.equal(evaluate('AppState.timeline.length'), 1);
+    const messages = [...document.querySelectorAll('.message.bot .message-content')].map(el => el.textContent);
+    assert.match(messages[messages.length - 2], /were removed\. Your timeline is kept\./);
+});
+
+test('a session on an unchanged path only gets a note about the new version', async () => {
+    const { evaluate, document } = await loadApp({ passphrase: 'correct horse' });
+    evaluate("selectRole('patient'); ['no', 'yes', 'no'].forEach(answer => submitGuidedAnswer(answer))");
+    evaluate('changeRole()');
+
+    evaluate(`{
+        const session = SessionStore.list('patient')[0];
+        session.treeVersion = '0.9.0';
+        SessionStore.save(session);
+    }`);
+
+    document.querySelector('#savedSessionsList [data-session-action="resume"]').click();
+    assert.equal(evaluate('AppState.flowCompleted'), true);
+    assert.equal(evaluate('AppState.answerPath.length'), 3);
+    assert.match(document.querySelector('.message.bot:last-child .message-content').textContent, /has been updated/);
+});
+
+test('applying an update saves the session and resumes it after the reload', async () => {
+    const first = await loadApp({ passphrase: 'correct horse' });
+    first.evaluate("selectRole('patient'); submitGuidedAnswer('no')");
+    const sessionId = first.evaluate('AppState.sessionId');
+
+    const posted = [];
+    first.evaluate('showUpdatePrompt')({ postMessage: message => posted.push(message) });
+    const banner = first.document.getElementById('updateBanner');
+    assert.equal(banner.classList.contains('hidden'), false);
+    first.document.getElementById('updateApplyBtn').click();
+    // The session is encrypted and stored before the worker is told to switch
+    await waitFor(() => posted.length > 0);
+    assert.equal(posted[0].type, 'medilegal:skip-waiting');
+    assert.equal(banner.classList.contains('hidden'), true);
+
+    const resume = first.window.sessionStorage.getItem('medilegal.resumeAfterUpdate');
+    assert.deepEqual(JSON.parse(resume), { role: 'patient', id: sessionId });
+
+    // The reload, with the same storage: the session resumes once unlocked
+    const second = await loadApp({
+        storage: {
+            local: { 'medilegal.vault': first.window.localStorage.getItem('medilegal.vault') },
+            session: { 'medilegal.resumeAfterUpdate': resume }
+        }
+    });
+    assert.equal(second.evaluate('AppState.sessionId'), null);
+    second.evaluate('AppConfig.autoLockMinutes = 0');
+    await submitPassphrase(second.window, 'correct horse');
+    assert.equal(second.evaluate('AppState.sessionId'), sessionId);
+    assert.equal(second.evaluate('AppState.currentNodeId'), 'p3');
+    assert.equal(second.window.sessionStorage.getItem('medilegal.resumeAfterUpdate'), null);
+});
+
+test('without a passphrase the conversation still continues after an update', async () => {
+    const first = await loadApp();
+    first.evaluate("selectRole('patient'); submitGuidedAnswer('no')");
+    const sessionId = first.evaluate('AppState.sessionId');
+
+    first.evaluate('showUpdatePrompt(null); window.location.reload = () => {}');
+    first.document.getElementById('updateApplyBtn').click();
+    await waitFor(() => first.window.sessionStorage.getItem('medilegal.resumeAfterUpdate') !== null);
+    // Nothing is written to local storage, which outlives the tab
+    assert.equal(first.window.localStorage.getItem('medilegal.vault'), null);
+
+    const second = await loadApp({
+        storage: { session: { 'medilegal.resumeAfterUpdate': first.window.sessionStorage.getItem('medilegal.resumeAfterUpdate') } }
+    });
+    assert.equal(second.evaluate('AppState.sessionId'), sessionId);
+    assert.equal(second.evaluate('AppState.currentNodeId'), 'p3');
+    assert.equal(second.document.querySelectorAll('#messagesContainer .message.user').length, 1);
+    assert.equal(second.window.sessionStorage.getItem('medilegal.resumeAfterUpdate'), null);
+});
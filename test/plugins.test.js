@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, loadApp, ROOT } = require('./helpers/load-app');
+
+const logged = [];
+const evaluate = loadScripts(['transcript.js', 'plugins.js'], { console: { error: (...args) => logged.push(args) } });
+
+test('plugins are checked before they are registered', () => {
+    assert.throws(() => evaluate("registerPlugin({ onAnswer() {} })"), /a plugin needs a name/);
+    assert.throws(
+        () => evaluate("registerPlugin({ name: 'typo', onAnwser() {}, onClear: true, renderers: { card() {}, guidance: 'x' } })"),
+        /Invalid plugin "typo": unknown hook "onAnwser"; hook "onClear" must be a function; unknown message type "card"; renderer "guidance" must be a function/
+    );
+    assert.equal(evaluate('registeredPlugins.length'), 0);
+});
+
+test('a failing hook is logged without stopping the other plugins', () => {
+    evaluate(`var seen = [];
+        registerPlugin({ name: 'broken', onAnswer() { throw new Error('boom'); } });
+        registerPlugin({ name: 'counter', onAnswer(event) { seen.push(event.value); } });
+        registerPlugin({ name: 'counter', onAnswer(event) { seen.push(event.value.toUpperCase()); } });
+        runPluginHook('onAnswer', { value: 'no' })`);
+    assert.deepEqual([...evaluate('seen')], ['NO']);
+    assert.match(logged[0][0], /Plugin "broken" failed in onAnswer/);
+    assert.equal(evaluate("unregisterPlugin('broken')"), true);
+    assert.equal(evaluate("unregisterPlugin('broken')"), false);
+});
+
+test('hooks follow the conversation from role to guidance and back', async () => {
+    const { evaluate: run } = await loadApp();
+    run(`var events = [];
+        registerPlugin({
+            name: 'recorder',
+            onRoleSelected: event => events.push(['role', event.role, event.resumed]),
+            onNodeEnter: event => events.push(['node', event.nodeId, Boolean(event.node)]),
+            onAnswer: event => events.push(['answer', event.nodeId, event.value]),
+            onGuidance: event => events.push(['guidance', event.nodeId, event.guidance.risk]),
+            onClear: event => events.push(['clear', event.role, event.reason])
+        })`);
+
+    run("selectRole('patient'); ['no', 'yes', 'no'].forEach(submitGuidedAnswer)");
+    run('goBack(); changeRole()');
+    assert.deepEqual(JSON.parse(run('JSON.stringify(events)')), [
+        ['role', 'patient', false],
+        ['node', 'p1', true],
+        ['answer', 'p1', 'no'],
+        ['node', 'p3', true],
+        ['answer', 'p3', 'yes'],
+        ['node', 'p4', true],
+        ['answer', 'p4', 'no'],
+        ['node', 'p4n', true],
+        ['guidance', 'p4n', 'high'],
+        ['node', 'p4', true],
+        ['clear', 'patient', 'left']
+    ]);
+});
+
+test('a registered renderer replaces the content of its message type', async () => {
+    const { evaluate: run, document } = await loadApp();
+    run(`registerPlugin({
+        name: 'cards',
+        renderers: {
+            question(message, context) {
+                const card = document.createElement('p');
+                card.className = 'portal-question';
+                card.textContent = context.node.question;
+                return card;
+            },
+            answer: () => null
+        }
+    })`);
+
+    run("selectRole('patient'); submitGuidedAnswer('no')");
+    const cards = document.querySelectorAll('.message.bot .portal-question');
+    assert.equal(cards.length, 2);
+    assert.match(cards[1].textContent, /informed consent/);
+    // Returning null keeps the built-in content
+    assert.equal(document.querySelector('.message.user .message-content').textContent, 'No');
+
+    run("unregisterPlugin('cards'); changeRole(); selectRole('patient')");
+    assert.equal(document.querySelectorAll('.portal-question').length, 0);
+});
+
+test('the widget mounts into a container of another page and keeps to it', async () => {
+    const { evaluate: run, document, window } = await loadApp({
+        page: html => html.replace(
+            '<div id="app" data-medilegal-mount="standalone"></div>',
+            '<input id="userInput" value="portal search"><section class="portal"><div data-medilegal-mount></div></section>'
+        )
+    });
+    const portal = document.querySelector('.portal');
+    assert.ok(portal.querySelector('#roleSection'));
+    assert.equal(run("document.querySelector('.portal #userInput') === userInput"), true);
+    assert.equal(portal.querySelector('#editorLinks').classList.contains('hidden'), true);
+    assert.throws(() => run("mountApp(document.body)"), /already mounted/);
+
+    run("selectRole('patient')");
+    const press = target => target.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'n', bubbles: true, cancelable: true }));
+    press(document.body);
+    assert.equal(run('AppState.answerPath.length'), 0);
+    press(portal.querySelector('#noBtn'));
+    assert.equal(run('AppState.answerPath.length'), 1);
+    assert.equal(document.querySelector('body > #userInput').value, 'portal search');
+});
+
+test('the built widget leaves the page its own names and styles', async () => {
+    const { evaluate: run, document, window } = await loadApp({
+        widgetBuild: true,
+        page: html => html.replace('<body class="medilegal-page">', '<body>').replace(
+            '<div id="app" data-medilegal-mount="standalone"></div>',
+            '<section class="portal"><div data-medilegal-mount></div></section>'
+        )
+    });
+    const container = document.querySelector('.portal > div');
+    assert.equal(container.classList.contains('medilegal-widget'), true);
+    assert.equal(run('typeof AppState'), 'undefined');
+    assert.equal(run('typeof MediLegal.mountApp'), 'function');
+
+    // The page's own globals don't reach the widget
+    run("window.t = () => 'portal'");
+    const locales = container.querySelector('#localeSelect');
+    locales.value = 'es';
+    locales.dispatchEvent(new window.Event('change'));
+    assert.match(container.querySelector('#roleHeading').textContent, /Seleccione/);
+
+    container.querySelector('#contrastToggle').click();
+    assert.equal(container.dataset.contrast, 'high');
+    assert.equal(document.documentElement.dataset.contrast, undefined);
+    assert.equal(document.documentElement.lang, 'en');
+});
+
+test('every rule in styles.css is scoped to the widget or the app\'s pages', () => {
+    const css = fs.readFileSync(path.join(ROOT, 'styles.css'), 'utf8').replace(/\/\*[\s\S]*?\*\//g, '');
+    const selectors = [...css.matchAll(/([^{}]+)\{/g)]
+        .map(match => match[1].trim())
+        .filter(prelude => !prelude.startsWith('@') && !/^(from|to)$/.test(prelude))
+        .flatMap(prelude => prelude.split(',').map(selector => selector.trim()));
+    const unscoped = selectors.filter(selector => !/^(\.medilegal-widget|\.medilegal-page|:where\(\.medilegal-widget )/.test(selector));
+    assert.deepEqual(unscoped, []);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp, readTree } = require('./helpers/load-app');
+const { validateTree } = require('../tree-validator.js');
+
+const evaluate = loadScripts(['risk-score.js'], {});
+
+const TREE = JSON.stringify({
+    riskFactors: [
+        { id: 'emergency', label: 'Emergency', weight: 4 },
+        { id: 'handled', label: 'Already handled', weight: -2 }
+    ],
+    nodes: {
+        q1: { question: 'Emergency?', yes: 'q2', no: 'q2', factors: { yes: ['emergency'] } },
+        q2: { question: 'Handled?', yes: 'leaf', no: 'leaf', factors: { yes: ['handled', 'unknown'] } }
+    }
+});
+
+test('assessRisk adds answer factors to the leaf starting score', () => {
+    const raised = evaluate(`assessRisk(${TREE}, [{ nodeId: 'q1', value: 'yes' }, { nodeId: 'q2', value: 'no' }], 'low')`);
+    assert.equal(raised.score, 4);
+    assert.equal(raised.level, 'medium');
+    assert.equal(raised.factors.map(factor => factor.id).join(), 'emergency');
+
+    const lowered = evaluate(`assessRisk(${TREE}, [{ nodeId: 'q1', value: 'no' }, { nodeId: 'q2', value: 'yes', inferred: true }], 'high')`);
+    assert.equal(lowered.score, 4);
+    assert.equal(lowered.level, 'medium');
+    assert.equal(lowered.factors[0].inferred, true);
+
+    assert.equal(evaluate(`assessRisk(${TREE}, [], 'high').level`), 'high');
+});
+
+test('formatRiskWeight signs the weight, except zero', () => {
+    assert.deepEqual(['3', '-1', '0'].map(weight => evaluate(`formatRiskWeight(${weight})`)), ['+3', '−1', '0']);
+});
+
+test('factors must name defined risk factors and real answers', () => {
+    const tree = readTree('doctor.json');
+    tree.nodes.d1.factors = { maybe: ['immediate-danger'], yes: ['missing'] };
+    tree.riskFactors.push({ id: 'flat', label: 'No effect', weight: 0 });
+    const { errors } = validateTree(tree);
+    assert.equal(errors.length, 3);
+    assert.match(errors.join('\n'), /"maybe" is not an answer to this question/);
+    assert.match(errors.join('\n'), /risk factor "missing" is not defined/);
+    assert.match(errors.join('\n'), /Risk factor "flat": "weight" must be a whole number/);
+});
+
+test('the risk section explains which answers raised the level', async () => {
+    const { evaluate: run, document } = await loadApp();
+    run("selectRole('patient'); ['no', 'yes', 'no'].forEach(answer => submitGuidedAnswer(answer))");
+    assert.equal(run('AppState.currentNodeId'), 'p4n');
+
+    const card = document.querySelector('#messagesContainer .message:last-child');
+    assert.match(card.querySelector('.risk-score').textContent, /Score 9/);
+    const lines = [...card.querySelectorAll('.risk-explanation li')].map(item => item.textContent);
+    assert.deepEqual(lines, [
+        'Starting level for this guidance: High Risk (6)',
+        '+3 Risks, benefits and alternatives were not explained — answered “No” to “Were risks, benefits, and alternatives clearly explained to you?”'
+    ]);
+
+    const markdown = run('summaryToMarkdown(buildCaseSummary())');
+    assert.match(markdown, /\*\*Risk Level:\*\* High Risk \(Score 9\)/);
+    assert.match(markdown, /- \+3 Risks, benefits and alternatives were not explained/);
+    assert.equal(run('buildCaseSummary().guidance.riskFactors[0].weight'), 3);
+
+    run("selectLocale('es')");
+    assert.match(document.querySelector('#messagesContainer .message:last-child .risk-explanation').textContent,
+        /\+3 No se explicaron los riesgos, beneficios y alternativas/);
+});
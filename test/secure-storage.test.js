@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, waitFor, submitPassphrase } = require('./helpers/load-app');
+
+const PASSPHRASE = 'correct horse';
+
+test('nothing is saved until a passphrase is set, then only ciphertext', async () => {
+    const { evaluate: run, document, window } = await loadApp();
+    run("selectRole('patient'); ['no', 'no', 'no', 'other', 'Mercy Hospital'].forEach(submitGuidedAnswer); changeRole()");
+    assert.equal(document.querySelectorAll('#savedSessionsList .saved-session').length, 0);
+    assert.equal(window.localStorage.getItem('medilegal.vault'), null);
+
+    run('AppConfig.passphraseIterations = 1000; AppConfig.autoLockMinutes = 0');
+    await submitPassphrase(window, 'short');
+    assert.match(document.querySelector('#vaultPanel .vault-errors').textContent, /at least 8 characters/);
+    assert.equal(run('SecureStore.isSetUp()'), false);
+
+    await submitPassphrase(window, PASSPHRASE);
+    assert.equal(run('SecureStore.isUnlocked()'), true);
+    run("selectRole('patient'); ['no', 'no', 'no', 'other', 'Mercy Hospital'].forEach(submitGuidedAnswer); changeRole()");
+    await run('SecureStore.flush()');
+
+    const keys = Object.keys(window.localStorage);
+    assert.ok(!keys.some(key => key.startsWith('medilegal.sessions.')));
+    const vault = window.localStorage.getItem('medilegal.vault');
+    assert.ok(!vault.includes('Mercy'));
+    assert.deepEqual(Object.keys(JSON.parse(vault)).sort(), ['data', 'format', 'iterations', 'iv', 'salt']);
+    assert.equal(document.querySelectorAll('#savedSessionsList .saved-session').length, 1);
+});
+
+test('saved conversations come back only with the right passphrase', async () => {
+    const first = await loadApp({ passphrase: PASSPHRASE });
+    first.evaluate("selectRole('doctor'); submitGuidedAnswer('no'); changeRole()");
+    await first.evaluate('SecureStore.flush()');
+
+    const { evaluate: run, document, window } = await loadApp({
+        storage: { local: { 'medilegal.vault': first.window.localStorage.getItem('medilegal.vault') } }
+    });
+    run('AppConfig.autoLockMinutes = 0');
+    assert.equal(document.querySelector('#vaultPanel form').dataset.vaultForm, 'unlock');
+    assert.equal(document.querySelectorAll('#savedSessionsList .saved-session').length, 0);
+
+    await submitPassphrase(window, 'wrong horse');
+    assert.equal(run('SecureStore.isUnlocked()'), false);
+    assert.match(document.querySelector('#vaultPanel .vault-errors').textContent, /not correct/);
+
+    await submitPassphrase(window, PASSPHRASE);
+    assert.equal(run('SecureStore.isUnlocked()'), true);
+    assert.equal(run("SessionStore.list('doctor')[0].answerPath[0].value"), 'no');
+    assert.equal(document.querySelectorAll('#savedSessionsList .saved-session').length, 1);
+    assert.equal(document.getElementById('lockBtn').classList.contains('hidden'), false);
+});
+
+test('saving stays off when the vault cannot be stored', async () => {
+    const { evaluate: run, document, window } = await loadApp();
+    run(`AppConfig.passphraseIterations = 1000; AppConfig.autoLockMinutes = 0;
+        const setItem = Storage.prototype.setItem;
+        Storage.prototype.setItem = function (key, value) {
+            if (key === 'medilegal.vault') throw new Error('QuotaExceededError');
+            return setItem.call(this, key, value);
+        }`);
+
+    await submitPassphrase(window, PASSPHRASE);
+    assert.equal(run('SecureStore.isSetUp()'), false);
+    assert.equal(run('SecureStore.isUnlocked()'), false);
+    assert.match(document.querySelector('#vaultPanel .vault-errors').textContent, /went wrong/);
+    assert.equal(document.querySelector('#vaultPanel form').dataset.vaultForm, 'setup');
+});
+
+test('locking after inactivity closes the conversation and keeps it for later', async () => {
+    const { evaluate: run, document } = await loadApp({ passphrase: PASSPHRASE });
+    run("selectRole('patient'); submitGuidedAnswer('no')");
+    const sessionId = run('AppState.sessionId');
+
+    run('AppConfig.autoLockMinutes = 0.001; restartAutoLock()');
+    await waitFor(() => !run('SecureStore.isUnlocked()'));
+    await waitFor(() => document.querySelector('#vaultPanel form'));
+    assert.equal(run('AppState.selectedRole'), null);
+    assert.equal(document.getElementById('messagesContainer').children.length, 0);
+    assert.equal(document.getElementById('chatSection').classList.contains('hidden'), true);
+    assert.match(document.querySelector('#vaultPanel .vault-notice').textContent, /Locked after/);
+    assert.equal(document.getElementById('lockBtn').classList.contains('hidden'), true);
+
+    run('AppConfig.autoLockMinutes = 0');
+    await submitPassphrase(document.defaultView, PASSPHRASE);
+    document.querySelector('#savedSessionsList [data-session-action="resume"]').click();
+    assert.equal(run('AppState.sessionId'), sessionId);
+    assert.equal(run('AppState.currentNodeId'), 'p3');
+});
+
+test('the panic wipe clears the conversation, the screen and everything stored', async () => {
+    const { evaluate: run, document, window } = await loadApp({ passphrase: PASSPHRASE, locale: 'en' });
+    run("selectRole('patient'); ['no', 'no', 'no', 'other', 'Mercy Hospital'].forEach(submitGuidedAnswer)");
+    window.sessionStorage.setItem('medilegal.resumeAfterUpdate', '{}');
+
+    document.getElementById('panicWipeBtn').click();
+    assert.equal(run('AppState.selectedRole'), null);
+    assert.equal(run('AppState.messages.length'), 0);
+    assert.equal(run('AppState.answerPath.length'), 0);
+    assert.equal(document.getElementById('messagesContainer').children.length, 0);
+    assert.ok(!document.body.textContent.includes('Mercy'));
+    assert.equal(run('SecureStore.isUnlocked()'), false);
+    assert.equal(document.querySelector('#vaultPanel form').dataset.vaultForm, 'setup');
+
+    await run('SecureStore.flush()');
+    assert.deepEqual(Object.keys(window.localStorage).filter(key => key.startsWith('medilegal.')), []);
+    assert.deepEqual(Object.keys(window.sessionStorage).filter(key => key.startsWith('medilegal.')), []);
+});
+
+/**
+ * Copy the vault of one app window to another, as a second tab would
+ * see it, and fire the storage event that tab would get
+ * @param {Window} from - Tab that wrote the vault
+ * @param {Window} to - Other tab
+ * @param {boolean} [notify] - Fire the storage event (default: true)
+ */
+function shareVault(from, to, notify = true) {
+    const value = from.localStorage.getItem('medilegal.vault');
+    if (value === null) to.localStorage.removeItem('medilegal.vault');
+    else to.localStorage.setItem('medilegal.vault', value);
+    if (notify) to.dispatchEvent(new to.StorageEvent('storage', { key: 'medilegal.vault', newValue: value }));
+}
+
+/**
+ * Open a second tab on the vault of the first and unlock it
+ * @param {Window} first - jsdom window of the first tab
+ * @returns {Promise<Object>} loadApp result for the second tab
+ */
+async function openSecondTab(first) {
+    const second = await loadApp({ storage: { local: { 'medilegal.vault': first.localStorage.getItem('medilegal.vault') } } });
+    second.evaluate('AppConfig.autoLockMinutes = 0');
+    await submitPassphrase(second.window, PASSPHRASE);
+    return second;
+}
+
+test('conversations saved in two tabs are both kept', async () => {
+    const first = await loadApp({ passphrase: PASSPHRASE });
+    first.evaluate("selectRole('patient'); submitGuidedAnswer('no'); changeRole()");
+    await first.evaluate('SecureStore.flush()');
+    const second = await openSecondTab(first.window);
+
+    first.evaluate("selectRole('doctor'); submitGuidedAnswer('no'); changeRole()");
+    await first.evaluate('SecureStore.flush()');
+    shareVault(first.window, second.window);
+    await waitFor(() => second.document.querySelectorAll('#savedSessionsList .saved-session').length === 2);
+
+    // Written in the first tab after the second last read the vault
+    first.evaluate("selectRole('nurse'); submitGuidedAnswer('no'); changeRole()");
+    await first.evaluate('SecureStore.flush()');
+    shareVault(first.window, second.window, false);
+    second.evaluate("selectRole('caregiver'); submitGuidedAnswer('no'); changeRole()");
+    await second.evaluate('SecureStore.flush()');
+
+    assert.deepEqual([...second.evaluate("SessionStore.listAll(['patient', 'doctor', 'nurse', 'caregiver']).map(session => session.role).sort()")],
+        ['caregiver', 'doctor', 'nurse', 'patient']);
+    shareVault(second.window, first.window);
+    await waitFor(() => first.document.querySelectorAll('#savedSessionsList .saved-session').length === 4);
+});
+
+test('a panic wipe in another tab closes the conversation in this one', async () => {
+    const first = await loadApp({ passphrase: PASSPHRASE, locale: 'en' });
+    const second = await openSecondTab(first.window);
+    second.evaluate("selectRole('patient'); ['no', 'no', 'no', 'other', 'Mercy Hospital'].forEach(submitGuidedAnswer)");
+    await second.evaluate('SecureStore.flush()');
+
+    first.document.getElementById('panicWipeBtn').click();
+    second.window.dispatchEvent(new second.window.StorageEvent('storage', { key: 'medilegal.wiped', newValue: String(Date.now()) }));
+    shareVault(first.window, second.window);
+    await waitFor(() => second.evaluate('AppState.selectedRole') === null);
+
+    assert.equal(second.evaluate('SecureStore.isUnlocked()'), false);
+    assert.ok(!second.document.body.textContent.includes('Mercy'));
+    assert.equal(second.document.querySelector('#vaultPanel form').dataset.vaultForm, 'setup');
+    // Nothing from the second tab brings the vault back
+    second.evaluate("selectRole('doctor'); submitGuidedAnswer('no'); changeRole()");
+    await second.evaluate('SecureStore.flush()');
+    assert.equal(second.window.localStorage.getItem('medilegal.vault'), null);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp } = require('./helpers/load-app');
+
+const evaluate = loadScripts(['i18n.js', 'flow-engine.js', 'jurisdiction.js', 'timeline.js'], {
+    document: { documentElement: {} }
+});
+
+test('parseTimelineEvent tidies people and requires a date and description', () => {
+    const { event, errors } = evaluate(`parseTimelineEvent({
+        date: '2024-03-02',
+        time: '',
+        description: '  Discharged without instructions ',
+        people: 'Dr. Lee, nurse Kim;\\n dr. lee, '
+    })`);
+    assert.deepEqual([...errors], []);
+    assert.equal(event.time, null);
+    assert.equal(event.description, 'Discharged without instructions');
+    assert.deepEqual([...event.people], ['Dr. Lee', 'nurse Kim']);
+
+    const invalid = evaluate("parseTimelineEvent({ date: '2024-02-30', time: '25:00', description: ' ' })");
+    assert.equal(invalid.event, null);
+    assert.equal(invalid.errors.length, 3);
+});
+
+test('sortTimeline orders by date, then time, then entry order', () => {
+    const ids = evaluate(`sortTimeline([
+        { id: 'c', date: '2024-03-02', time: '09:00', createdAt: '1' },
+        { id: 'a', date: '2024-03-01', time: null, createdAt: '3' },
+        { id: 'd', date: '2024-03-02', time: '09:00', createdAt: '2' },
+        { id: 'b', date: '2024-03-02', time: null, createdAt: '4' }
+    ]).map(event => event.id).join('')`);
+    assert.equal(ids, 'abcd');
+});
+
+test('timeline events are added from the guidance card, edited and exported', async () => {
+    const { evaluate: run, document, window } = await loadApp({ passphrase: 'correct horse' });
+    run("selectRole('doctor'); submitGuidedAnswer('yes'); submitGuidedAnswer('no')");
+    // The emergency banner has to be acknowledged before the guidance card can be used
+    document.getElementById('escalationAckBtn').click();
+    document.querySelector('button[data-action="timeline"]').click();
+    assert.equal(document.getElementById('timelinePanel').classList.contains('hidden'), false);
+
+    const form = document.getElementById('timelineForm');
+    const submit = () => form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    submit();
+    assert.ok(document.getElementById('timelineErrors').textContent.length > 0);
+
+    form.elements.date.value = '2024-03-02';
+    form.elements.description.value = 'Rapid response called';
+    form.elements.people.value = 'Dr. Lee, Nurse Kim';
+    run("addTimelineFiles([{ name: 'chart-note.pdf', size: 2048, type: 'application/pdf', lastModified: 0 }])");
+    submit();
+    form.elements.date.value = '2024-03-01';
+    form.elements.description.value = 'Patient admitted';
+    submit();
+
+    const items = document.querySelectorAll('#timelineList .timeline-event');
+    assert.equal(items.length, 2);
+    assert.match(items[0].textContent, /Patient admitted/);
+    assert.match(items[1].textContent, /chart-note\.pdf/);
+
+    items[0].querySelector('button[data-timeline-action="edit"]').click();
+    form.elements.description.value = 'Patient admitted to ward 4';
+    submit();
+    assert.equal(run('AppState.timeline.length'), 2);
+
+    const markdown = run('summaryToMarkdown(buildCaseSummary())');
+    assert.match(markdown, /## Timeline/);
+    assert.match(markdown, /Patient admitted to ward 4[\s\S]*Rapid response called/);
+    assert.match(markdown, /Files: chart-note\.pdf/);
+
+    const saved = JSON.parse(run("JSON.stringify(SessionStore.list('doctor'))"));
+    assert.equal(saved[0].timeline.length, 2);
+});
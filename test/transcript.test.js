@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp } = require('./helpers/load-app');
+
+const evaluate = loadScripts(['transcript.js']);
+
+function message(type, text) {
+    return { type: type, sender: type === 'answer' ? 'user' : 'bot', nodeId: null, text: text };
+}
+
+const entries = [
+    {
+        session: { id: 'a', role: 'patient', messages: [message('question', 'Were you harmed at Mercy Hospital?'), message('answer', 'yes')] },
+        outcome: { title: 'Request your records', risk: 'high' }
+    },
+    {
+        session: { id: 'b', role: 'doctor', messages: [message('guidance', 'Document the consent discussion'), message('system', 'Mercy')] },
+        outcome: null
+    }
+];
+
+test('searches every word across a session, ignoring case and accents', () => {
+    evaluate(`var entries = ${JSON.stringify(entries)}`);
+    const ids = query => [...evaluate(`filterHistory(entries, { query: ${JSON.stringify(query)} })`)].map(entry => entry.session.id);
+
+    assert.deepEqual(ids(''), ['a', 'b']);
+    assert.deepEqual(ids('MERCY yes'), ['a']);
+    assert.deepEqual(ids('consént'), ['b']);
+    // System messages are not searched
+    assert.deepEqual(ids('mercy'), ['a']);
+
+    const hits = JSON.parse(JSON.stringify(evaluate("filterHistory(entries, { query: 'mercy' })[0].hits")));
+    assert.deepEqual(hits, [{ type: 'question', nodeId: null, snippet: { text: 'Were you harmed at Mercy Hospital?', ranges: [[19, 24]] } }]);
+});
+
+test('filters by role and by the risk level of the outcome', () => {
+    const ids = filters => [...evaluate(`filterHistory(entries, ${JSON.stringify(filters)})`)].map(entry => entry.session.id);
+    assert.deepEqual(ids({ role: 'doctor' }), ['b']);
+    assert.deepEqual(ids({ risk: 'high' }), ['a']);
+    assert.deepEqual(ids({ risk: 'low' }), []);
+    assert.deepEqual(ids({ risk: 'none' }), ['b']);
+});
+
+test('long messages are cut around the first match', () => {
+    const text = `${'a'.repeat(200)} Ölbrand ${'b'.repeat(200)}`;
+    const ranges = evaluate(`findMatchRanges(${JSON.stringify(text)}, getSearchWords('olbrand'))`);
+    assert.deepEqual([...ranges].map(range => [...range]), [[201, 208]]);
+
+    const cut = evaluate(`buildSnippet(${JSON.stringify(text)}, [[201, 208]])`);
+    assert.equal(cut.text.length, evaluate('HISTORY_SNIPPET_LENGTH') + 2);
+    assert.equal(cut.text.slice(cut.ranges[0][0], cut.ranges[0][1]), 'Ölbrand');
+});
+
+test('messages are structured records and past sessions can be searched and resumed', async () => {
+    const { evaluate: run, document } = await loadApp({ passphrase: 'correct horse' });
+    run("selectRole('patient'); ['no', 'no', 'no', 'other', 'Mercy Hospital'].forEach(submitGuidedAnswer)");
+
+    const messages = JSON.parse(run('JSON.stringify(AppState.messages)'));
+    assert.deepEqual([...new Set(messages.map(item => item.type))].sort(), ['answer', 'guidance', 'question', 'system']);
+    const answer = messages.find(item => item.type === 'answer' && item.text === 'Mercy Hospital');
+    assert.ok(answer.nodeId);
+    assert.equal(new Date(answer.createdAt).toISOString(), answer.createdAt);
+    assert.ok(!messages.some(item => 'timestamp' in item));
+    assert.ok(!messages.find(item => item.type === 'guidance').text.includes('<'));
+    const sessionId = run('AppState.sessionId');
+
+    run("changeRole(); selectRole('doctor'); submitGuidedAnswer('no'); changeRole()");
+    document.getElementById('historyOpenBtn').click();
+    assert.equal(document.getElementById('historyOpenBtn').getAttribute('aria-expanded'), 'true');
+    assert.equal(document.querySelectorAll('.history-entry').length, 2);
+
+    const search = document.getElementById('historySearch');
+    search.value = 'mercy';
+    search.dispatchEvent(new document.defaultView.Event('input', { bubbles: true }));
+    assert.equal(document.querySelectorAll('.history-entry').length, 1);
+    assert.equal(document.querySelector('.history-hits mark').textContent, 'Mercy');
+    assert.match(document.getElementById('historyStatus').textContent, /1 conversation/);
+    assert.ok(document.querySelector('.history-outcome .risk-badge'));
+
+    const risk = document.getElementById('historyRisk');
+    risk.value = 'none';
+    risk.dispatchEvent(new document.defaultView.Event('input', { bubbles: true }));
+    assert.equal(document.querySelectorAll('.history-entry').length, 0);
+    assert.match(document.getElementById('historyStatus').textContent, /No saved conversations match/);
+
+    risk.value = '';
+    risk.dispatchEvent(new document.defaultView.Event('input', { bubbles: true }));
+    document.querySelector('[data-history-action="resume"]').click();
+    assert.equal(run('AppState.sessionId'), sessionId);
+    assert.equal(document.getElementById('historyPanel').classList.contains('hidden'), true);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp, readTree } = require('./helpers/load-app');
+const { listTreePaths } = require('../tree-validator.js');
+
+const evaluateI18n = loadScripts(['i18n.js']);
+
+// Typed answers for free-text questions, by input kind
+const SAMPLE_TEXT = { text: 'Sample answer', date: '2024-01-15' };
+
+readTree('manifest.json').trees.forEach(entry => {
+    const role = entry.id;
+    const tree = readTree(entry.file);
+    const paths = listTreePaths(tree);
+
+    test(`every guidance leaf of the ${role} tree is reachable`, () => {
+        const leaves = Object.keys(tree.nodes).filter(id => tree.nodes[id].guidance);
+        const reached = new Set(paths.map(item => item.leaf));
+        assert.deepEqual(leaves.filter(id => !reached.has(id)), []);
+    });
+
+    test(`the ${role} tree is translated into every supported language`, () => {
+        const locales = JSON.parse(evaluateI18n('JSON.stringify(LOCALES.map(locale => locale.id))'));
+        const missing = locales.filter(locale => locale !== evaluateI18n('DEFAULT_LOCALE') && !(entry.translations || {})[locale]);
+        assert.deepEqual(missing, []);
+    });
+
+    test(`every root-to-leaf path of the ${role} tree ends on its guidance`, async (t) => {
+        const { evaluate } = await loadApp();
+
+        for (const item of paths) {
+            const route = item.answers.map(answer => `${answer.nodeId}=${answer.value}`).join(' ');
+            await t.test(route, () => {
+                evaluate(`selectRole(${JSON.stringify(role)})`);
+                item.answers.forEach(answer => {
+                    const node = tree.nodes[answer.nodeId];
+                    const input = answer.value === null ? SAMPLE_TEXT[node.input || 'text'] : answer.value;
+                    assert.equal(evaluate('AppState.currentNodeId'), answer.nodeId);
+                    evaluate(`submitGuidedAnswer(${JSON.stringify(input)})`);
+                });
+
+                assert.equal(evaluate('AppState.flowCompleted'), true);
+                assert.equal(evaluate('AppState.currentNodeId'), item.leaf);
+                assert.equal(evaluate('AppState.answerPath.length'), item.answers.length);
+                assert.equal(evaluate('AppState.messages[AppState.messages.length - 1].kind'), 'guidance');
+            });
+        }
+    });
+});
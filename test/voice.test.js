@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadApp, readTree } = require('./helpers/load-app');
+
+const evaluate = loadScripts(['i18n.js', 'flow-engine.js', 'voice.js'], {
+    document: { documentElement: {} },
+    window: {}
+});
+
+const PATIENT = readTree('patient.json');
+
+/**
+ * Stand in for the Web Speech API; speech and recognition only move on
+ * when the test calls their handlers
+ * @param {Window} window - jsdom window of the app
+ * @returns {{ spoken: Array<Object>, recognitions: Array<Object> }}
+ */
+function installSpeech(window) {
+    const spoken = [];
+    const recognitions = [];
+    window.SpeechSynthesisUtterance = class {
+        constructor(text) {
+            this.text = text;
+        }
+    };
+    window.speechSynthesis = { speak: utterance => spoken.push(utterance), cancel: () => {} };
+    window.SpeechRecognition = class {
+        constructor() {
+            recognitions.push(this);
+        }
+        start() {
+            this.started = true;
+        }
+        abort() {
+            this.aborted = true;
+        }
+    };
+    return { spoken: spoken, recognitions: recognitions };
+}
+
+test('readSpokenAnswer finds yes or no in recognised speech', () => {
+    assert.equal(evaluate("readSpokenAnswer(['Yes.'])"), 'yes');
+    assert.equal(evaluate("readSpokenAnswer(['no I did not'])"), 'no');
+    assert.equal(evaluate("readSpokenAnswer(['maybe', 'nope'])"), 'no');
+    assert.equal(evaluate("readSpokenAnswer(['I am not sure'])"), null);
+
+    evaluate("setLocale('es')");
+    assert.equal(evaluate("readSpokenAnswer(['¡Sí!'])"), 'yes');
+    evaluate("setLocale('en')");
+});
+
+test('voice mode is not offered without speech support', async () => {
+    const { evaluate: run, document } = await loadApp();
+    run("selectRole('patient')");
+    assert.equal(document.getElementById('voiceBtn').classList.contains('hidden'), true);
+    run('setVoiceMode(true)');
+    assert.equal(run('AppState.voiceMode'), false);
+});
+
+test('voice mode reads questions aloud and answers from speech', async () => {
+    const { evaluate: run, document, window } = await loadApp({ passphrase: 'correct horse' });
+    const { spoken, recognitions } = installSpeech(window);
+    run("selectRole('patient')");
+
+    const voiceBtn = document.getElementById('voiceBtn');
+    assert.equal(voiceBtn.classList.contains('hidden'), false);
+    voiceBtn.click();
+    assert.equal(voiceBtn.getAttribute('aria-pressed'), 'true');
+    assert.equal(spoken[0].text, `${PATIENT.nodes.p1.question} Say yes or no.`);
+    assert.equal(spoken[0].lang, 'en-US');
+
+    spoken[0].onend();
+    assert.equal(recognitions[0].started, true);
+    assert.match(document.getElementById('voiceStatus').textContent, /Listening/);
+    recognitions[0].onresult({ results: [[{ transcript: 'No, it was not' }]] });
+    recognitions[0].onend();
+    assert.equal(run('AppState.answerPath[0].value'), 'no');
+    assert.equal(run('AppState.currentNodeId'), 'p3');
+    assert.match(spoken[spoken.length - 1].text, new RegExp(PATIENT.nodes.p3.question.slice(0, 20)));
+
+    // Speech that is not a yes/no is asked again
+    spoken[spoken.length - 1].onend();
+    recognitions[1].onresult({ results: [[{ transcript: 'what do you mean' }]] });
+    recognitions[1].onend();
+    assert.equal(run('AppState.currentNodeId'), 'p3');
+    assert.equal(spoken[spoken.length - 1].text, 'Sorry, I did not catch that. Please say yes or no.');
+
+    // Clicking a button still works and stops the listening
+    spoken[spoken.length - 1].onend();
+    document.getElementById('yesBtn').click();
+    assert.equal(recognitions[2].aborted, true);
+    assert.equal(run('AppState.currentNodeId'), 'p4');
+    assert.equal(run("SessionStore.list('patient')[0].voiceMode"), true);
+
+    // The guidance is read in full, with nothing to listen for
+    document.getElementById('noBtn').click();
+    const guidanceSpeech = spoken[spoken.length - 1];
+    assert.match(guidanceSpeech.text, new RegExp(`^${PATIENT.nodes.p4n.guidance.title}`));
+    assert.match(guidanceSpeech.text, /legal information, not legal advice/);
+    guidanceSpeech.onend();
+    assert.equal(recognitions.length, 3);
+
+    voiceBtn.click();
+    assert.equal(run('AppState.voiceMode'), false);
+});
@@ -0,0 +1,118 @@
+/* ============================================
+   MediLegal AI - Incident Timeline
+   ============================================ */
+
+// Dated events the user records after the guidance ("document the
+// timeline"). Events live in AppState.timeline and are saved with the
+// session, so they never leave the device unless exported. Attached
+// files are kept as references (name, size, type, date); their contents
+// are not read or stored.
+
+const TIMELINE_DESCRIPTION_MAX_LENGTH = 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check and tidy the fields of a timeline event form
+ * @param {Object} input - Form values
+ * @param {string} input.date - YYYY-MM-DD
+ * @param {string} [input.time] - HH:MM, optional
+ * @param {string} input.description - What happened
+ * @param {string} [input.people] - Names separated by commas or new lines
+ * @param {Array<Object>} [input.files] - File references
+ * @returns {{ event: Object|null, errors: Array<string> }}
+ */
+function parseTimelineEvent(input) {
+    const errors = [];
+    const date = (input.date || '').trim();
+    const time = (input.time || '').trim();
+    const description = (input.description || '').trim();
+
+    if (!isValidIsoDate(date)) errors.push(t('timeline.errorDate'));
+    if (time && !TIME_PATTERN.test(time)) errors.push(t('timeline.errorTime'));
+    if (!description) {
+        errors.push(t('timeline.errorDescription'));
+    } else if (description.length > TIMELINE_DESCRIPTION_MAX_LENGTH) {
+        errors.push(t('timeline.errorTooLong', { max: TIMELINE_DESCRIPTION_MAX_LENGTH }));
+    }
+    if (errors.length > 0) return { event: null, errors: errors };
+
+    return {
+        event: {
+            date: date,
+            time: time || null,
+            description: description,
+            people: splitPeople(input.people || ''),
+            files: (input.files || []).map(file => ({ ...file }))
+        },
+        errors: errors
+    };
+}
+
+/**
+ * Split a list of names, dropping blanks and repeats
+ * @param {string} text - Names separated by commas, semicolons or new lines
+ * @returns {Array<string>}
+ */
+function splitPeople(text) {
+    const names = text.split(/[,;\n]/).map(name => name.trim()).filter(Boolean);
+    return names.filter((name, index) =>
+        names.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index
+    );
+}
+
+/**
+ * Describe a picked file without keeping its contents
+ * @param {File} file - File from a file input
+ * @returns {{ name: string, size: number, type: string, lastModified: string|null }}
+ */
+function toFileReference(file) {
+    return {
+        name: file.name,
+        size: file.size,
+        type: file.type || '',
+        lastModified: file.lastModified ? new Date(file.lastModified).toISOString() : null
+    };
+}
+
+/**
+ * Order events by date, then time; events without a time come first
+ * on their day, and ties keep the order they were added in
+ * @param {Array<Object>} events - Timeline events
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortTimeline(events) {
+    return events.slice().sort((a, b) =>
+        a.date.localeCompare(b.date) ||
+        (a.time || '').localeCompare(b.time || '') ||
+        a.createdAt.localeCompare(b.createdAt)
+    );
+}
+
+/**
+ * Generate a unique id for a timeline event
+ * @returns {string}
+ */
+function createTimelineEventId() {
+    return `event-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Describe when an event happened
+ * @param {Object} event - Timeline event
+ * @returns {string}
+ */
+function formatEventDate(event) {
+    const date = formatCalendarDate(event.date);
+    return event.time ? `${date}, ${event.time}` : date;
+}
@@ -0,0 +1,179 @@
+/* ============================================
+   MediLegal AI - Transcript and History Search
+   ============================================ */
+
+// Each chat message is kept as a structured record: its type (question,
+// answer, guidance or system), the tree node it belongs to, an ISO
+// timestamp, the HTML shown in the chat and the same as plain text for
+// searching. The history panel on the role screen searches the
+// question, answer and guidance messages of saved sessions.
+
+const MESSAGE_TYPES = ['question', 'answer', 'guidance', 'system'];
+
+// Message types the history search looks in
+const HISTORY_SEARCH_TYPES = ['question', 'answer', 'guidance'];
+
+const HISTORY_MAX_HITS = 3; // Matching messages shown per session
+const HISTORY_SNIPPET_LENGTH = 140; // Characters of context shown per match
+
+/**
+ * Work out a message's type from who sent it and its kind
+ * @param {string} sender - 'user' or 'bot'
+ * @param {string} [kind] - Kind passed to addMessage, e.g. 'guidance'
+ * @returns {string} One of MESSAGE_TYPES
+ */
+function getMessageType(sender, kind) {
+    if (sender === 'user') return 'answer';
+    if (kind === 'question' || kind === 'guidance') return kind;
+    return 'system';
+}
+
+/**
+ * Build the record for a new message
+ * @param {Object} fields
+ * @param {string} fields.id - Element id
+ * @param {string} fields.sender - 'user' or 'bot'
+ * @param {string} [fields.kind] - Kind passed to addMessage
+ * @param {string} fields.content - HTML for bot messages, plain text for user messages
+ * @param {string} fields.text - Plain text of the content
+ * @param {string|null} fields.nodeId - Tree node the message belongs to
+ * @returns {{ id: string, sender: string, type: string, nodeId: string|null, content: string, text: string, createdAt: string, kind?: string }}
+ */
+function createMessageRecord(fields) {
+    const record = {
+        id: fields.id,
+        sender: fields.sender,
+        type: getMessageType(fields.sender, fields.kind),
+        nodeId: fields.nodeId || null,
+        content: fields.content,
+        text: fields.text,
+        createdAt: new Date().toISOString()
+    };
+    if (fields.kind) record.kind = fields.kind;
+    return record;
+}
+
+// ==========================================
+// SEARCH
+// ==========================================
+
+/**
+ * Fold text for matching: lower case, accents removed
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split a search query into folded words
+ * @param {string} query - Typed query
+ * @returns {Array<string>}
+ */
+function getSearchWords(query) {
+    return normalizeSearchText(query).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Find where the words occur in a text, ignoring case and accents
+ * @param {string} text - Text to search
+ * @param {Array<string>} words - Folded words from getSearchWords
+ * @returns {Array<[number, number]>} Sorted, merged [start, end) ranges in the original text
+ */
+function findMatchRanges(text, words) {
+    // Fold one character at a time so positions map back to the text
+    let folded = '';
+    const origin = [];
+    Array.from(text).reduce((offset, char) => {
+        const part = normalizeSearchText(char);
+        folded += part;
+        for (let i = 0; i < part.length; i++) origin.push({ start: offset, end: offset + char.length });
+        return offset + char.length;
+    }, 0);
+
+    const ranges = [];
+    words.forEach(word => {
+        let index = folded.indexOf(word);
+        while (index !== -1) {
+            ranges.push([origin[index].start, origin[index + word.length - 1].end]);
+            index = folded.indexOf(word, index + word.length);
+        }
+    });
+
+    return ranges
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range.slice());
+            }
+            return merged;
+        }, []);
+}
+
+/**
+ * Cut a window of text around its first match
+ * @param {string} text - Message text
+ * @param {Array<[number, number]>} ranges - From findMatchRanges
+ * @returns {{ text: string, ranges: Array<[number, number]> }} Ranges relative to the snippet
+ */
+function buildSnippet(text, ranges) {
+    if (text.length <= HISTORY_SNIPPET_LENGTH) return { text: text, ranges: ranges };
+
+    const start = Math.max(0, Math.min(ranges[0][0] - 40, text.length - HISTORY_SNIPPET_LENGTH));
+    const end = start + HISTORY_SNIPPET_LENGTH;
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    return {
+        text: prefix + text.slice(start, end) + suffix,
+        ranges: ranges
+            .filter(range => range[0] < end && range[1] > start)
+            .map(range => [Math.max(range[0], start) - start + prefix.length, Math.min(range[1], end) - start + prefix.length])
+    };
+}
+
+/**
+ * Search the messages of one session. Every word must occur somewhere
+ * in the session, not necessarily in the same message.
+ * @param {Array<Object>} messages - Message records
+ * @param {Array<string>} words - Folded words from getSearchWords
+ * @returns {Array<{ type: string, nodeId: string|null, snippet: { text: string, ranges: Array } }>|null}
+ *   The matching messages, or null when a word is missing
+ */
+function searchMessages(messages, words) {
+    const searchable = messages.filter(message => HISTORY_SEARCH_TYPES.includes(message.type));
+    const folded = searchable.map(message => normalizeSearchText(message.text || ''));
+    if (!words.every(word => folded.some(text => text.includes(word)))) return null;
+
+    return searchable
+        .map(message => ({ message: message, ranges: findMatchRanges(message.text || '', words) }))
+        .filter(item => item.ranges.length > 0)
+        .slice(0, HISTORY_MAX_HITS)
+        .map(item => ({
+            type: item.message.type,
+            nodeId: item.message.nodeId,
+            snippet: buildSnippet(item.message.text, item.ranges)
+        }));
+}
+
+/**
+ * Filter history entries by role, outcome risk level and search query
+ * @param {Array<{ session: Object, outcome: Object|null }>} entries - Saved sessions with their outcome guidance ({ title, risk })
+ * @param {{ query?: string, role?: string, risk?: string }} filters - Empty values match everything; risk 'none' matches sessions without guidance
+ * @returns {Array<{ session: Object, outcome: Object|null, hits: Array<Object> }>}
+ */
+function filterHistory(entries, filters) {
+    const words = getSearchWords(filters.query || '');
+    return entries
+        .filter(entry => !filters.role || entry.session.role === filters.role)
+        .filter(entry => {
+            if (!filters.risk) return true;
+            if (filters.risk === 'none') return !entry.outcome;
+            return Boolean(entry.outcome) && entry.outcome.risk === filters.risk;
+        })
+        .map(entry => ({ ...entry, hits: words.length > 0 ? searchMessages(entry.session.messages || [], words) : [] }))
+        .filter(entry => entry.hits !== null);
+}
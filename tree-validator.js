@@ -0,0 +1,888 @@
+/* ============================================
+   MediLegal AI - Decision Tree Validation
+   ============================================ */
+
+// Mirrors trees/tree.schema.json and adds the graph checks that JSON
+// Schema cannot express: edge targets exist, every node is reachable
+// from the start node, and no answer path loops back on itself.
+// validateTranslation checks a translation file (trees/<id>.<locale>.json)
+// against the tree it translates.
+
+const RISK_LEVELS = ['high', 'medium', 'low'];
+const LETTER_TYPES = ['records-request', 'itemized-bill', 'consent-explanation', 'facility-complaint'];
+const NODE_TYPES = ['yesno', 'choice', 'text'];
+const TEXT_INPUTS = ['text', 'date'];
+const TREE_KEYS = ['$schema', 'id', 'version', 'start', 'nodes', 'intents', 'riskFactors'];
+const QUESTION_KEYS = {
+    yesno: ['type', 'question', 'yes', 'no', 'factors'],
+    choice: ['type', 'question', 'options', 'factors'],
+    text: ['type', 'question', 'field', 'input', 'placeholder', 'maxLength', 'next']
+};
+const OPTION_KEYS = ['value', 'label', 'next'];
+const GUIDANCE_NODE_KEYS = ['guidance'];
+const GUIDANCE_KEYS = ['title', 'risk', 'bullets', 'nextSteps', 'deadlines', 'jurisdictions', 'letters', 'incidentReport', 'emergency'];
+const VARIANT_KEYS = ['bullets', 'nextSteps', 'deadlines'];
+const DEADLINE_KEYS = ['label', 'days'];
+const INTENT_KEYS = ['id', 'label', 'target', 'keywords', 'phrases'];
+const RISK_FACTOR_KEYS = ['id', 'label', 'weight'];
+const RISK_FACTOR_MAX_WEIGHT = 10;
+const TRANSLATION_KEYS = ['$schema', 'tree', 'locale', 'version', 'nodes', 'intents', 'riskFactors'];
+const TRANSLATED_INTENT_KEYS = ['label', 'keywords', 'phrases'];
+const TRANSLATED_GUIDANCE_KEYS = ['title', 'bullets', 'nextSteps', 'deadlines', 'jurisdictions'];
+const LOCALE_PATTERN = /^[a-z]{2}$/;
+const JURISDICTION_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/;
+const FIELD_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const OPTION_VALUE_PATTERN = /^[A-Za-z0-9_-]+$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([^}]*?)\s*\}\}/g;
+
+/**
+ * Validate a decision tree loaded from JSON
+ * @param {Object} tree - Parsed tree file
+ * @returns {{ valid: boolean, errors: Array<string> }}
+ */
+function validateTree(tree) {
+    const errors = [];
+
+    if (!isPlainObject(tree)) {
+        return { valid: false, errors: ['Tree must be a JSON object.'] };
+    }
+
+    checkUnknownKeys(tree, TREE_KEYS, 'Tree', errors);
+
+    if (!isNonEmptyString(tree.id)) {
+        errors.push('Tree is missing an "id".');
+    }
+    if (!isNonEmptyString(tree.version) || !/^\d+\.\d+\.\d+$/.test(tree.version)) {
+        errors.push('Tree "version" must look like "1.0.0".');
+    }
+    if (!isPlainObject(tree.nodes) || Object.keys(tree.nodes).length === 0) {
+        errors.push('Tree must have a non-empty "nodes" object.');
+        return { valid: false, errors };
+    }
+    if (!isNonEmptyString(tree.start)) {
+        errors.push('Tree is missing a "start" node id.');
+    } else if (!tree.nodes[tree.start]) {
+        errors.push(`Start node "${tree.start}" does not exist.`);
+    }
+
+    Object.entries(tree.nodes).forEach(([nodeId, node]) => {
+        validateNode(tree, nodeId, node, errors);
+    });
+
+    checkPlaceholders(tree, errors);
+
+    if ('intents' in tree) {
+        validateIntents(tree, errors);
+    }
+    if ('riskFactors' in tree) {
+        validateRiskFactors(tree, errors);
+    }
+
+    if (tree.nodes[tree.start]) {
+        checkReachability(tree, errors);
+        checkCycles(tree, errors);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a single node's shape and edge targets
+ * @param {Object} tree - Tree being validated
+ * @param {string} nodeId - Node id
+ * @param {Object} node - Node definition
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateNode(tree, nodeId, node, errors) {
+    const label = `Node "${nodeId}"`;
+
+    if (!isPlainObject(node)) {
+        errors.push(`${label} must be an object.`);
+        return;
+    }
+
+    if (isQuestionNode(node)) {
+        validateQuestionNode(tree, node, label, errors);
+        return;
+    }
+
+    if (!('guidance' in node)) {
+        errors.push(`${label} is a leaf without "guidance".`);
+        return;
+    }
+
+    checkUnknownKeys(node, GUIDANCE_NODE_KEYS, label, errors);
+    validateGuidance(node.guidance, label, errors);
+}
+
+/**
+ * Validate a yes/no, multi-choice or free-text question node
+ * @param {Object} tree - Tree being validated
+ * @param {Object} node - Node definition
+ * @param {string} label - Prefix for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateQuestionNode(tree, node, label, errors) {
+    const type = node.type === undefined ? 'yesno' : node.type;
+    if (!NODE_TYPES.includes(type)) {
+        errors.push(`${label}: "type" is ${JSON.stringify(node.type)}, expected one of ${NODE_TYPES.join(', ')}.`);
+        return;
+    }
+
+    checkUnknownKeys(node, QUESTION_KEYS[type], label, errors);
+    if (!isNonEmptyString(node.question)) {
+        errors.push(`${label}: "question" must be a non-empty string.`);
+    }
+
+    if (type === 'yesno') {
+        ['yes', 'no'].forEach(edge => checkTarget(tree, node[edge], `${label}: "${edge}"`, errors));
+    } else if (type === 'choice') {
+        validateOptions(tree, node.options, label, errors);
+    }
+    if (node.factors !== undefined && type !== 'text') {
+        validateNodeFactors(tree, node, label, errors);
+    }
+    if (type === 'text') {
+        if (!isNonEmptyString(node.field) || !FIELD_NAME_PATTERN.test(node.field)) {
+            errors.push(`${label}: "field" must be a name like "incidentDate" (letters, digits, underscores).`);
+        }
+        if (node.input !== undefined && !TEXT_INPUTS.includes(node.input)) {
+            errors.push(`${label}: "input" is ${JSON.stringify(node.input)}, expected one of ${TEXT_INPUTS.join(', ')}.`);
+        }
+        if (node.placeholder !== undefined && typeof node.placeholder !== 'string') {
+            errors.push(`${label}: "placeholder" must be a string.`);
+        }
+        if (node.maxLength !== undefined && !(Number.isInteger(node.maxLength) && node.maxLength > 0)) {
+            errors.push(`${label}: "maxLength" must be a positive whole number.`);
+        }
+        checkTarget(tree, node.next, `${label}: "next"`, errors);
+    }
+}
+
+/**
+ * Validate the options of a multi-choice node
+ * @param {Object} tree - Tree being validated
+ * @param {Array<Object>} options - Option definitions
+ * @param {string} label - Prefix for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateOptions(tree, options, label, errors) {
+    if (!Array.isArray(options) || options.length < 2) {
+        errors.push(`${label}: "options" must list at least two choices.`);
+        return;
+    }
+
+    const seen = new Set();
+    options.forEach((option, index) => {
+        const optionLabel = `${label} option ${index + 1}`;
+        if (!isPlainObject(option)) {
+            errors.push(`${optionLabel} must be an object.`);
+            return;
+        }
+
+        checkUnknownKeys(option, OPTION_KEYS, optionLabel, errors);
+        if (!isNonEmptyString(option.value) || !OPTION_VALUE_PATTERN.test(option.value)) {
+            errors.push(`${optionLabel}: "value" must use only letters, digits, "-" or "_".`);
+        } else if (seen.has(option.value.toLowerCase())) {
+            errors.push(`${optionLabel}: value "${option.value}" is used more than once.`);
+        } else {
+            seen.add(option.value.toLowerCase());
+        }
+        if (!isNonEmptyString(option.label)) {
+            errors.push(`${optionLabel}: "label" must be a non-empty string.`);
+        }
+        checkTarget(tree, option.next, `${optionLabel}: "next"`, errors);
+    });
+}
+
+/**
+ * Validate the risk factors a question adds, keyed by answer value
+ * @param {Object} tree - Tree being validated
+ * @param {Object} node - Yes/no or multi-choice node
+ * @param {string} label - Prefix for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateNodeFactors(tree, node, label, errors) {
+    if (!isPlainObject(node.factors)) {
+        errors.push(`${label}: "factors" must be an object keyed by answer value.`);
+        return;
+    }
+
+    const answers = node.type === 'choice'
+        ? (Array.isArray(node.options) ? node.options.filter(isPlainObject).map(option => option.value) : [])
+        : ['yes', 'no'];
+    const known = Array.isArray(tree.riskFactors)
+        ? tree.riskFactors.filter(isPlainObject).map(factor => factor.id)
+        : [];
+
+    Object.entries(node.factors).forEach(([answer, ids]) => {
+        const answerLabel = `${label} factors for "${answer}"`;
+        if (!answers.includes(answer)) {
+            errors.push(`${answerLabel}: "${answer}" is not an answer to this question.`);
+        }
+        if (!isStringList(ids)) {
+            errors.push(`${answerLabel} must be a non-empty list of risk factor ids.`);
+            return;
+        }
+        ids.forEach((id, index) => {
+            if (!known.includes(id)) {
+                errors.push(`${answerLabel}: risk factor "${id}" is not defined in the tree's "riskFactors".`);
+            } else if (ids.indexOf(id) !== index) {
+                errors.push(`${answerLabel}: risk factor "${id}" is listed more than once.`);
+            }
+        });
+    });
+}
+
+/**
+ * Check that an edge points at an existing node
+ * @param {Object} tree - Tree being validated
+ * @param {string} target - Target node id
+ * @param {string} label - Prefix for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkTarget(tree, target, label, errors) {
+    if (!isNonEmptyString(target)) {
+        errors.push(`${label} target is missing.`);
+    } else if (!tree.nodes[target]) {
+        errors.push(`${label} target "${target}" does not exist.`);
+    }
+}
+
+/**
+ * Report {{placeholders}} that no free-text node captures
+ * @param {Object} tree - Tree being validated
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkPlaceholders(tree, errors) {
+    const fields = new Set(
+        Object.values(tree.nodes)
+            .filter(node => isPlainObject(node) && node.type === 'text' && isNonEmptyString(node.field))
+            .map(node => node.field)
+    );
+
+    Object.entries(tree.nodes).forEach(([nodeId, node]) => {
+        if (!isPlainObject(node)) return;
+        const guidance = isPlainObject(node.guidance) ? node.guidance : {};
+        const variants = [guidance].concat(isPlainObject(guidance.jurisdictions) ? Object.values(guidance.jurisdictions) : []);
+        const texts = [node.question, guidance.title]
+            .concat(...variants.filter(isPlainObject).map(getVariantTexts))
+            .filter(text => typeof text === 'string');
+
+        texts.forEach(text => {
+            Array.from(text.matchAll(PLACEHOLDER_PATTERN)).forEach(([placeholder, name]) => {
+                if (!fields.has(name)) {
+                    errors.push(`Node "${nodeId}": placeholder "${placeholder}" does not match any free-text field.`);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * List the text fields of a guidance block or jurisdiction override
+ * @param {Object} variant - Guidance or override
+ * @returns {Array<*>}
+ */
+function getVariantTexts(variant) {
+    return []
+        .concat(Array.isArray(variant.bullets) ? variant.bullets : [])
+        .concat(Array.isArray(variant.nextSteps) ? variant.nextSteps : [])
+        .concat(Array.isArray(variant.deadlines) ? variant.deadlines.map(deadline => isPlainObject(deadline) && deadline.label) : []);
+}
+
+/**
+ * Validate the guidance block of a leaf node
+ * @param {Object} guidance - Guidance definition
+ * @param {string} label - Prefix for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateGuidance(guidance, label, errors) {
+    if (!isPlainObject(guidance)) {
+        errors.push(`${label}: "guidance" must be an object.`);
+        return;
+    }
+
+    checkUnknownKeys(guidance, GUIDANCE_KEYS, `${label} guidance`, errors);
+
+    if (!isNonEmptyString(guidance.title)) {
+        errors.push(`${label}: guidance "title" must be a non-empty string.`);
+    }
+    if (!RISK_LEVELS.includes(guidance.risk)) {
+        errors.push(`${label}: guidance "risk" is ${JSON.stringify(guidance.risk)}, expected one of ${RISK_LEVELS.join(', ')}.`);
+    }
+    ['bullets', 'nextSteps'].forEach(field => {
+        if (!isStringList(guidance[field])) {
+            errors.push(`${label}: guidance "${field}" must be a non-empty list of strings.`);
+        }
+    });
+    if (guidance.deadlines !== undefined) {
+        validateDeadlines(guidance.deadlines, `${label} guidance`, errors);
+    }
+    if (guidance.jurisdictions !== undefined) {
+        validateJurisdictions(guidance.jurisdictions, label, errors);
+    }
+    if (guidance.letters !== undefined) {
+        validateLetters(guidance.letters, label, errors);
+    }
+    if (guidance.incidentReport !== undefined && typeof guidance.incidentReport !== 'boolean') {
+        errors.push(`${label}: guidance "incidentReport" must be true or false.`);
+    }
+    if (guidance.emergency !== undefined && typeof guidance.emergency !== 'boolean') {
+        errors.push(`${label}: guidance "emergency" must be true or false.`);
+    }
+}
+
+/**
+ * Validate the request letters offered from a guidance block
+ * @param {Array<string>} letters - Letter template ids
+ * @param {string} label - Prefix for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateLetters(letters, label, errors) {
+    if (!Array.isArray(letters) || letters.length === 0) {
+        errors.push(`${label}: guidance "letters" must be a non-empty list of letter types.`);
+        return;
+    }
+
+    letters.forEach((letter, index) => {
+        if (!LETTER_TYPES.includes(letter)) {
+            errors.push(`${label}: guidance letter ${JSON.stringify(letter)} is not one of ${LETTER_TYPES.join(', ')}.`);
+        } else if (letters.indexOf(letter) !== index) {
+            errors.push(`${label}: guidance letter "${letter}" is listed more than once.`);
+        }
+    });
+}
+
+/**
+ * Validate per-jurisdiction overrides of a guidance block
+ * @param {Object} jurisdictions - Overrides keyed by jurisdiction code
+ * @param {string} label - Prefix for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateJurisdictions(jurisdictions, label, errors) {
+    if (!isPlainObject(jurisdictions)) {
+        errors.push(`${label}: guidance "jurisdictions" must be an object keyed by jurisdiction code.`);
+        return;
+    }
+
+    Object.entries(jurisdictions).forEach(([code, variant]) => {
+        const variantLabel = `${label} jurisdiction "${code}"`;
+        if (!JURISDICTION_PATTERN.test(code)) {
+            errors.push(`${variantLabel}: code must look like "GB" or "US-CA".`);
+        }
+        if (!isPlainObject(variant) || Object.keys(variant).length === 0) {
+            errors.push(`${variantLabel} must override at least one of ${VARIANT_KEYS.join(', ')}.`);
+            return;
+        }
+
+        checkUnknownKeys(variant, VARIANT_KEYS, variantLabel, errors);
+        ['bullets', 'nextSteps'].forEach(field => {
+            if (variant[field] !== undefined && !isStringList(variant[field])) {
+                errors.push(`${variantLabel}: "${field}" must be a non-empty list of strings.`);
+            }
+        });
+        if (variant.deadlines !== undefined) {
+            validateDeadlines(variant.deadlines, variantLabel, errors);
+        }
+    });
+}
+
+/**
+ * Validate a list of reporting deadlines
+ * @param {Array<Object>} deadlines - { label, days } entries
+ * @param {string} label - Prefix for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateDeadlines(deadlines, label, errors) {
+    if (!Array.isArray(deadlines)) {
+        errors.push(`${label}: "deadlines" must be a list.`);
+        return;
+    }
+
+    deadlines.forEach((deadline, index) => {
+        const deadlineLabel = `${label} deadline ${index + 1}`;
+        if (!isPlainObject(deadline)) {
+            errors.push(`${deadlineLabel} must be an object.`);
+            return;
+        }
+        checkUnknownKeys(deadline, DEADLINE_KEYS, deadlineLabel, errors);
+        if (!isNonEmptyString(deadline.label)) {
+            errors.push(`${deadlineLabel}: "label" must be a non-empty string.`);
+        }
+        if (!Number.isInteger(deadline.days) || deadline.days <= 0) {
+            errors.push(`${deadlineLabel}: "days" must be a positive whole number.`);
+        }
+    });
+}
+
+/**
+ * Report nodes that cannot be reached from the start node
+ * @param {Object} tree - Tree being validated
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkReachability(tree, errors) {
+    const reachable = new Set();
+    const pending = [tree.start];
+
+    while (pending.length > 0) {
+        const nodeId = pending.pop();
+        if (reachable.has(nodeId) || !tree.nodes[nodeId]) continue;
+        reachable.add(nodeId);
+        getEdgeTargets(tree.nodes[nodeId]).forEach(target => pending.push(target));
+    }
+
+    Object.keys(tree.nodes)
+        .filter(nodeId => !reachable.has(nodeId))
+        .forEach(nodeId => {
+            errors.push(`Node "${nodeId}" is unreachable from the start node "${tree.start}".`);
+        });
+}
+
+/**
+ * Report answer paths that loop back to an earlier node
+ * @param {Object} tree - Tree being validated
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkCycles(tree, errors) {
+    const finished = new Set();
+    const reported = new Set();
+
+    const visit = (nodeId, trail) => {
+        if (finished.has(nodeId) || !tree.nodes[nodeId]) return;
+
+        const loopStart = trail.indexOf(nodeId);
+        if (loopStart !== -1) {
+            const loop = trail.slice(loopStart).concat(nodeId);
+            const key = loop.slice().sort().join(',');
+            if (!reported.has(key)) {
+                reported.add(key);
+                errors.push(`Cycle detected: ${loop.join(' → ')}.`);
+            }
+            return;
+        }
+
+        getEdgeTargets(tree.nodes[nodeId]).forEach(target => visit(target, trail.concat(nodeId)));
+        finished.add(nodeId);
+    };
+
+    visit(tree.start, []);
+}
+
+/**
+ * Validate a translation file against the tree it translates. Every
+ * node must be translated, lists must keep their length and each text
+ * must use the same {{placeholders}} as the original.
+ * @param {Object} tree - Valid decision tree
+ * @param {Object} translation - Parsed translation file
+ * @returns {{ valid: boolean, errors: Array<string> }}
+ */
+function validateTranslation(tree, translation) {
+    const errors = [];
+
+    if (!isPlainObject(translation)) {
+        return { valid: false, errors: ['Translation must be a JSON object.'] };
+    }
+
+    checkUnknownKeys(translation, TRANSLATION_KEYS, 'Translation', errors);
+
+    if (translation.tree !== tree.id) {
+        errors.push(`Translation is for tree "${translation.tree}", not "${tree.id}".`);
+    }
+    if (typeof translation.locale !== 'string' || !LOCALE_PATTERN.test(translation.locale)) {
+        errors.push('Translation "locale" must be a two-letter code like "es".');
+    }
+    if (translation.version !== tree.version) {
+        errors.push(`Translation is for version "${translation.version}" but the tree is version "${tree.version}".`);
+    }
+    if (!isPlainObject(translation.nodes)) {
+        errors.push('Translation must have a "nodes" object.');
+        return { valid: false, errors };
+    }
+
+    Object.keys(translation.nodes)
+        .filter(nodeId => !tree.nodes[nodeId])
+        .forEach(nodeId => errors.push(`Node "${nodeId}" does not exist in the tree.`));
+
+    Object.entries(tree.nodes).forEach(([nodeId, node]) => {
+        const text = translation.nodes[nodeId];
+        const label = `Node "${nodeId}"`;
+
+        if (!isPlainObject(text)) {
+            errors.push(`${label} is not translated.`);
+        } else if (isQuestionNode(node)) {
+            validateTranslatedQuestion(node, text, label, errors);
+        } else {
+            checkUnknownKeys(text, GUIDANCE_NODE_KEYS, label, errors);
+            validateTranslatedGuidance(node.guidance, text.guidance, label, errors);
+        }
+    });
+
+    validateTranslatedIntents(tree.intents || [], translation.intents, errors);
+    validateTranslatedRiskFactors(tree.riskFactors || [], translation.riskFactors, errors);
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate translated intents. Each needs a label; translated keywords
+ * and phrases are matched in addition to the original ones.
+ * @param {Array<Object>} intents - Original intents
+ * @param {Object|undefined} text - Translated intents keyed by id
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateTranslatedIntents(intents, text, errors) {
+    if (text === undefined && intents.length === 0) return;
+    if (!isPlainObject(text)) {
+        errors.push('Translation must have an "intents" object with a label for each intent.');
+        return;
+    }
+
+    const ids = intents.map(intent => intent.id);
+    Object.keys(text)
+        .filter(id => !ids.includes(id))
+        .forEach(id => errors.push(`Intent "${id}" does not exist in the tree.`));
+
+    intents.forEach(intent => {
+        const label = `Intent "${intent.id}"`;
+        if (!isPlainObject(text[intent.id])) {
+            errors.push(`${label} is not translated.`);
+            return;
+        }
+        checkUnknownKeys(text[intent.id], TRANSLATED_INTENT_KEYS, label, errors);
+        checkTranslatedText(intent.label, text[intent.id].label, `${label} "label"`, errors);
+        checkIntentWords(text[intent.id], label, errors);
+    });
+}
+
+/**
+ * Validate translated risk factor labels
+ * @param {Array<Object>} factors - Original risk factors
+ * @param {Object|undefined} text - Translated labels keyed by factor id
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateTranslatedRiskFactors(factors, text, errors) {
+    if (text === undefined && factors.length === 0) return;
+    if (!isPlainObject(text)) {
+        errors.push('Translation must have a "riskFactors" object with a label for each risk factor.');
+        return;
+    }
+
+    const ids = factors.map(factor => factor.id);
+    Object.keys(text)
+        .filter(id => !ids.includes(id))
+        .forEach(id => errors.push(`Risk factor "${id}" does not exist in the tree.`));
+
+    factors.forEach(factor => {
+        checkTranslatedText(factor.label, text[factor.id], `Risk factor "${factor.id}"`, errors);
+    });
+}
+
+/**
+ * Validate the translated wording of a question node
+ * @param {Object} node - Original question node
+ * @param {Object} text - Translated node
+ * @param {string} label - Error prefix
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateTranslatedQuestion(node, text, label, errors) {
+    const allowed = ['question'];
+    if (node.type === 'text' && node.placeholder) allowed.push('placeholder');
+    if (node.type === 'choice') allowed.push('options');
+    checkUnknownKeys(text, allowed, label, errors);
+
+    checkTranslatedText(node.question, text.question, `${label} "question"`, errors);
+    if (allowed.includes('placeholder')) {
+        checkTranslatedText(node.placeholder, text.placeholder, `${label} "placeholder"`, errors);
+    }
+    if (node.type !== 'choice') return;
+
+    if (!isPlainObject(text.options)) {
+        errors.push(`${label}: "options" must map each option value to its label.`);
+        return;
+    }
+    const values = node.options.map(option => option.value);
+    Object.keys(text.options)
+        .filter(value => !values.includes(value))
+        .forEach(value => errors.push(`${label}: option "${value}" does not exist.`));
+    node.options.forEach(option => {
+        checkTranslatedText(option.label, text.options[option.value], `${label} option "${option.value}"`, errors);
+    });
+}
+
+/**
+ * Validate translated guidance, including jurisdiction variants
+ * @param {Object} guidance - Original guidance
+ * @param {Object} text - Translated guidance
+ * @param {string} label - Error prefix
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateTranslatedGuidance(guidance, text, label, errors) {
+    if (!isPlainObject(text)) {
+        errors.push(`${label} must have a "guidance" object.`);
+        return;
+    }
+
+    checkUnknownKeys(text, TRANSLATED_GUIDANCE_KEYS, `${label} guidance`, errors);
+    checkTranslatedText(guidance.title, text.title, `${label} guidance "title"`, errors);
+    validateTranslatedLists(guidance, text, `${label} guidance`, errors);
+
+    const variants = guidance.jurisdictions || {};
+    const translatedVariants = text.jurisdictions || {};
+    if (!isPlainObject(translatedVariants)) {
+        errors.push(`${label} guidance: "jurisdictions" must be an object.`);
+        return;
+    }
+    Object.keys(translatedVariants)
+        .filter(code => !variants[code])
+        .forEach(code => errors.push(`${label} guidance: jurisdiction "${code}" does not exist.`));
+    Object.entries(variants).forEach(([code, variant]) => {
+        const variantLabel = `${label} jurisdiction "${code}"`;
+        if (!isPlainObject(translatedVariants[code])) {
+            errors.push(`${variantLabel} is not translated.`);
+            return;
+        }
+        checkUnknownKeys(translatedVariants[code], Object.keys(variant), variantLabel, errors);
+        validateTranslatedLists(variant, translatedVariants[code], variantLabel, errors);
+    });
+}
+
+/**
+ * Validate the translated bullets, nextSteps and deadline labels of
+ * guidance or a jurisdiction variant. Deadlines are translated as a
+ * list of labels; their day counts always come from the tree.
+ * @param {Object} source - Original guidance or variant
+ * @param {Object} text - Translated guidance or variant
+ * @param {string} label - Error prefix
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateTranslatedLists(source, text, label, errors) {
+    ['bullets', 'nextSteps', 'deadlines'].forEach(key => {
+        if (!source[key]) {
+            if (key in text) errors.push(`${label}: "${key}" is not in the original.`);
+            return;
+        }
+
+        const originals = key === 'deadlines' ? source[key].map(deadline => deadline.label) : source[key];
+        if (!Array.isArray(text[key]) || text[key].length !== originals.length) {
+            errors.push(`${label}: "${key}" must have ${originals.length} item(s) like the original.`);
+            return;
+        }
+        originals.forEach((original, index) => {
+            checkTranslatedText(original, text[key][index], `${label} "${key}" item ${index + 1}`, errors);
+        });
+    });
+}
+
+/**
+ * Check a translated text is present and keeps the original placeholders
+ * @param {string} original - Original wording
+ * @param {*} translated - Translated wording
+ * @param {string} label - Error prefix
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkTranslatedText(original, translated, label, errors) {
+    if (!isNonEmptyString(translated)) {
+        errors.push(`${label} is not translated.`);
+        return;
+    }
+
+    const names = text => Array.from(text.matchAll(PLACEHOLDER_PATTERN), match => match[1]).sort().join(',');
+    if (names(original) !== names(translated)) {
+        errors.push(`${label} must use the same placeholders as the original.`);
+    }
+}
+
+/**
+ * Validate the free-text intents that let a description jump to a node
+ * @param {Object} tree - Tree being validated
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateIntents(tree, errors) {
+    if (!Array.isArray(tree.intents)) {
+        errors.push('Tree "intents" must be a list.');
+        return;
+    }
+
+    const seen = new Set();
+    tree.intents.forEach((intent, index) => {
+        if (!isPlainObject(intent)) {
+            errors.push(`Intent ${index + 1} must be an object.`);
+            return;
+        }
+
+        const label = `Intent "${intent.id || index + 1}"`;
+        checkUnknownKeys(intent, INTENT_KEYS, label, errors);
+
+        if (typeof intent.id !== 'string' || !OPTION_VALUE_PATTERN.test(intent.id)) {
+            errors.push(`${label}: "id" may only use letters, digits, "-" and "_".`);
+        } else if (seen.has(intent.id)) {
+            errors.push(`${label}: duplicate id.`);
+        } else {
+            seen.add(intent.id);
+        }
+        if (!isNonEmptyString(intent.label)) {
+            errors.push(`${label}: "label" must be a non-empty string.`);
+        }
+        if (!isNonEmptyString(intent.target)) {
+            errors.push(`${label}: "target" is missing.`);
+        } else if (!tree.nodes[intent.target]) {
+            errors.push(`${label}: target "${intent.target}" does not exist.`);
+        }
+        if (!isStringList(intent.keywords) && !isStringList(intent.phrases)) {
+            errors.push(`${label} needs a non-empty "keywords" or "phrases" list.`);
+        }
+        checkIntentWords(intent, label, errors);
+    });
+}
+
+/**
+ * Validate the weighted risk factors that answers can add
+ * @param {Object} tree - Tree being validated
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateRiskFactors(tree, errors) {
+    if (!Array.isArray(tree.riskFactors)) {
+        errors.push('Tree "riskFactors" must be a list.');
+        return;
+    }
+
+    const seen = new Set();
+    tree.riskFactors.forEach((factor, index) => {
+        if (!isPlainObject(factor)) {
+            errors.push(`Risk factor ${index + 1} must be an object.`);
+            return;
+        }
+
+        const label = `Risk factor "${factor.id || index + 1}"`;
+        checkUnknownKeys(factor, RISK_FACTOR_KEYS, label, errors);
+
+        if (typeof factor.id !== 'string' || !OPTION_VALUE_PATTERN.test(factor.id)) {
+            errors.push(`${label}: "id" may only use letters, digits, "-" and "_".`);
+        } else if (seen.has(factor.id)) {
+            errors.push(`${label}: duplicate id.`);
+        } else {
+            seen.add(factor.id);
+        }
+        if (!isNonEmptyString(factor.label)) {
+            errors.push(`${label}: "label" must be a non-empty string.`);
+        }
+        if (!Number.isInteger(factor.weight) || factor.weight === 0 || Math.abs(factor.weight) > RISK_FACTOR_MAX_WEIGHT) {
+            errors.push(`${label}: "weight" must be a whole number from -${RISK_FACTOR_MAX_WEIGHT} to ${RISK_FACTOR_MAX_WEIGHT}, other than 0.`);
+        }
+    });
+}
+
+/**
+ * Check an intent's keyword and phrase lists. Keywords are matched
+ * against single words, so anything longer belongs in "phrases".
+ * @param {Object} intent - Intent or translated intent
+ * @param {string} label - Error prefix
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkIntentWords(intent, label, errors) {
+    ['keywords', 'phrases'].forEach(key => {
+        if (key in intent && !isStringList(intent[key])) {
+            errors.push(`${label}: "${key}" must be a non-empty list of strings.`);
+        }
+    });
+    if (isStringList(intent.keywords)) {
+        intent.keywords
+            .filter(keyword => /\s/.test(keyword.trim()))
+            .forEach(keyword => errors.push(`${label}: keyword "${keyword}" has more than one word; list it under "phrases".`));
+    }
+}
+
+/**
+ * List the node ids a node links to
+ * @param {Object} node - Node definition
+ * @returns {Array<string>}
+ */
+function getEdgeTargets(node) {
+    if (!isQuestionNode(node)) return [];
+    if (node.type === 'choice') {
+        return (Array.isArray(node.options) ? node.options : [])
+            .map(option => isPlainObject(option) && option.next)
+            .filter(isNonEmptyString);
+    }
+    if (node.type === 'text') {
+        return [node.next].filter(isNonEmptyString);
+    }
+    return [node.yes, node.no].filter(isNonEmptyString);
+}
+
+/**
+ * List every route from the start node to a guidance leaf, with the
+ * answer taken at each question. Free-text questions have a single way
+ * on, so their answer value is null. Expects a valid (acyclic) tree.
+ * @param {Object} tree - Decision tree
+ * @returns {Array<{ leaf: string, answers: Array<{ nodeId: string, value: string|null }> }>}
+ */
+function listTreePaths(tree) {
+    const paths = [];
+    const walk = (nodeId, answers) => {
+        const node = tree.nodes[nodeId];
+        if (!isQuestionNode(node)) {
+            paths.push({ leaf: nodeId, answers: answers });
+            return;
+        }
+        getAnswerChoices(node).forEach(choice => {
+            walk(choice.next, answers.concat({ nodeId: nodeId, value: choice.value }));
+        });
+    };
+
+    walk(tree.start, []);
+    return paths;
+}
+
+/**
+ * List the answers a question node accepts with the node each leads to
+ * @param {Object} node - Question node
+ * @returns {Array<{ value: string|null, next: string }>}
+ */
+function getAnswerChoices(node) {
+    if (node.type === 'choice') {
+        return node.options.map(option => ({ value: option.value, next: option.next }));
+    }
+    if (node.type === 'text') return [{ value: null, next: node.next }];
+    return [{ value: 'yes', next: node.yes }, { value: 'no', next: node.no }];
+}
+
+/**
+ * Check whether a node asks a question (as opposed to a guidance leaf)
+ * @param {Object} node - Node definition
+ * @returns {boolean}
+ */
+function isQuestionNode(node) {
+    return isPlainObject(node) && ('question' in node || 'type' in node);
+}
+
+/**
+ * Report properties that the schema does not allow
+ * @param {Object} value - Object being checked
+ * @param {Array<string>} allowed - Allowed keys
+ * @param {string} label - Prefix for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkUnknownKeys(value, allowed, label, errors) {
+    Object.keys(value)
+        .filter(key => !allowed.includes(key))
+        .forEach(key => errors.push(`${label}: unknown property "${key}".`));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+}
+
+// Allow the validator to run under Node (scripts/ and test/)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateTree, validateTranslation, getEdgeTargets, listTreePaths, RISK_LEVELS, NODE_TYPES, LETTER_TYPES };
+}
@@ -0,0 +1,102 @@
+/* ============================================
+   MediLegal AI - Voice Mode
+   ============================================ */
+
+// Optional voice mode: questions and guidance are read aloud with the
+// browser's speech synthesis, and spoken yes/no answers are picked up
+// with speech recognition. Either API may be missing; the app keeps the
+// buttons and only offers what the browser supports.
+
+/**
+ * Get the speech recognition constructor, prefixed in some browsers
+ * @returns {Function|null}
+ */
+function getSpeechRecognitionClass() {
+    return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+/**
+ * Check whether text can be read aloud
+ * @returns {boolean}
+ */
+function canSpeak() {
+    return Boolean(window.speechSynthesis) && typeof window.SpeechSynthesisUtterance === 'function';
+}
+
+/**
+ * Check whether spoken answers can be recognised
+ * @returns {boolean}
+ */
+function canListen() {
+    return Boolean(getSpeechRecognitionClass());
+}
+
+/**
+ * Read text aloud, cutting off anything still being read
+ * @param {string} text - Plain text
+ * @param {string} lang - BCP 47 tag, e.g. 'es-ES'
+ * @param {Function} [onEnd] - Called once the text has been read, but
+ *   not when it was cut off by stopSpeaking or another speakText
+ */
+function speakText(text, lang, onEnd) {
+    if (!canSpeak()) return;
+    window.speechSynthesis.cancel();
+
+    const utterance = new window.SpeechSynthesisUtterance(text);
+    utterance.lang = lang;
+    utterance.onend = () => {
+        if (onEnd) onEnd();
+    };
+    utterance.onerror = (event) => {
+        if (onEnd && event.error !== 'interrupted' && event.error !== 'canceled') onEnd();
+    };
+    window.speechSynthesis.speak(utterance);
+}
+
+/**
+ * Stop reading aloud
+ */
+function stopSpeaking() {
+    if (canSpeak()) window.speechSynthesis.cancel();
+}
+
+/**
+ * Listen for one spoken answer
+ * @param {string} lang - BCP 47 tag of the expected language
+ * @param {Object} handlers
+ * @param {Function} handlers.onResult - Receives the transcripts, most likely first
+ * @param {Function} handlers.onError - Receives the error code, e.g. 'no-speech' or 'not-allowed'
+ * @param {Function} handlers.onEnd - Called when listening stops, after onResult or onError
+ * @returns {Object} The recognition, to abort() when the answer is no longer wanted
+ */
+function listenForAnswer(lang, handlers) {
+    const Recognition = getSpeechRecognitionClass();
+    const recognition = new Recognition();
+    recognition.lang = lang;
+    recognition.continuous = false;
+    recognition.interimResults = false;
+    recognition.maxAlternatives = 5;
+
+    recognition.onresult = (event) => {
+        handlers.onResult(Array.from(event.results[0], alternative => alternative.transcript));
+    };
+    recognition.onerror = (event) => handlers.onError(event.error);
+    recognition.onend = () => handlers.onEnd();
+    recognition.start();
+    return recognition;
+}
+
+/**
+ * Read a yes/no answer from recognised speech. The whole transcript is
+ * tried first, then its first word, so "yes I did" counts as yes.
+ * @param {Array<string>} transcripts - Recognition alternatives
+ * @returns {string|null} 'yes', 'no' or null when none is a yes/no
+ */
+function readSpokenAnswer(transcripts) {
+    for (const transcript of transcripts) {
+        const words = transcript.toLowerCase().split(/[\s,.!?¡¿]+/).filter(Boolean);
+        const answer = normalizeYesNo(words.join(' ')) || (words.length > 0 ? normalizeYesNo(words[0]) : null);
+        if (answer) return answer;
+    }
+    return null;
+}
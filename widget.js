@@ -0,0 +1,274 @@
+/* ============================================
+   MediLegal AI - Widget Markup
+   ============================================ */
+
+// The markup of the whole widget. mountApp (app.js) puts it into the
+// container it is given, so the widget can fill index.html or sit inside
+// another page. The app looks its elements up by id inside that
+// container only; one widget can be mounted per page. Text marked with
+// data-i18n is translated when the widget is mounted.
+
+const WIDGET_MARKUP = `
+<div class="app-shell">
+    <header class="top-bar">
+        <div class="brand">
+            <span class="brand-mark" aria-hidden="true">🏥</span>
+            <div>
+                <h1 class="brand-title">MediLegal AI</h1>
+                <p class="brand-subtitle" data-i18n="header.subtitle">Clear medical-legal guidance in yes/no steps</p>
+            </div>
+        </div>
+        <div class="top-bar-actions">
+            <label class="locale-pill">
+                <span data-i18n="header.language">Language:</span>
+                <select id="localeSelect"></select>
+            </label>
+            <div class="role-pill"><span data-i18n="header.role">Role:</span> <strong id="currentRole"></strong></div>
+            <label class="jurisdiction-pill">
+                <span data-i18n="header.location">Location:</span>
+                <select id="jurisdictionSelect"></select>
+            </label>
+            <label class="text-size-pill">
+                <span data-i18n="header.textSize">Text size:</span>
+                <select id="textSizeSelect"></select>
+            </label>
+            <button id="contrastToggle" class="contrast-toggle" aria-pressed="false" data-i18n="header.highContrast">High contrast</button>
+            <button id="changeRoleBtn" class="change-role-btn" data-i18n="header.changeRole">Change Role</button>
+            <button id="lockBtn" class="lock-btn hidden" data-i18n="vault.lock">Lock</button>
+            <button id="panicWipeBtn" class="panic-wipe-btn" data-i18n="vault.wipe">Wipe all data</button>
+        </div>
+    </header>
+
+    <div class="banner" role="note">
+        <span class="banner-icon" aria-hidden="true">⚠️</span>
+        <p class="banner-text" data-i18n="banner.text">Legal information only, not legal advice. Consult a qualified professional for your specific situation.</p>
+    </div>
+
+    <div id="updateBanner" class="update-banner hidden" role="status">
+        <p class="update-text" data-i18n="update.available">An update to the app or its guidance is available. Your answers are kept, and you will continue where you left off.</p>
+        <div class="update-actions">
+            <button type="button" id="updateApplyBtn" class="update-apply-btn" data-i18n="update.apply">Update now</button>
+            <button type="button" id="updateLaterBtn" class="update-later-btn" data-i18n="update.later">Later</button>
+        </div>
+    </div>
+
+    <main class="chat-layout">
+        <section id="roleSection" class="role-panel" aria-labelledby="roleHeading">
+            <h2 id="roleHeading" tabindex="-1" data-i18n="roles.heading">Select your role</h2>
+            <p class="role-description" data-i18n="roles.description">We tailor the guidance based on who you are.</p>
+            <div id="treeErrors" class="tree-errors hidden" role="alert"></div>
+            <div id="roleButtons" class="role-buttons"></div>
+
+            <div id="jointStart" class="joint-start hidden">
+                <button type="button" id="jointStartBtn" class="joint-start-btn"><span aria-hidden="true">🤝</span> <span data-i18n="joint.start">Consent discussion together</span></button>
+                <p class="joint-start-note" data-i18n="joint.startNote">For a clinician and a patient sitting together: each answers their own consent questions side by side, then you review one summary.</p>
+            </div>
+
+            <section id="vaultPanel" class="vault-panel" data-i18n-aria-label="vault.label" aria-label="Saved conversations"></section>
+
+            <div id="savedSessions" class="saved-sessions hidden">
+                <h3 data-i18n="sessions.heading">Resume previous session</h3>
+                <p id="savedSessionsNote" class="saved-sessions-note"></p>
+                <ul id="savedSessionsList" class="saved-sessions-list"></ul>
+                <button type="button" id="historyOpenBtn" class="history-open-btn" aria-expanded="false" aria-controls="historyPanel" data-i18n="history.open">Search past conversations</button>
+                <section id="historyPanel" class="history-panel hidden" aria-labelledby="historyHeading">
+                    <h4 id="historyHeading" data-i18n="history.heading">Conversation history</h4>
+                    <form id="historyForm" class="history-filters" role="search">
+                        <label for="historySearch" data-i18n="history.search">Search questions, answers and guidance</label>
+                        <input type="search" id="historySearch" name="query" autocomplete="off">
+                        <label for="historyRole" data-i18n="history.role">Role</label>
+                        <select id="historyRole" name="role"></select>
+                        <label for="historyRisk" data-i18n="history.risk">Risk level</label>
+                        <select id="historyRisk" name="risk"></select>
+                    </form>
+                    <p id="historyStatus" class="history-status" role="status"></p>
+                    <ol id="historyResults" class="history-results"></ol>
+                </section>
+            </div>
+
+            <p id="editorLinks" class="editor-link">
+                <a href="editor.html" data-i18n="roles.editorLink">Edit guidance content</a>
+                <span aria-hidden="true">·</span>
+                <a href="dashboard.html" data-i18n="roles.dashboardLink">Usage dashboard</a>
+            </p>
+        </section>
+
+        <section id="chatSection" class="chat-panel hidden" data-i18n-aria-label="chat.label" aria-label="Guidance chat">
+            <section id="escalationBanner" class="escalation-banner hidden" aria-labelledby="escalationHeading">
+                <h2 id="escalationHeading" tabindex="-1"><span aria-hidden="true">🚨</span> <span data-i18n="emergency.heading">Emergency: get help now</span></h2>
+                <p class="escalation-intro" data-i18n="emergency.intro">Call for help first. Tick each action as you complete it; the time is saved with this conversation.</p>
+                <ul id="escalationContacts" class="escalation-contacts" data-i18n-aria-label="emergency.contacts" aria-label="Emergency numbers"></ul>
+                <h3 class="escalation-checklist-heading" data-i18n="emergency.checklist">Actions</h3>
+                <ul id="escalationChecklist" class="escalation-checklist"></ul>
+                <div class="escalation-footer">
+                    <p id="escalationStatus" class="escalation-status"></p>
+                    <button type="button" id="escalationAckBtn" class="escalation-ack-btn" data-i18n="emergency.acknowledge">I understand</button>
+                </div>
+            </section>
+
+            <div class="chat-window">
+                <div id="messagesContainer" class="messages-container" role="region" data-i18n-aria-label="chat.messages" aria-label="Conversation">
+                    <!-- Messages will be added here dynamically -->
+                </div>
+            </div>
+
+            <section id="timelinePanel" class="timeline-panel hidden" aria-labelledby="timelineHeading">
+                <div class="timeline-header">
+                    <h2 id="timelineHeading" data-i18n="timeline.heading">Incident timeline</h2>
+                    <button type="button" class="timeline-close-btn" data-timeline-action="close" data-i18n="timeline.close">Close</button>
+                </div>
+                <p class="timeline-intro" data-i18n="timeline.intro">Record dated events, who was involved and related documents. The timeline is saved on this device with this session and included in the exported summary.</p>
+                <ol id="timelineList" class="timeline-list"></ol>
+
+                <form id="timelineForm" class="timeline-form" novalidate>
+                    <div class="timeline-form-row">
+                        <label>
+                            <span data-i18n="timeline.date">Date</span>
+                            <input type="date" name="date" required>
+                        </label>
+                        <label>
+                            <span data-i18n="timeline.time">Time (optional)</span>
+                            <input type="time" name="time">
+                        </label>
+                    </div>
+                    <label>
+                        <span data-i18n="timeline.description">What happened</span>
+                        <textarea name="description" rows="3" required></textarea>
+                    </label>
+                    <label>
+                        <span data-i18n="timeline.people">People involved (separate with commas)</span>
+                        <input type="text" name="people">
+                    </label>
+                    <label>
+                        <span data-i18n="timeline.files">Related files</span>
+                        <input type="file" name="files" multiple>
+                    </label>
+                    <p class="timeline-note" data-i18n="timeline.filesNote">Only file names are kept; the files stay where they are.</p>
+                    <ul id="timelineDraftFiles" class="timeline-files"></ul>
+                    <div id="timelineErrors" class="timeline-errors" role="alert"></div>
+                    <div class="timeline-form-actions">
+                        <button type="submit" id="timelineSubmitBtn" class="timeline-submit-btn" data-i18n="timeline.add">Add event</button>
+                        <button type="button" id="timelineCancelBtn" class="timeline-cancel-btn hidden" data-timeline-action="cancel" data-i18n="timeline.cancelEdit">Cancel</button>
+                    </div>
+                </form>
+            </section>
+
+            <section id="letterPanel" class="letter-panel hidden" aria-labelledby="letterHeading">
+                <div class="letter-header">
+                    <h2 id="letterHeading">Request letter</h2>
+                    <button type="button" data-letter-action="close" data-i18n="letter.close">Close</button>
+                </div>
+                <p class="letter-note" data-i18n="letter.intro">Fill in the details below to create the letter. Fields marked * are required. Letters are saved on this device with this session.</p>
+                <form id="letterForm" class="letter-form" novalidate>
+                    <div id="letterFields" class="letter-fields"></div>
+                    <div id="letterErrors" class="letter-errors" role="alert"></div>
+                    <div class="letter-actions">
+                        <button type="submit" class="letter-submit-btn" data-i18n="letter.create">Create letter</button>
+                    </div>
+                </form>
+                <div id="letterPreview" class="letter-preview hidden"></div>
+                <h3 class="letter-list-heading hidden" data-i18n="letter.saved">Letters in this session</h3>
+                <ul id="letterList" class="letter-list"></ul>
+            </section>
+
+            <section id="reportPanel" class="report-panel hidden" aria-labelledby="reportHeading">
+                <div class="report-header">
+                    <h2 id="reportHeading" data-i18n="report.heading">Incident report draft</h2>
+                    <button type="button" data-report-action="close" data-i18n="report.close">Close</button>
+                </div>
+                <p class="report-note" data-i18n="report.intro">Record what was observed and done, without guessing at causes or assigning fault. The draft is saved on this device with this session; copy it into your institution’s reporting system.</p>
+                <form id="reportForm" class="report-form" novalidate>
+                    <div class="report-fields">
+                        <label>
+                            <span data-i18n="report.field.eventDate">Date of the event</span>
+                            <input type="date" name="eventDate" required>
+                        </label>
+                        <label>
+                            <span data-i18n="report.field.eventTime">Time of the event</span>
+                            <input type="time" name="eventTime">
+                        </label>
+                        <label>
+                            <span data-i18n="report.field.location">Location</span>
+                            <input type="text" name="location" required>
+                        </label>
+                        <label>
+                            <span data-i18n="report.field.reporter">Reported by (name and role)</span>
+                            <input type="text" name="reporter" required>
+                        </label>
+                        <label>
+                            <span data-i18n="report.field.people">People involved and their roles</span>
+                            <textarea name="people" rows="2"></textarea>
+                        </label>
+                        <label>
+                            <span data-i18n="report.field.description">What happened</span>
+                            <textarea name="description" rows="4" required></textarea>
+                        </label>
+                        <label>
+                            <span data-i18n="report.field.actions">Actions taken</span>
+                            <textarea name="actions" rows="3" required></textarea>
+                        </label>
+                        <label>
+                            <span data-i18n="report.field.notifications">Notifications made (who and when)</span>
+                            <textarea name="notifications" rows="2"></textarea>
+                        </label>
+                        <label>
+                            <span data-i18n="report.field.outcome">Patient condition afterwards</span>
+                            <textarea name="outcome" rows="2"></textarea>
+                        </label>
+                    </div>
+                    <div id="reportErrors" class="report-errors" role="alert"></div>
+                    <div id="reportFlags" class="report-flags hidden" role="alert"></div>
+                    <div class="report-actions">
+                        <button type="submit" id="reportSubmitBtn" class="report-submit-btn" data-i18n="report.create">Create draft</button>
+                    </div>
+                </form>
+                <div id="reportPreview" class="report-preview hidden"></div>
+            </section>
+
+            <div class="composer">
+                <div class="input-wrapper">
+                    <input
+                        type="text"
+                        id="userInput"
+                        class="chat-input"
+                        placeholder="Type yes or no..."
+                        data-i18n-placeholder="input.yesNo"
+                        data-i18n-aria-label="input.label"
+                        aria-label="Your answer"
+                        disabled
+                    >
+                    <button id="sendBtn" class="send-btn" disabled>
+                        <span data-i18n="composer.send">Send</span>
+                        <span class="send-icon" aria-hidden="true">➤</span>
+                    </button>
+                </div>
+                <div id="yesNoButtons" class="yes-no-buttons">
+                    <button id="yesBtn" class="yes-btn" data-i18n="answer.yes" aria-keyshortcuts="Y" disabled>Yes</button>
+                    <button id="noBtn" class="no-btn" data-i18n="answer.no" aria-keyshortcuts="N" disabled>No</button>
+                </div>
+                <div id="choiceButtons" class="choice-buttons hidden" role="group" data-i18n-aria-label="input.options" aria-label="Answer options"></div>
+                <div class="composer-actions">
+                    <p class="shortcut-hint" data-i18n="composer.shortcuts">Keyboard: Y yes, N no, Backspace back, Esc close</p>
+                    <button id="backBtn" class="back-btn" aria-keyshortcuts="Backspace" disabled><span aria-hidden="true">←</span> <span data-i18n="composer.back">Back</span></button>
+                    <span id="voiceStatus" class="voice-status" role="status"></span>
+                    <button id="voiceBtn" class="voice-btn hidden" aria-pressed="false" data-i18n="composer.voice">Voice mode</button>
+                    <button id="clearBtn" class="clear-btn" data-i18n="composer.clear">Clear Chat</button>
+                </div>
+            </div>
+        </section>
+
+        <section id="jointSection" class="joint-panel hidden" aria-labelledby="jointHeading">
+            <div class="joint-header">
+                <h2 id="jointHeading" tabindex="-1"></h2>
+                <button type="button" class="joint-leave-btn" data-joint-action="leave" data-i18n="joint.leave">Leave</button>
+            </div>
+            <p id="jointIntro" class="joint-note"></p>
+            <div id="jointDisagreements" class="joint-disagreements hidden"></div>
+            <div id="jointSides" class="joint-sides"></div>
+            <section id="jointSummary" class="joint-summary hidden" aria-labelledby="jointSummaryHeading"></section>
+        </section>
+    </main>
+
+    <div id="chatAnnouncer" class="sr-only" role="status" aria-live="polite" aria-atomic="true"></div>
+</div>
+`;